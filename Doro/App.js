@@ -1,473 +1,1989 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Linking, Platform, KeyboardAvoidingView, ActivityIndicator, Alert } from 'react-native';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Linking, Platform, KeyboardAvoidingView, ActivityIndicator, Alert, AppState, Vibration, useWindowDimensions } from 'react-native';
 import { Ionicons } from '@expo/vector-icons'; // For icons like microphone, phone, etc.
-import * as Speech from 'expo-speech'; // For Text-to-Speech
-import { WebView } from 'react-native-webview'; // For Speech-to-Text via Web Speech API
+import { WebView } from 'react-native-webview'; // Hosts the Web Speech API fallback recognizer
 import * as Contacts from 'expo-contacts'; // For accessing phone contacts
-import { Audio } from 'expo-av'; // For requesting native microphone permission
-
-// HTML content for the WebView to handle Speech-to-Text
-// This HTML will no longer call getUserMedia on load.
-// It will expose a function to trigger SpeechRecognition.start()
-const speechRecognitionHtml = `
-  <!DOCTYPE html>
-  <html>
-  <head>
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Speech Recognition</title>
-    <style>
-      body {
-        margin: 0;
-        padding: 0;
-        display: flex;
-        justify-content: center;
-        align-items: center;
-        height: 100vh;
-        background-color: transparent; /* Make background transparent */
-        overflow: hidden; /* Hide scrollbars */
-      }
-    </style>
-  </head>
-  <body>
-    <script>
-      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-      let recognition = null;
-      let isRecognitionActive = false;
-
-      if (SpeechRecognition) {
-        recognition = new SpeechRecognition();
-        recognition.continuous = false; // Listen for a single phrase
-        recognition.interimResults = false; // Only return final results
-        recognition.lang = 'en-US'; // Set language to US English
-
-        recognition.onstart = () => {
-          isRecognitionActive = true;
-          console.log('WebView: Speech recognition started.');
-          window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'speech_start' }));
-        };
-
-        recognition.onresult = (event) => {
-          const transcript = event.results[0][0].transcript;
-          console.log('WebView: Speech result:', transcript);
-          window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'speech_result', transcript: transcript }));
-        };
-
-        recognition.onerror = (event) => {
-          isRecognitionActive = false;
-          console.error('WebView: Speech recognition error:', event.error);
-          window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'speech_error', error: event.error }));
-        };
-
-        recognition.onend = () => {
-          isRecognitionActive = false;
-          console.log('WebView: Speech recognition ended.');
-          window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'speech_end' }));
-        };
-
-        // Function exposed to React Native to start recognition
-        window.startWebViewSpeechRecognition = () => {
-          if (recognition && !isRecognitionActive) {
-            try {
-              console.log('WebView: Attempting to start recognition via exposed function.');
-              recognition.start(); // This will implicitly trigger getUserMedia
-            } catch (e) {
-              console.error('WebView: Error starting recognition (exposed func):', e.message);
-              window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'speech_error', error: e.message }));
-            }
-          } else {
-            console.log('WebView: Recognition already active or not initialized (exposed func).');
-          }
-        };
+import { Audio } from 'expo-av'; // For requesting native microphone permission and the wake chime
+import * as Haptics from 'expo-haptics'; // A buzz when listening starts and stops
+import { parseIntent } from './src/intents/parser'; // Transcript -> structured intent
+import { createUnderstanding, createHttpBackend } from './src/intents/understanding'; // Optional remote second opinion
+import {
+  createMessage,
+  appendMessage,
+  updateMessage,
+  loadHistory,
+  saveHistory,
+  clearHistory,
+  formatMessageTime,
+} from './src/history/conversationHistory'; // Persisted chat transcript
+import {
+  buildPhoneCandidates,
+  describeCandidate,
+  describeLabel,
+  describeCandidates,
+  resolveChoice,
+} from './src/dialog/disambiguation'; // "Which John did you mean?" follow-ups
+import { matchContacts, scoreName } from './src/contacts/contactMatcher'; // Fuzzy and phonetic name matching
+import { loadAliases, saveAlias, removeAlias, replaceAliases, findAlias, normalizeAlias } from './src/contacts/aliasStore'; // "my daughter" -> contact
+import { parsePhoneNumber, formatPhoneNumber, formatSpokenPhoneNumber, EMERGENCY_NUMBERS } from './src/contacts/phoneNumber'; // Dictated numbers
+import AliasSettings from './src/screens/AliasSettings';
+import { parseConfirmation } from './src/dialog/confirmation'; // Yes/no answers
+import { DEFAULT_SETTINGS, MAX_FAVORITES, loadSettings, saveSettings } from './src/settings/settingsStore'; // Persisted preferences
+import { getSosStep } from './src/emergency/sosChain'; // Emergency contact chain
+import { STRONG_CONFIDENCE } from './src/emergency/sosDetector'; // Emergencies that need no confirmation
+import EmergencySettings from './src/screens/EmergencySettings';
+import { parseProfile, profileChanges, summarizeProfile, isProfileLink, intentSwitch } from './src/settings/profile'; // Caregiver profiles
+import ProfileScreen from './src/screens/ProfileScreen';
+import FavoritesSettings from './src/screens/FavoritesSettings';
+import {
+  UNKNOWN_PERMISSIONS,
+  checkPermissions,
+  requestPermission,
+  missingPermissions,
+  openAppSettings,
+  getVoiceReadiness,
+  getPermissionStep,
+} from './src/permissions/permissions'; // Microphone, contacts and notification access
+import PermissionOnboarding from './src/screens/PermissionOnboarding';
+import { describeTime, describeDate, getBatteryStatus, describeBattery, getRingerMode, describeRingerMode } from './src/device/deviceInfo'; // Time, date, battery and ringer
+import { loadCallHistory, recordCall, findLastCall, findLastCallTo, parseCallDay, findCalls, describeCalls } from './src/history/callHistory'; // Calls Doro placed
+import { buildSmsUrl, splitRecipientAndBody } from './src/messaging/sms'; // Text messages by voice
+import * as Notifications from 'expo-notifications'; // Reminder alerts
+import { parseReminderDetails, describeSchedule, toSecondPerson } from './src/reminders/reminderParser';
+import { loadReminders, addReminder, removeReminder, appendReminderLog, findReminders } from './src/reminders/reminderStore';
+import {
+  configureReminderNotifications,
+  requestReminderPermission,
+  scheduleReminder,
+  cancelReminder,
+  TOOK_IT_ACTION,
+} from './src/reminders/reminderNotifications';
+import RemindersScreen from './src/screens/RemindersScreen';
+import { translate, translator } from './src/i18n/translate'; // Response catalog
+import { getLocale } from './src/i18n/languages';
+import VoiceSettings from './src/screens/VoiceSettings';
+import { chooseRecognizer, isSilenceError } from './src/speech/recognizer'; // Speech-to-Text engines
+import { createNativeRecognizer } from './src/speech/nativeRecognizer';
+import { createWebViewRecognizer, speechRecognitionHtml } from './src/speech/webViewRecognizer';
+import { detectWakePhrase } from './src/speech/wakeWord'; // "Hey Doro"
+import { createLogger, loadLog } from './src/logging/logger'; // Leveled log with an on-device ring buffer
+import { exportDiagnostics } from './src/logging/diagnostics';
+import { createSpeechQueue, stepSpeechSetting, SPEECH_RATES, SPEECH_VOLUMES } from './src/speech/speechQueue'; // Text-to-Speech, one utterance at a time
 
-        // Function exposed to React Native to stop recognition
-        window.stopWebViewSpeechRecognition = () => {
-          if (recognition && isRecognitionActive) {
-            console.log('WebView: Attempting to stop recognition via exposed function.');
-            recognition.stop();
-          }
-        };
+const log = createLogger('App');
 
-      } else {
-        console.log('WebView: Web Speech API not supported.');
-        window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'no_speech_api' }));
-      }
-    </script>
-  </body>
-  </html>
-`;
-
-// Main App component
-const App = () => {
-  const [command, setCommand] = useState('');
-  const [response, setResponse] = useState('Hello! I am Doro. How can I help you today?');
+// Answers that abandon a free-text question (a reminder time, a message body)
+const CANCEL_ANSWER = /^(?:cancel|never mind|stop|avbryt|abbrechen|cancelar|cancela)$/i;
+
+// How often to check whether Doro is free to listen for the wake phrase again
+const WAKE_TICK_MS = 1000;
+
+// Wake phrase listening is switched off after this many failed turns in a row
+const MAX_WAKE_ERRORS = 5;
+
+// Contact lookups taking longer than this get a spoken "Searching for..."
+const SLOW_LOOKUP_MS = 1500;
+
+// Requests about the conversation itself, answered before any open question
+// and without disturbing it
+const CONVERSATION_INTENTS = ['repeat', 'what_did_i_say', 'speak_slower', 'speak_faster', 'speak_louder', 'speak_quieter'];
+
+// "slower", "faster", "louder" and "quieter": the setting they change, its
+// steps, the direction, and what Doro says once the end is reached
+const SPEECH_ADJUSTMENTS = {
+  speak_slower: { key: 'speechRate', steps: SPEECH_RATES, direction: -1, limit: 'speechSlowest' },
+  speak_faster: { key: 'speechRate', steps: SPEECH_RATES, direction: 1, limit: 'speechFastest' },
+  speak_louder: { key: 'speechVolume', steps: SPEECH_VOLUMES, direction: 1, limit: 'speechLoudest' },
+  speak_quieter: { key: 'speechVolume', steps: SPEECH_VOLUMES, direction: -1, limit: 'speechQuietest' },
+};
+
+// Questions answered with dictated text, which may well contain "again" or
+// "louder"; while one is open only a request on its own counts
+const FREE_TEXT_QUESTIONS = ['sms_body', 'reminder_time'];
+
+// Only a short "stop" heard while Doro talks counts as an interruption; longer
+// transcripts are most likely Doro's own voice coming back through the mic
+const MAX_BARGE_IN_WORDS = 4;
+
+// Microphone button size; accessibility mode makes it more than twice as big,
+// and a little bigger still when the phone's text size is turned up
+const MIC_BUTTON_SIZE = 50;
+const LARGE_MIC_BUTTON_SIZE = 110;
+const MAX_MIC_FONT_SCALE = 1.3;
+
+// Main App component. Tests pass a `recognizer` (see src/speech/mockRecognizer)
+// to script what the user says; otherwise the best engine on the phone is used.
+const App = ({ recognizer: injectedRecognizer } = {}) => {
+  const [command, setCommand] = useState(''); // Text input value
+  const [messages, setMessages] = useState([]); // Conversation history, oldest first
+  const [isHistoryLoaded, setIsHistoryLoaded] = useState(false);
+  const [statusText, setStatusText] = useState(''); // Transient status shown under the chat (e.g. "Listening...")
+  const [pendingQuestion, setPendingQuestion] = useState(null); // Follow-up Doro is waiting on, e.g. { kind: 'choose_contact', purpose: 'call', candidates }
+  const [aliases, setAliases] = useState({}); // Spoken alias -> contact number
+  const [callHistory, setCallHistory] = useState([]); // Calls Doro placed, oldest first
+  const [isAliasSettingsVisible, setIsAliasSettingsVisible] = useState(false);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [isEmergencySettingsVisible, setIsEmergencySettingsVisible] = useState(false);
+  const [reminders, setReminders] = useState([]);
+  const [isRemindersVisible, setIsRemindersVisible] = useState(false);
+  const [isVoiceSettingsVisible, setIsVoiceSettingsVisible] = useState(false);
+  const [isProfileVisible, setIsProfileVisible] = useState(false);
+  const [isFavoritesVisible, setIsFavoritesVisible] = useState(false);
   const [isListening, setIsListening] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const [webViewMicPermissionGranted, setWebViewMicPermissionGranted] = useState(false); // Tracks WebView mic permission
-  const [nativeMicPermissionGranted, setNativeMicPermissionGranted] = useState(false); // Tracks native app mic permission
-  const [contactsPermissionGranted, setContactsPermissionGranted] = useState(false); // Tracks Contacts permission
+  const [permissions, setPermissions] = useState(UNKNOWN_PERMISSIONS); // State of each permission, see src/permissions
+  const [onboarding, setOnboarding] = useState(null); // Permission onboarding in progress: { steps: ['microphone', ...], index }
+  const [recognizerName, setRecognizerName] = useState(null); // Engine in use; null while choosing, 'none' when none works
+  const [partialTranscript, setPartialTranscript] = useState(''); // Words heard so far while the user talks
+  const [isHandsFreeActive, setIsHandsFreeActive] = useState(false); // Hands-free session running
   const scrollViewRef = useRef(null);
   const webViewRef = useRef(null);
+  const [webViewRecognizer] = useState(() => createWebViewRecognizer(() => webViewRef.current));
+  const recognizerRef = useRef(null); // The chosen speech recognizer
+  const recognizerHandlersRef = useRef({}); // Latest recognizer event handlers
+  // The current listening turn. Besides 'command' turns there are background
+  // turns: 'wake' waits for the wake phrase, 'barge' for "stop" while Doro talks
+  const listenSessionRef = useRef({ mode: 'command', heard: false, done: true });
+  const handsFreeRef = useRef({ active: false, lastHeardAt: 0 }); // Read from speech callbacks, so kept outside state
+  const confirmationTimerRef = useRef(null); // Gives up on an unanswered yes/no question
+  const appStateHandlerRef = useRef(null); // Latest AppState handler, so the listener sees current state
+  const reminderFiredHandlerRef = useRef(null); // Latest handler for a reminder alert
+  const lastFiredReminderRef = useRef(null); // Most recent reminder alert, for "I took it"
+  const lastReplyRef = useRef(null); // What Doro said last, for "repeat": { text, expectAnswer, onTimeout }
+  const lastCommandRef = useRef(null); // The user's last command, for "what did I say"
+  const wakeTickRef = useRef(null); // Latest wake phrase check, so the interval sees current state
+  const listenAfterTurnRef = useRef(false); // Listen for a command once the background turn has ended
+  const wakeErrorCountRef = useRef(0); // Failed wake turns in a row
+  const speakingChangeHandlerRef = useRef(null); // Latest handler for Doro starting or stopping talking
+  const profileLinkHandlerRef = useRef(null); // Latest handler for an opened doro://profile link
+  const isRequestingPermissionRef = useRef(false); // A system permission prompt is open
+  const wasListeningRef = useRef(false); // Listening state the last haptic buzz was for
+  const { fontScale } = useWindowDimensions(); // The phone's text size setting
 
-  // Speak initial greeting when component mounts
-  useEffect(() => {
-    Speech.speak(response, {
-      onDone: () => setIsSpeaking(false),
-      onError: (error) => {
-        console.error('Initial greeting speech error:', error);
-        setIsSpeaking(false);
+  const contactsPermissionGranted = permissions.contacts === 'granted';
+  const voiceReadiness = getVoiceReadiness(permissions.microphone, recognizerName); // Whether Doro can listen at all
+  const onboardingKey = onboarding ? onboarding.steps[onboarding.index] : null; // Permission being explained
+  const [speechQueue] = useState(() => createSpeechQueue({
+    onSpeakingChange: (speaking) => speakingChangeHandlerRef.current?.(speaking),
+  }));
+
+  const t = translator(settings.language);
+
+  // The understanding server, when one is set up, gets a say on what the
+  // keyword parser is unsure of. Rebuilt only when its address changes.
+  const understanding = useMemo(() => createUnderstanding({
+    remote: settings.understandingUrl ? createHttpBackend({ url: settings.understandingUrl }) : null,
+  }), [settings.understandingUrl]);
+
+  // Add a Doro message to the history and queue it to be spoken, tracking
+  // whether it was spoken. onDone runs once the message has finished (or failed)
+  // speaking, onInterrupted instead when the user cut Doro short. The language,
+  // voice, rate and pitch come from voiceSettings, which defaults to the
+  // settings; pass it while a settings change is pending.
+  const say = (text, { onDone, onInterrupted, voiceSettings = settings } = {}) => {
+    const message = createMessage('doro', text);
+    setMessages((prev) => appendMessage(prev, message));
+    lastReplyRef.current = { text };
+    speechQueue.speak(text, {
+      language: getLocale(voiceSettings.language),
+      rate: voiceSettings.speechRate,
+      pitch: voiceSettings.speechPitch,
+      volume: voiceSettings.speechVolume,
+      ...(voiceSettings.voice ? { voice: voiceSettings.voice } : {}),
+      onDone: ({ interrupted, error }) => {
+        setMessages((prev) => updateMessage(prev, message.id, { status: error ? 'failed' : interrupted ? 'interrupted' : 'spoken' }));
+        if (interrupted) {
+          onInterrupted?.();
+        } else {
+          onDone?.();
+        }
       },
     });
-  }, []);
+  };
+
+  // Speak a reply. Replies are plain strings or objects:
+  //   { text, expectAnswer: true, onTimeout } - a question whose spoken answer
+  //     Doro listens for right away; onTimeout runs if none comes
+  //   { text, onDone } - run onDone once the text has been spoken, even when
+  //     cut short, so an SOS call still goes out
+  // In hands-free mode Doro listens again once a plain reply has been spoken.
+  // voiceSettings is passed on to say.
+  const respond = (reply, voiceSettings = settings) => {
+    if (typeof reply === 'string') {
+      say(reply, { voiceSettings, onDone: resumeHandsFree });
+    } else if (reply.expectAnswer) {
+      say(reply.text, { voiceSettings, onDone: () => listenForAnswer(reply.onTimeout) });
+      lastReplyRef.current = { text: reply.text, expectAnswer: true, onTimeout: reply.onTimeout }; // "repeat" asks again
+    } else {
+      say(reply.text, { voiceSettings, onDone: reply.onDone || resumeHandsFree, onInterrupted: reply.onDone });
+    }
+  };
+
+  // Add the user's command to the history
+  const addUserMessage = (text, status) => {
+    setMessages((prev) => appendMessage(prev, createMessage('user', text, status)));
+  };
 
-  // Request Native Microphone and Contacts permissions when component mounts
+  // Restore saved history and settings, then speak the initial greeting in
+  // the saved language when component mounts
   useEffect(() => {
     (async () => {
-      // Request Native Microphone Permission
-      const { status: micStatus } = await Audio.requestPermissionsAsync();
-      if (micStatus === 'granted') {
-        setNativeMicPermissionGranted(true);
-        console.log('App: Native microphone permission granted.');
-      } else {
-        setNativeMicPermissionGranted(false);
-        Alert.alert(
-          "Microphone Permission Required",
-          "Doro needs microphone access to listen to your commands. Please enable it in your phone's settings.",
-          [{ text: "OK" }]
-        );
-        console.warn('App: Native microphone permission denied.');
-      }
-
-      // Request Contacts Permission
-      const { status: contactsStatus } = await Contacts.requestPermissionsAsync();
-      if (contactsStatus === 'granted') {
-        setContactsPermissionGranted(true);
-        console.log('App: Contacts permission granted.');
+      const [savedMessages, savedSettings] = await Promise.all([loadHistory(), loadSettings()]);
+      setMessages(savedMessages);
+      setSettings(savedSettings);
+      setIsHistoryLoaded(true);
+      say(translate(savedSettings.language, 'greeting'), { voiceSettings: savedSettings });
+    })();
+  }, []);
+
+  // Pick up the log entries kept from earlier runs
+  useEffect(() => {
+    loadLog();
+  }, []);
+
+  // Load saved aliases when component mounts
+  useEffect(() => {
+    loadAliases().then(setAliases);
+  }, []);
+
+  // Load the calls placed earlier, for "call back" and "who did I call"
+  useEffect(() => {
+    loadCallHistory().then(setCallHistory);
+  }, []);
+
+  // Drop the answer timeout once the question has been answered or replaced
+  useEffect(() => {
+    clearTimeout(confirmationTimerRef.current);
+  }, [pendingQuestion]);
+
+  // Reminder channel and action names are in the user's language
+  useEffect(() => {
+    configureReminderNotifications(settings.language).catch((error) => log.error('Failed to set up notifications', error));
+  }, [settings.language]);
+
+  // Load reminders (dropping one-off reminders that already went off) and
+  // listen for reminder alerts and their "I took it" action
+  useEffect(() => {
+    loadReminders().then((saved) => {
+      const now = Date.now();
+      setReminders(saved.filter((reminder) => reminder.repeat !== 'once' || new Date(reminder.date).getTime() > now));
+    });
+
+    const receivedSubscription = Notifications.addNotificationReceivedListener((notification) => {
+      const { data } = notification.request.content;
+      if (data?.reminderId) {
+        reminderFiredHandlerRef.current?.(data);
+      }
+    });
+    const responseSubscription = Notifications.addNotificationResponseReceivedListener((response) => {
+      const { data } = response.notification.request.content;
+      if (!data?.reminderId) {
+        return;
+      }
+      if (response.actionIdentifier === TOOK_IT_ACTION) {
+        appendReminderLog({ reminderId: data.reminderId, task: data.task, firedAt: response.notification.date, status: 'taken', respondedAt: Date.now() });
       } else {
-        setContactsPermissionGranted(false);
-        Alert.alert(
-          "Contacts Permission Required",
-          "Doro needs access to your contacts to call people by name. Please enable contacts permission in your phone's settings.",
-          [{ text: "OK" }]
-        );
-        console.warn('App: Contacts permission denied.');
+        reminderFiredHandlerRef.current?.(data); // Opened from the notification: speak it now
       }
+    });
+    return () => {
+      receivedSubscription.remove();
+      responseSubscription.remove();
+    };
+  }, []);
+
+  // Pick a speech recognizer: the phone's own service when it has one, else
+  // the Web Speech API in the hidden WebView
+  useEffect(() => {
+    let engine = null;
+    let isCancelled = false;
+    (async () => {
+      engine = injectedRecognizer || await chooseRecognizer([createNativeRecognizer(), webViewRecognizer]);
+      if (isCancelled) {
+        return;
+      }
+      if (!engine) {
+        log.warn('No speech recognizer available');
+        setRecognizerName('none');
+        say(t('noSpeechApi'));
+        return;
+      }
+      engine.setHandlers({
+        onStart: () => recognizerHandlersRef.current.onStart(),
+        onPartial: (transcript) => recognizerHandlersRef.current.onPartial(transcript),
+        onResult: (transcript) => recognizerHandlersRef.current.onResult(transcript),
+        onError: (error) => recognizerHandlersRef.current.onError(error),
+        onEnd: () => recognizerHandlersRef.current.onEnd(),
+      });
+      recognizerRef.current = engine;
+      setRecognizerName(engine.name);
+      log.info('Using speech recognizer', { engine: engine.name });
     })();
-  }, []); // Run once on mount
+    return () => {
+      isCancelled = true;
+      engine?.destroy();
+    };
+  }, []);
+
+  // Turning hands-free off in settings ends a running session
+  useEffect(() => {
+    if (!settings.handsFree) {
+      stopHandsFree();
+    }
+  }, [settings.handsFree]);
+
+  // While the wake phrase is enabled, keep listening for it whenever Doro is
+  // otherwise idle; switching it off ends the turn in progress
+  useEffect(() => {
+    if (!settings.wakeWordEnabled) {
+      stopBackgroundTurn('wake');
+      return;
+    }
+    wakeErrorCountRef.current = 0;
+    const timer = setInterval(() => wakeTickRef.current?.(), WAKE_TICK_MS);
+    return () => clearInterval(timer);
+  }, [settings.wakeWordEnabled]);
+
+  // Buzz when the microphone opens and again, more lightly, when it closes, so
+  // users who can't see the screen well feel when to speak
+  useEffect(() => {
+    if (isListening === wasListeningRef.current) {
+      return;
+    }
+    wasListeningRef.current = isListening;
+    Haptics.impactAsync(isListening ? Haptics.ImpactFeedbackStyle.Heavy : Haptics.ImpactFeedbackStyle.Light).catch((error) => {
+      log.error('Failed to play haptic feedback', error);
+    });
+  }, [isListening]);
+
+  // Forward app foreground/background changes to the latest handler
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextState) => appStateHandlerRef.current?.(nextState));
+    return () => subscription.remove();
+  }, []);
+
+  // Profiles shared as a QR code open Doro through a doro://profile link, either
+  // launching it or while it runs. Wait for the saved settings so the profile
+  // is applied on top of them.
+  useEffect(() => {
+    if (!isHistoryLoaded) {
+      return;
+    }
+    const handleUrl = (url) => {
+      if (isProfileLink(url)) {
+        profileLinkHandlerRef.current?.(url);
+      }
+    };
+    Linking.getInitialURL().then(handleUrl).catch((error) => {
+      log.error('Failed to read the launch link', error);
+    });
+    const subscription = Linking.addEventListener('url', ({ url }) => handleUrl(url));
+    return () => subscription.remove();
+  }, [isHistoryLoaded]);
+
+  // Persist history whenever it changes (once the saved copy has been restored)
+  useEffect(() => {
+    if (isHistoryLoaded) {
+      saveHistory(messages);
+    }
+  }, [messages, isHistoryLoaded]);
+
+  // Check permissions once the saved settings are in, so explanations are in
+  // the user's language. The first time, walk through every missing one; after
+  // that only a missing microphone, which Doro can't work without, comes back.
+  useEffect(() => {
+    if (!isHistoryLoaded) {
+      return;
+    }
+    (async () => {
+      const current = await refreshPermissions();
+      const missing = missingPermissions(current, { requiredOnly: settings.permissionsOnboarded });
+      if (missing.length) {
+        setOnboarding({ steps: missing, index: 0 });
+      } else if (!settings.permissionsOnboarded) {
+        updateSettings({ permissionsOnboarded: true });
+      }
+    })();
+  }, [isHistoryLoaded]);
+
+  // Explain each onboarding step aloud as it comes up
+  useEffect(() => {
+    if (onboardingKey) {
+      speakOnboardingStep(onboardingKey, permissions[onboardingKey]);
+    }
+  }, [onboardingKey]);
 
   // Scroll to the bottom of the chat display when new messages appear
   useEffect(() => {
     scrollViewRef.current?.scrollToEnd({ animated: true });
-  }, [response, command]);
+  }, [messages, statusText, partialTranscript]);
 
   // Handle permission requests from the WebView
   const onWebViewPermissionRequest = (syntheticEvent) => {
     const { nativeEvent } = syntheticEvent;
-    const { url, permissions, resources } = nativeEvent; // 'resources' might contain the specific media type
-
-    console.log('App: onPermissionRequest triggered for URL:', url);
-    console.log('App: Permissions requested:', permissions);
-    console.log('App: Resources requested:', resources); // Check this for 'microphone'
-
-    // Check if the request is for microphone and if native mic permission is granted
-    if (permissions.includes('microphone') || (resources && resources.includes('microphone'))) {
-      if (nativeMicPermissionGranted) {
-        syntheticEvent.preventDefault(); // Prevent default browser prompt
-        nativeEvent.grant(); // Grant the permission
-        setWebViewMicPermissionGranted(true); // Update state
-        console.log('App: WebView microphone permission granted via onPermissionRequest.');
+    const { url, permissions: requested, resources } = nativeEvent; // 'resources' might contain the specific media type
+
+    log.info('WebView permission request', { url, requested, resources }); // Check resources for 'microphone'
+
+    // The WebView recognizer hears through the app's own microphone permission
+    if (requested.includes('microphone') || (resources && resources.includes('microphone'))) {
+      syntheticEvent.preventDefault(); // Prevent default browser prompt
+      if (permissions.microphone === 'granted') {
+        nativeEvent.grant();
+        log.info('WebView microphone permission granted via onPermissionRequest');
       } else {
-        syntheticEvent.preventDefault();
         nativeEvent.deny();
-        setWebViewMicPermissionGranted(false);
-        console.warn('App: WebView microphone permission denied because native mic permission is not granted.');
-        Alert.alert(
-          "Microphone Permission Required",
-          "Doro needs native microphone access to enable voice commands. Please enable it in your phone's settings.",
-          [{ text: "OK" }]
-        );
+        log.warn('WebView microphone permission denied because native mic permission is not granted');
+        startOnboarding(['microphone']);
       }
     }
   };
 
-  // Handle messages from the WebView (Speech-to-Text results and internal WebView status)
-  const onWebViewMessage = (event) => {
-    const data = JSON.parse(event.nativeEvent.data);
-    console.log('App: Received message from WebView:', data.type); // Log all incoming messages
-    switch (data.type) {
-      case 'speech_start':
-        setIsListening(true);
-        setResponse('Listening...');
-        setIsLoading(false);
-        break;
-      case 'speech_result':
-        const transcript = data.transcript;
-        setCommand(transcript);
-        processCommand(transcript);
-        break;
-      case 'speech_error':
-        console.error('App: WebView Speech recognition error:', data.error);
-        setIsListening(false);
-        setIsLoading(false);
-        setResponse(`Sorry, I couldn't understand that. Error: ${data.error}. Please try again.`);
-        Speech.speak(`Sorry, I couldn't understand that. Error: ${data.error}. Please try again.`, {
-          onDone: () => setIsSpeaking(false),
-          onError: () => setIsSpeaking(false),
+  // Re-read every permission, e.g. when the user comes back from the phone's settings
+  const refreshPermissions = async () => {
+    const current = await checkPermissions();
+    log.info('Permissions', current);
+    setPermissions(current);
+    return current;
+  };
+
+  // Explain a permission the same way the onboarding screen shows it
+  const speakOnboardingStep = (key, state) => {
+    const step = getPermissionStep(key);
+    say(state === 'blocked' ? `${t(step.explainKey)} ${t('onboardingBlocked')}` : t(step.explainKey));
+  };
+
+  // Walk through the given permissions one at a time. Used on first start and
+  // whenever something Doro needs turns out to be missing.
+  const startOnboarding = (keys) => {
+    if (!onboarding && keys.length) {
+      setOnboarding({ steps: keys, index: 0 });
+    }
+  };
+
+  // Move to the next permission that is still missing, or finish
+  const advanceOnboarding = (current = permissions) => {
+    if (!onboarding) {
+      return;
+    }
+    const nextIndex = onboarding.steps.findIndex((key, i) => i > onboarding.index && current[key] !== 'granted');
+    if (nextIndex !== -1) {
+      setOnboarding({ ...onboarding, index: nextIndex });
+      return;
+    }
+    setOnboarding(null);
+    if (!settings.permissionsOnboarded) {
+      updateSettings({ permissionsOnboarded: true });
+    }
+    say(t(current.microphone === 'granted' ? 'onboardingDone' : 'onboardingDoneWithoutMic'));
+  };
+
+  // "Allow": show the system prompt. Once the system stops asking, the step
+  // turns into "Open settings".
+  const handleOnboardingAllow = async () => {
+    stopSpeaking();
+    isRequestingPermissionRef.current = true;
+    const state = await requestPermission(onboardingKey);
+    isRequestingPermissionRef.current = false;
+    const current = { ...permissions, [onboardingKey]: state };
+    setPermissions(current);
+    if (state === 'granted') {
+      advanceOnboarding(current);
+    } else {
+      say(t(state === 'blocked' ? 'onboardingBlocked' : 'onboardingNotAllowed'));
+    }
+  };
+
+  const handleOnboardingOpenSettings = () => {
+    stopSpeaking();
+    openAppSettings(); // Re-checked when Doro comes back to the foreground
+  };
+
+  const handleOnboardingSkip = () => {
+    stopSpeaking();
+    advanceOnboarding();
+  };
+
+  // Speech-to-Text events from whichever recognizer is in use
+  // Background turns run out of sight and are handled separately.
+  recognizerHandlersRef.current = {
+    onStart: () => {
+      if (listenSessionRef.current.mode !== 'command') {
+        return;
+      }
+      setIsListening(true);
+      setStatusText(listenSessionRef.current.afterWake ? t('wakeHeard') : t('listening'));
+      setIsLoading(false);
+    },
+    onPartial: (transcript) => {
+      if (listenSessionRef.current.mode === 'command') {
+        setPartialTranscript(transcript);
+      }
+    },
+    onResult: (transcript) => {
+      const { mode } = listenSessionRef.current;
+      if (mode === 'wake') {
+        handleWakeTranscript(transcript);
+        return;
+      }
+      if (mode === 'barge') {
+        handleBargeInTranscript(transcript);
+        return;
+      }
+      listenSessionRef.current.heard = true;
+      handsFreeRef.current.lastHeardAt = Date.now();
+      log.info('Speech recognized', { engine: recognizerRef.current?.name, words: transcript.split(/\s+/).length });
+      setPartialTranscript('');
+      setStatusText('');
+      addUserMessage(transcript, 'spoken');
+      processCommand(transcript);
+    },
+    onError: (error) => {
+      if (listenSessionRef.current.mode !== 'command') {
+        handleBackgroundError(error);
+        return;
+      }
+      setIsListening(false);
+      setIsLoading(false);
+      setStatusText('');
+      setPartialTranscript('');
+      // Hands-free turns that hear nothing just listen again
+      if (handsFreeRef.current.active && isSilenceError(error)) {
+        finishListeningTurn();
+        return;
+      }
+      log.error('Speech recognition error', error);
+      listenSessionRef.current.done = true;
+      say(t('speechError', { error }));
+    },
+    onEnd: () => {
+      if (listenSessionRef.current.mode !== 'command') {
+        finishBackgroundTurn();
+        return;
+      }
+      setIsListening(false);
+      setIsLoading(false);
+      setStatusText('');
+      setPartialTranscript('');
+      finishListeningTurn();
+    },
+  };
+
+  // A listening turn ended (engines may report both an error and an end, so
+  // only the first counts). If nobody spoke during hands-free listening, listen
+  // again until the silence timeout runs out.
+  const finishListeningTurn = () => {
+    const session = listenSessionRef.current;
+    if (session.done) {
+      return;
+    }
+    session.done = true;
+    if (session.heard || !handsFreeRef.current.active) {
+      return;
+    }
+    if (Date.now() - handsFreeRef.current.lastHeardAt >= settings.handsFreeSilenceMs) {
+      stopHandsFree();
+      say(t('handsFreeTimeout'));
+    } else {
+      startListening();
+    }
+  };
+
+  const startHandsFree = () => {
+    handsFreeRef.current = { active: true, lastHeardAt: Date.now() };
+    setIsHandsFreeActive(true);
+  };
+
+  const stopHandsFree = () => {
+    handsFreeRef.current.active = false;
+    setIsHandsFreeActive(false);
+  };
+
+  // Listen for the next command when hands-free listening is running
+  const resumeHandsFree = () => {
+    if (handsFreeRef.current.active) {
+      startListening();
+    }
+  };
+
+  // Mic button: start listening (and hands-free mode when it is enabled), or stop.
+  // Tapping it while Doro talks cuts Doro short and listens right away.
+  const handleMicPress = () => {
+    if (speechQueue.isSpeaking()) {
+      if (settings.handsFree && !handsFreeRef.current.active) {
+        startHandsFree();
+      }
+      startListening(); // Before stopping the speech, so a running "stop" turn hands over to it
+      stopSpeaking();
+      return;
+    }
+    if (isListening || isHandsFreeActive) {
+      stopHandsFree();
+      stopListening();
+      return;
+    }
+    if (settings.handsFree) {
+      startHandsFree();
+    }
+    startListening();
+  };
+
+  // Check, once a tick, whether Doro is idle enough to wait for the wake phrase:
+  // not listening, speaking, asking something, busy or in the background
+  wakeTickRef.current = () => {
+    const isSettingsScreenOpen = isAliasSettingsVisible || isEmergencySettingsVisible || isRemindersVisible || isVoiceSettingsVisible
+      || isProfileVisible || isFavoritesVisible || onboarding;
+    if (
+      voiceReadiness !== 'ready' || !listenSessionRef.current.done || handsFreeRef.current.active
+      || speechQueue.isSpeaking() || pendingQuestion || isLoading || isSettingsScreenOpen || AppState.currentState !== 'active'
+    ) {
+      return;
+    }
+    startListening('wake');
+  };
+
+  // A wake turn heard something: act on it only if it starts with the wake phrase.
+  // "Hey Doro, call Anna" runs the command straight away; "Hey Doro" on its own
+  // is answered by listening for the command.
+  const handleWakeTranscript = (transcript) => {
+    wakeErrorCountRef.current = 0;
+    const wake = detectWakePhrase(transcript, settings.wakePhrase);
+    if (!wake) {
+      return;
+    }
+    log.info('Wake phrase heard');
+    listenSessionRef.current.heard = true;
+    playWakeCue();
+    if (settings.handsFree) {
+      startHandsFree();
+    }
+    if (wake.command) {
+      handsFreeRef.current.lastHeardAt = Date.now();
+      addUserMessage(wake.command, 'spoken');
+      processCommand(wake.command);
+    } else {
+      listenAfterTurnRef.current = true;
+    }
+  };
+
+  // Heard while Doro was talking: a short "stop" cuts Doro short. An
+  // unanswered question is dropped with it, except during SOS, which has its
+  // own stop button.
+  const handleBargeInTranscript = (transcript) => {
+    const isShort = transcript.trim().split(/\s+/).length <= MAX_BARGE_IN_WORDS;
+    if (!isShort || parseIntent(transcript, settings.language).name !== 'stop_speaking') {
+      return;
+    }
+    log.info('Interrupted by the user');
+    addUserMessage(transcript, 'spoken');
+    if (pendingQuestion && !pendingQuestion.kind.startsWith('sos')) {
+      setPendingQuestion(null);
+    }
+    listenAfterTurnRef.current = handsFreeRef.current.active; // Keep a hands-free conversation going
+    stopSpeaking();
+  };
+
+  // Silence is expected in background turns; wake phrase listening that keeps
+  // failing otherwise is switched off rather than retried forever
+  const handleBackgroundError = (error) => {
+    const { mode } = listenSessionRef.current;
+    finishBackgroundTurn();
+    if (mode !== 'wake' || isSilenceError(error)) {
+      return;
+    }
+    log.error('Wake phrase listening error', error);
+    wakeErrorCountRef.current += 1;
+    if (wakeErrorCountRef.current >= MAX_WAKE_ERRORS) {
+      updateSettings({ wakeWordEnabled: false });
+      say(t('wakeWordFailed', { phrase: settings.wakePhrase }));
+    }
+  };
+
+  // A background turn ended (once, like finishListeningTurn). Start listening
+  // for a command when one is due, or keep listening for "stop" while Doro
+  // is still talking.
+  const finishBackgroundTurn = () => {
+    const session = listenSessionRef.current;
+    if (session.mode === 'command' || session.done) {
+      return;
+    }
+    session.done = true;
+    if (listenAfterTurnRef.current) {
+      listenAfterTurnRef.current = false;
+      startListening();
+      listenSessionRef.current.afterWake = session.mode === 'wake' && session.heard; // Show "Yes? I am listening."
+    } else if (session.mode === 'barge') {
+      startBargeInListening();
+    }
+  };
+
+  // End a background turn of this mode without listening for a command afterwards
+  const stopBackgroundTurn = (mode) => {
+    const session = listenSessionRef.current;
+    if (session.mode === mode && !session.done) {
+      listenAfterTurnRef.current = false;
+      session.done = true;
+      recognizerRef.current?.stop();
+    }
+  };
+
+  // While hands-free or wake phrase listening is on, Doro also listens while it
+  // talks, so saying "stop" can interrupt it
+  const startBargeInListening = () => {
+    if (
+      (handsFreeRef.current.active || settings.wakeWordEnabled) && speechQueue.isSpeaking() && listenSessionRef.current.done
+      && voiceReadiness === 'ready' && AppState.currentState === 'active'
+    ) {
+      startListening('barge');
+    }
+  };
+
+  // Stop talking right away and drop anything still queued
+  const stopSpeaking = () => {
+    log.info('Stopping speech');
+    speechQueue.stop();
+  };
+
+  // Doro started or stopped talking. A "stop" turn ends with the speech unless
+  // a command turn is already waiting to take over.
+  speakingChangeHandlerRef.current = (speaking) => {
+    setIsSpeaking(speaking);
+    if (speaking) {
+      startBargeInListening();
+    } else if (!listenAfterTurnRef.current) {
+      stopBackgroundTurn('barge');
+    }
+  };
+
+  // Audible and tactile cue that Doro heard its name
+  const playWakeCue = () => {
+    Vibration.vibrate(100);
+    Audio.Sound.createAsync(require('./assets/sounds/wake-chime.wav'), { shouldPlay: true })
+      .then(({ sound }) => {
+        sound.setOnPlaybackStatusUpdate((status) => {
+          if (status.didJustFinish) {
+            sound.unloadAsync();
+          }
         });
-        break;
-      case 'speech_end':
-        setIsListening(false);
-        setIsLoading(false);
-        break;
-      case 'no_speech_api':
-        setResponse('Speech recognition is not supported in this WebView environment.');
-        setIsLoading(false);
-        setIsListening(false);
-        break;
-      default:
-        break;
-    }
-  };
-
-  // Function to start speech recognition via WebView
-  const startListening = () => {
-    console.log('App: Microphone button pressed.');
-    // Check both native and WebView microphone permissions
-    if (nativeMicPermissionGranted && webViewRef.current) {
-      setCommand(''); // Clear previous command
-      setResponse('Starting listening...'); // Indicate starting state
-      setIsLoading(true); // Show loading indicator
-      // Inject JavaScript into WebView to trigger speech recognition
-      webViewRef.current.injectJavaScript(`
-        if (window.startWebViewSpeechRecognition) {
-          window.startWebViewSpeechRecognition();
-        } else {
-          window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'speech_error', error: 'WebView function not ready.' }));
-        }
-      `);
+      })
+      .catch((error) => log.error('Failed to play wake chime', error));
+  };
+
+  // Function to start speech recognition in the chosen language. mode 'wake'
+  // or 'barge' starts a background turn (see listenSessionRef).
+  const startListening = (mode = 'command') => {
+    const session = listenSessionRef.current;
+    // The recognizer runs one turn at a time: end a background turn first and
+    // start this one from its end event
+    if (mode === 'command' && session.mode !== 'command' && !session.done && recognizerRef.current) {
+      listenAfterTurnRef.current = true;
+      setStatusText(t('startingListening'));
+      setIsLoading(true);
+      recognizerRef.current.stop();
+      return;
+    }
+    if (mode === 'command') {
+      log.info('Starting listening');
+    }
+    if (voiceReadiness === 'ready') {
+      if (mode === 'command') {
+        setCommand(''); // Clear any half-typed command
+        setStatusText(t('startingListening')); // Indicate starting state
+        setIsLoading(true); // Show loading indicator
+      }
+      listenSessionRef.current = { mode, heard: false, done: false };
+      recognizerRef.current.start(getLocale(settings.language));
     } else {
-      let message = "Doro cannot listen right now.";
-      if (!nativeMicPermissionGranted) {
-        message += " Native microphone permission is denied. Please enable it in settings.";
-      } else {
-        message += " WebView microphone permission is not yet granted or Web Speech API is not ready.";
+      stopHandsFree();
+      setIsLoading(false); // Stop loading immediately if Doro can't listen
+      if (voiceReadiness === 'needs_microphone') {
+        startOnboarding(['microphone']); // Explains the permission and how to give it
+        return;
       }
-      setResponse(message);
-      Alert.alert(
-        "Microphone Not Ready",
-        message,
-        [{ text: "OK" }]
-      );
-      setIsLoading(false); // Stop loading immediately if permissions not granted
+      const message = voiceReadiness === 'no_recognizer' ? t('noSpeechApi') : `${t('cannotListen')} ${t('recognizerNotReady')}`;
+      say(message);
+      Alert.alert(t('micNotReadyTitle'), message, [{ text: t('ok') }]);
     }
   };
 
-  // Function to stop speech recognition via WebView
+  // Function to stop speech recognition
   const stopListening = () => {
-    if (webViewRef.current) {
-      console.log('App: Stopping listening.');
-      webViewRef.current.injectJavaScript(`
-        if (window.stopWebViewSpeechRecognition) {
-          window.stopWebViewSpeechRecognition();
-        }
-      `);
+    if (recognizerRef.current) {
+      log.info('Stopping listening');
+      listenSessionRef.current.done = true; // Stopping on purpose is not silence
+      recognizerRef.current.stop();
       setIsListening(false);
       setIsLoading(false);
+      setStatusText('');
+      setPartialTranscript('');
+    }
+  };
+
+  // Open the dialer for a contact candidate and return what Doro should say.
+  // Calls are added to the call history once the dialer has opened.
+  const dialContact = (candidate) => {
+    Linking.openURL(`tel:${candidate.number}`).then(() => recordCall(candidate).then(setCallHistory)).catch(err => {
+      log.error('Failed to open dialer for contact', err);
+      say(t('dialerFailed', { name: candidate.name }));
+    });
+    return t('calling', { name: candidate.name, number: candidate.number });
+  };
+
+  // Dial straight away, or first ask "Call Anna on the mobile number, 555-1234?"
+  // when confirmation is enabled in settings. Dictated numbers are always read
+  // back digit by digit first, since one misheard digit calls a stranger.
+  const requestCall = (candidate) => {
+    if (!settings.confirmBeforeCalling && !candidate.spoken) {
+      return dialContact(candidate);
+    }
+    setPendingQuestion({ kind: 'confirm_call', candidate });
+    if (candidate.spoken) {
+      return { text: t('confirmCall', { name: candidate.spoken, details: '' }), expectAnswer: true };
+    }
+    const numberDescription = candidate.label ? t('confirmCallLabel', { label: describeLabel(candidate.label, settings.language) }) : '';
+    return {
+      text: t('confirmCall', { name: candidate.name, details: `${numberDescription}, ${candidate.number}` }),
+      expectAnswer: true,
+    };
+  };
+
+  // A call or text target that is a dictated phone number. Returns
+  // { candidate } (with `spoken`, the digit-by-digit read-back), { error }
+  // with what to tell the user when the number is incomplete, or null when
+  // the target is not a number.
+  const dictatedNumber = (target) => {
+    const parsed = parsePhoneNumber(target, { shortNumbers: [...EMERGENCY_NUMBERS, settings.emergencyNumber] });
+    if (!parsed) {
+      return null;
+    }
+    if (parsed.status !== 'ok') {
+      const key = parsed.status === 'too_long' ? 'numberTooLong' : 'numberTooShort';
+      return { error: t(key, { number: parsed.digits.split('').join(' ') }) };
+    }
+    return {
+      candidate: {
+        name: formatPhoneNumber(parsed.number),
+        label: null,
+        number: parsed.dialString,
+        spoken: formatSpokenPhoneNumber(parsed, settings.language),
+      },
+    };
+  };
+
+  // Default when a call confirmation goes unanswered: don't call
+  const giveUpOnConfirmation = () => {
+    setPendingQuestion(null);
+    respond(t('confirmTimeout'));
+  };
+
+  // Listen for the answer to a question, running onTimeout if none comes in time
+  const listenForAnswer = (onTimeout = giveUpOnConfirmation) => {
+    clearTimeout(confirmationTimerRef.current);
+    confirmationTimerRef.current = setTimeout(() => {
+      stopListening();
+      onTimeout();
+    }, settings.confirmationTimeoutMs);
+    startListening();
+  };
+
+  // Reply for position `index` of the SOS chain: announce and dial the next
+  // emergency contact, or offer the emergency number once all were tried.
+  // Emergency contacts are dialed without the usual confirmation.
+  const sosStepReply = (index) => {
+    const step = getSosStep(settings.emergencyContacts, index, settings.emergencyNumber, settings.language);
+    if (step.type === 'contact') {
+      setPendingQuestion({ kind: 'sos_calling', index, contact: step.contact });
+      return { text: step.announcement, onDone: () => dialContact(step.contact) };
+    }
+    setPendingQuestion({ kind: 'confirm_call', candidate: { name: t('emergencyServices'), label: null, number: step.number } });
+    return { text: step.announcement, expectAnswer: true };
+  };
+
+  // Ask before starting the SOS chain for words that may not mean an
+  // emergency. No answer calls no one: the SOS button is always there.
+  const askSosConfirmation = () => {
+    setPendingQuestion({ kind: 'confirm_sos' });
+    return {
+      text: t('sosConfirm'),
+      expectAnswer: true,
+      onTimeout: () => {
+        setPendingQuestion(null);
+        respond(t('sosConfirmTimeout'));
+      },
+    };
+  };
+
+  // Start the SOS sequence from the on-screen button
+  const triggerSos = () => {
+    if (isListening) {
+      stopListening();
+    }
+    stopSpeaking(); // The emergency announcement takes priority over anything being said
+    addUserMessage(t('sosButton'), 'typed');
+    respond(sosStepReply(0));
+  };
+
+  // A favorite tile calls straight away: tapping a tile with the name on it
+  // already is the confirmation
+  const callFavorite = (favorite) => {
+    if (isListening) {
+      stopListening();
+    }
+    stopSpeaking();
+    setPendingQuestion(null);
+    addUserMessage(favorite.name, 'typed');
+    respond(dialContact(favorite));
+  };
+
+  // Hidden support action: a long press on the title shares the diagnostics
+  // log, so a relative can send it when "Doro won't listen"
+  const confirmSendDiagnostics = () => {
+    Alert.alert(t('diagnosticsTitle'), t('diagnosticsMessage'), [
+      { text: t('cancel'), style: 'cancel' },
+      {
+        text: t('diagnosticsSend'),
+        onPress: () => {
+          log.info('Diagnostics exported');
+          exportDiagnostics({ settings, permissions, recognizerName }).catch((error) => {
+            log.error('Failed to export diagnostics', error);
+            Alert.alert(t('diagnosticsFailedTitle'), error.message, [{ text: t('ok') }]);
+          });
+        },
+      },
+    ]);
+  };
+
+  const stopSos = () => {
+    setPendingQuestion(null);
+    respond(t('sosStopped'));
+  };
+
+  // Back in the foreground: permissions may have been switched on or off in
+  // the phone's settings meanwhile. Move the onboarding on once its permission
+  // has been given. System prompts also pause the app; their answer is
+  // handled where they were asked.
+  const recheckPermissions = async () => {
+    if (isRequestingPermissionRef.current) {
+      return;
+    }
+    const current = await refreshPermissions();
+    if (onboardingKey && current[onboardingKey] === 'granted') {
+      advanceOnboarding(current);
+    }
+  };
+
+  // Coming back to the foreground re-checks permissions. After an SOS call,
+  // ask whether it got through; no answer moves on to the next contact, since
+  // they may not be able to reply
+  appStateHandlerRef.current = (nextState) => {
+    if (nextState === 'active') {
+      recheckPermissions();
+    }
+    if (nextState === 'active' && pendingQuestion?.kind === 'sos_calling') {
+      const { index, contact } = pendingQuestion;
+      setPendingQuestion({ kind: 'sos_check', index, contact });
+      respond({
+        text: t('sosCheck', { name: contact.name }),
+        expectAnswer: true,
+        onTimeout: () => respond(sosStepReply(index + 1)),
+      });
+    }
+  };
+
+  // Reminder tasks are kept in the user's words; English reads them back as "your pills"
+  const spokenTask = (task) => (settings.language === 'en' ? toSecondPerson(task) : task);
+
+  // Spoken list of reminders, e.g. "take your pills every day at 8 AM; ..."
+  const describeReminders = (list) =>
+    list.map((reminder) => `${spokenTask(reminder.task)} ${describeSchedule(reminder, new Date(), settings.language)}`).join('; ');
+
+  // A reminder went off: speak it and ask for an acknowledgement
+  reminderFiredHandlerRef.current = ({ reminderId, task }) => {
+    const fired = { reminderId, task, firedAt: Date.now() };
+    lastFiredReminderRef.current = fired;
+    setPendingQuestion({ kind: 'reminder_ack', ...fired });
+    respond({
+      text: t('reminderAlert', { task: spokenTask(task) }),
+      expectAnswer: true,
+      // Stay ready for a later "I took it", but note that nobody answered the alert
+      onTimeout: () => {
+        setPendingQuestion(null);
+        appendReminderLog({ ...fired, status: 'no_answer', respondedAt: null });
+        resumeHandsFree();
+      },
+    });
+  };
+
+  // Log the answer to the latest reminder alert and return what Doro should say
+  const acknowledgeReminder = (taken) => {
+    const fired = lastFiredReminderRef.current;
+    if (!fired) {
+      return t('noReminderWaiting');
+    }
+    lastFiredReminderRef.current = null;
+    appendReminderLog({ ...fired, status: taken ? 'taken' : 'not_taken', respondedAt: Date.now() });
+    return taken ? t('reminderTaken', { task: spokenTask(fired.task) }) : t('reminderNotTaken');
+  };
+
+  // Schedule a parsed reminder and return what Doro should say
+  const createReminder = async (parsed) => {
+    if (!(await requestReminderPermission())) {
+      refreshPermissions().then(() => startOnboarding(['notifications']));
+      return t('notificationPermissionNeeded');
+    }
+    const reminder = {
+      id: `${Date.now()}`,
+      task: parsed.task,
+      repeat: parsed.repeat,
+      hour: parsed.hour,
+      minute: parsed.minute,
+      weekday: parsed.weekday,
+      date: parsed.date ? parsed.date.toISOString() : null,
+      createdAt: Date.now(),
+    };
+    try {
+      reminder.notificationId = await scheduleReminder(reminder, settings.language);
+    } catch (error) {
+      log.error('Failed to schedule reminder', error);
+      return t('reminderFailed', { error: error.message });
+    }
+    setReminders(await addReminder(reminders, reminder));
+    return t('reminderCreated', { task: spokenTask(reminder.task), schedule: describeSchedule(reminder, new Date(), settings.language) });
+  };
+
+  const deleteReminder = async (reminder) => {
+    try {
+      await cancelReminder(reminder);
+    } catch (error) {
+      log.error('Failed to cancel reminder notification', error);
     }
+    setReminders(await removeReminder(reminders, reminder.id));
+  };
+
+  // Persist settings changes from the settings screens
+  const updateSettings = async (changes) => {
+    setSettings(await saveSettings(settings, changes));
+  };
+
+  // Remember an alias for a contact number and return what Doro should say
+  const rememberAlias = async (alias, candidate) => {
+    setAliases(await saveAlias(aliases, alias, candidate));
+    return t('aliasSaved', { name: candidate.name, alias: normalizeAlias(alias) });
+  };
+
+  const handleRemoveAlias = async (alias) => {
+    setAliases(await removeAlias(aliases, alias));
+  };
+
+  // Check a caregiver profile (file contents, QR code or link) and apply it
+  // once confirmed. Invalid profiles are explained and change nothing.
+  const importProfile = (text) => {
+    const { profile, errors } = parseProfile(text, settings.language);
+    if (errors) {
+      log.info('Rejected profile', errors);
+      Alert.alert(t('profileRejectedTitle'), errors.join('\n'), [{ text: t('ok') }]);
+      return;
+    }
+    Alert.alert(t('profileApplyTitle'), t('profileApplyMessage', { summary: summarizeProfile(profile, settings.language, settings) }), [
+      { text: t('cancel'), style: 'cancel' },
+      { text: t('profileApplyButton'), onPress: () => applyProfile(profile) },
+    ]);
+  };
+  profileLinkHandlerRef.current = importProfile;
+
+  const applyProfile = async (profile) => {
+    const changes = profileChanges(profile);
+    // The chosen voice belongs to the old language
+    const voice = changes.settings.language && changes.settings.language !== settings.language ? { voice: null } : {};
+    await updateSettings({ ...changes.settings, ...voice });
+    if (changes.aliases) {
+      setAliases(await replaceAliases(changes.aliases));
+    }
+    // Confirm in the profile's language, which Doro now speaks
+    const language = changes.settings.language || settings.language;
+    Alert.alert(translate(language, 'profileAppliedTitle'), translate(language, 'profileAppliedMessage'), [{ text: translate(language, 'ok') }]);
+  };
+
+  // Act on the contact chosen in a disambiguation question
+  const completeContactChoice = (question, candidate) => {
+    setPendingQuestion(null);
+    if (question.purpose === 'alias') {
+      return rememberAlias(question.alias, candidate);
+    }
+    if (question.purpose === 'sms') {
+      return smsNextStep(candidate, question.body);
+    }
+    if (question.purpose === 'favorite') {
+      return addFavorite(candidate);
+    }
+    return requestCall(candidate);
+  };
+
+  const fetchContacts = async () => {
+    const { data } = await Contacts.getContactsAsync({
+      fields: [Contacts.Fields.PhoneNumbers, Contacts.Fields.Name],
+    });
+    return data;
+  };
+
+  // Fetch every contact and score them locally; the platform name filter
+  // misses misrecognized spellings like "Jon" or "Katherine".
+  const findContactCandidates = async (target, contacts) => {
+    const data = contacts || await fetchContacts();
+    const preferred = settings.favoriteContacts.map((favorite) => favorite.contactId).filter(Boolean); // Favorites come first
+    const matchedContacts = matchContacts(target, data, { preferred }).map(({ contact }) => contact);
+    return { matchedContacts, candidates: buildPhoneCandidates(matchedContacts) }; // One candidate per person and number
+  };
+
+  // "add Anna to favorites": give the contact a tile on the main screen
+  const addFavorite = async (candidate) => {
+    if (settings.favoriteContacts.some((favorite) => favorite.number === candidate.number)) {
+      return t('favoriteAlready', { name: candidate.name });
+    }
+    if (settings.favoriteContacts.length >= MAX_FAVORITES) {
+      return t('favoritesFull', { count: MAX_FAVORITES });
+    }
+    const favorite = { contactId: candidate.contactId || null, name: candidate.name, label: candidate.label || null, number: candidate.number };
+    await updateSettings({ favoriteContacts: [...settings.favoriteContacts, favorite] });
+    return t('favoriteAdded', { name: candidate.name });
+  };
+
+  // Open the SMS composer prefilled with the body and return what Doro should say
+  const sendSms = (candidate, body) => {
+    Linking.openURL(buildSmsUrl(candidate.number, body, Platform.OS)).catch(err => {
+      log.error('Failed to open SMS composer', err);
+      say(t('smsOpenFailed', { name: candidate.name }));
+    });
+    return t('smsOpening', { name: candidate.name });
+  };
+
+  const cancelSms = () => {
+    setPendingQuestion(null);
+    respond(t('smsCancelled'));
+  };
+
+  // Ask for the message body, or read it back for confirmation once known
+  const smsNextStep = (candidate, body) => {
+    if (!body) {
+      setPendingQuestion({ kind: 'sms_body', candidate });
+      return { text: t('smsAskBody', { name: candidate.name }), expectAnswer: true, onTimeout: cancelSms };
+    }
+    setPendingQuestion({ kind: 'sms_confirm', candidate, body });
+    return {
+      text: t('smsConfirm', { name: candidate.name, body }),
+      expectAnswer: true,
+      onTimeout: cancelSms,
+    };
+  };
+
+  // Resolve the recipient of a text message the same way as a call target:
+  // aliases, then dictated numbers, then contact matching
+  const startSms = async (recipient, body) => {
+    const aliasEntry = findAlias(recipient, aliases);
+    if (aliasEntry) {
+      return smsNextStep(aliasEntry, body);
+    }
+    const dictated = dictatedNumber(recipient);
+    if (dictated) {
+      return dictated.error || smsNextStep(dictated.candidate, body);
+    }
+    if (!contactsPermissionGranted) {
+      return t('smsContactsPermission', { name: recipient });
+    }
+    try {
+      const { candidates } = await findContactCandidates(recipient);
+      if (candidates.length === 1) {
+        return smsNextStep(candidates[0], body);
+      }
+      if (candidates.length > 1) {
+        setPendingQuestion({ kind: 'choose_contact', purpose: 'sms', body, candidates });
+        return describeCandidates(candidates, settings.language);
+      }
+      return t('contactNotFound', { name: recipient });
+    } catch (error) {
+      log.error('Failed to fetch contacts', error);
+      return t('contactSearchError', { error: error.message });
+    }
+  };
+
+  // "text Anna I'll be late": work out where the name ends using aliases and contacts
+  const splitSmsCommand = async (recipientAndBody) => {
+    let contacts = [];
+    if (contactsPermissionGranted) {
+      try {
+        contacts = await fetchContacts();
+      } catch (error) {
+        log.error('Failed to fetch contacts', error);
+      }
+    }
+    const scoreRecipient = (words) => {
+      if (findAlias(words, aliases)) {
+        return 1;
+      }
+      return Math.max(0, ...contacts.filter((contact) => contact.name).map((contact) => scoreName(words, contact.name)));
+    };
+    return splitRecipientAndBody(recipientAndBody, scoreRecipient);
+  };
+
+  // Treat the command as an answer to the pending question. Returns Doro's
+  // reply, or null when the command is unrelated and should be processed normally.
+  const answerPendingQuestion = async (cmd) => {
+    if (pendingQuestion?.kind === 'reminder_ack') {
+      const intent = parseIntent(cmd, settings.language);
+      const answer = intent.name === 'acknowledge_reminder' ? 'yes' : parseConfirmation(cmd);
+      if (!answer) {
+        setPendingQuestion(null);
+        return null; // Something else entirely; "I took it" still works later
+      }
+      setPendingQuestion(null);
+      return acknowledgeReminder(answer === 'yes');
+    }
+    if (pendingQuestion?.kind === 'reminder_time') {
+      if (CANCEL_ANSWER.test(cmd.trim())) {
+        setPendingQuestion(null);
+        return t('reminderNoneCreated');
+      }
+      const parsed = parseReminderDetails(cmd);
+      if (parsed.missingTime) {
+        return { text: t('reminderTimeNotCaught'), expectAnswer: true };
+      }
+      setPendingQuestion(null);
+      return createReminder({ ...parsed, task: pendingQuestion.task });
+    }
+    if (pendingQuestion?.kind === 'confirm_sos') {
+      // "Help!" or "I fell" again counts as a yes
+      const answer = parseIntent(cmd, settings.language).name === 'sos' ? 'yes' : parseConfirmation(cmd);
+      setPendingQuestion(null);
+      if (answer === 'yes') {
+        return sosStepReply(0);
+      }
+      return answer === 'no' ? t('sosConfirmDeclined') : null; // Anything else is a new command
+    }
+    if (pendingQuestion?.kind === 'sos_check') {
+      const { index, contact } = pendingQuestion;
+      if (/\b(?:cancel|stop|avbryt|abbrechen|cancela|cancelar)\b/i.test(cmd)) {
+        setPendingQuestion(null);
+        return t('sosStopped');
+      }
+      switch (parseConfirmation(cmd)) {
+        case 'yes':
+          setPendingQuestion(null);
+          return t('sosReached', { name: contact.name });
+        case 'no':
+          return sosStepReply(index + 1);
+        default:
+          return {
+            text: t('sosCheck', { name: contact.name }),
+            expectAnswer: true,
+            onTimeout: () => respond(sosStepReply(index + 1)),
+          };
+      }
+    }
+    if (pendingQuestion?.kind === 'sms_body') {
+      if (CANCEL_ANSWER.test(cmd.trim())) {
+        setPendingQuestion(null);
+        return t('smsCancelled');
+      }
+      return smsNextStep(pendingQuestion.candidate, cmd.trim());
+    }
+    if (pendingQuestion?.kind === 'sms_confirm') {
+      const { candidate } = pendingQuestion;
+      // "change the message to see you at six" or just "change the message";
+      // also "ändra meddelandet till ...", "ändere die Nachricht zu ...", "cambia el mensaje a ..."
+      const change = cmd.match(/(?:^|\s)(?:change|ändra|ändere|cambia)(?:\s(?:.*?\s)?(?:to|till|zu|in|a|por)\s+(.+))?/i);
+      if (change) {
+        return smsNextStep(candidate, change[1] ? change[1].trim() : '');
+      }
+      switch (parseConfirmation(cmd)) {
+        case 'yes':
+          setPendingQuestion(null);
+          return sendSms(candidate, pendingQuestion.body);
+        case 'no':
+          setPendingQuestion(null);
+          return t('smsCancelled');
+        default:
+          return {
+            text: t('smsConfirmRepeat'),
+            expectAnswer: true,
+            onTimeout: cancelSms,
+          };
+      }
+    }
+    if (pendingQuestion?.kind === 'confirm_call') {
+      const { candidate } = pendingQuestion;
+      // "call Bob" is a new command, not a yes; "call her" still confirms
+      const intent = parseIntent(cmd, settings.language);
+      if ((intent.name === 'call' || intent.name === 'call_again') && intent.slots.target && !/^(?:her|him|them|it|henne|honom|dem|sie|ihn|la|lo|le)$/i.test(intent.slots.target)) {
+        setPendingQuestion(null);
+        return null;
+      }
+      switch (parseConfirmation(cmd)) {
+        case 'yes':
+          setPendingQuestion(null);
+          return dialContact(candidate);
+        case 'no':
+          setPendingQuestion(null);
+          return t('callCancelled');
+        default:
+          return { text: t('confirmRepeat', { name: candidate.name }), expectAnswer: true };
+      }
+    }
+    if (pendingQuestion?.kind !== 'choose_contact') {
+      return null;
+    }
+    const choice = resolveChoice(cmd, pendingQuestion.candidates);
+    switch (choice.type) {
+      case 'selected':
+        return completeContactChoice(pendingQuestion, choice.candidate);
+      case 'narrowed':
+        setPendingQuestion({ ...pendingQuestion, candidates: choice.candidates });
+        return describeCandidates(choice.candidates, settings.language);
+      case 'cancel':
+        setPendingQuestion(null);
+        return t({ alias: 'aliasCancelled', sms: 'smsCancelled', favorite: 'favoriteCancelled' }[pendingQuestion.purpose] || 'callAnyoneCancelled');
+      default:
+        // A recognizable new command replaces the question
+        if (parseIntent(cmd, settings.language).name !== 'unknown') {
+          setPendingQuestion(null);
+          return null;
+        }
+        return t('whichOneRetry', { question: describeCandidates(pendingQuestion.candidates, settings.language) });
+    }
+  };
+
+  // Handle a tapped choice from the disambiguation buttons
+  const handleCandidatePress = async (candidate) => {
+    addUserMessage(describeCandidate(candidate, { language: settings.language }), 'typed');
+    respond(await completeContactChoice(pendingQuestion, candidate));
+  };
+
+  // Handle the on-screen Yes/No buttons of a call confirmation
+  const handleConfirmationPress = (answer) => {
+    if (isListening) {
+      stopListening();
+    }
+    addUserMessage(answer, 'typed');
+    processCommand(answer);
   };
 
   // Function to process the user's command and generate Doro's response
   const processCommand = async (cmd) => {
-    const lowerCmd = cmd.toLowerCase();
-    let newResponse = '';
-
-    if (lowerCmd.includes('hello') || lowerCmd.includes('hi doro')) {
-      newResponse = 'Hello there! How can I assist you?';
-    } else if (lowerCmd.includes('call')) {
-      const callMatch = lowerCmd.match(/call\s+(.+)/);
-      if (callMatch && callMatch[1]) {
-        const target = callMatch[1].trim(); // Could be a name or a number
-
-        // Check if it's likely a phone number (contains digits)
-        const phoneNumberDigits = target.replace(/\D/g, '');
-        if (phoneNumberDigits.length >= 7 && /^\d+$/.test(phoneNumberDigits)) { // More robust number check
-          newResponse = `Attempting to call ${target}... (Opening dialer. Please tap 'Call' to confirm.)`;
-          Linking.openURL(`tel:${phoneNumberDigits}`).catch(err => {
-            console.error('Failed to open dialer for number:', err);
-            setResponse(`Could not open dialer for ${target}. Please check the number.`);
-            Speech.speak(`Could not open dialer for ${target}. Please check the number.`, {
-              onDone: () => setIsSpeaking(false),
-              onError: () => setIsSpeaking(false),
-            });
-          });
+    const parsed = parseIntent(cmd, settings.language);
+
+    const isFreeTextAnswer = FREE_TEXT_QUESTIONS.includes(pendingQuestion?.kind);
+    if (CONVERSATION_INTENTS.includes(parsed.name) && (!isFreeTextAnswer || parsed.confidence >= 0.9)) {
+      setIsLoading(false);
+      await handleConversationRequest(parsed.name);
+      return;
+    }
+    lastCommandRef.current = cmd;
+
+    if (pendingQuestion) {
+      const answer = await answerPendingQuestion(cmd);
+      if (answer) {
+        setIsLoading(false);
+        respond(answer);
+        return;
+      }
+    }
+
+    // A new command rather than an answer
+    const intent = await understanding.understand(cmd, settings.language);
+    log.info('Understood command', { intent: intent.name, backend: intent.backend, slots: Object.keys(intent.slots), confidence: intent.confidence }); // Slot values may hold names
+
+    let newResponse = ''; // A string, or { text, expectAnswer } for questions
+
+    if (settings.disabledIntents.includes(intentSwitch(intent.name))) {
+      newResponse = t('intentDisabled'); // Switched off in the caregiver profile
+    } else if (intent.name === 'sos') {
+      // Only an unmistakable emergency dials straight away; "help" or "I'm dizzy" asks first
+      newResponse = intent.confidence >= STRONG_CONFIDENCE ? sosStepReply(0) : askSosConfirmation();
+    } else if (intent.name === 'greeting') {
+      newResponse = t('greetingReply');
+    } else if (intent.name === 'ask_time') {
+      newResponse = t('timeNow', { time: describeTime(new Date(), settings.language) });
+    } else if (intent.name === 'ask_date') {
+      newResponse = t('dateToday', { date: describeDate(new Date(), settings.language) });
+    } else if (intent.name === 'ask_battery') {
+      const { key, params } = describeBattery(await getBatteryStatus());
+      newResponse = t(key, params);
+    } else if (intent.name === 'ask_silent') {
+      newResponse = t(describeRingerMode(await getRingerMode())); // Android only; iOS hides the silent switch
+    } else if (intent.name === 'ask_own_number') {
+      newResponse = settings.ownNumber
+        ? t('ownNumber', { number: formatSpokenPhoneNumber({ number: settings.ownNumber }, settings.language) })
+        : t('ownNumberUnknown');
+    } else if (intent.name === 'set_language') {
+      // Reply in the new language straight away, before the settings re-render
+      const { language } = intent.slots;
+      await updateSettings({ language, voice: null });
+      setIsLoading(false);
+      say(translate(language, 'languageChanged'), { voiceSettings: { ...settings, language, voice: null }, onDone: resumeHandsFree });
+      return;
+    } else if (intent.name === 'wake_word_on') {
+      await updateSettings({ wakeWordEnabled: true });
+      newResponse = t('wakeWordOn', { phrase: settings.wakePhrase });
+    } else if (intent.name === 'wake_word_off') {
+      await updateSettings({ wakeWordEnabled: false });
+      newResponse = t('wakeWordOff', { phrase: settings.wakePhrase });
+    } else if (intent.name === 'stop_speaking') {
+      // Typed, or heard between replies: nothing more to say
+      stopSpeaking();
+      setIsLoading(false);
+      resumeHandsFree();
+      return;
+    } else if (intent.name === 'stop_listening') {
+      stopHandsFree();
+      newResponse = t('handsFreeOff');
+    } else if (intent.name === 'clear_history') {
+      setMessages([]);
+      await clearHistory();
+      newResponse = t('historyCleared');
+    } else if (intent.name === 'set_alias') {
+      const { alias, name } = intent.slots;
+      if (!contactsPermissionGranted) {
+        newResponse = t('aliasContactsPermission', { name });
+      } else {
+        try {
+          const { candidates } = await findContactCandidates(name);
+          if (candidates.length === 1) {
+            newResponse = await rememberAlias(alias, candidates[0]);
+          } else if (candidates.length > 1) {
+            setPendingQuestion({ kind: 'choose_contact', purpose: 'alias', alias, candidates });
+            newResponse = describeCandidates(candidates, settings.language);
+          } else {
+            newResponse = t('aliasContactNotFound', { name });
+          }
+        } catch (error) {
+          log.error('Failed to fetch contacts', error);
+          newResponse = t('contactSearchError', { error: error.message });
+        }
+      }
+    } else if (intent.name === 'set_reminder') {
+      const parsed = intent.slots.details ? parseReminderDetails(intent.slots.details) : null;
+      if (!parsed || !parsed.task) {
+        newResponse = t('reminderAskDetails');
+      } else if (parsed.missingTime) {
+        setPendingQuestion({ kind: 'reminder_time', task: parsed.task });
+        newResponse = { text: t('reminderAskTime', { task: spokenTask(parsed.task) }), expectAnswer: true };
+      } else {
+        newResponse = await createReminder(parsed);
+      }
+    } else if (intent.name === 'list_reminders') {
+      if (reminders.length === 0) {
+        newResponse = t('noReminders');
+      } else {
+        const list = describeReminders(reminders);
+        newResponse = reminders.length === 1 ? t('reminderListOne', { list }) : t('reminderList', { count: reminders.length, list });
+      }
+    } else if (intent.name === 'cancel_reminder') {
+      const matches = findReminders(reminders, intent.slots.description);
+      if (matches.length === 1) {
+        await deleteReminder(matches[0]);
+        newResponse = t('reminderCancelled', { task: spokenTask(matches[0].task) });
+      } else if (matches.length > 1) {
+        newResponse = t('reminderSeveral', { list: describeReminders(matches) });
+      } else {
+        newResponse = t('reminderNotFound', { description: spokenTask(intent.slots.description) });
+      }
+    } else if (intent.name === 'acknowledge_reminder') {
+      newResponse = acknowledgeReminder(true);
+    } else if (intent.name === 'send_text') {
+      const { recipient, body, recipientAndBody } = intent.slots;
+      if (recipient) {
+        newResponse = await startSms(recipient, body);
+      } else if (recipientAndBody) {
+        const split = await splitSmsCommand(recipientAndBody);
+        newResponse = await startSms(split.recipient, split.body);
+      } else {
+        newResponse = t('smsAskRecipient');
+      }
+    } else if (intent.name === 'call_last') {
+      const lastCall = findLastCall(callHistory);
+      newResponse = lastCall ? requestCall(lastCall) : t('callLastNone');
+    } else if (intent.name === 'call_history') {
+      const day = parseCallDay(intent.slots.day);
+      const calls = findCalls(callHistory, day);
+      if (calls.length === 0) {
+        newResponse = t({ today: 'noCallsToday', yesterday: 'noCallsYesterday' }[day] || 'noCallsRecent');
+      } else {
+        newResponse = t({ today: 'callsToday', yesterday: 'callsYesterday' }[day] || 'callsRecent', { list: describeCalls(calls, settings.language) });
+      }
+    } else if (intent.name === 'add_favorite') {
+      const { name } = intent.slots;
+      const aliasEntry = findAlias(name, aliases);
+      if (aliasEntry) {
+        newResponse = await addFavorite(aliasEntry);
+      } else if (!contactsPermissionGranted) {
+        newResponse = t('callContactsPermission');
+        startOnboarding(['contacts']);
+      } else {
+        try {
+          const { candidates } = await findContactCandidates(name);
+          if (candidates.length === 1) {
+            newResponse = await addFavorite(candidates[0]);
+          } else if (candidates.length > 1) {
+            setPendingQuestion({ kind: 'choose_contact', purpose: 'favorite', candidates });
+            newResponse = describeCandidates(candidates, settings.language);
+          } else {
+            newResponse = t('contactNotFound', { name });
+          }
+        } catch (error) {
+          log.error('Failed to fetch contacts', error);
+          newResponse = t('contactSearchError', { error: error.message });
+        }
+      }
+    } else if (intent.name === 'call' || intent.name === 'call_again') {
+      if (intent.slots.target) {
+        const target = intent.slots.target; // Could be a name or a number
+        // "call Anna again": the number Anna was called on last time, if any
+        const previousCall = intent.name === 'call_again' ? findLastCallTo(callHistory, target) : null;
+        const aliasEntry = previousCall ? null : findAlias(target, aliases); // "my daughter", "the doctor"
+
+        const dictated = previousCall || aliasEntry ? null : dictatedNumber(target); // "five five five one two three four"
+        if (previousCall) {
+          newResponse = requestCall(previousCall);
+        } else if (aliasEntry) {
+          newResponse = requestCall(aliasEntry);
+        } else if (dictated) {
+          newResponse = dictated.error || requestCall(dictated.candidate);
         } else if (contactsPermissionGranted) {
           // Attempt to find contact by name
-          newResponse = `Searching for ${target} in your contacts...`;
-          setResponse(newResponse); // Update response while searching
-          Speech.speak(newResponse, {
-            onDone: () => setIsSpeaking(false),
-            onError: () => setIsSpeaking(false),
-          });
+          // Only mention the search when it keeps the user waiting
+          const searchingTimer = setTimeout(() => say(t('searchingContacts', { name: target })), SLOW_LOOKUP_MS);
 
           try {
-            const { data } = await Contacts.getContactsAsync({
-              fields: [Contacts.Fields.PhoneNumbers, Contacts.Fields.Name],
-              name: target, // Filter by name
-            });
-
-            if (data.length > 0) {
-              const foundContact = data[0]; // Take the first match
-              if (foundContact.phoneNumbers && foundContact.phoneNumbers.length > 0) {
-                const numberToCall = foundContact.phoneNumbers[0].number;
-                newResponse = `Found ${foundContact.name}. Calling ${numberToCall}... (Opening dialer. Please tap 'Call' to confirm.)`;
-                Linking.openURL(`tel:${numberToCall}`).catch(err => {
-                  console.error('Failed to open dialer for contact:', err);
-                  setResponse(`Could not open dialer for ${foundContact.name}.`);
-                  Speech.speak(`Could not open dialer for ${foundContact.name}.`, {
-                    onDone: () => setIsSpeaking(false),
-                    onError: () => setIsSpeaking(false),
-                  });
-                });
-              } else {
-                newResponse = `Found ${foundContact.name}, but no phone number available.`;
-              }
+            const { matchedContacts, candidates } = await findContactCandidates(target);
+            if (candidates.length === 1) {
+              newResponse = requestCall(candidates[0]);
+            } else if (candidates.length > 1) {
+              // Several people or numbers matched: ask which one before dialing
+              setPendingQuestion({ kind: 'choose_contact', purpose: 'call', candidates });
+              newResponse = describeCandidates(candidates, settings.language);
+            } else if (matchedContacts.length > 0) {
+              newResponse = t('contactNoNumber', { name: matchedContacts[0].name });
             } else {
-              newResponse = `Could not find a contact named ${target}. Please try again or say the number.`;
+              newResponse = t('contactNotFound', { name: target });
             }
           } catch (error) {
-            console.error('Error fetching contacts:', error);
-            newResponse = `An error occurred while searching contacts: ${error.message}.`;
+            log.error('Failed to fetch contacts', error);
+            newResponse = t('contactSearchError', { error: error.message });
+          } finally {
+            clearTimeout(searchingTimer);
           }
         } else {
-          newResponse = `To call by name, I need contacts permission. Please enable it in settings.`;
-          Alert.alert(
-            "Contacts Permission Required",
-            "Doro needs access to your contacts to call people by name. Please enable contacts permission in your phone's settings.",
-            [{ text: "OK" }]
-          );
+          newResponse = t('callContactsPermission');
+          startOnboarding(['contacts']);
         }
       } else {
-        newResponse = 'Whom would you like me to call? Please say "call [name or number]".';
+        newResponse = t('callAskTarget');
       }
     } else { // Removed 'open' commands to focus on calling
-      newResponse = "I'm currently focused on making calls. How can I help you with a call?";
+      newResponse = t('fallback');
     }
 
-    setResponse(newResponse);
     setIsLoading(false);
-    Speech.speak(newResponse, {
-      onDone: () => setIsSpeaking(false),
-      onError: (error) => {
-        console.error('Speech synthesis error:', error);
-        setIsSpeaking(false);
-      },
-    });
+    respond(newResponse);
+  };
+
+  // Say a reply again, asking again when it was a question. The open
+  // question itself is left as it is.
+  const repeatReply = (reply, voiceSettings = settings) => {
+    respond(reply || t('nothingToRepeat'), voiceSettings);
+  };
+
+  // "repeat", "what did I say", "slower", "faster", "louder", "quieter".
+  // Speed and volume changes are saved and the last reply is said again with them.
+  const handleConversationRequest = async (name) => {
+    const lastReply = lastReplyRef.current;
+    if (name === 'repeat') {
+      repeatReply(lastReply);
+      return;
+    }
+    if (name === 'what_did_i_say') {
+      respond(lastCommandRef.current ? t('youSaid', { command: lastCommandRef.current }) : t('nothingSaidYet'));
+      return;
+    }
+    const { key, steps, direction, limit } = SPEECH_ADJUSTMENTS[name];
+    const value = stepSpeechSetting(steps, settings[key], direction);
+    if (value === null) {
+      say(t(limit));
+      repeatReply(lastReply);
+      return;
+    }
+    await updateSettings({ [key]: value });
+    repeatReply(lastReply, { ...settings, [key]: value });
   };
 
   // Handle manual text input
   const handleTextInputSubmit = () => {
-    if (command.trim()) {
-      processCommand(command);
+    const typedCommand = command.trim();
+    if (typedCommand) {
+      addUserMessage(typedCommand, 'typed');
+      setCommand('');
+      processCommand(typedCommand);
     }
   };
 
   // Determine if the mic button should be disabled
-  // It requires both native mic permission AND the WebView's mic permission
-  const isMicButtonDisabled = isSpeaking || isLoading || !nativeMicPermissionGranted || !webViewMicPermissionGranted;
+  // It requires a ready speech recognizer
+  // A running hands-free session can always be stopped, and Doro can always be interrupted.
+  // A missing microphone permission leaves it enabled: pressing it explains how to give it.
+  const isMicButtonDisabled = !isHandsFreeActive && (isLoading || voiceReadiness === 'checking' || voiceReadiness === 'no_recognizer');
+
+  const isLarge = settings.accessibilityMode;
+  const micButtonSize = isLarge
+    ? Math.round(LARGE_MIC_BUTTON_SIZE * Math.min(Math.max(fontScale, 1), MAX_MIC_FONT_SCALE))
+    : MIC_BUTTON_SIZE;
+  const showFavorites = settings.favoriteContacts.length > 0 && !settings.disabledIntents.includes('call');
 
   return (
     <KeyboardAvoidingView
-      style={styles.container}
+      style={[styles.container, isLarge && styles.containerLarge]}
       behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
     >
-      {/* Hidden WebView for Speech Recognition */}
+      {/* Hidden WebView for the fallback speech recognizer */}
       <WebView
         ref={webViewRef}
         originWhitelist={['*']}
         source={{ html: speechRecognitionHtml }}
-        onMessage={onWebViewMessage}
+        onMessage={webViewRecognizer.handleMessage}
         javaScriptEnabled={true}
         domStorageEnabled={true}
         // NEW: Handle permission requests from the WebView
         onPermissionRequest={onWebViewPermissionRequest}
         // Add onLoad and onLoadEnd to debug WebView loading
-        onLoad={() => console.log('App: WebView finished loading HTML content.')}
-        onLoadEnd={() => console.log('App: WebView finished loading (including subframes).')}
+        onLoad={() => log.debug('WebView finished loading HTML content')}
+        onLoadEnd={() => log.debug('WebView finished loading (including subframes)')}
         onError={(syntheticEvent) => {
           const { nativeEvent } = syntheticEvent;
-          console.error('App: WebView error:', nativeEvent.description);
+          log.error('WebView error', nativeEvent.description);
         }}
+        // The page is reloaded if the WebView's content process dies
+        onRenderProcessGone={webViewRecognizer.handlePageLost}
+        onContentProcessDidTerminate={webViewRecognizer.handlePageLost}
         style={styles.hiddenWebView} // Style to hide it from view
       />
 
       <View style={styles.header}>
-        <Text style={styles.headerText}>Doro</Text>
-        <Ionicons name="phone-portrait-outline" size={32} color="#fff" />
+        <Text style={styles.headerText} onLongPress={confirmSendDiagnostics}>Doro</Text>
+        <View style={styles.headerActions}>
+          <TouchableOpacity
+            onPress={() => setIsVoiceSettingsVisible(true)}
+            style={styles.headerButton}
+            accessibilityRole="button"
+            accessibilityLabel="Voice and language settings"
+            accessibilityHint="Choose the language, voice, speaking speed and text size"
+          >
+            <Ionicons name="language-outline" size={30} color="#fff" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => setIsRemindersVisible(true)}
+            style={styles.headerButton}
+            accessibilityRole="button"
+            accessibilityLabel="Reminders"
+            accessibilityHint="Shows your reminders"
+          >
+            <Ionicons name="alarm-outline" size={30} color="#fff" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => setIsEmergencySettingsVisible(true)}
+            style={styles.headerButton}
+            accessibilityRole="button"
+            accessibilityLabel="Emergency contacts settings"
+            accessibilityHint="Choose who SOS calls, and in which order"
+          >
+            <Ionicons name="medkit-outline" size={30} color="#fff" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => setIsAliasSettingsVisible(true)}
+            style={styles.headerButton}
+            accessibilityRole="button"
+            accessibilityLabel="Names and aliases settings"
+            accessibilityHint="Choose names like 'my daughter' for your contacts"
+          >
+            <Ionicons name="people-outline" size={30} color="#fff" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => setIsProfileVisible(true)}
+            style={styles.headerButton}
+            accessibilityRole="button"
+            accessibilityLabel="Caregiver profile"
+            accessibilityHint="Copy this setup to or from another phone"
+          >
+            <Ionicons name="qr-code-outline" size={30} color="#fff" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => setIsFavoritesVisible(true)}
+            style={styles.headerButton}
+            accessibilityRole="button"
+            accessibilityLabel="Favorites settings"
+            accessibilityHint="Choose the people shown as call tiles"
+          >
+            <Ionicons name="star-outline" size={30} color="#fff" />
+          </TouchableOpacity>
+        </View>
       </View>
 
+      <AliasSettings
+        visible={isAliasSettingsVisible}
+        aliases={aliases}
+        contactsPermissionGranted={contactsPermissionGranted}
+        onSave={rememberAlias}
+        onRemove={handleRemoveAlias}
+        onClose={() => setIsAliasSettingsVisible(false)}
+      />
+
+      <RemindersScreen
+        visible={isRemindersVisible}
+        reminders={reminders}
+        onRemove={deleteReminder}
+        onClose={() => setIsRemindersVisible(false)}
+      />
+
+      <VoiceSettings
+        visible={isVoiceSettingsVisible}
+        settings={settings}
+        onChange={updateSettings}
+        onClose={() => setIsVoiceSettingsVisible(false)}
+      />
+
+      <ProfileScreen
+        visible={isProfileVisible}
+        settings={settings}
+        aliases={aliases}
+        onChange={updateSettings}
+        onImport={importProfile}
+        onClose={() => setIsProfileVisible(false)}
+      />
+
+      <PermissionOnboarding
+        visible={Boolean(onboarding)}
+        stepKey={onboardingKey}
+        state={permissions[onboardingKey]}
+        position={onboarding ? onboarding.index + 1 : 0}
+        count={onboarding ? onboarding.steps.length : 0}
+        language={settings.language}
+        onAllow={handleOnboardingAllow}
+        onOpenSettings={handleOnboardingOpenSettings}
+        onSkip={handleOnboardingSkip}
+      />
+
+      <FavoritesSettings
+        visible={isFavoritesVisible}
+        settings={settings}
+        contactsPermissionGranted={contactsPermissionGranted}
+        onChange={updateSettings}
+        onClose={() => setIsFavoritesVisible(false)}
+      />
+
+      <EmergencySettings
+        visible={isEmergencySettingsVisible}
+        settings={settings}
+        contactsPermissionGranted={contactsPermissionGranted}
+        onChange={updateSettings}
+        onClose={() => setIsEmergencySettingsVisible(false)}
+      />
+
       <ScrollView
         ref={scrollViewRef}
         style={styles.chatArea}
         contentContainerStyle={styles.chatContent}
       >
-        {/* Doro's response bubble */}
-        <View style={styles.doroBubble}>
-          <Text style={styles.doroText}>{response}</Text>
-        </View>
+        {/* Conversation history, oldest first */}
+        {messages.map((message) => {
+          const isDoro = message.speaker === 'doro';
+          return (
+            <View
+              key={message.id}
+              style={isDoro ? [styles.doroBubble, isLarge && styles.doroBubbleLarge] : [styles.userBubble, isLarge && styles.userBubbleLarge]}
+              accessible
+              accessibilityLabel={`${isDoro ? 'Doro' : t('chatYou')}: ${message.text}`}
+            >
+              <Text style={isDoro ? [styles.doroText, isLarge && styles.bubbleTextLarge] : [styles.userText, isLarge && styles.bubbleTextLarge]}>
+                {message.text}
+              </Text>
+              <Text style={[styles.messageMeta, isLarge && styles.messageMetaLarge]}>
+                {formatMessageTime(message.timestamp)}
+                {message.status === 'failed' ? '  ·  not spoken' : ''}
+                {message.status === 'interrupted' ? '  ·  interrupted' : ''}
+              </Text>
+            </View>
+          );
+        })}
 
-        {/* User's command bubble (only if command is present) */}
-        {command ? (
-          <View style={styles.userBubble}>
-            <Text style={styles.userText}>{command}</Text>
+        {/* What the recognizer has heard so far, updated while the user talks */}
+        {partialTranscript ? (
+          <View style={[styles.userBubble, isLarge && styles.userBubbleLarge, styles.partialBubble]}>
+            <Text style={[styles.userText, isLarge && styles.bubbleTextLarge, styles.partialText]}>{partialTranscript}</Text>
           </View>
         ) : null}
 
-        {isLoading && (
+        {/* Tappable answers while Doro is asking which contact to call */}
+        {pendingQuestion?.kind === 'choose_contact' && (
+          <View style={styles.choiceContainer}>
+            {pendingQuestion.candidates.map((candidate, index) => (
+              <TouchableOpacity
+                key={candidate.id}
+                style={styles.choiceButton}
+                onPress={() => handleCandidatePress(candidate)}
+                accessibilityRole="button"
+                accessibilityLabel={`${index + 1}. ${candidate.name}, ${describeLabel(candidate.label, settings.language)}, ${candidate.number}`}
+                accessibilityHint={t('choiceHint')}
+              >
+                <Text style={styles.choiceText}>
+                  {index + 1}. {candidate.name} ({describeLabel(candidate.label, settings.language)})
+                </Text>
+                <Text style={styles.choiceNumber}>{candidate.number}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {/* Easy yes/no while Doro is confirming a call */}
+        {pendingQuestion?.kind === 'confirm_call' && (
+          <View style={styles.confirmContainer}>
+            <TouchableOpacity
+              style={[styles.confirmButton, styles.confirmYesButton]}
+              onPress={() => handleConfirmationPress(t('answerYes'))}
+              accessibilityRole="button"
+              accessibilityLabel={t('confirmYesLabel', { name: pendingQuestion.candidate.name })}
+              accessibilityHint={t('confirmYesHint')}
+            >
+              <Ionicons name="call" size={24} color="#fff" />
+              <Text style={styles.confirmText}>{t('confirmYesButton')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.confirmButton, styles.confirmNoButton]}
+              onPress={() => handleConfirmationPress(t('answerNo'))}
+              accessibilityRole="button"
+              accessibilityLabel={t('confirmNoLabel')}
+              accessibilityHint={t('confirmNoHint')}
+            >
+              <Ionicons name="close" size={24} color="#fff" />
+              <Text style={styles.confirmText}>{t('confirmNoButton')}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {isLoading ? (
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color="#6366F1" />
-            <Text style={styles.loadingText}>Processing...</Text>
+            <Text style={styles.loadingText}>{statusText || t('processing')}</Text>
           </View>
-        )}
+        ) : statusText ? (
+          <View style={styles.loadingContainer}>
+            <Text style={styles.loadingText}>{statusText}</Text>
+          </View>
+        ) : null}
       </ScrollView>
 
+      {/* One-tap call tiles for the favorite contacts */}
+      {showFavorites && (
+        <View style={styles.favoritesContainer}>
+          {settings.favoriteContacts.map((favorite) => (
+            <TouchableOpacity
+              key={favorite.number}
+              style={[styles.favoriteTile, isLarge && styles.favoriteTileLarge]}
+              onPress={() => callFavorite(favorite)}
+              accessibilityRole="button"
+              accessibilityLabel={t('favoriteCallLabel', { name: favorite.name })}
+              accessibilityHint={t('favoriteCallHint')}
+            >
+              <Ionicons name="call" size={isLarge ? 32 : 24} color="#fff" />
+              <Text style={[styles.favoriteText, isLarge && styles.favoriteTextLarge]} numberOfLines={1}>{favorite.name}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {/* Large SOS button; turns into a stop button while the chain is running */}
+      {pendingQuestion?.kind === 'sos_calling' || pendingQuestion?.kind === 'sos_check' ? (
+        <TouchableOpacity
+          style={[styles.sosButton, styles.sosStopButton]}
+          onPress={stopSos}
+          accessibilityRole="button"
+          accessibilityLabel={t('sosStopButton')}
+          accessibilityHint={t('sosStopHint')}
+        >
+          <Ionicons name="close-circle" size={32} color="#fff" />
+          <Text style={styles.sosText}>{t('sosStopButton')}</Text>
+        </TouchableOpacity>
+      ) : (
+        <TouchableOpacity
+          style={styles.sosButton}
+          onPress={triggerSos}
+          accessibilityRole="button"
+          accessibilityLabel={t('sosButton')}
+          accessibilityHint={t('sosButtonHint')}
+        >
+          <Ionicons name="alert-circle" size={32} color="#fff" />
+          <Text style={styles.sosText}>{t('sosButton')}</Text>
+        </TouchableOpacity>
+      )}
+
+      {isHandsFreeActive ? (
+        <View style={styles.listeningBanner}>
+          <Ionicons name="ear-outline" size={20} color="#4f46e5" />
+          <Text style={[styles.listeningBannerText, isLarge && styles.listeningBannerTextLarge]}>{t('handsFreeBanner')}</Text>
+        </View>
+      ) : settings.wakeWordEnabled && (
+        <View style={styles.listeningBanner} accessibilityLiveRegion="polite">
+          <Ionicons name="radio-outline" size={20} color="#4f46e5" />
+          <Text style={[styles.listeningBannerText, isLarge && styles.listeningBannerTextLarge]}>{t('wakeArmedBanner', { phrase: settings.wakePhrase })}</Text>
+        </View>
+      )}
+
       <View style={styles.inputContainer}>
         <TextInput
-          style={styles.textInput}
+          style={[styles.textInput, isLarge && styles.textInputLarge]}
           value={command}
           onChangeText={setCommand}
-          placeholder="Type your command or speak..."
-          placeholderTextColor="#9ca3af"
+          placeholder={t('commandPlaceholder')}
+          placeholderTextColor={isLarge ? '#4b5563' : '#9ca3af'}
           onSubmitEditing={handleTextInputSubmit}
+          accessibilityLabel={t('commandLabel')}
+          accessibilityHint={t('commandHint')}
           editable={!isListening && !isSpeaking && !isLoading} // Disable input while listening/speaking/loading
         />
         <TouchableOpacity
           style={[
             styles.micButton,
+            { width: micButtonSize, height: micButtonSize, borderRadius: micButtonSize / 2 },
             isMicButtonDisabled ? styles.micButtonDisabled : null,
-            isListening ? styles.micButtonActive : null,
+            isListening || isHandsFreeActive ? styles.micButtonActive : null,
           ]}
-          onPress={isListening ? stopListening : startListening}
+          onPress={handleMicPress}
           disabled={isMicButtonDisabled} // Use the derived state
+          accessibilityRole="button"
+          accessibilityLabel={t(isSpeaking ? 'micInterruptLabel' : isListening || isHandsFreeActive ? 'micStopLabel' : 'micStartLabel')}
+          accessibilityHint={isListening || isHandsFreeActive ? undefined : t('micStartHint')}
+          accessibilityState={{ disabled: isMicButtonDisabled }}
         >
-          {isListening ? (
-            <Ionicons name="mic-off" size={28} color="#fff" />
-          ) : (
-            <Ionicons name="mic" size={28} color="#fff" />
-          )}
+          <Ionicons name={isListening || isHandsFreeActive ? 'mic-off' : 'mic'} size={Math.round(micButtonSize * 0.56)} color="#fff" />
         </TouchableOpacity>
       </View>
-      {/* Debugging indicator for microphone permission */}
-      <View style={styles.permissionStatusContainer}>
-        <Text style={styles.permissionStatusText}>
-          Native Mic: {nativeMicPermissionGranted ? 'Granted ✅' : 'Denied ❌'}
-        </Text>
-        <Text style={styles.permissionStatusText}>
-          WebView Mic: {webViewMicPermissionGranted ? 'Granted ✅' : 'Denied ❌'}
-        </Text>
-        <Text style={styles.permissionStatusText}>
-          Contacts: {contactsPermissionGranted ? 'Granted ✅' : 'Denied ❌'}
-        </Text>
-      </View>
+      {/* Recognizer and permission status, for troubleshooting in developer mode */}
+      {settings.developerMode && (
+        <View style={styles.permissionStatusContainer}>
+          <Text style={styles.permissionStatusText}>
+            Voice: {voiceReadiness === 'ready' ? 'Ready ✅' : `${voiceReadiness} ❌`}
+          </Text>
+          <Text style={styles.permissionStatusText}>
+            Recognizer: {recognizerName || 'choosing'}
+          </Text>
+          <Text style={styles.permissionStatusText}>
+            Mic: {permissions.microphone}
+          </Text>
+          <Text style={styles.permissionStatusText}>
+            Contacts: {permissions.contacts}
+          </Text>
+          <Text style={styles.permissionStatusText}>
+            Notifications: {permissions.notifications}
+          </Text>
+        </View>
+      )}
     </KeyboardAvoidingView>
   );
 };
@@ -478,6 +1994,9 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#e0f2fe', // Light blue background
   },
+  containerLarge: {
+    backgroundColor: '#fff',
+  },
   header: {
     backgroundColor: '#4f46e5', // Indigo-600
     paddingVertical: 20,
@@ -499,6 +2018,13 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontFamily: 'System', // Default system font
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerButton: {
+    marginRight: 15,
+  },
   chatArea: {
     flex: 1,
     padding: 15,
@@ -542,6 +2068,90 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#581c87', // Purple-900
   },
+  // Accessibility mode: larger text (still scaled by the phone's text size),
+  // wider bubbles and dark borders on light backgrounds for contrast
+  doroBubbleLarge: {
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#1e3a8a', // Blue-900
+    maxWidth: '92%',
+  },
+  userBubbleLarge: {
+    backgroundColor: '#fef08a', // Yellow-200
+    borderWidth: 3,
+    borderColor: '#111827', // Gray-900
+    maxWidth: '92%',
+  },
+  bubbleTextLarge: {
+    fontSize: 24,
+    lineHeight: 32,
+    color: '#000',
+  },
+  messageMetaLarge: {
+    fontSize: 14,
+    color: '#374151', // Gray-700
+  },
+  partialBubble: {
+    opacity: 0.7,
+  },
+  partialText: {
+    fontStyle: 'italic',
+  },
+  messageMeta: {
+    marginTop: 4,
+    fontSize: 11,
+    color: '#6b7280', // Gray-500
+    alignSelf: 'flex-end',
+  },
+  choiceContainer: {
+    alignSelf: 'stretch',
+    marginBottom: 10,
+  },
+  choiceButton: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#6366F1', // Indigo-500
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    marginBottom: 8,
+  },
+  choiceText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+  },
+  choiceNumber: {
+    marginTop: 2,
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+  confirmContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  confirmButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 15,
+    borderRadius: 15,
+    marginHorizontal: 5,
+  },
+  confirmYesButton: {
+    backgroundColor: '#16a34a', // Green-600
+  },
+  confirmNoButton: {
+    backgroundColor: '#ef4444', // Red-500
+  },
+  confirmText: {
+    marginLeft: 8,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
   loadingContainer: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -552,6 +2162,83 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6366F1',
   },
+  favoritesContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: 10,
+    marginBottom: 5,
+  },
+  favoriteTile: {
+    flexGrow: 1,
+    flexBasis: '40%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#15803d', // Green-700
+    marginHorizontal: 5,
+    marginBottom: 5,
+    paddingVertical: 12,
+    paddingHorizontal: 10,
+    borderRadius: 20,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+  },
+  favoriteTileLarge: {
+    paddingVertical: 20,
+  },
+  favoriteText: {
+    flexShrink: 1,
+    marginLeft: 8,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  favoriteTextLarge: {
+    fontSize: 24,
+  },
+  sosButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#dc2626', // Red-600
+    marginHorizontal: 15,
+    marginBottom: 10,
+    paddingVertical: 15,
+    borderRadius: 20,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+  },
+  sosStopButton: {
+    backgroundColor: '#374151', // Gray-700
+  },
+  sosText: {
+    marginLeft: 10,
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  listeningBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 8,
+  },
+  listeningBannerText: {
+    marginLeft: 6,
+    fontSize: 14,
+    color: '#4f46e5', // Indigo-600
+  },
+  listeningBannerTextLarge: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#312e81', // Indigo-900
+  },
   inputContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -577,10 +2264,15 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#d1d5db', // Gray-300
   },
+  textInputLarge: {
+    height: 64,
+    borderRadius: 32,
+    fontSize: 22,
+    color: '#000',
+    borderWidth: 2,
+    borderColor: '#111827', // Gray-900
+  },
   micButton: {
-    width: 50,
-    height: 50,
-    borderRadius: 25,
     backgroundColor: '#6366F1', // Indigo-500
     justifyContent: 'center',
     alignItems: 'center',
@@ -0,0 +1,206 @@
+// Scripted conversations against the whole app: speech comes in through the
+// WebView bridge (or a mock recognizer), and the tests check what Doro said,
+// what it showed in the chat and which links it opened.
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react-native';
+import { Linking } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Speech from 'expo-speech';
+import * as Contacts from 'expo-contacts';
+import { __webView as page } from 'react-native-webview';
+import App from '../App';
+import { createMockRecognizer } from '../src/speech/mockRecognizer';
+import { translate } from '../src/i18n/translate';
+
+// The first render compiles the whole app, which is slow on a cold cache
+jest.setTimeout(20000);
+
+const t = (key, params) => translate('en', key, params);
+
+const ANNA = { id: '1', name: 'Anna Berg', phoneNumbers: [{ id: 'p1', label: 'mobile', number: '555-1234' }] };
+
+// The app logs every step of a conversation; quiet the levels a test expects
+// (log in every test, error in the failure tests). Restored after each test.
+let consoleSpies = [];
+const silenceConsole = (...methods) => {
+  consoleSpies.push(...methods.map((method) => jest.spyOn(console, method).mockImplementation(() => {})));
+};
+const silenceErrors = () => silenceConsole('error');
+
+// Everything Doro has said so far
+const spoken = () => Speech.speak.mock.calls.map(([text]) => text);
+
+const saveSettings = (settings) => AsyncStorage.setItem('@doro/settings', JSON.stringify({ permissionsOnboarded: true, ...settings }));
+
+// Render the app, let the speech page shake hands and wait for the greeting
+// to finish so the mic button is ready
+const renderApp = async (props) => {
+  render(<App {...props} />);
+  if (!props?.recognizer) {
+    await waitFor(() => expect(page.props).toBeTruthy());
+    act(() => page.send('ready', { capabilities: { speechRecognition: true, interimResults: true } }));
+  }
+  await waitFor(() => expect(spoken()).toContain(t('greeting')));
+  await waitFor(() => expect(screen.getByLabelText('Start listening')).toBeEnabled());
+};
+
+// Press the mic and say `transcript` the way the speech page reports it
+const speak = async (transcript) => {
+  fireEvent.press(screen.getByLabelText('Start listening'));
+  await waitFor(() => expect(page.commands().at(-1)?.type).toBe('start'));
+  const { id } = page.commands().at(-1);
+  act(() => {
+    page.send('ack', { replyTo: id, ok: true });
+    page.send('started');
+    page.send('partial', { transcript: transcript.split(' ')[0] });
+    page.send('result', { transcript });
+    page.send('ended');
+  });
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  silenceConsole('log');
+  await AsyncStorage.clear();
+  page.injected = [];
+  jest.spyOn(Linking, 'openURL').mockResolvedValue(true);
+  Contacts.getPermissionsAsync.mockResolvedValue({ status: 'granted', granted: true, canAskAgain: true });
+  Contacts.getContactsAsync.mockResolvedValue({ data: [ANNA] });
+  await saveSettings({ confirmBeforeCalling: false });
+});
+
+afterEach(() => {
+  consoleSpies.forEach((spy) => spy.mockRestore());
+  consoleSpies = [];
+});
+
+test('calls a contact named in a spoken command', async () => {
+  await renderApp();
+  await speak('call Anna');
+
+  await waitFor(() => expect(Linking.openURL).toHaveBeenCalledWith('tel:555-1234'));
+  const reply = t('calling', { name: 'Anna Berg', number: '555-1234' });
+  await waitFor(() => expect(spoken()).toContain(reply));
+  expect(spoken()).not.toContain(t('searchingContacts', { name: 'Anna' })); // The lookup was quick
+  expect(screen.getByText('call Anna')).toBeTruthy();
+  expect(screen.getByText(reply)).toBeTruthy();
+  expect(page.commands().find((command) => command.type === 'start').locale).toBe('en-US');
+});
+
+test('says it is searching when the contact lookup is slow', async () => {
+  Contacts.getContactsAsync.mockImplementation(() => new Promise((resolve) => setTimeout(() => resolve({ data: [ANNA] }), 3000)));
+  await renderApp();
+  await speak('call Anna');
+
+  await waitFor(() => expect(spoken()).toContain(t('searchingContacts', { name: 'Anna' })), { timeout: 5000 });
+  await waitFor(() => expect(Linking.openURL).toHaveBeenCalledWith('tel:555-1234'), { timeout: 5000 });
+});
+
+test('asks before calling when confirmation is on', async () => {
+  await saveSettings({ confirmBeforeCalling: true });
+  const recognizer = createMockRecognizer(['call Anna', 'yes']);
+  await renderApp({ recognizer });
+  fireEvent.press(screen.getByLabelText('Start listening'));
+
+  // The question is answered by voice: Doro listens again by itself
+  await waitFor(() => expect(Linking.openURL).toHaveBeenCalledWith('tel:555-1234'));
+  expect(recognizer.calls.start).toHaveLength(2);
+  expect(spoken().some((text) => text.startsWith('Call Anna Berg'))).toBe(true);
+  expect(screen.getByText('yes')).toBeTruthy();
+});
+
+test('does not call when the answer is no', async () => {
+  await saveSettings({ confirmBeforeCalling: true });
+  await renderApp({ recognizer: createMockRecognizer(['call Anna', 'no']) });
+  fireEvent.press(screen.getByLabelText('Start listening'));
+
+  await waitFor(() => expect(screen.getByText('no')).toBeTruthy());
+  await waitFor(() => expect(spoken()).toContain(t('callCancelled')));
+  expect(Linking.openURL).not.toHaveBeenCalled();
+});
+
+test('explains the contacts permission instead of calling when it is denied', async () => {
+  Contacts.getPermissionsAsync.mockResolvedValue({ status: 'denied', granted: false, canAskAgain: true });
+  await renderApp();
+  await speak('call Anna');
+
+  await waitFor(() => expect(spoken()).toContain(t('callContactsPermission')));
+  expect(Contacts.getContactsAsync).not.toHaveBeenCalled();
+  expect(Linking.openURL).not.toHaveBeenCalled();
+  await waitFor(() => expect(screen.getByText(t('onboardingContactsTitle'))).toBeTruthy());
+});
+
+test('tells the user when the dialer cannot be opened', async () => {
+  silenceErrors();
+  Linking.openURL.mockRejectedValue(new Error('No activity found'));
+  await renderApp();
+  await speak('call Anna');
+
+  await waitFor(() => expect(spoken()).toContain(t('dialerFailed', { name: 'Anna Berg' })));
+});
+
+test('reports recognition errors from the speech page', async () => {
+  silenceErrors();
+  await renderApp();
+  fireEvent.press(screen.getByLabelText('Start listening'));
+  await waitFor(() => expect(page.commands().at(-1)?.type).toBe('start'));
+  act(() => {
+    page.send('ack', { replyTo: page.commands().at(-1).id, ok: true });
+    page.send('started');
+    page.send('error', { error: 'network' });
+    page.send('ended');
+  });
+
+  await waitFor(() => expect(spoken()).toContain(t('speechError', { error: 'network' })));
+  expect(Linking.openURL).not.toHaveBeenCalled();
+  await waitFor(() => expect(screen.getByLabelText('Start listening')).toBeEnabled());
+});
+
+test('reports a start command the page refused', async () => {
+  silenceErrors();
+  await renderApp();
+  fireEvent.press(screen.getByLabelText('Start listening'));
+  await waitFor(() => expect(page.commands().at(-1)?.type).toBe('start'));
+  act(() => page.send('ack', { replyTo: page.commands().at(-1).id, ok: false, error: 'not-allowed' }));
+
+  await waitFor(() => expect(spoken()).toContain(t('speechError', { error: 'not-allowed' })));
+});
+
+test('asks before calling emergency contacts when "help" may not be an emergency', async () => {
+  await saveSettings({ emergencyContacts: [{ contactId: '2', name: 'Bo Ek', label: 'mobile', number: '5559876' }] });
+  const recognizer = createMockRecognizer(['help', 'yes']);
+  await renderApp({ recognizer });
+  fireEvent.press(screen.getByLabelText('Start listening'));
+
+  await waitFor(() => expect(Linking.openURL).toHaveBeenCalledWith('tel:5559876'));
+  expect(spoken()).toContain(t('sosConfirm'));
+});
+
+test('does not call emergency contacts when the user says no help is needed', async () => {
+  await saveSettings({ emergencyContacts: [{ contactId: '2', name: 'Bo Ek', label: 'mobile', number: '5559876' }] });
+  await renderApp({ recognizer: createMockRecognizer(['help', 'no']) });
+  fireEvent.press(screen.getByLabelText('Start listening'));
+
+  await waitFor(() => expect(spoken()).toContain(t('sosConfirmDeclined')));
+  expect(Linking.openURL).not.toHaveBeenCalled();
+});
+
+test('says when a contact is not found', async () => {
+  await renderApp({ recognizer: createMockRecognizer(['call Zebulon']) });
+  fireEvent.press(screen.getByLabelText('Start listening'));
+
+  await waitFor(() => expect(spoken()).toContain(t('contactNotFound', { name: 'Zebulon' })));
+  expect(Linking.openURL).not.toHaveBeenCalled();
+});
+
+test('labels the main screen in the chosen language for screen readers', async () => {
+  await saveSettings({ language: 'sv', confirmBeforeCalling: true });
+  const sv = (key, params) => translate('sv', key, params);
+  render(<App recognizer={createMockRecognizer(['ring Anna'])} />);
+  await waitFor(() => expect(screen.getByLabelText(sv('micStartLabel'))).toBeEnabled());
+  expect(screen.getByLabelText(sv('sosButton'))).toBeTruthy();
+  expect(screen.getByPlaceholderText(sv('commandPlaceholder'))).toBeTruthy();
+
+  fireEvent.press(screen.getByLabelText(sv('micStartLabel')));
+  await waitFor(() => expect(screen.getByLabelText(sv('confirmYesLabel', { name: 'Anna Berg' }))).toBeTruthy());
+  expect(screen.getByText(sv('confirmNoButton'))).toBeTruthy();
+});
@@ -0,0 +1,124 @@
+// Mocks for the native modules App talks to, so tests can script a
+// conversation and inspect what Doro did:
+//   require('expo-speech').speak.mock.calls  - everything Doro said
+//   require('react-native').Linking.openURL   - dialer and SMS links
+//   require('react-native-webview').__webView - the hidden speech page; its
+//     send(type, payload) delivers a bridge message as the page would
+// Permissions default to granted; tests override the mocks per case.
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+jest.mock('@expo/vector-icons', () => {
+  const { Text } = require('react-native');
+  return { Ionicons: ({ name }) => <Text>{name}</Text> };
+});
+
+// Speech finishes on the next tick, like a very fast voice
+jest.mock('expo-speech', () => ({
+  speak: jest.fn((text, options) => setTimeout(() => options?.onDone?.(), 0)),
+  stop: jest.fn(() => Promise.resolve()),
+  getAvailableVoicesAsync: jest.fn(() => Promise.resolve([])),
+}));
+
+const mockGranted = () => jest.fn(() => Promise.resolve({ status: 'granted', granted: true, canAskAgain: true }));
+
+jest.mock('expo-contacts', () => ({
+  getPermissionsAsync: mockGranted(),
+  requestPermissionsAsync: mockGranted(),
+  getContactsAsync: jest.fn(() => Promise.resolve({ data: [] })),
+  Fields: { PhoneNumbers: 'phoneNumbers', Name: 'name' },
+}));
+
+jest.mock('expo-av', () => ({
+  Audio: {
+    getPermissionsAsync: mockGranted(),
+    requestPermissionsAsync: mockGranted(),
+    Sound: {
+      createAsync: jest.fn(() => Promise.resolve({
+        sound: { setOnPlaybackStatusUpdate: jest.fn(), unloadAsync: jest.fn(() => Promise.resolve()) },
+      })),
+    },
+  },
+}));
+
+jest.mock('expo-notifications', () => ({
+  getPermissionsAsync: mockGranted(),
+  requestPermissionsAsync: mockGranted(),
+  setNotificationHandler: jest.fn(),
+  setNotificationChannelAsync: jest.fn(() => Promise.resolve()),
+  setNotificationCategoryAsync: jest.fn(() => Promise.resolve()),
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve('notification-id')),
+  cancelScheduledNotificationAsync: jest.fn(() => Promise.resolve()),
+  addNotificationReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  AndroidImportance: { HIGH: 4 },
+  SchedulableTriggerInputTypes: { DAILY: 'daily', WEEKLY: 'weekly', DATE: 'date' },
+}));
+
+jest.mock('expo-haptics', () => ({
+  impactAsync: jest.fn(() => Promise.resolve()),
+  ImpactFeedbackStyle: { Light: 'light', Heavy: 'heavy' },
+}));
+
+jest.mock('expo-battery', () => ({
+  getBatteryLevelAsync: jest.fn(() => Promise.resolve(0.8)),
+  getBatteryStateAsync: jest.fn(() => Promise.resolve(1)),
+  BatteryState: { UNKNOWN: 0, UNPLUGGED: 1, CHARGING: 2, FULL: 3 },
+}));
+
+jest.mock('expo-localization', () => ({
+  getLocales: () => [{ languageCode: 'en', languageTag: 'en-US' }],
+}));
+
+jest.mock('expo-camera', () => ({
+  CameraView: () => null,
+  useCameraPermissions: () => [{ granted: false }, jest.fn(() => Promise.resolve({ granted: false }))],
+}));
+
+jest.mock('expo-document-picker', () => ({ getDocumentAsync: jest.fn(() => Promise.resolve({ canceled: true })) }));
+
+jest.mock('expo-file-system', () => ({
+  cacheDirectory: 'file:///cache/',
+  writeAsStringAsync: jest.fn(() => Promise.resolve()),
+  readAsStringAsync: jest.fn(() => Promise.resolve('')),
+}));
+
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  shareAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('react-native-qrcode-svg', () => () => null);
+
+// The hidden WebView: records the scripts App injects and lets tests post
+// messages from the speech page
+jest.mock('react-native-webview', () => {
+  const React = require('react');
+  const { BRIDGE_PROTOCOL, BRIDGE_VERSION } = require('./src/speech/webViewBridge');
+  const page = {
+    props: null,
+    injected: [],
+    reloads: 0,
+    // Post a bridge message from the page, e.g. send('result', { transcript: 'call Anna' })
+    send: (type, payload = {}) => page.props.onMessage({
+      nativeEvent: { data: JSON.stringify({ protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, type, ...payload }) },
+    }),
+    // The commands App sent, newest last: [{ type, id, ... }]
+    commands: () => page.injected
+      .map((script) => script.match(/receive\((.*)\); true;$/))
+      .filter(Boolean)
+      .map((match) => JSON.parse(match[1])),
+  };
+  const WebView = React.forwardRef((props, ref) => {
+    page.props = props;
+    React.useImperativeHandle(ref, () => ({
+      injectJavaScript: (script) => page.injected.push(script),
+      reload: () => {
+        page.reloads += 1;
+      },
+    }));
+    return null;
+  });
+  return { WebView, __webView: page };
+});
@@ -0,0 +1,83 @@
+// A stand-in understanding server for trying the HTTP backend
+// (src/intents/understanding.js) without a real model. It answers a few
+// phrasings the keyword parser does not know, and can be made slow or broken
+// to check that Doro falls back to the local parser:
+//
+//   npm run understanding-stub                    # listens on port 8787
+//   PORT=9000 DELAY_MS=3000 npm run understanding-stub
+//   FAIL=1 npm run understanding-stub             # answers every request with HTTP 503
+//
+// Then enter http://<this computer's address>:8787/intent as the
+// understanding server in Doro's developer settings. Every request is
+// printed, so you can see what the phone sends.
+const http = require('http');
+
+// Phrasings the stub understands, tried in order
+const RULES = [
+  { pattern: /(?:get|put) (.+?) on the (?:line|phone)/i, name: 'call', slots: ['target'] },
+  { pattern: /(?:give|ring up) (.+?) a (?:ring|buzz|bell)/i, name: 'call', slots: ['target'] },
+  { pattern: /(?:let|tell) (.+?) know (?:that )?(.+)/i, name: 'send_text', slots: ['recipient', 'body'] },
+  { pattern: /(?:don't|do not) let me forget (.+)/i, name: 'set_reminder', slots: ['details'] },
+  { pattern: /how late is it/i, name: 'ask_time', slots: [] },
+];
+
+const understand = (transcript) => {
+  for (const rule of RULES) {
+    const match = (transcript || '').match(rule.pattern);
+    if (match) {
+      return {
+        name: rule.name,
+        slots: Object.fromEntries(rule.slots.map((slot, index) => [slot, match[index + 1].trim()])),
+        confidence: 0.85,
+      };
+    }
+  }
+  return { name: 'unknown', slots: {}, confidence: 0 };
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => resolve(body));
+  request.on('error', reject);
+});
+
+const reply = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+// `delayMs` holds every answer back; `fail` answers with HTTP 503 instead.
+// `log` receives each request and answer.
+const createStubServer = ({ delayMs = 0, fail = false, log = () => {} } = {}) =>
+  http.createServer(async (request, response) => {
+    if (request.method !== 'POST') {
+      reply(response, 405, { error: 'Use POST' });
+      return;
+    }
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(request));
+    } catch (error) {
+      reply(response, 400, { error: 'Body must be JSON' });
+      return;
+    }
+    const intent = understand(payload.transcript);
+    log(`${payload.language}: "${payload.transcript}" -> ${fail ? 'HTTP 503' : `${intent.name} ${JSON.stringify(intent.slots)}`}`);
+    setTimeout(() => (fail ? reply(response, 503, { error: 'Failing on purpose' }) : reply(response, 200, intent)), delayMs);
+  });
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8787;
+  const server = createStubServer({
+    delayMs: Number(process.env.DELAY_MS) || 0,
+    fail: Boolean(process.env.FAIL),
+    log: (line) => console.log(line),
+  });
+  server.listen(port, () => console.log(`Understanding stub listening on http://0.0.0.0:${port}/intent`));
+}
+
+module.exports = { createStubServer, understand };
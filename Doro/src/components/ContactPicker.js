@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Contacts from 'expo-contacts';
+import { matchContacts } from '../contacts/contactMatcher';
+import { buildPhoneCandidates } from '../dialog/disambiguation';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('ContactPicker');
+
+// Search box that finds contact numbers by (fuzzy) name and reports the one
+// tapped through onSelect({ contactId, name, label, number }). Used by the
+// settings screens.
+const ContactPicker = ({ contactsPermissionGranted, onSelect, placeholder = 'Contact name' }) => {
+  const [query, setQuery] = useState('');
+  const [candidates, setCandidates] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  const searchContacts = async () => {
+    if (!query.trim()) {
+      return;
+    }
+    if (!contactsPermissionGranted) {
+      setError('Contacts permission is needed to choose a contact.');
+      return;
+    }
+    setIsSearching(true);
+    setError('');
+    try {
+      const { data } = await Contacts.getContactsAsync({
+        fields: [Contacts.Fields.PhoneNumbers, Contacts.Fields.Name],
+      });
+      const found = buildPhoneCandidates(matchContacts(query, data).map(({ contact }) => contact));
+      setCandidates(found);
+      if (!found.length) {
+        setError(`No contact with a phone number matches "${query}".`);
+      }
+    } catch (searchError) {
+      log.error('Error fetching contacts', searchError);
+      setError(`Could not search contacts: ${searchError.message}`);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleSelect = (candidate) => {
+    // The parent may refuse the selection (e.g. a missing alias) by returning false
+    if (onSelect(candidate) === false) {
+      return;
+    }
+    setQuery('');
+    setCandidates([]);
+    setError('');
+  };
+
+  return (
+    <View>
+      <View style={styles.searchRow}>
+        <TextInput
+          style={styles.textInput}
+          value={query}
+          onChangeText={setQuery}
+          placeholder={placeholder}
+          placeholderTextColor="#9ca3af"
+          onSubmitEditing={searchContacts}
+        />
+        <TouchableOpacity style={styles.searchButton} onPress={searchContacts} accessibilityLabel="Search contacts">
+          <Ionicons name="search" size={24} color="#fff" />
+        </TouchableOpacity>
+      </View>
+      {isSearching && <ActivityIndicator size="small" color="#6366F1" />}
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+      {candidates.map((candidate) => (
+        <TouchableOpacity key={candidate.id} style={styles.row} onPress={() => handleSelect(candidate)}>
+          <Text style={styles.rowTitle}>{candidate.name} ({candidate.label})</Text>
+          <Text style={styles.rowDetail}>{candidate.number}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  textInput: {
+    flex: 1,
+    height: 50,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    fontSize: 16,
+    color: '#374151', // Gray-700
+    borderWidth: 1,
+    borderColor: '#d1d5db', // Gray-300
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  searchButton: {
+    width: 50,
+    height: 50,
+    borderRadius: 12,
+    backgroundColor: '#6366F1', // Indigo-500
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  row: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+  },
+  rowDetail: {
+    marginTop: 2,
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c', // Red-700
+    marginBottom: 8,
+  },
+});
+
+export default ContactPicker;
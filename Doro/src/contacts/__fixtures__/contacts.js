@@ -0,0 +1,21 @@
+// A small address book in the shape expo-contacts returns, with the kinds of
+// names recognizers stumble over: alternative spellings, shared first names,
+// nicknames, accents and other scripts
+export const FIXTURE_CONTACTS = [
+  { id: '1', name: 'Anna Berg', phoneNumbers: [{ label: 'mobile', number: '+46 70-123 45 67' }] },
+  { id: '2', name: 'Anna Lind', phoneNumbers: [{ label: 'home', number: '08-555 12 34' }] },
+  { id: '3', name: 'Catherine Holm', phoneNumbers: [{ label: 'mobile', number: '070-111 22 33' }] },
+  { id: '4', name: 'Steven Clark', phoneNumbers: [{ label: 'work', number: '(555) 123-4567' }] },
+  { id: '5', name: 'Mum', phoneNumbers: [{ label: 'home', number: '555 2000' }] },
+  { id: '6', name: 'Björn Åström', phoneNumbers: [{ label: 'mobile', number: '073-999 88 77' }] },
+  { id: '7', name: 'Jonathan Eriksson', phoneNumbers: [{ label: 'mobile', number: '076-444 33 22' }] },
+  { id: '8', name: 'Dr. Lindqvist', phoneNumbers: [{ label: 'work', number: '08-123 000' }] },
+  { id: '9', name: 'Grandpa Olle', phoneNumbers: [{ label: 'home', number: '0480-123 45' }] },
+  { id: '11', name: 'Åsa Nyström', phoneNumbers: [{ label: 'mobile', number: '070-222 33 44' }] },
+  { id: '12', name: 'Jürgen Weiß', phoneNumbers: [{ label: 'mobile', number: '+49 151 2345678' }] },
+  { id: '13', name: 'Iñigo Muñoz', phoneNumbers: [{ label: 'mobile', number: '+34 612 345 678' }] },
+  { id: '14', name: 'Søren Ærø', phoneNumbers: [{ label: 'home', number: '+45 33 12 34 56' }] },
+  { id: '15', name: 'Наталья Иванова', phoneNumbers: [{ label: 'mobile', number: '+7 912 345 67 89' }] },
+  { id: '16', name: 'Νίκος Παπαδόπουλος', phoneNumbers: [{ label: 'mobile', number: '+30 691 234 5678' }] },
+  { id: '10', name: '', phoneNumbers: [{ label: 'mobile', number: '070-000 00 00' }] },
+];
@@ -0,0 +1,134 @@
+import { matchContacts, scoreName, phoneticKey, editDistance, normalizeName, MATCH_THRESHOLD } from '../contactMatcher';
+import { FIXTURE_CONTACTS } from '../__fixtures__/contacts';
+
+// Names of the contacts offered for a spoken target, best first
+const matchedNames = (target, options) => matchContacts(target, FIXTURE_CONTACTS, options).map(({ contact }) => contact.name);
+
+describe('matchContacts', () => {
+  test.each([
+    ['Anna Berg', ['Anna Berg']],
+    ['anna berg', ['Anna Berg']],
+    ['Katherine', ['Catherine Holm']],
+    ['Kathryn Holm', ['Catherine Holm']],
+    ['Stephen', ['Steven Clark']],
+    ['Bjorn', ['Björn Åström']],
+    ['Bjorn Astrom', ['Björn Åström']],
+    ['Jon', ['Jonathan Eriksson']],
+    ['Jonatan', ['Jonathan Eriksson']],
+    ['doctor Lindqvist', ['Dr. Lindqvist']],
+  ])('finds "%s" despite the spelling', (target, names) => {
+    expect(matchedNames(target)).toEqual(names);
+  });
+
+  test.each([
+    ['Åsa', ['Åsa Nyström']],
+    ['Asa Nystrom', ['Åsa Nyström']],
+    ['Jürgen', ['Jürgen Weiß']],
+    ['Jurgen Weiss', ['Jürgen Weiß']],
+    ['Iñigo', ['Iñigo Muñoz']],
+    ['Inigo Munoz', ['Iñigo Muñoz']],
+    ['Søren', ['Søren Ærø']],
+    ['Наталья', ['Наталья Иванова']],
+    ['Наталья Иванова', ['Наталья Иванова']],
+    ['Νίκος', ['Νίκος Παπαδόπουλος']],
+  ])('finds the accented or non-Latin name "%s"', (target, names) => {
+    expect(matchedNames(target)).toEqual(names);
+  });
+
+  test('does not treat different non-Latin names as alike', () => {
+    expect(scoreName('Ольга', 'Наталья')).toBeLessThan(MATCH_THRESHOLD);
+  });
+
+  test.each([
+    ['mom', ['Mum']],
+    ['mother', ['Mum']],
+    ['granddad Olle', ['Grandpa Olle']],
+  ])('finds "%s" by its nickname', (target, names) => {
+    expect(matchedNames(target)).toEqual(names);
+  });
+
+  test('understands nicknames passed in by the caller', () => {
+    expect(matchedNames('Buddy')).toEqual([]);
+    expect(matchedNames('Buddy', { variants: { steven: ['buddy'] } })).toEqual(['Steven Clark']);
+  });
+
+  test('offers every near tie so the user can choose', () => {
+    expect(matchedNames('Anna')).toEqual(['Anna Berg', 'Anna Lind']);
+  });
+
+  test('puts a favorite first among near ties without hiding the others', () => {
+    expect(matchedNames('Anna', { preferred: ['2'] })).toEqual(['Anna Lind', 'Anna Berg']);
+  });
+
+  test('a favorite that does not match is still not offered', () => {
+    expect(matchedNames('Anna', { preferred: ['4'] })).not.toContain('Steven Clark');
+  });
+
+  test('drops weaker matches when one is clearly better', () => {
+    expect(matchedNames('Anna Lind')).toEqual(['Anna Lind']);
+  });
+
+  test.each([['Zebulon'], ['the plumber'], [''], [null]])('finds no one for %p', (target) => {
+    expect(matchedNames(target)).toEqual([]);
+  });
+
+  test('honors the threshold and limit', () => {
+    expect(matchedNames('Anna', { limit: 1 })).toEqual(['Anna Berg']);
+    expect(matchedNames('Katherine', { threshold: 1 })).toEqual([]);
+    expect(matchContacts('Anna', null)).toEqual([]);
+  });
+
+  test('returns scores, best first', () => {
+    const [best, second] = matchContacts('Anna', FIXTURE_CONTACTS);
+    expect(best.score).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    expect(best.score).toBeGreaterThanOrEqual(second.score);
+  });
+});
+
+describe('scoreName', () => {
+  test('scores exact names 1 and unrelated names low', () => {
+    expect(scoreName('Anna Berg', 'Anna Berg')).toBe(1);
+    expect(scoreName('Zebulon', 'Anna Berg')).toBeLessThan(MATCH_THRESHOLD);
+    expect(scoreName('', 'Anna Berg')).toBe(0);
+  });
+});
+
+describe('phoneticKey', () => {
+  test.each([
+    ['Catherine', 'Katherine'],
+    ['Stephen', 'Steven'],
+    ['Philip', 'Filip'],
+    ['Knut', 'Nut'],
+  ])('%s sounds like %s', (a, b) => {
+    expect(phoneticKey(a)).toBe(phoneticKey(b));
+  });
+
+  test('tells different names apart', () => {
+    expect(phoneticKey('Anna')).not.toBe(phoneticKey('Berg'));
+    expect(phoneticKey('')).toBe('');
+  });
+});
+
+describe('editDistance', () => {
+  test('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('jon', 'john')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('', 'abc')).toBe(3);
+    expect(editDistance('anna', 'anna')).toBe(0);
+  });
+});
+
+describe('normalizeName', () => {
+  test('lowercases and strips accents and punctuation', () => {
+    expect(normalizeName('  Björn  Åström ')).toBe('bjorn astrom');
+    expect(normalizeName('Dr. Lindqvist')).toBe('dr lindqvist');
+    expect(normalizeName('Jürgen Weiß')).toBe('jurgen weiss');
+    expect(normalizeName('Iñigo Muñoz')).toBe('inigo munoz');
+    expect(normalizeName('Søren Ærø')).toBe('soren aero');
+  });
+
+  test('keeps letters of other scripts', () => {
+    expect(normalizeName('Наталья Иванова')).toBe('наталья иванова');
+    expect(normalizeName('Νίκος')).toBe('νικος');
+  });
+});
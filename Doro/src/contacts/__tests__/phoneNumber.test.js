@@ -0,0 +1,123 @@
+import {
+  parsePhoneNumber,
+  formatPhoneNumber,
+  formatSpokenPhoneNumber,
+  countryCodeLength,
+  MAX_DIGITS,
+} from '../phoneNumber';
+
+describe('parsePhoneNumber', () => {
+  test.each([
+    ['555 1234', '5551234'],
+    ['555-1234', '5551234'],
+    ['(555) 123.4567', '5551234567'],
+    ['five five five one two three four', '5551234'],
+    ['five five five 1234', '5551234'],
+    ['double five five one two three four', '5551234'],
+    ['triple five one two three four', '5551234'],
+    ['five hundred fifty five one two three four', '5551234'],
+    ['five hundred and five twelve thirty four', '5051234'],
+    ['double oh seven five five five one', '0075551'],
+    ['the number 555 1234', '5551234'],
+    ['phone number five five five one two three four', '5551234'],
+  ])('reads English "%s" as %s', (text, number) => {
+    expect(parsePhoneNumber(text)).toEqual({ status: 'ok', number, extension: '', dialString: number });
+  });
+
+  test.each([
+    ['noll sju noll ett två tre fyra fem sex sju', '0701234567'],
+    ['numret noll sju noll ett två tre fyrtiofem sextiosju', '0701234567'],
+    ['null sieben eins zwo drei vier fünf sechs', '07123456'],
+    ['fünf fünf fünf einundzwanzig dreiunddreißig', '5552133'],
+    ['cinco cinco cinco treinta y cinco veinticinco', '5553525'],
+    ['quinientos cincuenta y cinco doce treinta y cuatro', '5551234'],
+  ])('reads "%s" as %s', (text, number) => {
+    expect(parsePhoneNumber(text)).toMatchObject({ status: 'ok', number });
+  });
+
+  test.each([
+    ['+46 70-123 45 67', '+46701234567'],
+    ['plus four six seven oh one two three four five six seven', '+46701234567'],
+    ['+46 (0)70 123 45 67', '+46701234567'],
+    ['+46 070 123 45 67', '+46701234567'],
+    ['0046 70 123 45 67', '+46701234567'],
+    ['+1 555 123 4567', '+15551234567'],
+    ['+39 06 1234 5678', '+390612345678'],
+    ['más tres cuatro seis uno dos tres cuatro cinco seis', '+346123456'],
+  ])('reads the international number "%s" as %s', (text, number) => {
+    expect(parsePhoneNumber(text)).toMatchObject({ status: 'ok', number });
+  });
+
+  test('dials an extension after a pause', () => {
+    expect(parsePhoneNumber('555 1234 extension 12')).toEqual({
+      status: 'ok', number: '5551234', extension: '12', dialString: '5551234,12',
+    });
+    expect(parsePhoneNumber('fem fem fem ett två tre fyra anknytning fyrtiotvå').dialString).toBe('5551234,42');
+  });
+
+  test('dials emergency numbers even though they are short', () => {
+    expect(parsePhoneNumber('112')).toMatchObject({ status: 'ok', number: '112' });
+    expect(parsePhoneNumber('nine one one')).toMatchObject({ status: 'ok', number: '911' });
+    expect(parsePhoneNumber('1177', { shortNumbers: ['1177'] })).toMatchObject({ status: 'ok', number: '1177' });
+    expect(parsePhoneNumber('112', { shortNumbers: [] })).toEqual({ status: 'too_short', digits: '112' });
+    expect(parsePhoneNumber('+46 112')).toEqual({ status: 'too_short', digits: '46112' });
+  });
+
+  test('reports numbers that are too short or too long', () => {
+    expect(parsePhoneNumber('555 12')).toEqual({ status: 'too_short', digits: '55512' });
+    expect(parsePhoneNumber('five five one')).toEqual({ status: 'too_short', digits: '551' });
+    expect(parsePhoneNumber('+46 70 12')).toEqual({ status: 'too_short', digits: '467012' });
+    const digits = '1'.repeat(MAX_DIGITS + 1);
+    expect(parsePhoneNumber(digits)).toEqual({ status: 'too_long', digits });
+  });
+
+  test.each([
+    ['Anna'],
+    ['my daughter'],
+    ['Una'],
+    ['Elf'],
+    ['five and Anna'],
+    ['one two plus three four five six seven'],
+    ['555 1234 extension 1 extension 2'],
+    ['double Anna'],
+    ['the number'],
+    [''],
+    [null],
+  ])('leaves %p to the contact search', (text) => {
+    expect(parsePhoneNumber(text)).toBeNull();
+  });
+});
+
+describe('countryCodeLength', () => {
+  test.each([
+    ['15551234567', 1],
+    ['79161234567', 1],
+    ['46701234567', 2],
+    ['4915112345678', 2],
+    ['35840123456', 3],
+    ['3531234567', 3],
+  ])('%s has a %i-digit country code', (digits, length) => {
+    expect(countryCodeLength(digits)).toBe(length);
+  });
+});
+
+describe('formatPhoneNumber', () => {
+  test('groups national and international numbers for display', () => {
+    expect(formatPhoneNumber('5551234')).toBe('555 1234');
+    expect(formatPhoneNumber('5551234567')).toBe('555 123 4567');
+    expect(formatPhoneNumber('+46701234567')).toBe('+46 701 234 567');
+    expect(formatPhoneNumber('')).toBe('');
+  });
+});
+
+describe('formatSpokenPhoneNumber', () => {
+  test('reads every digit, with a pause between groups', () => {
+    expect(formatSpokenPhoneNumber({ number: '5551234' })).toBe('5 5 5, 1 2 3 4');
+    expect(formatSpokenPhoneNumber({ number: '+46701234567' })).toBe('plus 4 6, 7 0 1, 2 3 4, 5 6 7');
+    expect(formatSpokenPhoneNumber({ number: '5551234', extension: '12' })).toBe('5 5 5, 1 2 3 4, extension 1 2');
+  });
+
+  test('uses the words of the chosen language', () => {
+    expect(formatSpokenPhoneNumber({ number: '5551234', extension: '12' }, 'sv')).toBe('5 5 5, 1 2 3 4, anknytning 1 2');
+  });
+});
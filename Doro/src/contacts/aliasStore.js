@@ -0,0 +1,73 @@
+// Relationship aliases and nicknames ("my daughter", "the doctor", "grandma")
+// mapped to a specific contact and number. Stored in AsyncStorage as an object
+// keyed by the normalized alias:
+//   { daughter: { alias: 'daughter', contactId, name, label, number } }
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Aliases');
+
+const STORAGE_KEY = '@doro/aliases';
+
+// Possessives and articles people put in front of a relationship, in every
+// supported language ("min dotter", "meine Tochter", "mi hija")
+const LEADING_WORDS = /^(?:my|our|the|his|her|your|min|mitt|mina|vår|vårt|mein|meine|meinen|meiner|unser|unsere|die|der|den|das|mi|mis|nuestro|nuestra|el|la)\s+/;
+
+// "My Daughter!" -> "daughter"
+export const normalizeAlias = (alias) => {
+  let text = (alias || '').toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, ' ').replace(/\s+/g, ' ').trim();
+  while (LEADING_WORDS.test(text)) {
+    text = text.replace(LEADING_WORDS, '');
+  }
+  return text;
+};
+
+// Look up a spoken call target in the alias map; returns the entry or null
+export const findAlias = (target, aliases) => aliases[normalizeAlias(target)] || null;
+
+export const loadAliases = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    log.error('Failed to load aliases', error);
+    return {};
+  }
+};
+
+const persist = async (aliases) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(aliases));
+  } catch (error) {
+    log.error('Failed to save aliases', error);
+  }
+  return aliases;
+};
+
+// Map an alias to a phone candidate ({ contactId, name, label, number }).
+// Returns the updated alias map.
+export const saveAlias = async (aliases, alias, candidate) => {
+  const key = normalizeAlias(alias);
+  if (!key) {
+    return aliases;
+  }
+  return persist({
+    ...aliases,
+    [key]: {
+      alias: key,
+      contactId: candidate.contactId,
+      name: candidate.name,
+      label: candidate.label,
+      number: candidate.number,
+    },
+  });
+};
+
+// Swap in a whole alias map, e.g. from a caregiver profile
+export const replaceAliases = async (aliases) => persist(aliases);
+
+export const removeAlias = async (aliases, alias) => {
+  const { [normalizeAlias(alias)]: _removed, ...rest } = aliases;
+  return persist(rest);
+};
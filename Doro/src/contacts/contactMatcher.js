@@ -0,0 +1,174 @@
+// Local contact-name matching. Speech recognition often produces a spelling
+// that differs from the saved contact ("Jon", "Katherine" for "Catherine",
+// "mom" for "Mum"), so instead of relying on the platform name filter we
+// score every contact against the spoken target using edit distance, a
+// phonetic key and name variants.
+
+// Built-in spellings that refer to the same person. Callers can pass their own
+// variants to matchContacts, which are merged with these.
+export const DEFAULT_NAME_VARIANTS = {
+  mom: ['mum', 'mother', 'mommy', 'mummy', 'mama', 'ma'],
+  dad: ['father', 'daddy', 'papa', 'pa'],
+  grandma: ['granny', 'nana', 'nan', 'grandmother', 'gran'],
+  grandpa: ['granddad', 'grandad', 'grandfather', 'gramps'],
+};
+
+// Contacts scoring below this are never offered
+export const MATCH_THRESHOLD = 0.7;
+
+// Contacts within this distance of the best score are offered alongside it
+const NEAR_TIE_MARGIN = 0.1;
+
+// Added to the score of preferred contacts; well inside NEAR_TIE_MARGIN
+const PREFERRED_BOOST = 0.05;
+
+// Letters that are not a base letter plus an accent, so NFD leaves them alone
+const FOLDED_LETTERS = { ß: 'ss', ø: 'o', æ: 'ae', œ: 'oe', ł: 'l', đ: 'd', þ: 'th' };
+
+// Lowercase, strip accents and punctuation. Letters of every script are kept,
+// so "Åsa", "Jürgen" and "Iñigo" become "asa", "jurgen" and "inigo" and
+// Cyrillic or Greek names stay whole.
+export const normalizeName = (text) =>
+  (text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[ßøæœłđþ]/g, (letter) => FOLDED_LETTERS[letter])
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const tokenize = (text) => normalizeName(text).split(' ').filter(Boolean);
+
+// Levenshtein edit distance
+export const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const SOUNDEX_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6',
+};
+
+// Soundex-style phonetic key. Unlike plain Soundex the first letter is encoded
+// too, after a few Metaphone-like rewrites, so "Catherine" and "Katherine"
+// or "Stephen" and "Steven" share a key.
+export const phoneticKey = (word) => {
+  let text = normalizeName(word).replace(/[^a-z]/g, '');
+  if (!text) {
+    return '';
+  }
+  text = text
+    .replace(/^kn/, 'n')
+    .replace(/^wr/, 'r')
+    .replace(/ph/g, 'f')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/ck/g, 'k')
+    .replace(/c/g, 'k')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/dg/g, 'j')
+    .replace(/gh/g, '');
+  const first = text[0];
+  // Vowels all start the key the same way; consonants use their Soundex group
+  let key = 'aeiouy'.includes(first) ? 'A' : SOUNDEX_CODES[first] || first.toUpperCase();
+  let lastCode = SOUNDEX_CODES[first] || '';
+  for (const char of text.slice(1)) {
+    const code = SOUNDEX_CODES[char] || '';
+    if (code && code !== lastCode) {
+      key += code;
+    }
+    // h and w do not separate letters with the same code
+    if (char !== 'h' && char !== 'w') {
+      lastCode = code;
+    }
+  }
+  return key.slice(0, 4).padEnd(4, '0');
+};
+
+// Build a lookup from every spelling to the set of spellings equivalent to it
+const buildVariantLookup = (variants) => {
+  const lookup = {};
+  for (const [canonical, alternatives] of Object.entries(variants)) {
+    const group = [canonical, ...alternatives].map(normalizeName);
+    for (const word of group) {
+      lookup[word] = new Set([...(lookup[word] || []), ...group]);
+    }
+  }
+  return lookup;
+};
+
+// Similarity between one spoken word and one word of a contact name, 0..1
+const wordSimilarity = (spoken, saved, variantLookup) => {
+  if (spoken === saved) return 1;
+  if (variantLookup[spoken]?.has(saved)) return 0.95;
+  const edit = 1 - editDistance(spoken, saved) / Math.max(spoken.length, saved.length);
+  // Only Latin letters have a phonetic key; other scripts rely on the edit distance
+  const sameSound = (a, b) => Boolean(phoneticKey(a)) && phoneticKey(a) === phoneticKey(b);
+  const phonetic = sameSound(spoken, saved) ? 0.9 : 0;
+  // "Kath" for "Katherine", also when the start is only spelled alike
+  const start = saved.slice(0, spoken.length);
+  const prefix = spoken.length >= 3 && (start === spoken || sameSound(start, spoken)) ? 0.75 : 0;
+  return Math.max(edit, phonetic, prefix);
+};
+
+// Score one contact name against the spoken target, 0..1
+export const scoreName = (target, name, variants = DEFAULT_NAME_VARIANTS) => {
+  const variantLookup = buildVariantLookup(variants);
+  const spokenWords = tokenize(target);
+  const savedWords = tokenize(name);
+  if (!spokenWords.length || !savedWords.length) {
+    return 0;
+  }
+  // Every spoken word should match some word of the name
+  const perWord = spokenWords.map((spoken) =>
+    Math.max(...savedWords.map((saved) => wordSimilarity(spoken, saved, variantLookup)))
+  );
+  const wordScore = perWord.reduce((sum, score) => sum + score, 0) / perWord.length;
+  // Also compare the whole strings, which helps with split or merged words
+  const whole = normalizeName(target);
+  const wholeName = normalizeName(name);
+  const wholeScore = 1 - editDistance(whole, wholeName) / Math.max(whole.length, wholeName.length);
+  return Math.round(Math.max(wordScore, wholeScore) * 1000) / 1000;
+};
+
+// Score every contact against the target and return the best candidates,
+// best first: [{ contact, score }]. Contacts close to the best score are kept
+// so the call flow can ask which one was meant. Contacts whose id is in
+// `preferred` (the user's favorites) get a small boost once they pass the
+// threshold, so they come first among similar names without hiding the others.
+export const matchContacts = (target, contacts, {
+  variants = {},
+  threshold = MATCH_THRESHOLD,
+  limit = 5,
+  preferred = [],
+} = {}) => {
+  const allVariants = { ...DEFAULT_NAME_VARIANTS, ...variants };
+  const scored = (contacts || [])
+    .filter((contact) => contact.name)
+    .map((contact) => ({ contact, score: scoreName(target, contact.name, allVariants) }))
+    .filter(({ score }) => score >= threshold)
+    .map(({ contact, score }) => ({ contact, score: preferred.includes(contact.id) ? score + PREFERRED_BOOST : score }))
+    .sort((a, b) => b.score - a.score);
+  if (!scored.length) {
+    return [];
+  }
+  const best = scored[0].score;
+  return scored.filter(({ score }) => best - score <= NEAR_TIE_MARGIN).slice(0, limit);
+};
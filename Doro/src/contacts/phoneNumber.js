@@ -0,0 +1,308 @@
+// Phone numbers dictated instead of a contact name. Recognizers return them
+// as digits ("555 1234", "+46 70-123 45 67"), as words ("five five five one
+// two three four", "double oh seven") or a mix of both, in any of the
+// supported languages:
+//   parsePhoneNumber('five five five one two three four')
+//     -> { status: 'ok', number: '5551234', extension: '', dialString: '5551234' }
+//   parsePhoneNumber('five five one')   -> { status: 'too_short', digits: '551' }
+//   parsePhoneNumber('Anna')            -> null (not a number)
+// Free of React Native imports so it can be unit-tested in plain Node.
+import { translate } from '../i18n/translate';
+
+// National numbers have at least this many digits; shorter ones are only
+// dialed when listed in options.shortNumbers (e.g. the emergency number)
+export const MIN_DIGITS = 7;
+
+// E.164 limit for a full international number, country code included
+export const MAX_DIGITS = 15;
+
+// Common emergency numbers, always short enough to dial
+export const EMERGENCY_NUMBERS = ['112', '911', '999', '000', '110', '119'];
+
+const UNIT_WORDS = {
+  zero: 0, oh: 0, o: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  noll: 0, ett: 1, en: 1, två: 2, tre: 3, fyra: 4, fem: 5, sex: 6, sju: 7, åtta: 8, nio: 9,
+  null: 0, eins: 1, ein: 1, zwei: 2, zwo: 2, drei: 3, vier: 4, fünf: 5, sechs: 6, sieben: 7, acht: 8, neun: 9,
+  cero: 0, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+};
+
+// Teens and tens, read as a pair of digits ("fifty five" -> 55)
+const TENS_WORDS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+  tio: 10, elva: 11, tolv: 12, tretton: 13, fjorton: 14, femton: 15, sexton: 16, sjutton: 17, arton: 18, nitton: 19,
+  tjugo: 20, trettio: 30, fyrtio: 40, femtio: 50, sextio: 60, sjuttio: 70, åttio: 80, nittio: 90,
+  zehn: 10, elf: 11, zwölf: 12, dreizehn: 13, vierzehn: 14, fünfzehn: 15, sechzehn: 16, siebzehn: 17, achtzehn: 18, neunzehn: 19,
+  zwanzig: 20, dreißig: 30, vierzig: 40, fünfzig: 50, sechzig: 60, siebzig: 70, achtzig: 80, neunzig: 90,
+  diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciséis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+  veinte: 20, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90,
+  veinti: 20, // Only as a prefix: "veinticinco"
+};
+
+const HUNDRED_WORDS = ['hundred', 'hundra', 'hundert', 'cien', 'ciento'];
+
+// Spanish names each hundred with its own word
+const HUNDREDS_WORDS = {
+  doscientos: 200, trescientos: 300, cuatrocientos: 400, quinientos: 500,
+  seiscientos: 600, setecientos: 700, ochocientos: 800, novecientos: 900,
+};
+
+// "double five" -> 55, "triple oh" -> 000
+const REPEAT_WORDS = { double: 2, triple: 3, dubbel: 2, dubbla: 2, trippel: 3, doppel: 2, doppelt: 2, doble: 2 };
+
+const PLUS_WORDS = ['plus', 'más', 'mas'];
+
+const EXTENSION_WORDS = ['extension', 'ext', 'x', 'anknytning', 'anknytningen', 'durchwahl', 'apparat', 'extensión'];
+
+// Joining words inside a number: "five hundred and five", "treinta y cinco"
+const CONNECTOR_WORDS = ['and', 'och', 'und', 'y'];
+
+// May come before the digits: "call the number 555...", "ring numret 070..."
+const LEADING_WORDS = ['the', 'phone', 'number', 'numret', 'nummer', 'telefonnummer', 'die', 'el', 'al', 'número', 'numero'];
+
+// Country codes are one digit (1, 7), two digits for the ranges below, and
+// three digits otherwise (ITU-T E.164)
+const TWO_DIGIT_COUNTRY_CODE = /^(?:2[07]|3[0-469]|4[013-9]|5[1-8]|6[0-6]|8[1246]|9[0-58])/;
+
+export const countryCodeLength = (digits) => {
+  if (/^[17]/.test(digits)) {
+    return 1;
+  }
+  return TWO_DIGIT_COUNTRY_CODE.test(digits) ? 2 : 3;
+};
+
+// Value of a compound number word: "sjuttiofem" (75), "veinticinco" (25),
+// "einundzwanzig" (21). Returns null for anything else.
+const compoundValue = (word) => {
+  const german = word.match(/^(\p{L}+)und(\p{L}+)$/u);
+  if (german && UNIT_WORDS[german[1]] > 0 && TENS_WORDS[german[2]] >= 20) {
+    return TENS_WORDS[german[2]] + UNIT_WORDS[german[1]];
+  }
+  for (const [tens, value] of Object.entries(TENS_WORDS)) {
+    const unit = word.startsWith(tens) && value >= 20 ? UNIT_WORDS[word.slice(tens.length)] : undefined;
+    if (unit > 0) {
+      return value + unit;
+    }
+  }
+  return null;
+};
+
+// Turn one spoken word into a piece of a number, or null when it is not part of one
+const toPiece = (word) => {
+  if (/^\d+$/.test(word)) {
+    return { type: 'digits', digits: word };
+  }
+  if (word === '+' || PLUS_WORDS.includes(word)) {
+    return { type: 'plus' };
+  }
+  if (UNIT_WORDS[word] !== undefined) {
+    return { type: 'unit', value: UNIT_WORDS[word] };
+  }
+  if (TENS_WORDS[word] !== undefined && word !== 'veinti') {
+    return { type: 'tens', value: TENS_WORDS[word] };
+  }
+  const compound = compoundValue(word);
+  if (compound !== null) {
+    return { type: 'pair', value: compound };
+  }
+  if (HUNDRED_WORDS.includes(word)) {
+    return { type: 'hundred' };
+  }
+  if (HUNDREDS_WORDS[word]) {
+    return { type: 'hundreds', value: HUNDREDS_WORDS[word] };
+  }
+  if (REPEAT_WORDS[word]) {
+    return { type: 'repeat', count: REPEAT_WORDS[word] };
+  }
+  if (EXTENSION_WORDS.includes(word)) {
+    return { type: 'extension' };
+  }
+  if (CONNECTOR_WORDS.includes(word)) {
+    return { type: 'connector' };
+  }
+  return null;
+};
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+// Read the value 0..99 that may follow "hundred" or a ten, starting at
+// pieces[index]. Returns { value, next } or null.
+const readBelowHundred = (pieces, index) => {
+  let i = index;
+  while (pieces[i]?.type === 'connector') {
+    i++;
+  }
+  const piece = pieces[i];
+  if (piece?.type === 'pair' || piece?.type === 'unit') {
+    return { value: piece.value, next: i + 1 };
+  }
+  if (piece?.type === 'tens') {
+    const unit = piece.value >= 20 ? readUnit(pieces, i + 1) : null;
+    return unit ? { value: piece.value + unit.value, next: unit.next } : { value: piece.value, next: i + 1 };
+  }
+  return null;
+};
+
+// A unit word (1-9) after a ten, possibly joined by "and"/"y": "treinta y cinco"
+const readUnit = (pieces, index) => {
+  let i = index;
+  while (pieces[i]?.type === 'connector') {
+    i++;
+  }
+  return pieces[i]?.type === 'unit' && pieces[i].value > 0 ? { value: pieces[i].value, next: i + 1 } : null;
+};
+
+// Digits for the pieces of a number; null when they cannot form one
+const piecesToDigits = (pieces) => {
+  let digits = '';
+  let i = 0;
+  while (i < pieces.length) {
+    const piece = pieces[i];
+    if (piece.type === 'digits') {
+      digits += piece.digits;
+      i++;
+    } else if (piece.type === 'repeat') {
+      // "double five", "triple 0"
+      const target = pieces[i + 1];
+      const digit = target?.type === 'unit' ? String(target.value) : target?.type === 'digits' && target.digits.length === 1 ? target.digits : null;
+      if (digit === null) {
+        return null;
+      }
+      digits += digit.repeat(piece.count);
+      i += 2;
+    } else if (piece.type === 'unit' && pieces[i + 1]?.type === 'hundred') {
+      // "five hundred (and) five" -> 505
+      const rest = readBelowHundred(pieces, i + 2);
+      digits += `${piece.value}${pad(rest ? rest.value : 0, 2)}`;
+      i = rest ? rest.next : i + 2;
+    } else if (piece.type === 'hundred' || piece.type === 'hundreds') {
+      // "hundred", "cien", "quinientos cincuenta"
+      const rest = readBelowHundred(pieces, i + 1);
+      digits += pad((piece.type === 'hundreds' ? piece.value : 100) + (rest ? rest.value : 0), 3);
+      i = rest ? rest.next : i + 1;
+    } else if (piece.type === 'unit') {
+      digits += String(piece.value);
+      i++;
+    } else if (piece.type === 'tens' || piece.type === 'pair') {
+      const pair = readBelowHundred(pieces, i);
+      digits += pad(pair.value, 2);
+      i = pair.next;
+    } else if (piece.type === 'connector') {
+      i++;
+    } else {
+      return null;
+    }
+  }
+  return digits;
+};
+
+// Parse a dictated phone number. Returns null when the text is not a number
+// at all (so it can be looked up as a contact name), otherwise one of:
+//   { status: 'ok', number, extension, dialString } - number may start with "+";
+//     dialString adds the extension after a pause (",")
+//   { status: 'too_short', digits } / { status: 'too_long', digits }
+// options.shortNumbers lists numbers that are fine below MIN_DIGITS.
+export const parsePhoneNumber = (text, { shortNumbers = EMERGENCY_NUMBERS } = {}) => {
+  const cleaned = (text || '')
+    .toLowerCase()
+    .replace(/\(0\)/g, ' ') // "+46 (0)70": the trunk zero is not dialed from abroad
+    .replace(/\+/g, ' + ')
+    .replace(/[()\-–./,:;!?]/g, ' ')
+    .trim();
+  const words = cleaned.split(/\s+/).filter(Boolean);
+  while (words.length && LEADING_WORDS.includes(words[0])) {
+    words.shift();
+  }
+  if (!words.length) {
+    return null;
+  }
+
+  const pieces = words.map(toPiece);
+  if (pieces.some((piece) => piece === null)) {
+    return null;
+  }
+
+  // A leading plus, then the number, then optionally "extension" and its digits
+  const hasPlus = pieces[0].type === 'plus';
+  const body = hasPlus ? pieces.slice(1) : pieces;
+  const extensionAt = body.findIndex((piece) => piece.type === 'extension');
+  const numberPieces = extensionAt >= 0 ? body.slice(0, extensionAt) : body;
+  const extensionPieces = extensionAt >= 0 ? body.slice(extensionAt + 1) : [];
+  if (numberPieces.some((piece) => piece.type === 'plus' || piece.type === 'extension')
+    || extensionPieces.some((piece) => piece.type === 'plus' || piece.type === 'extension')) {
+    return null;
+  }
+
+  let digits = piecesToDigits(numberPieces);
+  const extension = piecesToDigits(extensionPieces);
+  if (digits === null || extension === null || (!digits && !extension)) {
+    return null;
+  }
+
+  // "00 46..." is the same as "+46..." (but "double oh seven..." is not)
+  let international = hasPlus;
+  if (!international && digits.startsWith('00') && digits.length - 2 > MIN_DIGITS) {
+    international = true;
+    digits = digits.slice(2);
+  }
+  // "+46 070..." - drop the trunk zero after the country code (Italy keeps it)
+  if (international) {
+    const codeLength = countryCodeLength(digits);
+    if (digits[codeLength] === '0' && digits.slice(0, codeLength) !== '39') {
+      digits = digits.slice(0, codeLength) + digits.slice(codeLength + 1);
+    }
+  }
+
+  if (digits.length > MAX_DIGITS) {
+    return { status: 'too_long', digits };
+  }
+  const minDigits = international ? MIN_DIGITS + 1 : MIN_DIGITS;
+  if (digits.length < minDigits && !(shortNumbers.includes(digits) && !international && !extension)) {
+    // One or two number words are more likely a name ("Una", "Elf") than a number
+    const isSpelledOut = !pieces.some((piece) => piece.type === 'digits');
+    return isSpelledOut && digits.length < 3 ? null : { status: 'too_short', digits };
+  }
+  const number = `${international ? '+' : ''}${digits}`;
+  return { status: 'ok', number, extension, dialString: extension ? `${number},${extension}` : number };
+};
+
+// Split national digits into groups for reading: 3s, with up to 4 at the end
+// ("555 1234", "555 123 4567")
+const groupDigits = (digits) => {
+  const groups = [];
+  let rest = digits;
+  while (rest.length > 4) {
+    groups.push(rest.slice(0, 3));
+    rest = rest.slice(3);
+  }
+  if (rest) {
+    groups.push(rest);
+  }
+  return groups;
+};
+
+// Groups of a full number, the country code first: ['+46', '701', '234', '567']
+const numberGroups = (number) => {
+  if (!number.startsWith('+')) {
+    return groupDigits(number);
+  }
+  const digits = number.slice(1);
+  const codeLength = countryCodeLength(digits);
+  return [`+${digits.slice(0, codeLength)}`, ...groupDigits(digits.slice(codeLength))];
+};
+
+// Display form: "+46 701 234 567", "555 1234"
+export const formatPhoneNumber = (number) => numberGroups(number || '').join(' ');
+
+// Read-back form for speech: every digit on its own, a pause between groups,
+// so "5551234" is heard as "5 5 5, 1 2 3 4" rather than "five hundred...".
+export const formatSpokenPhoneNumber = ({ number, extension = '' }, language = 'en') => {
+  const spokenGroup = (group) => group
+    .replace('+', `${translate(language, 'phonePlus')} `)
+    .replace(/\d/g, (digit) => `${digit} `)
+    .trim();
+  const spoken = numberGroups(number).map(spokenGroup).join(', ');
+  return extension
+    ? `${spoken}, ${translate(language, 'phoneExtension')} ${spokenGroup(extension)}`
+    : spoken;
+};
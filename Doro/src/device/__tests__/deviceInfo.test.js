@@ -0,0 +1,66 @@
+import { NativeModules, Platform } from 'react-native';
+import { getRingerMode as readRingerMode } from 'react-native-ringer-mode';
+import { getRingerMode, describeRingerMode, describeBattery, LOW_BATTERY_PERCENT } from '../deviceInfo';
+
+jest.mock('react-native-ringer-mode', () => ({
+  RINGER_MODE: { silent: 0, vibrate: 1, normal: 2 },
+  getRingerMode: jest.fn(),
+}));
+
+describe('getRingerMode', () => {
+  const { OS } = Platform;
+
+  beforeEach(() => {
+    readRingerMode.mockReset();
+    Platform.OS = 'android';
+    NativeModules.RingerMode = {};
+  });
+
+  afterEach(() => {
+    Platform.OS = OS;
+    delete NativeModules.RingerMode;
+  });
+
+  test.each([
+    [0, 'silent'],
+    [1, 'vibrate'],
+    [2, 'normal'],
+  ])('reads Android ringer mode %s as %s', async (mode, name) => {
+    readRingerMode.mockResolvedValue(mode);
+    await expect(getRingerMode()).resolves.toBe(name);
+  });
+
+  test('is unknown on iOS and without the native module', async () => {
+    Platform.OS = 'ios';
+    await expect(getRingerMode()).resolves.toBe('unknown');
+    Platform.OS = 'android';
+    delete NativeModules.RingerMode;
+    await expect(getRingerMode()).resolves.toBe('unknown');
+    expect(readRingerMode).not.toHaveBeenCalled();
+  });
+
+  test('is unknown when the phone cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    readRingerMode.mockRejectedValue(new Error('No audio service'));
+    await expect(getRingerMode()).resolves.toBe('unknown');
+    console.error.mockRestore();
+  });
+});
+
+describe('describeRingerMode', () => {
+  test('answers from the ringer mode, and explains the iPhone limit only on iOS', () => {
+    expect(describeRingerMode('silent', 'android')).toBe('silentModeOn');
+    expect(describeRingerMode('vibrate', 'android')).toBe('silentModeVibrate');
+    expect(describeRingerMode('normal', 'android')).toBe('silentModeOff');
+    expect(describeRingerMode('unknown', 'android')).toBe('silentModeUnknown');
+    expect(describeRingerMode('unknown', 'ios')).toBe('silentModeUnknownIos');
+  });
+});
+
+describe('describeBattery', () => {
+  test('warns when the battery is low', () => {
+    expect(describeBattery({ percent: LOW_BATTERY_PERCENT, state: 'unplugged' }).key).toBe('batteryLow');
+    expect(describeBattery({ percent: 80, state: 'charging' })).toEqual({ key: 'batteryCharging', params: { percent: 80 } });
+    expect(describeBattery({ percent: null, state: 'unknown' }).key).toBe('batteryUnknown');
+  });
+});
@@ -0,0 +1,82 @@
+// Answers to "what time is it", "what day is it", "is my battery low" and
+// "is my phone on silent", read from the phone itself so they work without a
+// network connection.
+import { NativeModules, Platform } from 'react-native';
+import * as Battery from 'expo-battery';
+import { getLocale } from '../i18n/languages';
+import { formatSpokenTime } from '../reminders/reminderParser';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Device');
+
+// Below this many percent Doro suggests plugging in the charger
+export const LOW_BATTERY_PERCENT = 20;
+
+// "2:30 PM" in English, "14:30" elsewhere; the same wording reminders use
+export const describeTime = (date, language = 'en') => formatSpokenTime(date.getHours(), date.getMinutes(), language);
+
+// "Monday, October 19, 2026" in the user's own language
+export const describeDate = (date, language = 'en') =>
+  date.toLocaleDateString(getLocale(language), { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+// Battery level and charging state: { percent, state } where state is
+// 'charging', 'full', 'unplugged' or 'unknown'. percent is null when the
+// phone (or an emulator) does not report a level.
+export const getBatteryStatus = async () => {
+  try {
+    const [level, batteryState] = await Promise.all([Battery.getBatteryLevelAsync(), Battery.getBatteryStateAsync()]);
+    const state = {
+      [Battery.BatteryState.CHARGING]: 'charging',
+      [Battery.BatteryState.FULL]: 'full',
+      [Battery.BatteryState.UNPLUGGED]: 'unplugged',
+    }[batteryState] || 'unknown';
+    return { percent: level >= 0 ? Math.round(level * 100) : null, state };
+  } catch (error) {
+    log.error('Failed to read the battery', error);
+    return { percent: null, state: 'unknown' };
+  }
+};
+
+// Catalog key and parameters for the spoken battery answer
+export const describeBattery = ({ percent, state }) => {
+  if (percent === null) {
+    return { key: 'batteryUnknown', params: {} };
+  }
+  if (state === 'full') {
+    return { key: 'batteryFull', params: { percent } };
+  }
+  if (state === 'charging') {
+    return { key: 'batteryCharging', params: { percent } };
+  }
+  return { key: percent <= LOW_BATTERY_PERCENT ? 'batteryLow' : 'batteryLevel', params: { percent } };
+};
+
+// Android reports the ringer mode (AudioManager.getRingerMode). iOS keeps the
+// silent switch from apps, so there the answer is always 'unknown'. Like the
+// speech library, the module is only loaded when the native side is there
+// (not in Expo Go).
+const loadRingerMode = () =>
+  (Platform.OS === 'android' && NativeModules.RingerMode ? require('react-native-ringer-mode') : null);
+
+// 'silent', 'vibrate', 'normal' or 'unknown'
+export const getRingerMode = async () => {
+  const RingerMode = loadRingerMode();
+  if (!RingerMode) {
+    return 'unknown';
+  }
+  try {
+    const mode = await RingerMode.getRingerMode();
+    return Object.keys(RingerMode.RINGER_MODE).find((name) => RingerMode.RINGER_MODE[name] === mode) || 'unknown';
+  } catch (error) {
+    log.error('Failed to read the ringer mode', error);
+    return 'unknown';
+  }
+};
+
+// Catalog key for the spoken "is my phone on silent" answer
+export const describeRingerMode = (mode, platform = Platform.OS) => {
+  if (mode === 'unknown') {
+    return platform === 'ios' ? 'silentModeUnknownIos' : 'silentModeUnknown';
+  }
+  return { silent: 'silentModeOn', vibrate: 'silentModeVibrate', normal: 'silentModeOff' }[mode];
+};
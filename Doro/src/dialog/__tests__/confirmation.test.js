@@ -0,0 +1,43 @@
+import { parseConfirmation } from '../confirmation';
+
+describe('parseConfirmation', () => {
+  test.each([
+    ['yes'],
+    ['Yes please'],
+    ['that is correct'],
+    ['right'],
+    ['go ahead and call'],
+    ['ja gärna'],
+    ['genau, richtig'],
+    ['sí, de acuerdo'],
+  ])('"%s" is a yes', (answer) => {
+    expect(parseConfirmation(answer)).toBe('yes');
+  });
+
+  test.each([
+    ['no'],
+    ["that's not correct"],
+    ['not right'],
+    ["No, that's wrong"],
+    ["it isn't right"],
+    ["that doesn't sound correct"],
+    ['no, don\'t call'],
+    ['never'],
+    ['det stämmer inte'],
+    ['ej rätt, ring inte'],
+    ['nicht richtig'],
+    ['kein Anruf, richtig?'],
+    ['no es correcto'],
+    ['nunca, claro'],
+  ])('"%s" is a no', (answer) => {
+    expect(parseConfirmation(answer)).toBe('no');
+  });
+
+  test.each([
+    [''],
+    [null],
+    ['what was that'],
+  ])('%p is neither', (answer) => {
+    expect(parseConfirmation(answer)).toBeNull();
+  });
+});
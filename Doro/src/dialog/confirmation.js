@@ -0,0 +1,49 @@
+// Yes/no answers to Doro's confirmation questions ("Call Anna? Say yes or no").
+
+// English first, then Swedish, German and Spanish. All languages are
+// accepted whatever the language setting.
+const NO_PHRASES = [
+  'no', 'nope', 'nah', 'not', "isn't", "that's not", "don't", 'do not', 'cancel', 'stop', 'never mind', 'nevermind', 'wrong', 'not now', 'hang up',
+  'nej', 'inte', 'avbryt', 'fel', 'lägg på',
+  'nein', 'nicht', 'abbrechen', 'falsch', 'auflegen',
+  'cancela', 'cancelar', 'detente', 'incorrecto', 'cuelga',
+];
+const YES_PHRASES = [
+  'yes', 'yeah', 'yep', 'yup', 'sure', 'ok', 'okay', 'correct', 'right', 'go ahead', 'do it', 'please do', 'call', 'dial',
+  'ja', 'japp', 'visst', 'absolut', 'gärna', 'stämmer', 'ring',
+  'jawohl', 'genau', 'richtig', 'gerne', 'mach das', 'anrufen',
+  'sí', 'si', 'vale', 'claro', 'correcto', 'de acuerdo', 'hazlo', 'llama',
+];
+
+// Words that turn a yes into a no: "that's not correct", "inte rätt",
+// "nicht richtig", "no es correcto". English contractions such as "doesn't"
+// are caught by their ending.
+const NEGATIONS = [
+  'not', 'never', 'neither', 'nor',
+  'inte', 'ej', 'icke', 'aldrig',
+  'nicht', 'kein', 'keine', 'nie', 'niemals',
+  'no', 'nunca', 'tampoco', 'ni',
+];
+
+const hasNegation = (text) =>
+  text.split(' ').some((word) => NEGATIONS.includes(word) || word.endsWith("n't"));
+
+const containsPhrase = (text, phrase) =>
+  new RegExp(`(?:^|\\s)${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:\\s|$)`).test(text);
+
+// Returns 'yes', 'no' or null when the answer is neither. Negations win, so
+// "no, don't call" and "that's not right" are a no even though they contain
+// "call" and "right".
+export const parseConfirmation = (answer) => {
+  const text = (answer || '').toLowerCase().replace(/[^\p{L}\s']/gu, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return null;
+  }
+  if (NO_PHRASES.some((phrase) => containsPhrase(text, phrase)) || hasNegation(text)) {
+    return 'no';
+  }
+  if (YES_PHRASES.some((phrase) => containsPhrase(text, phrase))) {
+    return 'yes';
+  }
+  return null;
+};
@@ -0,0 +1,171 @@
+// Helpers for the "which one did you mean?" follow-up when a contact search
+// finds several people or several numbers. A candidate is one dialable
+// number: { id, name, label, number }.
+import { translate } from '../i18n/translate';
+
+// At most this many candidates are read out in one question
+export const MAX_SPOKEN_CANDIDATES = 4;
+
+// Answers are accepted in every supported language, whatever the current
+// setting, since people often slip back into their first language.
+const ORDINALS = {
+  first: 1, '1st': 1, första: 1, erste: 1, ersten: 1, primero: 1, primera: 1,
+  second: 2, '2nd': 2, andra: 2, zweite: 2, zweiten: 2, segundo: 2, segunda: 2,
+  third: 3, '3rd': 3, tredje: 3, dritte: 3, dritten: 3, tercero: 3, tercera: 3,
+  fourth: 4, '4th': 4, fjärde: 4, vierte: 4, vierten: 4, cuarto: 4, cuarta: 4,
+  fifth: 5, '5th': 5, femte: 5, fünfte: 5, fünften: 5, quinto: 5, quinta: 5,
+  sixth: 6, '6th': 6, sjätte: 6, sechste: 6, sechsten: 6, sexto: 6, sexta: 6,
+};
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  ett: 1, en: 1, två: 2, tre: 3, fyra: 4, fem: 5, sex: 6,
+  eins: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, sechs: 6,
+  uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6,
+};
+
+const LAST_WORDS = ['last', 'sista', 'letzte', 'letzten', 'último', 'ultimo', 'última', 'ultima'];
+
+const FILLER_WORDS = ['the', 'number', 'option', 'please', 'den', 'nummer', 'tack', 'die', 'der', 'bitte', 'el', 'la', 'número', 'numero'];
+
+// Spoken words that refer to a phone number label
+const LABEL_SYNONYMS = {
+  mobile: ['mobile', 'cell', 'cellphone', 'iphone', 'handy', 'mobil', 'mobilen', 'mobiltelefon', 'móvil', 'movil', 'celular'],
+  home: ['home', 'house', 'landline', 'hem', 'hemma', 'hemnummer', 'privat', 'zuhause', 'festnetz', 'casa'],
+  work: ['work', 'office', 'business', 'arbete', 'jobbet', 'jobb', 'arbeit', 'büro', 'buro', 'geschäftlich', 'trabajo', 'oficina'],
+  main: ['main', 'huvudnummer', 'hauptnummer', 'principal'],
+  other: ['other', 'annat', 'andere', 'otro'],
+};
+
+const CANCEL_PHRASES = [
+  'cancel', 'never mind', 'nevermind', 'forget it', 'none of them', 'nobody', 'no one', 'stop',
+  'avbryt', 'ingen av dem', 'ingen', 'glöm det',
+  'abbrechen', 'keinen', 'niemanden', 'vergiss es',
+  'cancelar', 'ninguno', 'nadie', 'olvídalo',
+];
+
+const tokenize = (text) => (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, ' ').split(/\s+/).filter(Boolean);
+
+// Map a platform label ("Mobile", "_$!<Home>!$_", "iPhone") onto one of our label keys
+export const normalizeLabel = (label) => {
+  const cleaned = (label || '').toLowerCase().replace(/[^\p{L}]/gu, '');
+  for (const [key, words] of Object.entries(LABEL_SYNONYMS)) {
+    if (words.includes(cleaned)) {
+      return key;
+    }
+  }
+  return cleaned || 'other';
+};
+
+// Flatten contacts from expo-contacts into one candidate per phone number
+export const buildPhoneCandidates = (contacts) => {
+  const candidates = [];
+  for (const contact of contacts || []) {
+    for (const phone of contact.phoneNumbers || []) {
+      if (!phone.number) {
+        continue;
+      }
+      candidates.push({
+        id: `${contact.id}:${phone.id || phone.number}`,
+        contactId: contact.id,
+        name: contact.name,
+        label: normalizeLabel(phone.label),
+        number: phone.number,
+      });
+    }
+  }
+  return candidates;
+};
+
+// Spoken name of a label key; labels we don't know are read as they are
+export const describeLabel = (label, language = 'en') =>
+  LABEL_SYNONYMS[label] ? translate(language, `label_${label}`) : label;
+
+// Spoken description of a single candidate, e.g. "John Smith mobile"
+export const describeCandidate = (candidate, { includeName = true, language = 'en' } = {}) => {
+  const label = describeLabel(candidate.label, language);
+  return includeName ? `${candidate.name} ${label}` : label;
+};
+
+// Build the follow-up question, e.g. "Which one: John Smith mobile, or John Parker home?"
+export const describeCandidates = (candidates, language = 'en') => {
+  const spoken = candidates.slice(0, MAX_SPOKEN_CANDIDATES);
+  // When every number belongs to the same person, only the labels differ
+  const samePerson = spoken.every((candidate) => candidate.contactId === spoken[0].contactId);
+  const descriptions = spoken.map((candidate) => describeCandidate(candidate, { includeName: !samePerson, language }));
+  const list = descriptions.length > 1
+    ? `${descriptions.slice(0, -1).join(', ')}, ${translate(language, 'or')} ${descriptions[descriptions.length - 1]}`
+    : descriptions[0];
+  const intro = samePerson
+    ? translate(language, 'severalNumbers', { name: spoken[0].name })
+    : translate(language, 'foundMatches', { count: candidates.length });
+  const more = candidates.length > spoken.length
+    ? ` ${translate(language, 'moreMatches', { count: candidates.length - spoken.length })}`
+    : '';
+  return `${intro} ${translate(language, 'whichOne', { list })}${more}`;
+};
+
+// Pick a candidate from a spoken or typed answer such as "the second one",
+// "mobile", "John Parker" or "Parker's work". Returns one of:
+//   { type: 'selected', candidate }
+//   { type: 'narrowed', candidates }  - the answer ruled some out but not all
+//   { type: 'cancel' }
+//   { type: 'none' }                  - the answer did not refer to any candidate
+export const resolveChoice = (answer, candidates) => {
+  const text = (answer || '').toLowerCase().trim();
+  const tokens = tokenize(text);
+  if (!tokens.length) {
+    return { type: 'none' };
+  }
+
+  if (CANCEL_PHRASES.some((phrase) => new RegExp(`(^|[^\\p{L}])${phrase}($|[^\\p{L}])`, 'u').test(text))) {
+    return { type: 'cancel' };
+  }
+
+  // Ordinals: "the second one", "last", "number 2", or a bare "two"
+  const ordinalToken = tokens.find((token) => ORDINALS[token]);
+  let position = ordinalToken ? ORDINALS[ordinalToken] : null;
+  if (!position && tokens.some((token) => LAST_WORDS.includes(token))) {
+    position = candidates.length;
+  }
+  if (!position) {
+    const numeric = tokens.find((token) => /^\d+$/.test(token));
+    if (numeric && Number(numeric) <= candidates.length) {
+      position = Number(numeric);
+    }
+  }
+  if (!position) {
+    const meaningful = tokens.filter((token) => !FILLER_WORDS.includes(token));
+    if (meaningful.length === 1 && NUMBER_WORDS[meaningful[0]]) {
+      position = NUMBER_WORDS[meaningful[0]];
+    }
+  }
+  if (position) {
+    return position >= 1 && position <= candidates.length
+      ? { type: 'selected', candidate: candidates[position - 1] }
+      : { type: 'none' };
+  }
+
+  // Names and labels narrow the list down. Candidates sharing the most name
+  // words with the answer win, so "John Parker" beats "John Smith".
+  let remaining = candidates;
+  const nameScore = (candidate) =>
+    tokenize(candidate.name).filter((part) => tokens.includes(part) || tokens.includes(`${part}'s`)).length;
+  const bestNameScore = Math.max(...candidates.map(nameScore));
+  if (bestNameScore > 0) {
+    remaining = candidates.filter((candidate) => nameScore(candidate) === bestNameScore);
+  }
+  const spokenLabels = tokens.map((token) => normalizeLabel(token.replace(/'s$/, '')));
+  const byLabel = remaining.filter((candidate) => spokenLabels.includes(candidate.label));
+  if (byLabel.length) {
+    remaining = byLabel;
+  }
+
+  if (remaining.length === candidates.length) {
+    return { type: 'none' };
+  }
+  if (remaining.length === 1) {
+    return { type: 'selected', candidate: remaining[0] };
+  }
+  return { type: 'narrowed', candidates: remaining };
+};
@@ -0,0 +1,69 @@
+import { detectEmergency, STRONG_CONFIDENCE } from '../sosDetector';
+import { parseIntent } from '../../intents/parser';
+
+describe('detectEmergency', () => {
+  test.each([
+    ['call an ambulance'],
+    ['I fell and I cant get up'],
+    ['emergancy'],
+    ['ambulence please'],
+    ['I think I am having a stroke'],
+    ['chest pain'],
+    ['jag har ramlat'],
+    ['ich bin gestürzt'],
+    ['necesito ayuda'],
+  ])('"%s" is an emergency', (transcript) => {
+    expect(detectEmergency(transcript).confidence).toBe(STRONG_CONFIDENCE);
+  });
+
+  test.each([
+    ['help'],
+    ['elp me'],
+    ['I am dizzy'],
+    ['hjälp'],
+    ['dolor'],
+    ['stroke'],
+    ['stroke the cat'],
+  ])('"%s" might be an emergency', (transcript) => {
+    expect(detectEmergency(transcript).confidence).toBeLessThan(STRONG_CONFIDENCE);
+  });
+
+  test('repeated cries for help weigh more than one', () => {
+    expect(detectEmergency('help help').confidence).toBeGreaterThan(detectEmergency('help').confidence);
+  });
+
+  test.each([
+    ['what color is the sky'],
+    ['call strike'],
+    ['tell me a joke'],
+    ['call Anna'],
+    ['the weather is fine'],
+    ['I fell asleep in my chair'],
+    ['I fell behind on the news'],
+    ['I have fallen in love with this song'],
+    ['that was a stroke of luck'],
+    [''],
+    [null],
+  ])('"%s" is not an emergency', (transcript) => {
+    expect(detectEmergency(transcript)).toBeNull();
+  });
+});
+
+describe('emergencies among other commands', () => {
+  test.each([
+    ['text Anna I fell asleep', 'send_text'],
+    ['send a message to Bo saying I need help with the groceries', 'send_text'],
+    ['remind me to ask the doctor about chest pain at 3', 'set_reminder'],
+    ['påminn mig att fråga om hjärtattack imorgon', 'set_reminder'],
+    ['call strike', 'call'],
+    ['what color is the sky', 'unknown'],
+  ])('"%s" is %s, not sos', (transcript, name) => {
+    expect(parseIntent(transcript, transcript.startsWith('påminn') ? 'sv' : 'en').name).toBe(name);
+  });
+
+  test('an emergency that is not a message still wins', () => {
+    expect(parseIntent('call an ambulance').name).toBe('sos');
+    expect(parseIntent('help me I fell').name).toBe('sos');
+    expect(detectEmergency('I fell asleep and then I fell').confidence).toBe(STRONG_CONFIDENCE);
+  });
+});
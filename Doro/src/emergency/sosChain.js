@@ -0,0 +1,33 @@
+// Steps of the SOS sequence: call each emergency contact in order, then offer
+// the local emergency number once the list is exhausted.
+import { translate } from '../i18n/translate';
+
+// Default emergency number; 112 works across the EU and on most GSM phones
+export const DEFAULT_EMERGENCY_NUMBER = '112';
+
+// Returns the step for position `index` in the chain:
+//   { type: 'contact', index, contact, announcement }
+//   { type: 'emergency_number', number, announcement }
+export const getSosStep = (emergencyContacts, index, emergencyNumber = DEFAULT_EMERGENCY_NUMBER, language = 'en') => {
+  const contacts = emergencyContacts || [];
+  if (index < contacts.length) {
+    const contact = contacts[index];
+    const position = contacts.length > 1
+      ? translate(language, 'sosPositionNth', { position: index + 1 })
+      : translate(language, 'sosPositionOnly');
+    return {
+      type: 'contact',
+      index,
+      contact,
+      announcement: translate(language, 'sosCalling', { name: contact.name, position }),
+    };
+  }
+  const intro = translate(language, contacts.length ? 'sosNoneReached' : 'sosNoContacts');
+  // Digits are read one by one: "one one two"
+  const offer = translate(language, 'sosOfferNumber', { number: emergencyNumber.split('').join(' ') });
+  return {
+    type: 'emergency_number',
+    number: emergencyNumber,
+    announcement: `${intro} ${offer}`,
+  };
+};
@@ -0,0 +1,80 @@
+// Recognizes emergency requests ("help", "I fell", "call an ambulance") even
+// in noisy or partial transcripts such as "elp me" or "emergancy".
+import { editDistance } from '../contacts/contactMatcher';
+
+// Phrases that on their own mean the user needs help now
+const STRONG_PHRASES = [
+  'sos', 'emergency', 'ambulance', 'mayday', 'call for help', 'need help',
+  'i fell', 'i have fallen', 'ive fallen', 'fallen down', 'cant get up', 'cannot get up',
+  'heart attack', 'chest pain', 'cant breathe', 'cannot breathe', 'having a stroke', 'had a stroke',
+  // Swedish
+  'nödläge', 'ambulans', 'behöver hjälp', 'jag har ramlat', 'jag ramlade', 'kan inte resa mig', 'hjärtattack',
+  // German
+  'notfall', 'krankenwagen', 'notarzt', 'brauche hilfe', 'ich bin gestürzt', 'ich bin hingefallen', 'herzinfarkt',
+  // Spanish
+  'emergencia', 'ambulancia', 'socorro', 'necesito ayuda', 'me caí', 'me he caído', 'no puedo levantarme', 'infarto',
+];
+
+// Words that suggest an emergency but also occur in ordinary requests
+// ("can you help me call Anna"), so any other intent outranks them
+// "elp" is "help" with the first sound clipped, which recognizers often do.
+const WEAK_WORDS = [
+  'help', 'elp', 'hurt', 'fell', 'fall', 'pain', 'bleeding', 'dizzy', 'injured', 'stroke',
+  'hjälp', 'ramlat', 'blöder', 'hilfe', 'gestürzt', 'schmerzen', 'ayuda', 'dolor', 'sangrando',
+];
+
+// Everyday phrases built on the emergency words: "I fell asleep in my chair"
+// or "I fell behind on the news" are not a fall. Removed before matching.
+const BENIGN_PHRASES = [
+  'fell asleep', 'fallen asleep', 'fell behind', 'fallen behind', 'fell for', 'fallen for',
+  'fell in love', 'fallen in love', 'fell apart', 'fell through', 'fell silent',
+  'stroke of luck', 'stroke of genius',
+];
+const BENIGN_PATTERN = new RegExp(`(?:^| )(?:${BENIGN_PHRASES.join('|')})(?= |$)`, 'g');
+
+// Lowercase, drop apostrophes ("can't" -> "cant") and punctuation, keeping
+// accented letters for the other languages
+const normalize = (text) =>
+  (text || '').toLowerCase().replace(/['’]/g, '').replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+// Strong matches start the SOS chain at once; anything weaker is asked about first
+export const STRONG_CONFIDENCE = 1;
+
+// Keywords at least this long also match within one edit
+const FUZZY_MIN_LENGTH = 7;
+
+// A spoken word matches a keyword exactly, or within one edit for long
+// keywords, so recognizer slips like "ambulence" still count. Shorter words
+// sit one edit away from everyday ones ("strike" for "stroke", "color" for
+// "dolor", "call" for "fall"), so they must match exactly.
+const wordMatches = (spoken, keyword) =>
+  spoken === keyword ||
+  (keyword.length >= FUZZY_MIN_LENGTH && spoken.length >= FUZZY_MIN_LENGTH - 1 && editDistance(spoken, keyword) <= 1);
+
+const containsPhrase = (words, phrase) => {
+  const phraseWords = phrase.split(' ');
+  for (let start = 0; start + phraseWords.length <= words.length; start++) {
+    if (phraseWords.every((word, offset) => wordMatches(words[start + offset], word))) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Returns { confidence, matched } or null when the transcript is not an emergency
+export const detectEmergency = (transcript) => {
+  const words = normalize(transcript).replace(BENIGN_PATTERN, ' ').split(' ').filter(Boolean);
+  if (!words.length) {
+    return null;
+  }
+  const strong = STRONG_PHRASES.find((phrase) => containsPhrase(words, phrase));
+  if (strong) {
+    return { confidence: STRONG_CONFIDENCE, matched: strong };
+  }
+  const weakMatches = words.filter((word) => WEAK_WORDS.some((keyword) => wordMatches(word, keyword)));
+  if (weakMatches.length) {
+    // "help help" is more urgent than a single "help" inside a longer request
+    return { confidence: weakMatches.length > 1 ? 0.9 : 0.7, matched: weakMatches[0] };
+  }
+  return null;
+};
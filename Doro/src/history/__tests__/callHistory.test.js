@@ -0,0 +1,95 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  loadCallHistory,
+  recordCall,
+  findLastCall,
+  findLastCallTo,
+  parseCallDay,
+  findCalls,
+  describeCalls,
+  MAX_CALL_HISTORY,
+  MAX_SPOKEN_CALLS,
+} from '../callHistory';
+
+const NOW = new Date(2026, 9, 19, 15, 0);
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+
+const call = (name, calledAt) => ({ id: `${calledAt}`, contactId: null, name, label: null, number: '5551234', calledAt });
+
+const HISTORY = [
+  call('Bo Ek', at(17, 9)),
+  call('Anna Berg', at(18, 10, 15)),
+  call('Eva Lind', at(18, 11)),
+  call('Anna Berg', at(19, 14)),
+];
+
+beforeEach(() => AsyncStorage.clear());
+
+describe('recordCall', () => {
+  test('adds calls to the saved history, newest last', async () => {
+    await recordCall({ contactId: '1', name: 'Anna Berg', label: 'mobile', number: '5551234' }, at(19, 9));
+    const history = await recordCall({ name: 'Bo Ek', number: '5559876' }, at(19, 10));
+    expect(history).toEqual([
+      { id: `${at(19, 9)}`, contactId: '1', name: 'Anna Berg', label: 'mobile', number: '5551234', calledAt: at(19, 9) },
+      { id: `${at(19, 10)}`, contactId: null, name: 'Bo Ek', label: null, number: '5559876', calledAt: at(19, 10) },
+    ]);
+    await expect(loadCallHistory()).resolves.toEqual(history);
+  });
+
+  test(`keeps the last ${MAX_CALL_HISTORY} calls`, async () => {
+    await AsyncStorage.setItem('@doro/callHistory', JSON.stringify(Array.from({ length: MAX_CALL_HISTORY }, (_, i) => call('Bo Ek', i))));
+    const history = await recordCall({ name: 'Anna Berg', number: '5551234' }, at(19, 9));
+    expect(history).toHaveLength(MAX_CALL_HISTORY);
+    expect(history[0].calledAt).toBe(1);
+    expect(findLastCall(history).name).toBe('Anna Berg');
+  });
+});
+
+describe('loadCallHistory', () => {
+  test('starts empty and survives damaged storage', async () => {
+    await expect(loadCallHistory()).resolves.toEqual([]);
+    await AsyncStorage.setItem('@doro/callHistory', '{"not": "a list"}');
+    await expect(loadCallHistory()).resolves.toEqual([]);
+  });
+});
+
+describe('finding calls', () => {
+  test('finds the last call, and the last call to someone', () => {
+    expect(findLastCall(HISTORY).calledAt).toBe(at(19, 14));
+    expect(findLastCall([])).toBeNull();
+    expect(findLastCallTo(HISTORY, 'Eva')).toBe(HISTORY[2]);
+    expect(findLastCallTo(HISTORY, 'anna')).toBe(HISTORY[3]);
+    expect(findLastCallTo(HISTORY, 'Zebulon')).toBeNull();
+  });
+
+  test.each([
+    ['who did I call today', 'today'],
+    ['vem ringde jag i går', 'yesterday'],
+    ['wen habe ich gestern angerufen', 'yesterday'],
+    ['a quién llamé hoy', 'today'],
+    ['who did I call', null],
+  ])('"%s" asks about %s', (text, day) => {
+    expect(parseCallDay(text)).toBe(day);
+  });
+
+  test('lists calls by day, newest first', () => {
+    expect(findCalls(HISTORY, 'today', NOW).map((entry) => entry.name)).toEqual(['Anna Berg']);
+    expect(findCalls(HISTORY, 'yesterday', NOW).map((entry) => entry.name)).toEqual(['Eva Lind', 'Anna Berg']);
+    expect(findCalls(HISTORY, null, NOW)).toHaveLength(HISTORY.length);
+    const many = Array.from({ length: 8 }, (_, i) => call('Bo Ek', at(19, 8 + i)));
+    expect(findCalls(many, 'today', NOW)).toHaveLength(MAX_SPOKEN_CALLS);
+  });
+});
+
+describe('describeCalls', () => {
+  test('reads calls as a spoken list', () => {
+    const [bo, anna, eva] = HISTORY;
+    expect(describeCalls([anna])).toBe('Anna Berg at 10:15 AM');
+    expect(describeCalls([anna, eva])).toBe('Anna Berg at 10:15 AM and Eva Lind at 11 AM');
+    expect(describeCalls([bo, anna, eva])).toBe('Bo Ek at 9 AM, Anna Berg at 10:15 AM and Eva Lind at 11 AM');
+  });
+
+  test('uses the chosen language', () => {
+    expect(describeCalls([HISTORY[1], HISTORY[2]], 'sv')).toBe('Anna Berg klockan 10:15 och Eva Lind klockan 11');
+  });
+});
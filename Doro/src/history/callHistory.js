@@ -0,0 +1,93 @@
+// Calls Doro has placed, newest last, so "call the last person", "call Anna
+// again" and "who did I call yesterday" work without the phone's own call
+// log, which apps can't read. Persisted to AsyncStorage.
+// Entry shape:
+//   { id, contactId, name, label, number, calledAt }
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { scoreName, MATCH_THRESHOLD } from '../contacts/contactMatcher';
+import { formatSpokenTime } from '../reminders/reminderParser';
+import { translate } from '../i18n/translate';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Calls');
+
+const STORAGE_KEY = '@doro/callHistory';
+
+// Oldest calls are dropped beyond this many
+export const MAX_CALL_HISTORY = 200;
+
+// How many calls "who did I call" reads out at most
+export const MAX_SPOKEN_CALLS = 5;
+
+// Words for the days "who did I call ..." can ask about, in every language
+const DAY_WORDS = {
+  today: ['today', 'idag', 'i dag', 'heute', 'hoy'],
+  yesterday: ['yesterday', 'igår', 'i går', 'gestern', 'ayer'],
+};
+
+export const loadCallHistory = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    log.error('Failed to load call history', error);
+    return [];
+  }
+};
+
+// Add a placed call ({ contactId, name, label, number }) to the saved
+// history. Reads the saved list first, so calls recorded from callbacks are
+// never lost to a stale copy. Returns the updated history.
+export const recordCall = async (candidate, calledAt = Date.now()) => {
+  const entry = {
+    id: `${calledAt}`,
+    contactId: candidate.contactId || null,
+    name: candidate.name,
+    label: candidate.label || null,
+    number: candidate.number,
+    calledAt,
+  };
+  const history = [...(await loadCallHistory()), entry].slice(-MAX_CALL_HISTORY);
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    log.error('Failed to save call history', error);
+  }
+  return history;
+};
+
+// The most recent call, or null
+export const findLastCall = (history) => history[history.length - 1] || null;
+
+// The most recent call to someone whose name matches the spoken target, or null
+export const findLastCallTo = (history, target) =>
+  [...history].reverse().find((entry) => scoreName(target, entry.name) >= MATCH_THRESHOLD) || null;
+
+// 'today', 'yesterday' or null for the day a question mentions
+export const parseCallDay = (text) => {
+  const lowered = (text || '').toLowerCase();
+  return Object.keys(DAY_WORDS).find((day) => DAY_WORDS[day].some((word) => lowered.includes(word))) || null;
+};
+
+// Calls made on `day` ('today' or 'yesterday'), or the latest ones when day
+// is null; newest first, at most MAX_SPOKEN_CALLS
+export const findCalls = (history, day, now = new Date()) => {
+  const date = new Date(now);
+  if (day === 'yesterday') {
+    date.setDate(date.getDate() - 1);
+  }
+  const calls = day ? history.filter((entry) => new Date(entry.calledAt).toDateString() === date.toDateString()) : history;
+  return [...calls].reverse().slice(0, MAX_SPOKEN_CALLS);
+};
+
+// Spoken list, e.g. "Anna at 10:15 AM, Eva at 11 AM and Bo at 2 PM"
+export const describeCalls = (calls, language = 'en') => {
+  const descriptions = calls.map((entry) => {
+    const date = new Date(entry.calledAt);
+    return translate(language, 'callAt', { name: entry.name, time: formatSpokenTime(date.getHours(), date.getMinutes(), language) });
+  });
+  return descriptions.length > 1
+    ? `${descriptions.slice(0, -1).join(', ')} ${translate(language, 'and')} ${descriptions[descriptions.length - 1]}`
+    : descriptions[0];
+};
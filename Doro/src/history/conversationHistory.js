@@ -0,0 +1,74 @@
+// Conversation history: the list of chat messages shown in the main screen,
+// persisted to AsyncStorage so users can scroll back after an app restart.
+// Message shape:
+//   { id, speaker: 'doro' | 'user', text, timestamp, status }
+// status is 'pending' until Doro has spoken the message, then 'spoken',
+// 'interrupted' (the user cut Doro short) or 'failed'. User messages are 'spoken' when they came from the recognizer and
+// 'typed' when entered in the text box.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('History');
+
+const STORAGE_KEY = '@doro/conversationHistory';
+
+// Oldest messages are dropped beyond this many so storage stays small
+export const MAX_HISTORY_LENGTH = 200;
+
+let messageCounter = 0;
+
+export const createMessage = (speaker, text, status = 'pending') => ({
+  id: `${Date.now()}-${messageCounter++}`,
+  speaker,
+  text,
+  timestamp: Date.now(),
+  status,
+});
+
+export const appendMessage = (messages, message) =>
+  [...messages, message].slice(-MAX_HISTORY_LENGTH);
+
+export const updateMessage = (messages, id, changes) =>
+  messages.map((message) => (message.id === id ? { ...message, ...changes } : message));
+
+// Load the saved history. A missing or unreadable entry yields an empty list.
+export const loadHistory = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(parsed)) {
+      return [];
+    }
+    // A message still pending when the app was closed was never spoken
+    return parsed.map((message) =>
+      message.status === 'pending' ? { ...message, status: 'failed' } : message
+    );
+  } catch (error) {
+    log.error('Failed to load conversation history', error);
+    return [];
+  }
+};
+
+export const saveHistory = async (messages) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(messages.slice(-MAX_HISTORY_LENGTH)));
+  } catch (error) {
+    log.error('Failed to save conversation history', error);
+  }
+};
+
+export const clearHistory = async () => {
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    log.error('Failed to clear conversation history', error);
+  }
+};
+
+// Format a message timestamp for display under its bubble, e.g. "14:05"
+export const formatMessageTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
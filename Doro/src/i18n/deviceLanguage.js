@@ -0,0 +1,13 @@
+import { getLocales } from 'expo-localization';
+import { DEFAULT_LANGUAGE, isSupportedLanguage } from './languages';
+
+// The phone's language if Doro supports it, otherwise English
+export const detectDeviceLanguage = () => {
+  try {
+    const code = getLocales()[0]?.languageCode;
+    return isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+  } catch (error) {
+    console.warn('i18n: Could not read the device language:', error);
+    return DEFAULT_LANGUAGE;
+  }
+};
@@ -0,0 +1,21 @@
+// Languages Doro can listen and speak in. `locale` drives both the speech
+// recognizer and the text-to-speech voice; `names` are the words users say
+// for the language, in any of the supported languages.
+export const LANGUAGES = {
+  en: { name: 'English', locale: 'en-US', names: ['english', 'engelska', 'englisch', 'inglés', 'ingles'] },
+  sv: { name: 'Svenska', locale: 'sv-SE', names: ['swedish', 'svenska', 'schwedisch', 'sueco'] },
+  de: { name: 'Deutsch', locale: 'de-DE', names: ['german', 'tyska', 'deutsch', 'alemán', 'aleman'] },
+  es: { name: 'Español', locale: 'es-ES', names: ['spanish', 'spanska', 'spanisch', 'español', 'espanol'] },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const isSupportedLanguage = (language) => Boolean(LANGUAGES[language]);
+
+export const getLocale = (language) => (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+
+// Find the language a spoken word refers to ("Swedish", "deutsch"); null if none
+export const findLanguageByName = (text) => {
+  const words = (text || '').toLowerCase().split(/[^\p{L}]+/u);
+  return Object.keys(LANGUAGES).find((code) => LANGUAGES[code].names.some((name) => words.includes(name))) || null;
+};
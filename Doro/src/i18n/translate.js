@@ -0,0 +1,23 @@
+// Translated response catalog. translate('sv', 'dialerFailed', { name: 'Anna' })
+// looks the key up in the language's catalog, falls back to English, and
+// fills in {placeholders}. Free of React Native imports so the phrase
+// builders that use it stay testable in plain Node.
+import { DEFAULT_LANGUAGE } from './languages';
+import en from './translations/en';
+import sv from './translations/sv';
+import de from './translations/de';
+import es from './translations/es';
+
+const CATALOGS = { en, sv, de, es };
+
+export const translate = (language, key, params = {}) => {
+  const template = CATALOGS[language]?.[key] ?? CATALOGS[DEFAULT_LANGUAGE][key];
+  if (template === undefined) {
+    console.warn(`i18n: Missing translation key "${key}"`);
+    return key;
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+// Bind translate to one language: const t = translator('de'); t('greeting')
+export const translator = (language) => (key, params) => translate(language, key, params);
@@ -0,0 +1,250 @@
+// German responses
+export default {
+  // Conversation
+  greeting: 'Hallo! Ich bin Doro. Wie kann ich Ihnen heute helfen?',
+  greetingReply: 'Hallo! Wobei kann ich Ihnen helfen?',
+  fallback: 'Ich kann für Sie anrufen und SMS schreiben. Wie kann ich helfen?',
+  intentDisabled: 'Das ist auf diesem Telefon leider ausgeschaltet. Fragen Sie die Person, die Doro eingerichtet hat, wenn Sie es brauchen.',
+  historyCleared: 'Ich habe unseren Gesprächsverlauf gelöscht.',
+  languageChanged: 'In Ordnung, ab jetzt spreche ich Deutsch.',
+
+  // Listening
+  listening: 'Ich höre zu...',
+  startingListening: 'Starte Zuhören...',
+  processing: 'Wird bearbeitet...',
+  speechError: 'Entschuldigung, das habe ich nicht verstanden. Fehler: {error}. Bitte versuchen Sie es noch einmal.',
+  noSpeechApi: 'Spracherkennung ist auf diesem Telefon nicht verfügbar. Sie können Ihre Befehle weiterhin eintippen.',
+  cannotListen: 'Doro kann gerade nicht zuhören.',
+  recognizerNotReady: 'Die Spracherkennung startet noch. Bitte versuchen Sie es gleich noch einmal.',
+  handsFreeBanner: 'Freihändiges Zuhören ist an. Tippen Sie zum Beenden auf das Mikrofon.',
+  handsFreeTimeout: 'Ich habe eine Weile nichts gehört und höre deshalb nicht mehr zu. Tippen Sie auf das Mikrofon, wenn Sie mich brauchen.',
+  handsFreeOff: 'In Ordnung, ich höre nicht mehr zu. Tippen Sie auf das Mikrofon, wenn Sie mich brauchen.',
+  wakeArmedBanner: 'Sagen Sie "{phrase}", wenn Sie mich brauchen.',
+  wakeHeard: 'Ja? Ich höre zu.',
+  wakeWordOn: 'In Ordnung. Sagen Sie einfach "{phrase}", wenn Sie mich brauchen.',
+  wakeWordOff: 'In Ordnung, ich achte nicht mehr auf "{phrase}". Tippen Sie auf das Mikrofon, wenn Sie mich brauchen.',
+  wakeWordFailed: 'Ich konnte nicht weiter auf "{phrase}" achten und habe es deshalb ausgeschaltet. Sie können es in den Spracheinstellungen wieder einschalten.',
+
+  // Conversation
+  nothingToRepeat: 'Ich habe noch nichts gesagt.',
+  youSaid: 'Sie haben gesagt: "{command}".',
+  nothingSaidYet: 'Sie haben noch nichts gesagt.',
+  speechSlowest: 'Langsamer kann ich nicht sprechen.',
+  speechFastest: 'Schneller kann ich nicht sprechen.',
+  speechLoudest: 'Ich spreche schon so laut ich kann. Mit den Lautstärketasten an der Seite des Telefons können Sie lauter stellen.',
+  speechQuietest: 'Leiser kann ich nicht sprechen.',
+
+  // Permission dialogs
+  ok: 'OK',
+  micNotReadyTitle: 'Mikrofon nicht bereit',
+
+  // Main screen buttons and screen reader labels
+  chatYou: 'Sie',
+  choiceHint: 'Wählt diese Nummer aus',
+  confirmYesLabel: 'Ja, {name} anrufen',
+  confirmYesHint: 'Öffnet die Telefon-App',
+  confirmYesButton: 'Ja, anrufen',
+  confirmNoLabel: 'Nein, Anruf abbrechen',
+  confirmNoHint: 'Es wird nicht gewählt',
+  confirmNoButton: 'Nein',
+  answerYes: 'Ja',
+  answerNo: 'Nein',
+  favoriteCallLabel: '{name} anrufen',
+  favoriteCallHint: 'Ruft sofort an',
+  sosStopButton: 'Notrufe beenden',
+  sosStopHint: 'Es werden keine weiteren Notfallkontakte angerufen',
+  sosButton: 'SOS',
+  sosButtonHint: 'Ruft Ihre Notfallkontakte nacheinander an',
+  commandPlaceholder: 'Befehl eingeben oder sprechen...',
+  commandLabel: 'Befehl',
+  commandHint: 'Geben Sie ein, was Doro tun soll, und drücken Sie dann die Eingabetaste',
+  micInterruptLabel: 'Unterbrechen und zuhören',
+  micStopLabel: 'Zuhören beenden',
+  micStartLabel: 'Zuhören starten',
+  micStartHint: 'Sagen Sie dann, was Doro tun soll',
+
+  // Permission onboarding
+  onboardingStep: 'Schritt {step} von {count}',
+  onboardingMicTitle: 'Mikrofon',
+  onboardingMicExplain: 'Doro hört zu, wenn Sie sprechen, zum Beispiel "Anna anrufen". Dafür braucht Doro das Mikrofon. Tippen Sie auf Erlauben.',
+  onboardingContactsTitle: 'Kontakte',
+  onboardingContactsExplain: 'Um Personen mit Namen anzurufen und ihnen zu schreiben, braucht Doro Ihre Kontakte. Sie bleiben auf diesem Telefon. Tippen Sie auf Erlauben.',
+  onboardingNotificationsTitle: 'Erinnerungen',
+  onboardingNotificationsExplain: 'Damit Ihre Erinnerungen auch klingeln, wenn Doro geschlossen ist, braucht Doro Mitteilungen. Tippen Sie auf Erlauben.',
+  onboardingBlocked: 'Das ist in den Telefoneinstellungen ausgeschaltet. Tippen Sie auf Einstellungen öffnen, schalten Sie es ein und kommen Sie dann zu Doro zurück.',
+  onboardingNotAllowed: 'Das wurde nicht erlaubt. Tippen Sie auf Erlauben, um es noch einmal zu versuchen, oder auf Nicht jetzt, um es zu überspringen.',
+  onboardingAllow: 'Erlauben',
+  onboardingOpenSettings: 'Einstellungen öffnen',
+  onboardingSkip: 'Nicht jetzt',
+  onboardingDone: 'Alles bereit. Tippen Sie auf das Mikrofon und sagen Sie mir, was Sie tun möchten.',
+  onboardingDoneWithoutMic: 'Sie können mir vorerst schreiben. Tippen Sie auf das Mikrofon, wenn Sie mit mir sprechen möchten.',
+
+  // Calling
+  callAskTarget: 'Wen soll ich anrufen? Sagen Sie bitte "rufe [Name oder Nummer] an".',
+  callContactsPermission: 'Um mit Namen anzurufen, brauche ich die Kontaktberechtigung. Bitte aktivieren Sie sie in den Einstellungen.',
+  searchingContacts: 'Ich suche {name} in Ihren Kontakten...',
+  contactNotFound: 'Ich habe keinen Kontakt namens {name} gefunden. Versuchen Sie es noch einmal oder sagen Sie die Nummer.',
+  contactNoNumber: 'Ich habe {name} gefunden, aber es gibt keine Telefonnummer.',
+  contactSearchError: 'Beim Durchsuchen der Kontakte ist ein Fehler aufgetreten: {error}.',
+  calling: 'Rufe {name} unter {number} an... (Telefon wird geöffnet. Tippen Sie zum Bestätigen auf Anrufen.)',
+  dialerFailed: 'Ich konnte das Telefon für {name} nicht öffnen.',
+  phonePlus: 'plus',
+  phoneExtension: 'Durchwahl',
+  numberTooShort: 'Ich habe nur {number} verstanden. Das ist zu kurz für eine Telefonnummer. Bitte beginnen Sie noch einmal und sagen Sie die ganze Nummer.',
+  numberTooLong: 'Ich habe {number} gehört. Das ist zu lang für eine Telefonnummer. Bitte beginnen Sie noch einmal und sagen Sie die Nummer.',
+  confirmCall: '{name}{details} anrufen? Sagen Sie ja oder nein.',
+  confirmCallLabel: ' unter der Nummer {label}',
+  confirmRepeat: 'Sagen Sie ja, um {name} anzurufen, oder nein, um abzubrechen.',
+  confirmTimeout: 'Ich habe keine Antwort gehört, deshalb rufe ich nicht an. Sagen Sie den Befehl noch einmal, wenn Sie bereit sind.',
+  callCancelled: 'In Ordnung, ich rufe nicht an.',
+
+  // Choosing between contacts
+  foundMatches: 'Ich habe {count} Treffer gefunden.',
+  severalNumbers: '{name} hat mehrere Nummern.',
+  whichOne: 'Welche: {list}?',
+  moreMatches: 'Es gibt noch {count} weitere.',
+  or: 'oder',
+  and: 'und',
+  whichOneRetry: 'Entschuldigung, ich habe nicht verstanden, welche. {question} Sie können auch abbrechen sagen.',
+  callAnyoneCancelled: 'In Ordnung, ich rufe niemanden an.',
+  label_mobile: 'Handy',
+  label_home: 'privat',
+  label_work: 'Arbeit',
+  label_main: 'Hauptnummer',
+  label_other: 'andere',
+
+  // Aliases
+  aliasSaved: 'In Ordnung, ich merke mir, dass {name} Ihr {alias} ist.',
+  aliasCancelled: 'In Ordnung, ich speichere das nicht.',
+  aliasContactsPermission: 'Um mir {name} zu merken, brauche ich die Kontaktberechtigung. Bitte aktivieren Sie sie in den Einstellungen.',
+  aliasContactNotFound: 'Ich habe keinen Kontakt namens {name} mit Telefonnummer gefunden.',
+
+  // Call history and favorites
+  callAt: '{name} um {time}',
+  callLastNone: 'Ich habe noch niemanden angerufen. Wen möchten Sie anrufen?',
+  callsToday: 'Heute haben Sie {list} angerufen.',
+  callsYesterday: 'Gestern haben Sie {list} angerufen.',
+  callsRecent: 'Ihre letzten Anrufe: {list}.',
+  noCallsToday: 'Sie haben heute noch niemanden angerufen.',
+  noCallsYesterday: 'Sie haben gestern niemanden angerufen.',
+  noCallsRecent: 'Ich habe noch niemanden für Sie angerufen.',
+  favoriteAdded: 'In Ordnung, {name} ist jetzt einer Ihrer Favoriten.',
+  favoriteAlready: '{name} ist schon einer Ihrer Favoriten.',
+  favoritesFull: 'Sie haben schon {count} Favoriten. Entfernen Sie zuerst einen in den Favoriten-Einstellungen.',
+  favoriteCancelled: 'In Ordnung, ich füge keinen Favoriten hinzu.',
+
+  // Phone information
+  timeNow: 'Es ist {time} Uhr.',
+  dateToday: 'Heute ist {date}.',
+  batteryLevel: 'Ihr Akku ist bei {percent} Prozent.',
+  batteryLow: 'Ihr Akku ist bei {percent} Prozent. Das wird knapp, bitte schließen Sie das Ladegerät an.',
+  batteryCharging: 'Ihr Akku ist bei {percent} Prozent und wird geladen.',
+  batteryFull: 'Ihr Akku ist voll.',
+  batteryUnknown: 'Ich kann den Akku auf diesem Telefon nicht auslesen.',
+ 
+  ownNumber: 'Ihre Nummer ist {number}.',
+  ownNumberUnknown: 'Ich kenne die Nummer dieses Telefons noch nicht. Sie kann in den Notfall-Einstellungen eingetragen werden.',
+
+  // Emergency
+  emergencyServices: 'den Notruf',
+  sosCalling: 'Notfall. Ich rufe {name} an, {position}.',
+  sosPositionOnly: 'Ihren Notfallkontakt',
+  sosPositionNth: 'Ihren Notfallkontakt Nummer {position}',
+  sosNoneReached: 'Ich konnte keinen Ihrer Notfallkontakte erreichen.',
+  sosNoContacts: 'Sie haben keine Notfallkontakte eingerichtet.',
+  sosOfferNumber: 'Soll ich den Notruf {number} wählen? Sagen Sie ja oder nein.',
+  sosCheck: 'Haben Sie {name} erreicht? Sagen Sie ja oder nein.',
+  sosReached: 'Gut, ich bin froh, dass Sie {name} erreicht haben.',
+  sosStopped: 'In Ordnung, ich habe die Notrufe beendet.',
+  sosConfirm: 'Brauchen Sie Hilfe? Sagen Sie ja, dann rufe ich Ihre Notfallkontakte an.',
+  sosConfirmDeclined: 'In Ordnung, ich rufe niemanden an. Sagen Sie SOS oder drücken Sie die SOS-Taste, wenn Sie Hilfe brauchen.',
+  sosConfirmTimeout: 'Ich habe keine Antwort gehört, also rufe ich niemanden an. Sagen Sie SOS oder drücken Sie die SOS-Taste, wenn Sie Hilfe brauchen.',
+
+  // Text messages
+  smsAskRecipient: 'Wem möchten Sie eine Nachricht schicken? Sagen Sie bitte "schreibe [Name] [Nachricht]".',
+  smsContactsPermission: 'Um {name} eine Nachricht zu schicken, brauche ich die Kontaktberechtigung. Bitte aktivieren Sie sie in den Einstellungen.',
+  smsAskBody: 'Was soll in der Nachricht an {name} stehen?',
+  smsConfirm: 'Ihre Nachricht an {name} lautet: {body}. Soll ich sie senden? Sagen Sie ja, nein oder Nachricht ändern.',
+  smsConfirmRepeat: 'Sagen Sie ja zum Senden, nein zum Abbrechen, oder Nachricht ändern.',
+  smsOpening: 'Ich öffne Ihre Nachrichten an {name}. Tippen Sie zum Bestätigen auf Senden.',
+  smsOpenFailed: 'Ich konnte die Nachrichten für {name} nicht öffnen.',
+  smsCancelled: 'In Ordnung, ich sende die Nachricht nicht.',
+
+  // Reminders
+  reminderAskDetails: 'Woran soll ich Sie erinnern, und wann? Sagen Sie zum Beispiel "erinnere mich um 8 an meine Tabletten".',
+  reminderAskTime: 'Wann soll ich Sie erinnern: {task}?',
+  reminderTimeNotCaught: 'Entschuldigung, die Uhrzeit habe ich nicht verstanden. Sagen Sie zum Beispiel "um 8".',
+  reminderNoneCreated: 'In Ordnung, keine Erinnerung.',
+  reminderCreated: 'In Ordnung, ich erinnere Sie {schedule}: {task}.',
+  reminderFailed: 'Entschuldigung, ich konnte die Erinnerung nicht einrichten: {error}.',
+  notificationPermissionNeeded: 'Ich brauche die Berechtigung für Mitteilungen, um Sie zu erinnern. Bitte aktivieren Sie sie in den Einstellungen.',
+  noReminders: 'Sie haben keine Erinnerungen.',
+  reminderListOne: 'Sie haben 1 Erinnerung: {list}.',
+  reminderList: 'Sie haben {count} Erinnerungen: {list}.',
+  reminderCancelled: 'Ich habe die Erinnerung gelöscht: {task}.',
+  reminderSeveral: 'Mehrere Erinnerungen passen: {list}. Bitte sagen Sie genauer, welche ich löschen soll.',
+  reminderNotFound: 'Ich habe keine Erinnerung zu {description} gefunden.',
+  reminderAlert: 'Erinnerung: {task}. Sagen Sie "erledigt", wenn Sie es getan haben.',
+  reminderTaken: 'Sehr gut. Ich habe notiert, dass es erledigt ist: {task}.',
+  reminderNotTaken: 'In Ordnung, ich habe notiert, dass es noch nicht erledigt ist.',
+  noReminderWaiting: 'Keine Erinnerung wartet auf eine Antwort.',
+  reminderNotificationTitle: 'Erinnerung von Doro',
+  reminderTookItButton: 'Erledigt',
+  reminderChannelName: 'Erinnerungen',
+  scheduleDaily: 'jeden Tag um {time}',
+  scheduleWeekly: 'jeden {day} um {time}',
+  scheduleToday: 'heute um {time}',
+  scheduleTomorrow: 'morgen um {time}',
+  scheduleDate: 'am {date} um {time}',
+  weekday_1: 'Sonntag',
+  weekday_2: 'Montag',
+  weekday_3: 'Dienstag',
+  weekday_4: 'Mittwoch',
+  weekday_5: 'Donnerstag',
+  weekday_6: 'Freitag',
+  weekday_7: 'Samstag',
+
+  // Caregiver profiles
+  cancel: 'Abbrechen',
+  profileRejectedTitle: 'Profil nicht importiert',
+  profileApplyTitle: 'Dieses Profil übernehmen?',
+  profileApplyMessage: 'Es ändert {summary}. Die bisherige Einrichtung wird ersetzt.',
+  profileApplyButton: 'Übernehmen',
+  profileAppliedTitle: 'Profil übernommen',
+  profileAppliedMessage: 'Doro ist jetzt so eingerichtet, wie im Profil beschrieben.',
+  profileSummaryLanguage: 'Sprache {language}',
+  profileSummaryEmergencyContacts: 'Notfallkontakte: {contacts}',
+  profileSummaryEmergencyContactsReplaced: 'Notfallkontakte werden ERSETZT: {contacts} statt {previous}',
+  profileSummaryNobody: 'niemand',
+  profileErrorDamagedLink: 'Der Profil-Link ist beschädigt. Exportieren Sie ihn erneut.',
+  profileErrorNotJson: 'Das ist kein Doro-Profil: Es ist kein gültiges JSON.',
+  profileErrorNotProfile: 'Das ist kein Doro-Profil.',
+  profileErrorNewerVersion: 'Dieses Profil stammt von einer neueren Doro-Version (Profilversion {version}). Aktualisieren Sie Doro und versuchen Sie es erneut.',
+  profileErrorType: '{at}: muss {type} sein',
+  profileErrorEnum: '{at}: {value} ist keiner der Werte {options}',
+  profileErrorMin: '{at}: muss mindestens {min} sein',
+  profileErrorMax: '{at}: darf höchstens {max} sein',
+  profileErrorEmpty: '{at}: darf nicht leer sein',
+  profileErrorTooLong: '{at}: darf höchstens {max} Zeichen lang sein',
+  profileErrorNumber: '{at}: {value} ist keine gültige Nummer',
+  profileErrorTooMany: '{at}: darf höchstens {max} Einträge haben',
+  profileErrorMissing: '{at}: fehlt',
+  profileErrorUnknown: '{at}: ist keine bekannte Einstellung',
+  profileType_object: 'ein Objekt',
+  profileType_array: 'eine Liste',
+  profileType_string: 'ein Text',
+  profileType_number: 'eine Zahl',
+  profileType_integer: 'eine ganze Zahl',
+  profileType_boolean: 'wahr oder falsch',
+  profileSummaryAliases: '{count} Spitzname(n)',
+  profileSummaryOthers: '{count} weitere Einstellung(en)',
+  profileSummaryNone: 'nichts',
+
+  // Diagnostics export
+  diagnosticsTitle: 'Diagnose senden?',
+  diagnosticsMessage: 'Teilt eine Datei mit den letzten Ereignissen für den Support. Namen und Nummern werden weggelassen.',
+  diagnosticsSend: 'Senden',
+  diagnosticsFailedTitle: 'Diagnose konnte nicht gesendet werden',
+  diagnosticsShareTitle: 'Doro-Diagnose senden',
+  diagnosticsSharingUnavailable: 'Auf diesem Gerät können keine Dateien geteilt werden.',
+};
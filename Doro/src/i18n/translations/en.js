@@ -0,0 +1,251 @@
+// English responses. Every key here must exist; other catalogs fall back to
+// these for keys they lack.
+export default {
+  // Conversation
+  greeting: 'Hello! I am Doro. How can I help you today?',
+  greetingReply: 'Hello there! How can I assist you?',
+  fallback: 'I can help you make calls and send text messages. How can I help?',
+  intentDisabled: 'Sorry, that has been switched off on this phone. Ask the person who set up Doro if you need it.',
+  historyCleared: 'I have cleared our conversation history.',
+  languageChanged: 'Okay, I will speak English from now on.',
+
+  // Listening
+  listening: 'Listening...',
+  startingListening: 'Starting listening...',
+  processing: 'Processing...',
+  speechError: "Sorry, I couldn't understand that. Error: {error}. Please try again.",
+  noSpeechApi: 'Speech recognition is not available on this phone. You can still type your commands.',
+  cannotListen: 'Doro cannot listen right now.',
+  recognizerNotReady: 'Speech recognition is still starting up. Please try again in a moment.',
+  handsFreeBanner: 'Hands-free listening is on. Tap the microphone to stop.',
+  handsFreeTimeout: 'I have not heard anything for a while, so I will stop listening. Tap the microphone when you need me.',
+  handsFreeOff: 'Okay, I will stop listening. Tap the microphone when you need me.',
+  wakeArmedBanner: 'Say "{phrase}" when you need me.',
+  wakeHeard: 'Yes? I am listening.',
+  wakeWordOn: 'Okay. Just say "{phrase}" when you need me.',
+  wakeWordOff: 'Okay, I will no longer listen for "{phrase}". Tap the microphone when you need me.',
+  wakeWordFailed: 'I could not keep listening for "{phrase}", so I have turned it off. You can turn it on again in the voice settings.',
+
+  // Conversation
+  nothingToRepeat: 'I have not said anything yet.',
+  youSaid: 'You said: "{command}".',
+  nothingSaidYet: 'You have not said anything yet.',
+  speechSlowest: 'This is as slowly as I can speak.',
+  speechFastest: 'This is as fast as I can speak.',
+  speechLoudest: 'I am already speaking as loudly as I can. You can turn the phone up with the volume buttons on its side.',
+  speechQuietest: 'This is as quietly as I can speak.',
+
+  // Permission dialogs
+  ok: 'OK',
+  micNotReadyTitle: 'Microphone Not Ready',
+
+  // Main screen buttons and screen reader labels
+  chatYou: 'You',
+  choiceHint: 'Chooses this number',
+  confirmYesLabel: 'Yes, call {name}',
+  confirmYesHint: 'Opens the phone dialer',
+  confirmYesButton: 'Yes, call',
+  confirmNoLabel: 'No, cancel the call',
+  confirmNoHint: 'Nothing is dialed',
+  confirmNoButton: 'No',
+  answerYes: 'Yes',
+  answerNo: 'No',
+  favoriteCallLabel: 'Call {name}',
+  favoriteCallHint: 'Calls straight away',
+  sosStopButton: 'Stop emergency calls',
+  sosStopHint: 'No more emergency contacts are called',
+  sosButton: 'SOS',
+  sosButtonHint: 'Calls your emergency contacts one after another',
+  commandPlaceholder: 'Type your command or speak...',
+  commandLabel: 'Command',
+  commandHint: 'Type what you want Doro to do, then press enter',
+  micInterruptLabel: 'Interrupt and start listening',
+  micStopLabel: 'Stop listening',
+  micStartLabel: 'Start listening',
+  micStartHint: 'Then say what you want Doro to do',
+
+  // Permission onboarding
+  onboardingStep: 'Step {step} of {count}',
+  onboardingMicTitle: 'Microphone',
+  onboardingMicExplain: 'Doro listens when you talk to it, for example "call Anna". To hear you, Doro needs the microphone. Tap Allow.',
+  onboardingContactsTitle: 'Contacts',
+  onboardingContactsExplain: 'To call and text people by their name, Doro needs to see your contacts. They stay on this phone. Tap Allow.',
+  onboardingNotificationsTitle: 'Reminders',
+  onboardingNotificationsExplain: 'So your reminders can ring even when Doro is closed, Doro needs to show notifications. Tap Allow.',
+  onboardingBlocked: "This is switched off in the phone's settings. Tap Open settings, switch it on, then come back to Doro.",
+  onboardingNotAllowed: 'That was not allowed. Tap Allow to try again, or Not now to skip it.',
+  onboardingAllow: 'Allow',
+  onboardingOpenSettings: 'Open settings',
+  onboardingSkip: 'Not now',
+  onboardingDone: 'All set. Tap the microphone and tell me what you would like to do.',
+  onboardingDoneWithoutMic: 'You can type to me for now. Tap the microphone whenever you want to talk to me.',
+
+  // Calling
+  callAskTarget: 'Whom would you like me to call? Please say "call [name or number]".',
+  callContactsPermission: 'To call by name, I need contacts permission. Please enable it in settings.',
+  searchingContacts: 'Searching for {name} in your contacts...',
+  contactNotFound: 'Could not find a contact named {name}. Please try again or say the number.',
+  contactNoNumber: 'Found {name}, but no phone number available.',
+  contactSearchError: 'An error occurred while searching contacts: {error}.',
+  calling: "Calling {name} on {number}... (Opening dialer. Please tap 'Call' to confirm.)",
+  dialerFailed: 'Could not open dialer for {name}.',
+  phonePlus: 'plus',
+  phoneExtension: 'extension',
+  numberTooShort: 'I only caught {number}, which is too short for a phone number. Please start again and say the whole number.',
+  numberTooLong: 'I heard {number}, which is too long for a phone number. Please start again and say the number.',
+  confirmCall: 'Call {name}{details}? Say yes or no.',
+  confirmCallLabel: ' on the {label} number',
+  confirmRepeat: 'Please say yes to call {name}, or no to cancel.',
+  confirmTimeout: "I didn't hear an answer, so I will not call. Say the call command again when you are ready.",
+  callCancelled: 'Okay, I will not call.',
+
+  // Choosing between contacts
+  foundMatches: 'I found {count} matches.',
+  severalNumbers: '{name} has several numbers.',
+  whichOne: 'Which one: {list}?',
+  moreMatches: 'There are {count} more.',
+  or: 'or',
+  and: 'and',
+  whichOneRetry: "Sorry, I didn't catch which one. {question} You can also say cancel.",
+  callAnyoneCancelled: 'Okay, I will not call anyone.',
+  label_mobile: 'mobile',
+  label_home: 'home',
+  label_work: 'work',
+  label_main: 'main',
+  label_other: 'other',
+
+  // Aliases
+  aliasSaved: 'Okay, I will remember that {name} is your {alias}.',
+  aliasCancelled: 'Okay, I will not save that.',
+  aliasContactsPermission: 'To remember {name}, I need contacts permission. Please enable it in settings.',
+  aliasContactNotFound: 'Could not find a contact named {name} with a phone number.',
+
+  // Call history and favorites
+  callAt: '{name} at {time}',
+  callLastNone: "I haven't called anyone yet. Who would you like to call?",
+  callsToday: 'Today you called {list}.',
+  callsYesterday: 'Yesterday you called {list}.',
+  callsRecent: 'Your last calls: {list}.',
+  noCallsToday: "You haven't called anyone today.",
+  noCallsYesterday: "You didn't call anyone yesterday.",
+  noCallsRecent: "I haven't called anyone for you yet.",
+  favoriteAdded: 'Okay, {name} is now one of your favorites.',
+  favoriteAlready: '{name} is already one of your favorites.',
+  favoritesFull: 'You already have {count} favorites. Remove one in the favorites settings first.',
+  favoriteCancelled: 'Okay, I will not add a favorite.',
+
+  // Phone information
+  timeNow: "It's {time}.",
+  dateToday: 'Today is {date}.',
+  batteryLevel: 'Your battery is at {percent} percent.',
+  batteryLow: 'Your battery is at {percent} percent. That is getting low, please plug in the charger.',
+  batteryCharging: 'Your battery is at {percent} percent and charging.',
+  batteryFull: 'Your battery is full.',
+  batteryUnknown: "I can't read the battery on this phone.",
+ 
+  ownNumber: 'Your number is {number}.',
+  ownNumberUnknown: "I don't know this phone's number yet. It can be added in the emergency settings.",
+
+  // Emergency
+  emergencyServices: 'emergency services',
+  sosCalling: 'Emergency. Calling {name}, {position}.',
+  sosPositionOnly: 'your emergency contact',
+  sosPositionNth: 'your emergency contact number {position}',
+  sosNoneReached: 'I could not reach any of your emergency contacts.',
+  sosNoContacts: 'You have no emergency contacts set up.',
+  sosOfferNumber: 'Should I call the emergency number {number}? Say yes or no.',
+  sosCheck: 'Did you reach {name}? Say yes or no.',
+  sosReached: "Good, I'm glad you reached {name}.",
+  sosStopped: 'Okay, I have stopped the emergency calls.',
+  sosConfirm: 'Do you need help? Say yes and I will call your emergency contacts.',
+  sosConfirmDeclined: 'Okay, I will not call anyone. Say SOS or press the SOS button if you need help.',
+  sosConfirmTimeout: 'I did not hear an answer, so I will not call anyone. Say SOS or press the SOS button if you need help.',
+
+  // Text messages
+  smsAskRecipient: 'Whom would you like to send a message to? Please say "text [name] [message]".',
+  smsContactsPermission: 'To send a message to {name}, I need contacts permission. Please enable it in settings.',
+  smsAskBody: 'What should the message to {name} say?',
+  smsConfirm: 'Your message to {name} says: {body}. Should I send it? Say yes, no, or change the message.',
+  smsConfirmRepeat: 'Please say yes to send it, no to cancel, or change the message.',
+  smsOpening: 'Opening your messages to {name}. Please tap Send to confirm.',
+  smsOpenFailed: 'Could not open messages for {name}.',
+  smsCancelled: 'Okay, I will not send the message.',
+
+  // Reminders
+  reminderAskDetails: 'What should I remind you about, and when? For example, say "remind me to take my pills at 8 every morning".',
+  reminderAskTime: 'When should I remind you to {task}?',
+  reminderTimeNotCaught: 'Sorry, I did not catch the time. Please say a time such as "at 8 every morning".',
+  reminderNoneCreated: 'Okay, no reminder.',
+  reminderCreated: 'Okay, I will remind you to {task} {schedule}.',
+  reminderFailed: 'Sorry, I could not set that reminder: {error}.',
+  notificationPermissionNeeded: 'I need notification permission to remind you. Please enable it in settings.',
+  noReminders: 'You have no reminders.',
+  reminderListOne: 'You have 1 reminder: {list}.',
+  reminderList: 'You have {count} reminders: {list}.',
+  reminderCancelled: 'I have cancelled the reminder to {task}.',
+  reminderSeveral: 'Several reminders match: {list}. Please tell me more precisely which one to cancel.',
+  reminderNotFound: 'I could not find a reminder about {description}.',
+  reminderAlert: 'Reminder: {task}. Say "I took it" when you have done it.',
+  reminderTaken: 'Well done. I have noted that you did it: {task}.',
+  reminderNotTaken: 'Okay, I have noted that it is not done yet.',
+  noReminderWaiting: 'There is no reminder waiting for an answer.',
+  reminderNotificationTitle: 'Doro reminder',
+  reminderTookItButton: 'I took it',
+  reminderChannelName: 'Reminders',
+  scheduleDaily: 'every day at {time}',
+  scheduleWeekly: 'every {day} at {time}',
+  scheduleToday: 'today at {time}',
+  scheduleTomorrow: 'tomorrow at {time}',
+  scheduleDate: 'on {date} at {time}',
+  weekday_1: 'Sunday',
+  weekday_2: 'Monday',
+  weekday_3: 'Tuesday',
+  weekday_4: 'Wednesday',
+  weekday_5: 'Thursday',
+  weekday_6: 'Friday',
+  weekday_7: 'Saturday',
+
+  // Caregiver profiles
+  cancel: 'Cancel',
+  profileRejectedTitle: 'Profile not imported',
+  profileApplyTitle: 'Apply this profile?',
+  profileApplyMessage: 'It changes {summary}. The current setup is replaced.',
+  profileApplyButton: 'Apply',
+  profileAppliedTitle: 'Profile applied',
+  profileAppliedMessage: 'Doro is now set up as described in the profile.',
+  profileSummaryLanguage: 'language {language}',
+  profileSummaryEmergencyContacts: 'emergency contacts: {contacts}',
+  profileSummaryEmergencyContactsReplaced: 'emergency contacts REPLACED: {contacts} instead of {previous}',
+  profileSummaryNobody: 'nobody',
+  profileErrorDamagedLink: 'The profile link is damaged. Export it again.',
+  profileErrorNotJson: 'This is not a Doro profile: it is not valid JSON.',
+  profileErrorNotProfile: 'This is not a Doro profile.',
+  profileErrorNewerVersion: 'This profile was made by a newer version of Doro (profile version {version}). Update Doro and try again.',
+  profileErrorType: '{at}: must be {type}',
+  profileErrorEnum: '{at}: {value} is not one of {options}',
+  profileErrorMin: '{at}: must be at least {min}',
+  profileErrorMax: '{at}: must be at most {max}',
+  profileErrorEmpty: '{at}: must not be empty',
+  profileErrorTooLong: '{at}: must be at most {max} characters',
+  profileErrorNumber: '{at}: {value} is not a valid number',
+  profileErrorTooMany: '{at}: must have at most {max} entries',
+  profileErrorMissing: '{at}: is missing',
+  profileErrorUnknown: '{at}: is not a known setting',
+  profileType_object: 'an object',
+  profileType_array: 'a list',
+  profileType_string: 'a string',
+  profileType_number: 'a number',
+  profileType_integer: 'a whole number',
+  profileType_boolean: 'true or false',
+  profileSummaryAliases: '{count} alias(es)',
+  profileSummaryOthers: '{count} other setting(s)',
+  profileSummaryNone: 'no changes',
+
+  // Diagnostics export
+  diagnosticsTitle: 'Send diagnostics?',
+  diagnosticsMessage: 'Shares a file with recent events for support. Names and numbers are left out.',
+  diagnosticsSend: 'Send',
+  diagnosticsFailedTitle: 'Could not send diagnostics',
+  diagnosticsShareTitle: 'Send Doro diagnostics',
+  diagnosticsSharingUnavailable: 'Sharing files is not available on this device.',
+};
@@ -0,0 +1,250 @@
+// Spanish responses
+export default {
+  // Conversation
+  greeting: '¡Hola! Soy Doro. ¿En qué puedo ayudarle hoy?',
+  greetingReply: '¡Hola! ¿En qué le puedo ayudar?',
+  fallback: 'Puedo ayudarle a hacer llamadas y enviar mensajes. ¿En qué le ayudo?',
+  intentDisabled: 'Lo siento, eso está desactivado en este teléfono. Pregunte a la persona que configuró Doro si lo necesita.',
+  historyCleared: 'He borrado nuestro historial de conversación.',
+  languageChanged: 'De acuerdo, a partir de ahora hablaré en español.',
+
+  // Listening
+  listening: 'Escuchando...',
+  startingListening: 'Empezando a escuchar...',
+  processing: 'Procesando...',
+  speechError: 'Lo siento, no lo he entendido. Error: {error}. Inténtelo de nuevo.',
+  noSpeechApi: 'El reconocimiento de voz no está disponible en este teléfono. Puede seguir escribiendo sus órdenes.',
+  cannotListen: 'Doro no puede escuchar ahora mismo.',
+  recognizerNotReady: 'El reconocimiento de voz todavía se está iniciando. Inténtelo de nuevo en un momento.',
+  handsFreeBanner: 'La escucha manos libres está activada. Pulse el micrófono para detenerla.',
+  handsFreeTimeout: 'Hace un rato que no oigo nada, así que dejaré de escuchar. Pulse el micrófono cuando me necesite.',
+  handsFreeOff: 'De acuerdo, dejaré de escuchar. Pulse el micrófono cuando me necesite.',
+  wakeArmedBanner: 'Diga "{phrase}" cuando me necesite.',
+  wakeHeard: '¿Sí? Le escucho.',
+  wakeWordOn: 'De acuerdo. Diga "{phrase}" cuando me necesite.',
+  wakeWordOff: 'De acuerdo, ya no esperaré a que diga "{phrase}". Pulse el micrófono cuando me necesite.',
+  wakeWordFailed: 'No pude seguir esperando a que diga "{phrase}", así que lo he desactivado. Puede volver a activarlo en los ajustes de voz.',
+
+  // Conversation
+  nothingToRepeat: 'Todavía no he dicho nada.',
+  youSaid: 'Usted dijo: "{command}".',
+  nothingSaidYet: 'Todavía no ha dicho nada.',
+  speechSlowest: 'No puedo hablar más despacio.',
+  speechFastest: 'No puedo hablar más rápido.',
+  speechLoudest: 'Ya estoy hablando lo más alto que puedo. Puede subir el volumen con los botones del lateral del teléfono.',
+  speechQuietest: 'No puedo hablar más bajo.',
+
+  // Permission dialogs
+  ok: 'Aceptar',
+  micNotReadyTitle: 'Micrófono no disponible',
+
+  // Main screen buttons and screen reader labels
+  chatYou: 'Usted',
+  choiceHint: 'Elige este número',
+  confirmYesLabel: 'Sí, llamar a {name}',
+  confirmYesHint: 'Abre el marcador del teléfono',
+  confirmYesButton: 'Sí, llamar',
+  confirmNoLabel: 'No, cancelar la llamada',
+  confirmNoHint: 'No se marca nada',
+  confirmNoButton: 'No',
+  answerYes: 'Sí',
+  answerNo: 'No',
+  favoriteCallLabel: 'Llamar a {name}',
+  favoriteCallHint: 'Llama enseguida',
+  sosStopButton: 'Detener llamadas de emergencia',
+  sosStopHint: 'No se llama a más contactos de emergencia',
+  sosButton: 'SOS',
+  sosButtonHint: 'Llama a sus contactos de emergencia uno tras otro',
+  commandPlaceholder: 'Escriba una orden o hable...',
+  commandLabel: 'Orden',
+  commandHint: 'Escriba lo que quiere que haga Doro y pulse intro',
+  micInterruptLabel: 'Interrumpir y escuchar',
+  micStopLabel: 'Dejar de escuchar',
+  micStartLabel: 'Empezar a escuchar',
+  micStartHint: 'Después diga lo que quiere que haga Doro',
+
+  // Permission onboarding
+  onboardingStep: 'Paso {step} de {count}',
+  onboardingMicTitle: 'Micrófono',
+  onboardingMicExplain: 'Doro le escucha cuando habla, por ejemplo "llama a Ana". Para oírle, Doro necesita el micrófono. Toque Permitir.',
+  onboardingContactsTitle: 'Contactos',
+  onboardingContactsExplain: 'Para llamar y enviar mensajes a personas por su nombre, Doro necesita ver sus contactos. Se quedan en este teléfono. Toque Permitir.',
+  onboardingNotificationsTitle: 'Recordatorios',
+  onboardingNotificationsExplain: 'Para que sus recordatorios suenen aunque Doro esté cerrado, Doro necesita mostrar notificaciones. Toque Permitir.',
+  onboardingBlocked: 'Está desactivado en los ajustes del teléfono. Toque Abrir ajustes, actívelo y vuelva a Doro.',
+  onboardingNotAllowed: 'No se permitió. Toque Permitir para intentarlo de nuevo, o Ahora no para saltarlo.',
+  onboardingAllow: 'Permitir',
+  onboardingOpenSettings: 'Abrir ajustes',
+  onboardingSkip: 'Ahora no',
+  onboardingDone: 'Todo listo. Toque el micrófono y dígame qué quiere hacer.',
+  onboardingDoneWithoutMic: 'De momento puede escribirme. Toque el micrófono cuando quiera hablar conmigo.',
+
+  // Calling
+  callAskTarget: '¿A quién quiere que llame? Diga "llama a [nombre o número]".',
+  callContactsPermission: 'Para llamar por nombre necesito permiso de contactos. Actívelo en los ajustes.',
+  searchingContacts: 'Buscando a {name} en sus contactos...',
+  contactNotFound: 'No encontré ningún contacto llamado {name}. Inténtelo de nuevo o diga el número.',
+  contactNoNumber: 'Encontré a {name}, pero no tiene número de teléfono.',
+  contactSearchError: 'Se produjo un error al buscar en los contactos: {error}.',
+  calling: 'Llamando a {name} al {number}... (Abriendo el teléfono. Pulse Llamar para confirmar.)',
+  dialerFailed: 'No pude abrir el teléfono para {name}.',
+  phonePlus: 'más',
+  phoneExtension: 'extensión',
+  numberTooShort: 'Solo he entendido {number}, que es demasiado corto para un número de teléfono. Por favor, empiece de nuevo y diga el número completo.',
+  numberTooLong: 'He oído {number}, que es demasiado largo para un número de teléfono. Por favor, empiece de nuevo y diga el número.',
+  confirmCall: '¿Llamo a {name}{details}? Diga sí o no.',
+  confirmCallLabel: ' al número de {label}',
+  confirmRepeat: 'Diga sí para llamar a {name}, o no para cancelar.',
+  confirmTimeout: 'No oí ninguna respuesta, así que no llamaré. Repita la orden cuando esté listo.',
+  callCancelled: 'De acuerdo, no llamaré.',
+
+  // Choosing between contacts
+  foundMatches: 'Encontré {count} coincidencias.',
+  severalNumbers: '{name} tiene varios números.',
+  whichOne: '¿Cuál: {list}?',
+  moreMatches: 'Hay {count} más.',
+  or: 'o',
+  and: 'y',
+  whichOneRetry: 'Lo siento, no entendí cuál. {question} También puede decir cancelar.',
+  callAnyoneCancelled: 'De acuerdo, no llamaré a nadie.',
+  label_mobile: 'móvil',
+  label_home: 'casa',
+  label_work: 'trabajo',
+  label_main: 'principal',
+  label_other: 'otro',
+
+  // Aliases
+  aliasSaved: 'De acuerdo, recordaré que {name} es su {alias}.',
+  aliasCancelled: 'De acuerdo, no lo guardaré.',
+  aliasContactsPermission: 'Para recordar a {name} necesito permiso de contactos. Actívelo en los ajustes.',
+  aliasContactNotFound: 'No encontré ningún contacto llamado {name} con número de teléfono.',
+
+  // Call history and favorites
+  callAt: '{name} a las {time}',
+  callLastNone: 'Todavía no he llamado a nadie. ¿A quién quiere llamar?',
+  callsToday: 'Hoy llamó a {list}.',
+  callsYesterday: 'Ayer llamó a {list}.',
+  callsRecent: 'Sus últimas llamadas: {list}.',
+  noCallsToday: 'Hoy no ha llamado a nadie.',
+  noCallsYesterday: 'Ayer no llamó a nadie.',
+  noCallsRecent: 'Todavía no he llamado a nadie por usted.',
+  favoriteAdded: 'De acuerdo, {name} ahora es uno de sus favoritos.',
+  favoriteAlready: '{name} ya es uno de sus favoritos.',
+  favoritesFull: 'Ya tiene {count} favoritos. Quite uno en los ajustes de favoritos primero.',
+  favoriteCancelled: 'De acuerdo, no añadiré ningún favorito.',
+
+  // Phone information
+  timeNow: 'Son las {time}.',
+  dateToday: 'Hoy es {date}.',
+  batteryLevel: 'Su batería está al {percent} por ciento.',
+  batteryLow: 'Su batería está al {percent} por ciento. Se está agotando, por favor conecte el cargador.',
+  batteryCharging: 'Su batería está al {percent} por ciento y cargando.',
+  batteryFull: 'Su batería está llena.',
+  batteryUnknown: 'No puedo leer la batería de este teléfono.',
+ 
+  ownNumber: 'Su número es {number}.',
+  ownNumberUnknown: 'Todavía no sé el número de este teléfono. Se puede añadir en los ajustes de emergencia.',
+
+  // Emergency
+  emergencyServices: 'los servicios de emergencia',
+  sosCalling: 'Emergencia. Llamando a {name}, {position}.',
+  sosPositionOnly: 'su contacto de emergencia',
+  sosPositionNth: 'su contacto de emergencia número {position}',
+  sosNoneReached: 'No pude contactar con ninguno de sus contactos de emergencia.',
+  sosNoContacts: 'No tiene contactos de emergencia configurados.',
+  sosOfferNumber: '¿Llamo al número de emergencias {number}? Diga sí o no.',
+  sosCheck: '¿Pudo hablar con {name}? Diga sí o no.',
+  sosReached: 'Bien, me alegro de que haya hablado con {name}.',
+  sosStopped: 'De acuerdo, he detenido las llamadas de emergencia.',
+  sosConfirm: '¿Necesita ayuda? Diga sí y llamaré a sus contactos de emergencia.',
+  sosConfirmDeclined: 'De acuerdo, no llamaré a nadie. Diga SOS o pulse el botón SOS si necesita ayuda.',
+  sosConfirmTimeout: 'No he oído ninguna respuesta, así que no llamaré a nadie. Diga SOS o pulse el botón SOS si necesita ayuda.',
+
+  // Text messages
+  smsAskRecipient: '¿A quién quiere enviar un mensaje? Diga "envía un mensaje a [nombre] [mensaje]".',
+  smsContactsPermission: 'Para enviar un mensaje a {name} necesito permiso de contactos. Actívelo en los ajustes.',
+  smsAskBody: '¿Qué debe decir el mensaje para {name}?',
+  smsConfirm: 'Su mensaje para {name} dice: {body}. ¿Lo envío? Diga sí, no o cambiar el mensaje.',
+  smsConfirmRepeat: 'Diga sí para enviarlo, no para cancelar, o cambiar el mensaje.',
+  smsOpening: 'Abriendo sus mensajes para {name}. Pulse Enviar para confirmar.',
+  smsOpenFailed: 'No pude abrir los mensajes para {name}.',
+  smsCancelled: 'De acuerdo, no enviaré el mensaje.',
+
+  // Reminders
+  reminderAskDetails: '¿Qué quiere que le recuerde, y cuándo? Por ejemplo, diga "recuérdame tomar las pastillas a las 8".',
+  reminderAskTime: '¿Cuándo le recuerdo {task}?',
+  reminderTimeNotCaught: 'Lo siento, no entendí la hora. Diga una hora, por ejemplo "a las 8".',
+  reminderNoneCreated: 'De acuerdo, sin recordatorio.',
+  reminderCreated: 'De acuerdo, le recordaré {task} {schedule}.',
+  reminderFailed: 'Lo siento, no pude crear el recordatorio: {error}.',
+  notificationPermissionNeeded: 'Necesito permiso de notificaciones para recordárselo. Actívelo en los ajustes.',
+  noReminders: 'No tiene recordatorios.',
+  reminderListOne: 'Tiene 1 recordatorio: {list}.',
+  reminderList: 'Tiene {count} recordatorios: {list}.',
+  reminderCancelled: 'He cancelado el recordatorio: {task}.',
+  reminderSeveral: 'Varios recordatorios coinciden: {list}. Dígame con más precisión cuál cancelar.',
+  reminderNotFound: 'No encontré ningún recordatorio sobre {description}.',
+  reminderAlert: 'Recordatorio: {task}. Diga "ya lo tomé" cuando lo haya hecho.',
+  reminderTaken: 'Muy bien. He anotado que lo ha hecho: {task}.',
+  reminderNotTaken: 'De acuerdo, he anotado que todavía no está hecho.',
+  noReminderWaiting: 'No hay ningún recordatorio esperando respuesta.',
+  reminderNotificationTitle: 'Recordatorio de Doro',
+  reminderTookItButton: 'Ya lo tomé',
+  reminderChannelName: 'Recordatorios',
+  scheduleDaily: 'todos los días a las {time}',
+  scheduleWeekly: 'cada {day} a las {time}',
+  scheduleToday: 'hoy a las {time}',
+  scheduleTomorrow: 'mañana a las {time}',
+  scheduleDate: 'el {date} a las {time}',
+  weekday_1: 'domingo',
+  weekday_2: 'lunes',
+  weekday_3: 'martes',
+  weekday_4: 'miércoles',
+  weekday_5: 'jueves',
+  weekday_6: 'viernes',
+  weekday_7: 'sábado',
+
+  // Caregiver profiles
+  cancel: 'Cancelar',
+  profileRejectedTitle: 'Perfil no importado',
+  profileApplyTitle: '¿Aplicar este perfil?',
+  profileApplyMessage: 'Cambia {summary}. La configuración actual se sustituye.',
+  profileApplyButton: 'Aplicar',
+  profileAppliedTitle: 'Perfil aplicado',
+  profileAppliedMessage: 'Doro está ahora configurado como se describe en el perfil.',
+  profileSummaryLanguage: 'idioma {language}',
+  profileSummaryEmergencyContacts: 'contactos de emergencia: {contacts}',
+  profileSummaryEmergencyContactsReplaced: 'se SUSTITUYEN los contactos de emergencia: {contacts} en lugar de {previous}',
+  profileSummaryNobody: 'nadie',
+  profileErrorDamagedLink: 'El enlace del perfil está dañado. Expórtelo de nuevo.',
+  profileErrorNotJson: 'Esto no es un perfil de Doro: no es JSON válido.',
+  profileErrorNotProfile: 'Esto no es un perfil de Doro.',
+  profileErrorNewerVersion: 'Este perfil se creó con una versión más nueva de Doro (versión de perfil {version}). Actualice Doro e inténtelo de nuevo.',
+  profileErrorType: '{at}: debe ser {type}',
+  profileErrorEnum: '{at}: {value} no es ninguno de {options}',
+  profileErrorMin: '{at}: debe ser al menos {min}',
+  profileErrorMax: '{at}: debe ser como máximo {max}',
+  profileErrorEmpty: '{at}: no puede estar vacío',
+  profileErrorTooLong: '{at}: debe tener como máximo {max} caracteres',
+  profileErrorNumber: '{at}: {value} no es un número válido',
+  profileErrorTooMany: '{at}: debe tener como máximo {max} elementos',
+  profileErrorMissing: '{at}: falta',
+  profileErrorUnknown: '{at}: no es un ajuste conocido',
+  profileType_object: 'un objeto',
+  profileType_array: 'una lista',
+  profileType_string: 'un texto',
+  profileType_number: 'un número',
+  profileType_integer: 'un número entero',
+  profileType_boolean: 'verdadero o falso',
+  profileSummaryAliases: '{count} alias',
+  profileSummaryOthers: '{count} ajuste(s) más',
+  profileSummaryNone: 'nada',
+
+  // Diagnostics export
+  diagnosticsTitle: '¿Enviar diagnóstico?',
+  diagnosticsMessage: 'Comparte un archivo con los eventos recientes para el soporte. Se omiten nombres y números.',
+  diagnosticsSend: 'Enviar',
+  diagnosticsFailedTitle: 'No se pudo enviar el diagnóstico',
+  diagnosticsShareTitle: 'Enviar diagnóstico de Doro',
+  diagnosticsSharingUnavailable: 'Este dispositivo no puede compartir archivos.',
+};
@@ -0,0 +1,250 @@
+// Swedish responses
+export default {
+  // Conversation
+  greeting: 'Hej! Jag är Doro. Hur kan jag hjälpa dig i dag?',
+  greetingReply: 'Hej där! Vad kan jag hjälpa dig med?',
+  fallback: 'Jag kan hjälpa dig att ringa och skicka sms. Vad kan jag hjälpa dig med?',
+  intentDisabled: 'Tyvärr är det avstängt på den här telefonen. Fråga den som ställde in Doro om du behöver det.',
+  historyCleared: 'Jag har rensat vår konversation.',
+  languageChanged: 'Okej, från och med nu pratar jag svenska.',
+
+  // Listening
+  listening: 'Lyssnar...',
+  startingListening: 'Börjar lyssna...',
+  processing: 'Bearbetar...',
+  speechError: 'Förlåt, jag förstod inte det. Fel: {error}. Försök igen.',
+  noSpeechApi: 'Taligenkänning finns inte på den här telefonen. Du kan fortfarande skriva dina kommandon.',
+  cannotListen: 'Doro kan inte lyssna just nu.',
+  recognizerNotReady: 'Taligenkänningen startar fortfarande. Försök igen om en liten stund.',
+  handsFreeBanner: 'Handsfree-lyssning är på. Tryck på mikrofonen för att stänga av.',
+  handsFreeTimeout: 'Jag har inte hört något på en stund, så jag slutar lyssna. Tryck på mikrofonen när du behöver mig.',
+  handsFreeOff: 'Okej, jag slutar lyssna. Tryck på mikrofonen när du behöver mig.',
+  wakeArmedBanner: 'Säg "{phrase}" när du behöver mig.',
+  wakeHeard: 'Ja? Jag lyssnar.',
+  wakeWordOn: 'Okej. Säg bara "{phrase}" när du behöver mig.',
+  wakeWordOff: 'Okej, jag lyssnar inte längre efter "{phrase}". Tryck på mikrofonen när du behöver mig.',
+  wakeWordFailed: 'Jag kunde inte fortsätta lyssna efter "{phrase}", så jag har stängt av det. Du kan slå på det igen i röstinställningarna.',
+
+  // Conversation
+  nothingToRepeat: 'Jag har inte sagt något än.',
+  youSaid: 'Du sa: "{command}".',
+  nothingSaidYet: 'Du har inte sagt något än.',
+  speechSlowest: 'Långsammare än så här kan jag inte prata.',
+  speechFastest: 'Snabbare än så här kan jag inte prata.',
+  speechLoudest: 'Jag pratar redan så högt jag kan. Du kan höja ljudet med volymknapparna på sidan av telefonen.',
+  speechQuietest: 'Tystare än så här kan jag inte prata.',
+
+  // Permission dialogs
+  ok: 'OK',
+  micNotReadyTitle: 'Mikrofonen är inte redo',
+
+  // Main screen buttons and screen reader labels
+  chatYou: 'Du',
+  choiceHint: 'Väljer det här numret',
+  confirmYesLabel: 'Ja, ring {name}',
+  confirmYesHint: 'Öppnar telefonens uppringare',
+  confirmYesButton: 'Ja, ring',
+  confirmNoLabel: 'Nej, avbryt samtalet',
+  confirmNoHint: 'Inget nummer rings upp',
+  confirmNoButton: 'Nej',
+  answerYes: 'Ja',
+  answerNo: 'Nej',
+  favoriteCallLabel: 'Ring {name}',
+  favoriteCallHint: 'Ringer direkt',
+  sosStopButton: 'Sluta ringa nödkontakter',
+  sosStopHint: 'Inga fler nödkontakter rings upp',
+  sosButton: 'SOS',
+  sosButtonHint: 'Ringer dina nödkontakter en i taget',
+  commandPlaceholder: 'Skriv ett kommando eller prata...',
+  commandLabel: 'Kommando',
+  commandHint: 'Skriv vad Doro ska göra och tryck sedan på retur',
+  micInterruptLabel: 'Avbryt och börja lyssna',
+  micStopLabel: 'Sluta lyssna',
+  micStartLabel: 'Börja lyssna',
+  micStartHint: 'Säg sedan vad Doro ska göra',
+
+  // Permission onboarding
+  onboardingStep: 'Steg {step} av {count}',
+  onboardingMicTitle: 'Mikrofon',
+  onboardingMicExplain: 'Doro lyssnar när du pratar, till exempel "ring Anna". För att höra dig behöver Doro mikrofonen. Tryck på Tillåt.',
+  onboardingContactsTitle: 'Kontakter',
+  onboardingContactsExplain: 'För att ringa och skicka sms till personer med namn behöver Doro se dina kontakter. De stannar på telefonen. Tryck på Tillåt.',
+  onboardingNotificationsTitle: 'Påminnelser',
+  onboardingNotificationsExplain: 'För att dina påminnelser ska höras även när Doro är stängd behöver Doro visa aviseringar. Tryck på Tillåt.',
+  onboardingBlocked: 'Det är avstängt i telefonens inställningar. Tryck på Öppna inställningar, slå på det och kom sedan tillbaka till Doro.',
+  onboardingNotAllowed: 'Det tilläts inte. Tryck på Tillåt för att försöka igen, eller Inte nu för att hoppa över.',
+  onboardingAllow: 'Tillåt',
+  onboardingOpenSettings: 'Öppna inställningar',
+  onboardingSkip: 'Inte nu',
+  onboardingDone: 'Nu är allt klart. Tryck på mikrofonen och säg vad du vill göra.',
+  onboardingDoneWithoutMic: 'Du kan skriva till mig så länge. Tryck på mikrofonen när du vill prata med mig.',
+
+  // Calling
+  callAskTarget: 'Vem vill du att jag ska ringa? Säg "ring [namn eller nummer]".',
+  callContactsPermission: 'För att ringa med namn behöver jag kontaktbehörighet. Slå på den i inställningarna.',
+  searchingContacts: 'Söker efter {name} bland dina kontakter...',
+  contactNotFound: 'Jag hittade ingen kontakt som heter {name}. Försök igen eller säg numret.',
+  contactNoNumber: 'Jag hittade {name}, men det finns inget telefonnummer.',
+  contactSearchError: 'Ett fel uppstod när jag sökte bland kontakterna: {error}.',
+  calling: 'Ringer {name} på {number}... (Telefonen öppnas. Tryck på Ring för att bekräfta.)',
+  dialerFailed: 'Jag kunde inte öppna telefonen för {name}.',
+  phonePlus: 'plus',
+  phoneExtension: 'anknytning',
+  numberTooShort: 'Jag uppfattade bara {number}, och det är för kort för ett telefonnummer. Börja om och säg hela numret.',
+  numberTooLong: 'Jag hörde {number}, och det är för långt för ett telefonnummer. Börja om och säg numret.',
+  confirmCall: 'Ska jag ringa {name}{details}? Säg ja eller nej.',
+  confirmCallLabel: ' på numret för {label}',
+  confirmRepeat: 'Säg ja för att ringa {name}, eller nej för att avbryta.',
+  confirmTimeout: 'Jag hörde inget svar, så jag ringer inte. Säg samtalskommandot igen när du är redo.',
+  callCancelled: 'Okej, jag ringer inte.',
+
+  // Choosing between contacts
+  foundMatches: 'Jag hittade {count} träffar.',
+  severalNumbers: '{name} har flera nummer.',
+  whichOne: 'Vilken: {list}?',
+  moreMatches: 'Det finns {count} till.',
+  or: 'eller',
+  and: 'och',
+  whichOneRetry: 'Förlåt, jag förstod inte vilken. {question} Du kan också säga avbryt.',
+  callAnyoneCancelled: 'Okej, jag ringer ingen.',
+  label_mobile: 'mobil',
+  label_home: 'hem',
+  label_work: 'arbete',
+  label_main: 'huvudnummer',
+  label_other: 'annat',
+
+  // Aliases
+  aliasSaved: 'Okej, jag kommer ihåg att {name} är din {alias}.',
+  aliasCancelled: 'Okej, jag sparar inte det.',
+  aliasContactsPermission: 'För att komma ihåg {name} behöver jag kontaktbehörighet. Slå på den i inställningarna.',
+  aliasContactNotFound: 'Jag hittade ingen kontakt som heter {name} med ett telefonnummer.',
+
+  // Call history and favorites
+  callAt: '{name} klockan {time}',
+  callLastNone: 'Jag har inte ringt någon än. Vem vill du ringa?',
+  callsToday: 'Idag ringde du {list}.',
+  callsYesterday: 'Igår ringde du {list}.',
+  callsRecent: 'Dina senaste samtal: {list}.',
+  noCallsToday: 'Du har inte ringt någon idag.',
+  noCallsYesterday: 'Du ringde ingen igår.',
+  noCallsRecent: 'Jag har inte ringt någon åt dig än.',
+  favoriteAdded: 'Okej, {name} är nu en av dina favoriter.',
+  favoriteAlready: '{name} är redan en av dina favoriter.',
+  favoritesFull: 'Du har redan {count} favoriter. Ta bort en i favoritinställningarna först.',
+  favoriteCancelled: 'Okej, jag lägger inte till någon favorit.',
+
+  // Phone information
+  timeNow: 'Klockan är {time}.',
+  dateToday: 'Idag är det {date}.',
+  batteryLevel: 'Batteriet är på {percent} procent.',
+  batteryLow: 'Batteriet är på {percent} procent. Det börjar bli lite, sätt i laddaren.',
+  batteryCharging: 'Batteriet är på {percent} procent och laddas.',
+  batteryFull: 'Batteriet är fulladdat.',
+  batteryUnknown: 'Jag kan inte läsa av batteriet på den här telefonen.',
+ 
+  ownNumber: 'Ditt nummer är {number}.',
+  ownNumberUnknown: 'Jag vet inte telefonens nummer än. Det kan läggas till i nödinställningarna.',
+
+  // Emergency
+  emergencyServices: 'larmnumret',
+  sosCalling: 'Nödläge. Ringer {name}, {position}.',
+  sosPositionOnly: 'din nödkontakt',
+  sosPositionNth: 'din nödkontakt nummer {position}',
+  sosNoneReached: 'Jag nådde ingen av dina nödkontakter.',
+  sosNoContacts: 'Du har inga nödkontakter inlagda.',
+  sosOfferNumber: 'Ska jag ringa larmnumret {number}? Säg ja eller nej.',
+  sosCheck: 'Fick du tag på {name}? Säg ja eller nej.',
+  sosReached: 'Bra, vad skönt att du fick tag på {name}.',
+  sosStopped: 'Okej, jag har slutat ringa nödsamtal.',
+  sosConfirm: 'Behöver du hjälp? Säg ja så ringer jag dina nödkontakter.',
+  sosConfirmDeclined: 'Okej, jag ringer ingen. Säg SOS eller tryck på SOS-knappen om du behöver hjälp.',
+  sosConfirmTimeout: 'Jag hörde inget svar, så jag ringer ingen. Säg SOS eller tryck på SOS-knappen om du behöver hjälp.',
+
+  // Text messages
+  smsAskRecipient: 'Vem vill du skicka ett meddelande till? Säg "sms:a [namn] [meddelande]".',
+  smsContactsPermission: 'För att skicka ett meddelande till {name} behöver jag kontaktbehörighet. Slå på den i inställningarna.',
+  smsAskBody: 'Vad ska meddelandet till {name} säga?',
+  smsConfirm: 'Ditt meddelande till {name} lyder: {body}. Ska jag skicka det? Säg ja, nej eller ändra meddelandet.',
+  smsConfirmRepeat: 'Säg ja för att skicka, nej för att avbryta, eller ändra meddelandet.',
+  smsOpening: 'Öppnar dina meddelanden till {name}. Tryck på Skicka för att bekräfta.',
+  smsOpenFailed: 'Jag kunde inte öppna meddelanden för {name}.',
+  smsCancelled: 'Okej, jag skickar inte meddelandet.',
+
+  // Reminders
+  reminderAskDetails: 'Vad ska jag påminna dig om, och när? Säg till exempel "påminn mig att ta mina tabletter klockan 8".',
+  reminderAskTime: 'När ska jag påminna dig att {task}?',
+  reminderTimeNotCaught: 'Förlåt, jag uppfattade inte tiden. Säg en tid, till exempel "klockan 8".',
+  reminderNoneCreated: 'Okej, ingen påminnelse.',
+  reminderCreated: 'Okej, jag påminner dig att {task} {schedule}.',
+  reminderFailed: 'Förlåt, jag kunde inte lägga in påminnelsen: {error}.',
+  notificationPermissionNeeded: 'Jag behöver behörighet för notiser för att kunna påminna dig. Slå på det i inställningarna.',
+  noReminders: 'Du har inga påminnelser.',
+  reminderListOne: 'Du har 1 påminnelse: {list}.',
+  reminderList: 'Du har {count} påminnelser: {list}.',
+  reminderCancelled: 'Jag har tagit bort påminnelsen att {task}.',
+  reminderSeveral: 'Flera påminnelser passar: {list}. Säg mer exakt vilken jag ska ta bort.',
+  reminderNotFound: 'Jag hittade ingen påminnelse om {description}.',
+  reminderAlert: 'Påminnelse: {task}. Säg "jag har tagit den" när du är klar.',
+  reminderTaken: 'Bra gjort. Jag har antecknat att det är gjort: {task}.',
+  reminderNotTaken: 'Okej, jag har antecknat att det inte är gjort än.',
+  noReminderWaiting: 'Det finns ingen påminnelse som väntar på svar.',
+  reminderNotificationTitle: 'Påminnelse från Doro',
+  reminderTookItButton: 'Jag har tagit den',
+  reminderChannelName: 'Påminnelser',
+  scheduleDaily: 'varje dag klockan {time}',
+  scheduleWeekly: 'varje {day} klockan {time}',
+  scheduleToday: 'i dag klockan {time}',
+  scheduleTomorrow: 'i morgon klockan {time}',
+  scheduleDate: 'den {date} klockan {time}',
+  weekday_1: 'söndag',
+  weekday_2: 'måndag',
+  weekday_3: 'tisdag',
+  weekday_4: 'onsdag',
+  weekday_5: 'torsdag',
+  weekday_6: 'fredag',
+  weekday_7: 'lördag',
+
+  // Caregiver profiles
+  cancel: 'Avbryt',
+  profileRejectedTitle: 'Profilen importerades inte',
+  profileApplyTitle: 'Använda den här profilen?',
+  profileApplyMessage: 'Den ändrar {summary}. Den nuvarande inställningen ersätts.',
+  profileApplyButton: 'Använd',
+  profileAppliedTitle: 'Profilen används',
+  profileAppliedMessage: 'Doro är nu inställd enligt profilen.',
+  profileSummaryLanguage: 'språk {language}',
+  profileSummaryEmergencyContacts: 'nödkontakter: {contacts}',
+  profileSummaryEmergencyContactsReplaced: 'nödkontakterna ERSÄTTS: {contacts} i stället för {previous}',
+  profileSummaryNobody: 'ingen',
+  profileErrorDamagedLink: 'Profillänken är skadad. Exportera den igen.',
+  profileErrorNotJson: 'Det här är ingen Doro-profil: det är inte giltig JSON.',
+  profileErrorNotProfile: 'Det här är ingen Doro-profil.',
+  profileErrorNewerVersion: 'Profilen gjordes av en nyare version av Doro (profilversion {version}). Uppdatera Doro och försök igen.',
+  profileErrorType: '{at}: måste vara {type}',
+  profileErrorEnum: '{at}: {value} är inte något av {options}',
+  profileErrorMin: '{at}: måste vara minst {min}',
+  profileErrorMax: '{at}: får vara högst {max}',
+  profileErrorEmpty: '{at}: får inte vara tom',
+  profileErrorTooLong: '{at}: får vara högst {max} tecken',
+  profileErrorNumber: '{at}: {value} är inget giltigt nummer',
+  profileErrorTooMany: '{at}: får ha högst {max} poster',
+  profileErrorMissing: '{at}: saknas',
+  profileErrorUnknown: '{at}: är ingen känd inställning',
+  profileType_object: 'ett objekt',
+  profileType_array: 'en lista',
+  profileType_string: 'en text',
+  profileType_number: 'ett tal',
+  profileType_integer: 'ett heltal',
+  profileType_boolean: 'sant eller falskt',
+  profileSummaryAliases: '{count} smeknamn',
+  profileSummaryOthers: '{count} andra inställning(ar)',
+  profileSummaryNone: 'ingenting',
+
+  // Diagnostics export
+  diagnosticsTitle: 'Skicka diagnostik?',
+  diagnosticsMessage: 'Delar en fil med de senaste händelserna till supporten. Namn och nummer tas bort.',
+  diagnosticsSend: 'Skicka',
+  diagnosticsFailedTitle: 'Kunde inte skicka diagnostik',
+  diagnosticsShareTitle: 'Skicka diagnostik från Doro',
+  diagnosticsSharingUnavailable: 'Den här enheten kan inte dela filer.',
+};
@@ -0,0 +1,72 @@
+import { parseIntent, createIntentParser, normalizeTranscript } from '../parser';
+
+const parsed = (transcript, language) => {
+  const { name, slots } = parseIntent(transcript, language);
+  return { name, slots };
+};
+
+describe('parseIntent', () => {
+  test.each([
+    ['call Anna', 'call', { target: 'Anna' }],
+    ['could you please ring my daughter', 'call', { target: 'my daughter' }],
+    ['call five five five one two three four', 'call', { target: 'five five five one two three four' }],
+    ['call the last person', 'call_last', {}],
+    ['call Anna again', 'call_again', { target: 'Anna' }],
+    ['who did I call yesterday', 'call_history', { day: 'yesterday' }],
+    ['help', 'sos', {}],
+    ['hello', 'greeting', {}],
+    ['what time is it', 'ask_time', {}],
+    ['what is the date today', 'ask_date', {}],
+    ['is my battery low', 'ask_battery', {}],
+    ['is my phone on silent', 'ask_silent', {}],
+    ['what is my phone number', 'ask_own_number', {}],
+    ['repeat that', 'repeat', {}],
+    ['speak slower', 'speak_slower', {}],
+    ['speak Swedish', 'set_language', { language: 'sv' }],
+    ['what a lovely day', 'unknown', {}],
+    ['', 'unknown', {}],
+  ])('understands "%s" in English', (transcript, name, slots) => {
+    expect(parsed(transcript, 'en')).toEqual({ name, slots });
+  });
+
+  test.each([
+    ['sv', 'ring Anna', 'call', { target: 'Anna' }],
+    ['sv', 'vad är klockan', 'ask_time', {}],
+    ['sv', 'hjälp', 'sos', {}],
+    ['de', 'ruf Anna an', 'call', { target: 'Anna' }],
+    ['de', 'wie spät ist es', 'ask_time', {}],
+    ['de', 'hilfe', 'sos', {}],
+    ['es', 'llama a Ana', 'call', { target: 'Ana' }],
+    ['es', 'qué hora es', 'ask_time', {}],
+    ['es', 'ayuda', 'sos', {}],
+  ])('understands %s "%s"', (language, transcript, name, slots) => {
+    expect(parsed(transcript, language)).toEqual({ name, slots });
+  });
+
+  test('still understands English in another language', () => {
+    expect(parsed('call Anna', 'sv')).toEqual({ name: 'call', slots: { target: 'Anna' } });
+  });
+
+  test('scores a match lower when it explains less of what was said', () => {
+    expect(parseIntent('ring Anna').confidence).toBeGreaterThan(parseIntent('well I was thinking you could ring Anna').confidence);
+  });
+});
+
+describe('createIntentParser', () => {
+  test('matches custom intents with synonyms and slots', () => {
+    const parser = createIntentParser([
+      { name: 'play_music', synonyms: { play: ['play', 'put on'] }, patterns: ['{play} {song}'], confidence: 0.8 },
+    ]);
+    expect(parser.parse('put on Moonlight Sonata please')).toMatchObject({ name: 'play_music', slots: { song: 'Moonlight Sonata' } });
+
+    parser.register({ name: 'weather', synonyms: { weather: ['weather', 'forecast'] }, patterns: ['{weather}'], confidence: 0.9 });
+    expect(parser.parse('what is the weather').name).toBe('weather');
+  });
+});
+
+describe('normalizeTranscript', () => {
+  test('trims punctuation and spaces but keeps the casing of names', () => {
+    expect(normalizeTranscript('  Call   Anna, please! ')).toBe('Call Anna, please');
+    expect(normalizeTranscript(null)).toBe('');
+  });
+});
@@ -0,0 +1,189 @@
+import {
+  createUnderstanding,
+  createHttpBackend,
+  validateRemoteIntent,
+  REMOTE_INTENTS,
+  DEFAULT_REMOTE_TIMEOUT_MS,
+} from '../understanding';
+import { createStubServer } from '../../../scripts/understanding-stub-server';
+
+const URL = 'https://understanding.example/intent';
+
+// fetch that answers with `body` (and `status`), recording the requests
+const answering = (body, status = 200) => jest.fn(async () => ({ ok: status < 400, status, json: async () => body }));
+
+// fetch that never answers, but gives up when the request is aborted
+const hanging = () => jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new Error('Aborted')));
+}));
+
+const backend = (name, intent) => ({ name, understand: jest.fn(async (transcript) => ({ slots: {}, ...intent, transcript })) });
+
+describe('validateRemoteIntent', () => {
+  test('accepts known intents with string slots', () => {
+    expect(validateRemoteIntent({ name: 'call', slots: { target: 'my daughter' }, confidence: 0.82 }, 'get my daughter'))
+      .toEqual({ name: 'call', slots: { target: 'my daughter' }, confidence: 0.82, transcript: 'get my daughter' });
+    expect(validateRemoteIntent({ name: 'unknown', confidence: '0' }, 'hm')).toMatchObject({ slots: {}, confidence: 0 });
+    expect(validateRemoteIntent({ name: 'ask_time', confidence: 0.9 }, 'how late is it')).toMatchObject({ name: 'ask_time', slots: {} });
+  });
+
+  test('needs one of the alternative slots', () => {
+    expect(validateRemoteIntent({ name: 'send_text', slots: { recipientAndBody: 'Anna I am late' }, confidence: 0.9 }, 't'))
+      .toMatchObject({ name: 'send_text' });
+    expect(validateRemoteIntent({ name: 'send_text', slots: { recipient: 'Anna', body: 'I am late' }, confidence: 0.9 }, 't'))
+      .toMatchObject({ name: 'send_text' });
+  });
+
+  test.each([
+    [null],
+    ['call'],
+    [{ name: 'delete_everything', slots: {}, confidence: 0.9 }],
+    [{ name: 'call', slots: {}, confidence: 1.5 }],
+    [{ name: 'call', slots: {} }],
+    [{ name: 'call', slots: ['Anna'], confidence: 0.9 }],
+    [{ name: 'call', slots: { target: '  ' }, confidence: 0.9 }],
+    [{ name: 'call', slots: { target: 7 }, confidence: 0.9 }],
+    [{ name: 'set_language', slots: { language: 'klingon' }, confidence: 0.9 }],
+    [{ name: 'set_language', slots: {}, confidence: 0.9 }],
+    [{ name: 'call', slots: {}, confidence: 0.9 }],
+    [{ name: 'call', confidence: 0.9 }],
+    [{ name: 'send_text', slots: { body: 'see you at six' }, confidence: 0.9 }],
+    [{ name: 'set_alias', slots: { alias: 'daughter' }, confidence: 0.9 }],
+    [{ name: 'set_reminder', slots: {}, confidence: 0.9 }],
+    [{ name: 'sos', slots: {}, confidence: 1 }],
+    [{ name: 'clear_history', slots: {}, confidence: 1 }],
+  ])('rejects %p', (value) => {
+    expect(validateRemoteIntent(value, 'text')).toBeNull();
+  });
+});
+
+describe('createHttpBackend', () => {
+  test('posts the transcript and reads the intent from the answer', async () => {
+    const fetchImpl = answering({ name: 'call', slots: { target: 'my daughter' }, confidence: 0.82 });
+    const http = createHttpBackend({ url: URL, headers: { Authorization: 'Bearer token' }, fetchImpl });
+
+    await expect(http.understand('get my daughter on the line', 'en')).resolves.toEqual({
+      name: 'call', slots: { target: 'my daughter' }, confidence: 0.82, transcript: 'get my daughter on the line',
+    });
+    const [url, request] = fetchImpl.mock.calls[0];
+    expect(url).toBe(URL);
+    expect(request).toMatchObject({ method: 'POST', headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token' } });
+    expect(JSON.parse(request.body)).toEqual({ transcript: 'get my daughter on the line', language: 'en', intents: REMOTE_INTENTS });
+    expect(REMOTE_INTENTS).not.toContain('sos');
+  });
+
+  test('fails on HTTP errors and invalid answers', async () => {
+    await expect(createHttpBackend({ url: URL, fetchImpl: answering({}, 500) }).understand('hi', 'en')).rejects.toThrow('HTTP 500');
+    await expect(createHttpBackend({ url: URL, fetchImpl: answering({ name: 'fly' }) }).understand('hi', 'en')).rejects.toThrow('Invalid intent in response');
+  });
+
+  test('gives up when the server takes too long', async () => {
+    const understood = createHttpBackend({ url: URL, fetchImpl: hanging() }).understand('hi', 'en');
+    jest.advanceTimersByTime(DEFAULT_REMOTE_TIMEOUT_MS);
+    await expect(understood).rejects.toThrow(`No answer within ${DEFAULT_REMOTE_TIMEOUT_MS} ms`);
+  });
+});
+
+describe('createUnderstanding', () => {
+  beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+  afterEach(() => console.warn.mockRestore());
+
+  test('uses the local parser when there is no remote backend', async () => {
+    await expect(createUnderstanding().understand('call Anna', 'en')).resolves.toMatchObject({
+      name: 'call', slots: { target: 'Anna' }, backend: 'local',
+    });
+  });
+
+  test('does not ask the remote backend when the local parser is sure', async () => {
+    const remote = backend('http', { name: 'send_text', confidence: 0.99 });
+    const intent = await createUnderstanding({ remote }).understand('call Anna', 'en');
+    expect(intent).toMatchObject({ name: 'call', backend: 'local' });
+    expect(remote.understand).not.toHaveBeenCalled();
+  });
+
+  test('never lets the remote backend overrule an emergency', async () => {
+    const remote = backend('http', { name: 'greeting', confidence: 1 });
+    const local = backend('local', { name: 'sos', confidence: 0.5 });
+    await expect(createUnderstanding({ remote, local }).understand('I fell', 'en')).resolves.toMatchObject({ name: 'sos', backend: 'local' });
+    expect(remote.understand).not.toHaveBeenCalled();
+  });
+
+  test('asks the remote backend when the local parser is unsure', async () => {
+    const remote = backend('http', { name: 'call', slots: { target: 'my daughter' }, confidence: 0.8 });
+    const intent = await createUnderstanding({ remote }).understand('could you get my daughter on the line', 'en');
+    expect(intent).toMatchObject({ name: 'call', slots: { target: 'my daughter' }, backend: 'http' });
+    expect(remote.understand).toHaveBeenCalledWith('could you get my daughter on the line', 'en');
+  });
+
+  test.each([
+    ['has no idea', { name: 'unknown', confidence: 0.9 }],
+    ['is not confident enough', { name: 'call', confidence: 0.5 }],
+    ['claims an emergency', { name: 'sos', confidence: 1 }],
+    ['wants the history cleared', { name: 'clear_history', confidence: 1 }],
+  ])('keeps the local result when the remote backend %s', async (_, remoteIntent) => {
+    const local = backend('local', { name: 'greeting', confidence: 0.55 });
+    const intent = await createUnderstanding({ remote: backend('http', remoteIntent), local }).understand('hm', 'en');
+    expect(intent).toMatchObject({ name: 'greeting', backend: 'local' });
+  });
+
+  test.each([
+    [{ name: 'set_language', slots: {}, confidence: 0.9 }],
+    [{ name: 'call', slots: {}, confidence: 0.9 }],
+    [{ name: 'send_text', slots: {}, confidence: 0.9 }],
+  ])('falls back to the local parser when the server answers %p', async (answer) => {
+    const remote = createHttpBackend({ url: URL, fetchImpl: answering(answer) });
+    const intent = await createUnderstanding({ remote }).understand('could you get my daughter on the line', 'en');
+    expect(intent.backend).toBe('local');
+    expect(console.warn).toHaveBeenCalledWith('Understanding: The http backend failed, using the local parser:', new Error('Invalid intent in response'));
+  });
+
+  test('falls back to the local parser when the remote backend fails', async () => {
+    const remote = { name: 'http', understand: jest.fn(async () => { throw new Error('HTTP 503'); }) };
+    const intent = await createUnderstanding({ remote }).understand('could you get my daughter on the line', 'en');
+    expect(intent.backend).toBe('local');
+    expect(console.warn).toHaveBeenCalledWith('Understanding: The http backend failed, using the local parser:', expect.any(Error));
+  });
+});
+
+// The HTTP backend against the dev stub server, over a real socket
+describe('with the understanding stub server', () => {
+  const transcript = 'could you get my daughter on the line';
+  let server;
+
+  // Start a stub server and return its address
+  const startServer = async (options) => {
+    server = createStubServer(options);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}/intent`;
+  };
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    console.warn.mockRestore();
+    jest.useFakeTimers();
+  });
+
+  test('lets the server understand what the keyword parser cannot', async () => {
+    const remote = createHttpBackend({ url: await startServer() });
+    await expect(createUnderstanding({ remote }).understand(transcript, 'en')).resolves.toMatchObject({
+      name: 'call', slots: { target: 'my daughter' }, confidence: 0.85, backend: 'http',
+    });
+  });
+
+  test('falls back to the local parser when the server fails', async () => {
+    const remote = createHttpBackend({ url: await startServer({ fail: true }) });
+    await expect(createUnderstanding({ remote }).understand(transcript, 'en')).resolves.toMatchObject({ backend: 'local' });
+    expect(console.warn).toHaveBeenCalledWith('Understanding: The http backend failed, using the local parser:', new Error('HTTP 503'));
+  });
+
+  test('falls back to the local parser when the server is too slow', async () => {
+    const remote = createHttpBackend({ url: await startServer({ delayMs: 300 }), timeoutMs: 50 });
+    await expect(createUnderstanding({ remote }).understand(transcript, 'en')).resolves.toMatchObject({ backend: 'local' });
+    expect(console.warn).toHaveBeenCalledWith('Understanding: The http backend failed, using the local parser:', new Error('No answer within 50 ms'));
+  });
+});
@@ -0,0 +1,172 @@
+// Turns a transcript into a structured intent object:
+//   { name: 'call', slots: { target: 'anna' }, confidence: 0.93, transcript: 'Can you ring Anna' }
+// Unrecognized transcripts resolve to { name: 'unknown', slots: {}, confidence: 0 }.
+import { DEFAULT_INTENTS, FILLER_WORDS, LANGUAGE_FILLERS } from './registry';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Strip surrounding punctuation and collapse whitespace, but keep the original
+// casing so slot values (names, message bodies) survive intact.
+export const normalizeTranscript = (transcript) =>
+  (transcript || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,!?;:"']+|[\s.,!?;:"']+$/g, '');
+
+// Remove filler words from the edges of a captured slot value
+const cleanSlotValue = (value, fillers) => {
+  let cleaned = value.trim();
+  let changed = true;
+  while (changed && cleaned) {
+    changed = false;
+    for (const filler of fillers) {
+      const trailing = new RegExp(`[\\s,]+${escapeRegExp(filler)}$`, 'i');
+      const leading = new RegExp(`^${escapeRegExp(filler)}[\\s,]+`, 'i');
+      if (trailing.test(cleaned) || leading.test(cleaned)) {
+        cleaned = cleaned.replace(trailing, '').replace(leading, '').trim();
+        changed = true;
+      }
+    }
+  }
+  return cleaned.replace(/[.,!?;:]+$/, '');
+};
+
+// Compile one template into a regular expression plus the ordered slot names it captures
+const compileTemplate = (template, synonyms) => {
+  const slotNames = [];
+  const parts = template.split(/(\{\w+\})/).filter(Boolean);
+  const source = parts.map((part, index) => {
+    const placeholder = part.match(/^\{(\w+)\}$/);
+    if (!placeholder) {
+      return escapeRegExp(part).replace(/\s+/g, '\\s+');
+    }
+    const key = placeholder[1];
+    if (synonyms[key]) {
+      // Longest synonyms first so "give a call to" wins over "call"
+      const alternatives = [...synonyms[key]]
+        .sort((a, b) => b.length - a.length)
+        .map((word) => escapeRegExp(word).replace(/\s+/g, '\\s+'));
+      return `(?:${alternatives.join('|')})`;
+    }
+    slotNames.push(key);
+    // A slot at the end of the template runs to the end of the transcript
+    return index === parts.length - 1 ? '(.+)' : '(.+?)';
+  }).join('');
+  // \b only knows ASCII letters, so spell out the word boundary for "ändra"
+  return {
+    regex: new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`, 'iu'),
+    slotNames,
+  };
+};
+
+// Merge a definition's keyword set for `language` into the English one: the
+// language's synonyms join each group and its patterns are tried first.
+const localizeDefinition = (definition, language) => {
+  const localized = definition.languages?.[language];
+  if (!localized) {
+    return definition;
+  }
+  const synonyms = { ...definition.synonyms };
+  for (const [group, words] of Object.entries(localized.synonyms || {})) {
+    synonyms[group] = [...words, ...(synonyms[group] || [])];
+  }
+  return {
+    ...definition,
+    synonyms,
+    patterns: [...(localized.patterns || []), ...(definition.patterns || [])],
+  };
+};
+
+const compileIntent = (definition, language) => {
+  const localized = localizeDefinition(definition, language);
+  return {
+    ...localized,
+    confidence: localized.confidence ?? 0.8,
+    compiled: (localized.patterns || []).map((template) => compileTemplate(template, localized.synonyms || {})),
+  };
+};
+
+const fillersFor = (language) => [...FILLER_WORDS, ...(LANGUAGE_FILLERS[language] || [])];
+
+// Create a parser over a registry of intent definitions. Definitions are tried
+// in order and the highest-confidence match wins; ties go to the earlier one.
+// English phrases are always understood; `language` adds its own keyword set.
+export const createIntentParser = (definitions = DEFAULT_INTENTS, { language = 'en', fillers = fillersFor(language) } = {}) => {
+  let intents = definitions.map((definition) => compileIntent(definition, language));
+
+  const parse = (transcript) => {
+    const text = normalizeTranscript(transcript);
+    let best = { name: 'unknown', slots: {}, confidence: 0, transcript: text };
+    if (!text) {
+      return best;
+    }
+
+    for (const intent of intents) {
+      // Intents that templates cannot express supply their own detector,
+      // returning { confidence, slots } or null
+      if (intent.detect) {
+        const detected = intent.detect(text);
+        if (detected && detected.confidence > best.confidence) {
+          best = { name: intent.name, slots: detected.slots || {}, confidence: detected.confidence, transcript: text };
+        }
+      }
+      for (const { regex, slotNames } of intent.compiled) {
+        const match = text.match(regex);
+        if (!match) {
+          continue;
+        }
+        const slots = {};
+        slotNames.forEach((slot, i) => {
+          const value = cleanSlotValue(match[i + 1] || '', fillers);
+          if (value) {
+            slots[slot] = value;
+          }
+        });
+        // A template whose slot was only filler did not really match
+        if (Object.keys(slots).length < slotNames.length) {
+          continue;
+        }
+        // Scale confidence by how much of the transcript the match explains,
+        // so "can you ring Anna" scores a little lower than "ring Anna".
+        const coverage = match[0].trim().length / text.length;
+        const confidence = Math.round(intent.confidence * (0.75 + 0.25 * coverage) * 100) / 100;
+        if (confidence > best.confidence) {
+          best = { name: intent.name, slots, confidence, transcript: text };
+        }
+        break; // Templates are ordered most-specific first
+      }
+    }
+    return best;
+  };
+
+  // Add or replace an intent definition at runtime
+  const register = (definition) => {
+    const compiled = compileIntent(definition, language);
+    const existing = intents.findIndex((intent) => intent.name === definition.name);
+    if (existing >= 0) {
+      intents[existing] = compiled;
+    } else {
+      intents = [...intents, compiled];
+    }
+  };
+
+  return { parse, register };
+};
+
+// Shared parsers over the default registry, one per language, built on first use
+const defaultParsers = {};
+const registeredIntents = [];
+
+const getDefaultParser = (language) => {
+  if (!defaultParsers[language]) {
+    defaultParsers[language] = createIntentParser(DEFAULT_INTENTS, { language });
+    registeredIntents.forEach((definition) => defaultParsers[language].register(definition));
+  }
+  return defaultParsers[language];
+};
+
+export const parseIntent = (transcript, language = 'en') => getDefaultParser(language).parse(transcript);
+
+export const registerIntent = (definition) => {
+  registeredIntents.push(definition);
+  Object.values(defaultParsers).forEach((parser) => parser.register(definition));
+};
@@ -0,0 +1,578 @@
+// Registry of the intents Doro understands.
+// Each entry is matched by templates: {word} placeholders that name a synonym
+// group expand to any of its synonyms, all other {word} placeholders are slots
+// that capture free text. An entry may instead (or also) provide
+// detect(text) => { confidence, slots } | null for fuzzier matching.
+// `languages` holds the Swedish, German and Spanish keyword sets: their
+// synonyms are added to the English ones and their patterns tried first
+// when the parser runs in that language.
+// Keep this file free of React Native imports so the parser can be
+// unit-tested in plain Node.
+import { detectEmergency } from '../emergency/sosDetector';
+import { findLanguageByName } from '../i18n/languages';
+
+// Words that commonly trail a request but are not part of a slot value
+export const FILLER_WORDS = ['please', 'for me', 'right now', 'now', 'thanks', 'thank you'];
+
+// Filler words of the other languages, used alongside the English ones
+export const LANGUAGE_FILLERS = {
+  sv: ['tack', 'snälla', 'är du snäll', 'nu', 'genast'],
+  de: ['bitte', 'danke', 'jetzt', 'mal', 'sofort'],
+  es: ['por favor', 'gracias', 'ahora', 'ya'],
+};
+
+// Words that, together with a language name, ask Doro to switch language:
+// "speak Swedish", "byt till tyska", "sprich Deutsch", "habla español"
+const LANGUAGE_SWITCH_WORDS = [
+  'speak', 'talk', 'switch', 'change', 'language', 'use',
+  'prata', 'tala', 'byt', 'språk', 'använd',
+  'sprich', 'sprechen', 'wechsle', 'sprache', 'verwende',
+  'habla', 'hablar', 'cambia', 'idioma', 'usa',
+];
+
+// Intents that carry the user's own words for later or for someone else,
+// and the synonym group that starts them. Emergency words in those words
+// ("text Anna I fell asleep", "remind me to ask about chest pain") are not
+// an emergency.
+const QUOTING_INTENTS = { send_text: 'text', set_reminder: 'remind' };
+
+const startsQuotingIntent = (text) => {
+  const lowered = text.toLowerCase();
+  return DEFAULT_INTENTS
+    .filter((intent) => QUOTING_INTENTS[intent.name])
+    .some((intent) => {
+      const group = QUOTING_INTENTS[intent.name];
+      const leadIns = [intent.synonyms[group], ...Object.values(intent.languages || {}).map((keywords) => keywords.synonyms?.[group] || [])].flat();
+      return leadIns.some((leadIn) => lowered === leadIn || lowered.startsWith(`${leadIn} `));
+    });
+};
+
+export const DEFAULT_INTENTS = [
+  {
+    // Listed first so an emergency wins ties with every other intent
+    name: 'sos',
+    detect: (text) => {
+      if (startsQuotingIntent(text)) {
+        return null;
+      }
+      const emergency = detectEmergency(text);
+      return emergency && { confidence: emergency.confidence, slots: {} };
+    },
+  },
+  {
+    name: 'greeting',
+    synonyms: {
+      hello: ['hello', 'hi doro', 'hey doro', 'hi there', 'good morning', 'good afternoon', 'good evening'],
+    },
+    patterns: ['{hello}'],
+    languages: {
+      sv: { synonyms: { hello: ['hej doro', 'hej', 'hallå', 'god morgon', 'god kväll', 'goddag'] } },
+      de: { synonyms: { hello: ['hallo doro', 'hallo', 'guten morgen', 'guten tag', 'guten abend', 'servus'] } },
+      es: { synonyms: { hello: ['hola doro', 'hola', 'buenos días', 'buenas tardes', 'buenas noches'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    // "call the last person", "call back", "redial"; listed before 'call' so
+    // "the last person" is not taken for a name
+    name: 'call_last',
+    synonyms: {
+      call: ['give a call to', 'call', 'ring', 'phone'],
+      last: ['the last person i called', 'the last person', 'the last number', 'the last one', 'whoever i called last', 'them back', 'him back', 'her back', 'back'],
+      redial: ['redial', 'call the same number again', 'call again', 'ring again'],
+    },
+    patterns: ['{call} {last}', '{redial}'],
+    languages: {
+      sv: {
+        synonyms: {
+          call: ['ring upp', 'ring till', 'ringa', 'ring'],
+          last: ['den senaste personen', 'den senaste', 'senaste numret', 'den sista', 'tillbaka'],
+          redial: ['ring upp igen', 'ring igen', 'ringa igen'],
+        },
+      },
+      de: {
+        synonyms: {
+          call: ['rufe', 'ruf'],
+          last: ['die letzte person', 'die letzte nummer', 'den letzten', 'die letzte'],
+          redial: ['wahlwiederholung', 'zurückrufen', 'ruf zurück', 'rufe zurück', 'ruf nochmal an', 'ruf noch mal an'],
+        },
+        patterns: ['{call} {last} an'],
+      },
+      es: {
+        synonyms: {
+          call: ['llama a', 'llama'],
+          last: ['la última persona', 'el último número', 'al último', 'el último', 'la última'],
+          redial: ['devuelve la llamada', 'vuelve a llamar', 'rellama', 'remarca'],
+        },
+      },
+    },
+    confidence: 0.95,
+  },
+  {
+    // "call Anna again": the number Anna was called on last time
+    name: 'call_again',
+    synonyms: {
+      call: ['give a call to', 'call', 'ring', 'phone'],
+      again: ['again', 'back'],
+    },
+    patterns: ['{call} {target} {again}'],
+    languages: {
+      sv: { synonyms: { call: ['ring upp', 'ring till', 'ringa', 'ring'], again: ['igen', 'tillbaka'] } },
+      de: {
+        synonyms: { call: ['rufe', 'ruf'], again: ['nochmal', 'noch einmal', 'noch mal', 'wieder', 'zurück'] },
+        patterns: ['{call} {target} {again} an', '{target} {again} anrufen'],
+      },
+      es: {
+        synonyms: { call: ['llama a', 'llama'], again: ['otra vez', 'de nuevo'] },
+        patterns: ['vuelve a llamar a {target}'],
+      },
+    },
+    confidence: 0.95,
+  },
+  {
+    // "who did I call yesterday", "recent calls"
+    name: 'call_history',
+    synonyms: {
+      who: ['who did i call', 'who have i called', 'who did i phone', 'which calls did i make', 'my recent calls', 'recent calls', 'my calls', 'call history'],
+    },
+    patterns: ['{who} {day}', '{who}'],
+    languages: {
+      sv: { synonyms: { who: ['vem ringde jag', 'vilka ringde jag', 'vem har jag ringt', 'vilka har jag ringt', 'senaste samtalen', 'mina samtal'] } },
+      de: {
+        synonyms: { who: ['wen habe ich', 'wen hab ich', 'letzte anrufe', 'meine anrufe'] },
+        patterns: ['{who} {day} angerufen', '{who} angerufen'],
+      },
+      es: { synonyms: { who: ['a quién llamé', 'a quién he llamado', 'quién llamé', 'últimas llamadas', 'mis llamadas'] } },
+    },
+    confidence: 0.95,
+  },
+  {
+    name: 'call',
+    synonyms: {
+      call: ['give a call to', 'give a ring to', 'make a call to', 'call', 'ring', 'phone', 'dial', 'telephone'],
+    },
+    // More specific templates first; a bare verb still resolves to the intent
+    // so Doro can ask whom to call.
+    patterns: ['{call} up {target}', '{call} {target}', '{call}'],
+    languages: {
+      sv: { synonyms: { call: ['slå en signal till', 'ring upp', 'ring till', 'ringa upp', 'ringa till', 'ringa', 'ring'] } },
+      // German puts the particle last: "ruf Anna an", "Anna anrufen"
+      de: {
+        synonyms: { call: ['telefoniere mit', 'rufe', 'ruf', 'wähle'] },
+        patterns: ['{call} {target} an', '{target} anrufen'],
+      },
+      es: { synonyms: { call: ['llama por teléfono a', 'telefonea a', 'llamar a', 'llama a', 'llama', 'marca'] } },
+    },
+    confidence: 0.95,
+  },
+  {
+    name: 'clear_history',
+    synonyms: {
+      clear: ['clear', 'delete', 'erase', 'wipe'],
+      history: ['history', 'the history', 'my history', 'conversation', 'the conversation', 'our conversation', 'chat', 'the chat', 'messages', 'all messages'],
+    },
+    patterns: ['{clear} {history}'],
+    languages: {
+      sv: {
+        synonyms: {
+          clear: ['rensa', 'radera', 'töm'],
+          history: ['historiken', 'historik', 'konversationen', 'samtalet', 'chatten'],
+        },
+      },
+      de: {
+        synonyms: {
+          clear: ['lösche', 'lösch', 'leere'],
+          history: ['den verlauf', 'verlauf', 'das gespräch', 'den chat'],
+        },
+        patterns: ['{history} löschen'],
+      },
+      es: {
+        synonyms: {
+          clear: ['borra', 'elimina', 'limpia'],
+          history: ['el historial', 'historial', 'la conversación', 'el chat'],
+        },
+      },
+    },
+    confidence: 0.95,
+  },
+  {
+    name: 'set_alias',
+    synonyms: {
+      remember: ['remember that', 'remember', 'note that', 'save that'],
+    },
+    // "remember that my daughter is Anna" and "remember that Anna is my daughter"
+    patterns: ['{remember} my {alias} is {name}', '{remember} the {alias} is {name}', '{remember} {name} is {alias}'],
+    languages: {
+      sv: {
+        synonyms: { remember: ['kom ihåg att', 'kom ihåg', 'notera att'] },
+        patterns: ['{remember} min {alias} är {name}', '{remember} mitt {alias} är {name}', '{remember} {name} är {alias}'],
+      },
+      de: {
+        synonyms: { remember: ['merke dir', 'merk dir', 'notiere'] },
+        patterns: ['{remember} meine {alias} ist {name}', '{remember} mein {alias} ist {name}', '{remember} {name} ist {alias}'],
+      },
+      es: {
+        synonyms: { remember: ['recuerda que', 'recuerda', 'apunta que'] },
+        patterns: ['{remember} mi {alias} es {name}', '{remember} {name} es {alias}'],
+      },
+    },
+    confidence: 0.95,
+  },
+  {
+    // "add Anna to favorites": a one-tap tile on the main screen
+    name: 'add_favorite',
+    synonyms: {
+      add: ['add', 'put', 'save'],
+      favorites: ['my favorites', 'my favourites', 'the favorites', 'the favourites', 'favorites', 'favourites'],
+    },
+    patterns: ['{add} {name} to {favorites}', 'make {name} a favorite', 'make {name} a favourite'],
+    languages: {
+      sv: {
+        synonyms: { add: ['lägg till', 'lägg', 'spara'], favorites: ['mina favoriter', 'favoriterna', 'favoriter'] },
+        patterns: ['{add} {name} i {favorites}', '{add} {name} bland {favorites}', '{add} {name} som favorit'],
+      },
+      de: {
+        synonyms: { add: ['füge', 'füg', 'setze', 'setz'], favorites: ['meinen favoriten', 'den favoriten', 'favoriten'] },
+        patterns: ['{add} {name} zu {favorites} hinzu', '{name} zu {favorites} hinzufügen', '{add} {name} auf {favorites}'],
+      },
+      es: {
+        synonyms: { add: ['añade a', 'agrega a', 'pon a', 'añade', 'agrega', 'pon'], favorites: ['mis favoritos', 'los favoritos', 'favoritos'] },
+        patterns: ['{add} {name} a {favorites}', '{add} {name} en {favorites}'],
+      },
+    },
+    confidence: 0.95,
+  },
+  {
+    name: 'send_text',
+    synonyms: {
+      text: ['send a text message to', 'send a text to', 'send a message to', 'send a text', 'write a message to', 'text message', 'message', 'text', 'sms'],
+      saying: ['saying', 'that says', 'with the message', 'and say', 'and tell them'],
+    },
+    // With a separator word the body is unambiguous; otherwise the call flow
+    // splits recipientAndBody using the contact list.
+    patterns: ['{text} {recipient} {saying} {body}', '{text} {recipientAndBody}', '{text}'],
+    languages: {
+      sv: {
+        synonyms: {
+          text: ['skicka ett sms till', 'skicka sms till', 'skicka ett meddelande till', 'skriv ett sms till', 'sms:a', 'smsa', 'messa'],
+          saying: ['och säg att', 'och säg', 'med texten', 'att'],
+        },
+      },
+      de: {
+        synonyms: {
+          text: ['schicke eine sms an', 'schick eine sms an', 'schicke eine nachricht an', 'schick eine nachricht an', 'schreibe eine nachricht an', 'schreib an', 'simse'],
+          saying: ['und sag', 'mit dem text', 'dass'],
+        },
+      },
+      es: {
+        synonyms: {
+          text: ['envía un mensaje a', 'envía un sms a', 'manda un mensaje a', 'manda un sms a', 'escribe un mensaje a', 'escríbele a'],
+          saying: ['diciendo que', 'diciendo', 'que diga', 'y dile que', 'y dile'],
+        },
+      },
+    },
+    confidence: 0.95,
+  },
+  {
+    name: 'set_reminder',
+    synonyms: {
+      remind: ['remind me to', 'remind me', 'set a reminder to', 'set a reminder for', 'set a reminder', 'add a reminder to', 'create a reminder to'],
+    },
+    // The details slot ("take my pills at 8 every morning") is parsed by reminderParser
+    patterns: ['{remind} {details}', '{remind}'],
+    languages: {
+      sv: { synonyms: { remind: ['påminn mig om att', 'påminn mig att', 'påminn mig om', 'påminn mig'] } },
+      de: { synonyms: { remind: ['erinnere mich daran', 'erinner mich daran', 'erinnere mich', 'erinner mich'] } },
+      es: { synonyms: { remind: ['recuérdame que', 'recuérdame', 'recuerdame', 'ponme un recordatorio para'] } },
+    },
+    confidence: 0.95,
+  },
+  {
+    name: 'list_reminders',
+    synonyms: {
+      list: ['what are my', 'what are the', 'do i have any', 'tell me my', 'read me my', 'read my', 'show me my', 'show my', 'list my', 'list'],
+      reminders: ['reminders', 'pill reminders', 'medication reminders', 'appointments'],
+    },
+    patterns: ['{list} {reminders}'],
+    languages: {
+      sv: { synonyms: { list: ['vilka är mina', 'läs upp mina', 'visa mina', 'har jag några', 'vilka'], reminders: ['påminnelser'] } },
+      de: { synonyms: { list: ['was sind meine', 'lies meine', 'zeig meine', 'habe ich', 'welche'], reminders: ['erinnerungen', 'termine'] } },
+      es: { synonyms: { list: ['cuáles son mis', 'lee mis', 'muestra mis', 'tengo', 'qué'], reminders: ['recordatorios', 'citas'] } },
+    },
+    confidence: 0.95,
+  },
+  {
+    name: 'cancel_reminder',
+    synonyms: {
+      cancel: ['cancel', 'delete', 'remove', 'turn off', 'stop'],
+      about: ['about', 'to', 'for'],
+    },
+    patterns: ['{cancel} the reminder {about} {description}', '{cancel} reminder {about} {description}', '{cancel} {description} reminders', '{cancel} {description} reminder'],
+    languages: {
+      sv: {
+        synonyms: { cancel: ['ta bort', 'avbryt', 'stäng av', 'radera'], about: ['om att', 'om', 'att', 'för'] },
+        patterns: ['{cancel} påminnelsen {about} {description}'],
+      },
+      de: {
+        synonyms: { cancel: ['lösche', 'entferne', 'streiche'], about: ['an', 'für', 'zum', 'zur'] },
+        patterns: ['{cancel} die erinnerung {about} {description}'],
+      },
+      es: {
+        synonyms: { cancel: ['cancela', 'borra', 'elimina', 'quita'], about: ['de', 'para', 'sobre'] },
+        patterns: ['{cancel} el recordatorio {about} {description}'],
+      },
+    },
+    confidence: 0.95,
+  },
+  {
+    // Answer to a reminder alert, e.g. after "Reminder: take your pills"
+    name: 'acknowledge_reminder',
+    synonyms: {
+      took: ["i've taken it", 'i have taken it', 'i took it', 'i took them', 'i took my pills', 'i took my medicine', 'i did it', 'done it'],
+    },
+    patterns: ['{took}'],
+    languages: {
+      sv: { synonyms: { took: ['jag har tagit den', 'jag har tagit dem', 'jag tog den', 'jag tog dem', 'jag har gjort det', 'det är gjort'] } },
+      de: { synonyms: { took: ['ich habe sie genommen', 'ich habe es genommen', 'ich hab sie genommen', 'ich habe es gemacht', 'erledigt'] } },
+      es: { synonyms: { took: ['ya lo tomé', 'ya las tomé', 'ya lo he tomado', 'ya las he tomado', 'ya lo hice'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    // "turn off the wake word", "stop listening for hey doro"
+    name: 'wake_word_off',
+    synonyms: {
+      turnOff: ['turn off', 'switch off', 'disable', 'stop listening for', 'stop'],
+      wakeWord: ['the wake word', 'wake word', 'the wake phrase', 'wake phrase', 'hey doro'],
+    },
+    patterns: ['{turnOff} {wakeWord}'],
+    languages: {
+      sv: {
+        synonyms: { turnOff: ['stäng av', 'slå av', 'sluta lyssna efter'], wakeWord: ['väckningsordet', 'väckningsfrasen', 'hej doro'] },
+      },
+      de: {
+        synonyms: { turnOff: ['schalte', 'schalt', 'deaktiviere', 'hör auf mit'], wakeWord: ['das aktivierungswort', 'aktivierungswort', 'hallo doro'] },
+        patterns: ['{turnOff} {wakeWord} aus', '{wakeWord} ausschalten'],
+      },
+      es: {
+        synonyms: { turnOff: ['apaga', 'desactiva', 'deja de escuchar'], wakeWord: ['la palabra de activación', 'palabra de activación', 'oye doro', 'hola doro'] },
+      },
+    },
+    confidence: 0.95,
+  },
+  {
+    // "turn on the wake word", "listen for hey doro"
+    name: 'wake_word_on',
+    synonyms: {
+      turnOn: ['turn on', 'switch on', 'enable', 'listen for', 'start'],
+      wakeWord: ['the wake word', 'wake word', 'the wake phrase', 'wake phrase', 'hey doro'],
+    },
+    patterns: ['{turnOn} {wakeWord}'],
+    languages: {
+      sv: {
+        synonyms: { turnOn: ['slå på', 'sätt på', 'lyssna efter'], wakeWord: ['väckningsordet', 'väckningsfrasen', 'hej doro'] },
+      },
+      de: {
+        synonyms: { turnOn: ['schalte', 'schalt', 'aktiviere'], wakeWord: ['das aktivierungswort', 'aktivierungswort', 'hallo doro'] },
+        patterns: ['{turnOn} {wakeWord} ein', '{turnOn} {wakeWord} an', '{wakeWord} einschalten'],
+      },
+      es: {
+        synonyms: { turnOn: ['activa', 'enciende', 'escucha'], wakeWord: ['la palabra de activación', 'palabra de activación', 'oye doro', 'hola doro'] },
+      },
+    },
+    confidence: 0.95,
+  },
+  {
+    // Questions answered from the phone itself, no network needed
+    name: 'ask_time',
+    synonyms: {
+      time: ['what time is it', "what's the time", 'what is the time', 'tell me the time', 'do you know the time', 'what is the clock'],
+    },
+    patterns: ['{time}'],
+    languages: {
+      sv: { synonyms: { time: ['vad är klockan', 'hur mycket är klockan', 'vad är tiden', 'vad har vi för tid'] } },
+      de: { synonyms: { time: ['wie spät ist es', 'wie viel uhr ist es', 'wieviel uhr ist es', 'wie spät haben wir'] } },
+      es: { synonyms: { time: ['qué hora es', 'qué hora tenemos', 'me dices la hora', 'dime la hora'] } },
+    },
+    confidence: 0.95,
+  },
+  {
+    name: 'ask_date',
+    synonyms: {
+      date: ['what day is it', 'what day is today', "what's the date", 'what is the date', "what's today's date", 'what date is it', 'which day is it', 'what is today'],
+    },
+    patterns: ['{date}'],
+    languages: {
+      sv: { synonyms: { date: ['vilken dag är det', 'vad är det för dag', 'vilket datum är det', 'vad är det för datum', 'vilken dag är det idag'] } },
+      de: { synonyms: { date: ['welcher tag ist heute', 'welcher tag ist es', 'welches datum ist heute', 'welches datum haben wir', 'den wievielten haben wir', 'der wievielte ist heute'] } },
+      es: { synonyms: { date: ['qué día es hoy', 'qué día es', 'qué fecha es hoy', 'qué fecha es', 'a qué estamos hoy', 'a qué estamos'] } },
+    },
+    confidence: 0.95,
+  },
+  {
+    name: 'ask_battery',
+    synonyms: {
+      battery: ['battery level', 'my battery', 'the battery', 'battery', 'is my phone charging', 'is the phone charging', 'how much charge'],
+    },
+    patterns: ['{battery}'],
+    languages: {
+      sv: { synonyms: { battery: ['batteriet', 'batteri', 'laddar telefonen', 'hur mycket laddning'] } },
+      de: { synonyms: { battery: ['der akku', 'mein akku', 'akku', 'die batterie', 'batterie', 'lädt das handy', 'lädt mein handy'] } },
+      es: { synonyms: { battery: ['la batería', 'mi batería', 'batería', 'está cargando el teléfono', 'cuánta carga'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    name: 'ask_silent',
+    synonyms: {
+      silent: ['is my phone on silent', 'is the phone on silent', 'is my phone silent', 'is the phone silent', 'is my phone on vibrate', 'on silent', 'silent mode', 'is my phone muted', 'is the phone muted', 'is the ringer on', 'will my phone ring', 'on vibrate'],
+    },
+    patterns: ['{silent}'],
+    languages: {
+      sv: { synonyms: { silent: ['på ljudlöst', 'ljudlöst läge', 'ljudlös', 'tyst läge', 'ringer telefonen', 'på vibration'] } },
+      de: { synonyms: { silent: ['auf lautlos', 'lautlos', 'stumm geschaltet', 'stummgeschaltet', 'klingelt mein handy', 'auf vibration'] } },
+      es: { synonyms: { silent: ['en silencio', 'modo silencio', 'silenciado', 'va a sonar mi teléfono', 'en vibración'] } },
+    },
+    confidence: 0.95,
+  },
+  {
+    // The phone's own number, as set by a caregiver in the emergency settings
+    name: 'ask_own_number',
+    synonyms: {
+      number: ["what's my number", 'what is my number', "what's my phone number", 'what is my phone number', 'my own number', 'my phone number', 'my number'],
+    },
+    patterns: ['{number}'],
+    languages: {
+      sv: { synonyms: { number: ['vad är mitt nummer', 'vad har jag för nummer', 'mitt telefonnummer', 'mitt eget nummer', 'mitt nummer'] } },
+      de: { synonyms: { number: ['wie ist meine nummer', 'was ist meine nummer', 'meine telefonnummer', 'meine eigene nummer', 'meine nummer'] } },
+      es: { synonyms: { number: ['cuál es mi número', 'mi número de teléfono', 'mi propio número', 'mi número'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    // Replays Doro's last reply
+    name: 'repeat',
+    synonyms: {
+      repeat: ['say that again', 'say it again', 'repeat that', 'repeat it', 'come again', 'what did you say', 'pardon', 'sorry', 'repeat', 'again'],
+    },
+    patterns: ['{repeat}'],
+    languages: {
+      sv: { synonyms: { repeat: ['säg det igen', 'upprepa det', 'vad sa du', 'förlåt', 'upprepa', 'igen'] } },
+      de: { synonyms: { repeat: ['sag das nochmal', 'sag das noch einmal', 'wiederhole das', 'was hast du gesagt', 'wie bitte', 'wiederholen', 'wiederhole', 'nochmal'] } },
+      es: { synonyms: { repeat: ['dilo otra vez', 'repítelo', 'repite eso', 'qué has dicho', 'qué dijiste', 'perdón', 'repite', 'otra vez'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    // Reads back the user's last command
+    name: 'what_did_i_say',
+    synonyms: {
+      what: ['what did i say', 'what did i just say', 'what did you hear', 'what did you understand'],
+    },
+    patterns: ['{what}'],
+    languages: {
+      sv: { synonyms: { what: ['vad sa jag', 'vad hörde du', 'vad uppfattade du'] } },
+      de: { synonyms: { what: ['was habe ich gesagt', 'was hab ich gesagt', 'was hast du gehört', 'was hast du verstanden'] } },
+      es: { synonyms: { what: ['qué dije', 'qué he dicho', 'qué has oído', 'qué entendiste'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    // "slower" and "faster" change the speaking speed and repeat the last reply
+    name: 'speak_slower',
+    synonyms: {
+      slower: ['speak slower', 'talk slower', 'say it slower', 'speak more slowly', 'more slowly', 'slow down', 'slower'],
+    },
+    patterns: ['{slower}'],
+    languages: {
+      sv: { synonyms: { slower: ['prata långsammare', 'tala långsammare', 'säg det långsammare', 'långsammare'] } },
+      de: { synonyms: { slower: ['sprich langsamer', 'sprechen sie langsamer', 'sag es langsamer', 'langsamer'] } },
+      es: { synonyms: { slower: ['habla más despacio', 'dilo más despacio', 'más despacio', 'más lento'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    name: 'speak_faster',
+    synonyms: {
+      faster: ['speak faster', 'talk faster', 'speed up', 'faster'],
+    },
+    patterns: ['{faster}'],
+    languages: {
+      sv: { synonyms: { faster: ['prata snabbare', 'tala snabbare', 'snabbare'] } },
+      de: { synonyms: { faster: ['sprich schneller', 'sprechen sie schneller', 'schneller'] } },
+      es: { synonyms: { faster: ['habla más rápido', 'más rápido', 'más deprisa'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    // "louder" and "quieter" change the speech volume and repeat the last reply
+    name: 'speak_louder',
+    synonyms: {
+      louder: ['speak louder', 'talk louder', 'say it louder', 'speak up', 'louder', "i can't hear you", 'i cannot hear you'],
+    },
+    patterns: ['{louder}'],
+    languages: {
+      sv: { synonyms: { louder: ['prata högre', 'tala högre', 'säg det högre', 'jag hör dig inte', 'högre'] } },
+      de: { synonyms: { louder: ['sprich lauter', 'sprechen sie lauter', 'sag es lauter', 'ich höre dich nicht', 'lauter'] } },
+      es: { synonyms: { louder: ['habla más alto', 'dilo más alto', 'no te oigo', 'más alto', 'más fuerte'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    name: 'speak_quieter',
+    synonyms: {
+      quieter: ['speak quieter', 'speak more quietly', 'speak softer', 'not so loud', 'quieter', 'softer'],
+    },
+    patterns: ['{quieter}'],
+    languages: {
+      sv: { synonyms: { quieter: ['prata tystare', 'prata lägre', 'inte så högt', 'tystare'] } },
+      de: { synonyms: { quieter: ['sprich leiser', 'sprechen sie leiser', 'nicht so laut', 'leiser'] } },
+      es: { synonyms: { quieter: ['habla más bajo', 'no tan alto', 'más bajo', 'más suave'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    // Cuts Doro short while it is talking
+    name: 'stop_speaking',
+    synonyms: {
+      stop: ['stop talking', 'stop speaking', 'be quiet', 'quiet', 'shush', 'hush', 'enough', 'stop'],
+    },
+    patterns: ['{stop}'],
+    languages: {
+      sv: { synonyms: { stop: ['sluta prata', 'var tyst', 'tyst', 'tysta', 'stopp', 'sluta'] } },
+      de: { synonyms: { stop: ['hör auf zu reden', 'hör auf zu sprechen', 'sei still', 'ruhe', 'stopp', 'halt'] } },
+      es: { synonyms: { stop: ['deja de hablar', 'cállate', 'silencio', 'basta', 'alto'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    // Ends hands-free listening
+    name: 'stop_listening',
+    synonyms: {
+      stop: ['stop listening', 'go to sleep', "that's all", 'that is all', 'goodbye doro', 'bye doro'],
+    },
+    patterns: ['{stop}'],
+    languages: {
+      sv: { synonyms: { stop: ['sluta lyssna', 'det var allt', 'hej då doro'] } },
+      de: { synonyms: { stop: ['hör auf zuzuhören', 'hör auf zu hören', 'das war alles', 'tschüss doro'] } },
+      es: { synonyms: { stop: ['deja de escuchar', 'eso es todo', 'adiós doro'] } },
+    },
+    confidence: 0.9,
+  },
+  {
+    // "speak Swedish", "byt till engelska", "sprich Deutsch", "habla español"
+    name: 'set_language',
+    detect: (text) => {
+      const language = findLanguageByName(text);
+      if (!language) {
+        return null;
+      }
+      const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+      if (words.some((word) => LANGUAGE_SWITCH_WORDS.includes(word))) {
+        return { confidence: 0.95, slots: { language } };
+      }
+      // The language name on its own, e.g. "Svenska"
+      return words.length === 1 ? { confidence: 0.9, slots: { language } } : null;
+    },
+  },
+];
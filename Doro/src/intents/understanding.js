@@ -0,0 +1,137 @@
+// Understanding backends turn a transcript into an intent
+// ({ name, slots, confidence, transcript }, as parser.js returns). They share
+// one small interface so the command pipeline does not care where the
+// understanding comes from:
+//   name                                - 'local', 'http' or a test's own
+//   understand(transcript, language)    - resolves to an intent; may throw
+// The local keyword parser is the default and always the fallback: it works
+// offline, answers instantly and keeps SOS detection on the phone. An
+// optional remote backend (e.g. a self-hosted model server) is only asked
+// when the local parser is unsure, and anything it gets wrong, too slowly or
+// not at all falls back to the local result. scripts/understanding-stub-server.js
+// is a stand-in server for trying this out.
+import { parseIntent } from './parser';
+import { DEFAULT_INTENTS } from './registry';
+import { LANGUAGES } from '../i18n/languages';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Understanding');
+
+// Local results at or above this confidence are used without asking the remote backend
+export const LOCAL_CONFIDENT = 0.9;
+
+// Remote results below this confidence are ignored
+export const MIN_REMOTE_CONFIDENCE = 0.6;
+
+// How long the remote backend may take; speaking users won't wait longer
+export const DEFAULT_REMOTE_TIMEOUT_MS = 2500;
+
+export const KNOWN_INTENTS = DEFAULT_INTENTS.map((intent) => intent.name);
+
+// Intents only the phone decides on: a server must never be the reason Doro
+// calls the emergency contacts or wipes the conversation
+export const LOCAL_ONLY_INTENTS = ['sos', 'clear_history'];
+
+// Intents a remote backend may answer with
+export const REMOTE_INTENTS = KNOWN_INTENTS.filter((name) => !LOCAL_ONLY_INTENTS.includes(name));
+
+// Slot values the app relies on being one of a fixed set
+const SLOT_CHECKS = {
+  language: (value) => Boolean(LANGUAGES[value]),
+};
+
+// Slots a remote intent must carry to be acted on; an entry listing several
+// slots needs one of them. The local parser may leave these out and have Doro
+// ask for them, but a server that claims the intent must have understood them,
+// else the local result is used.
+const REQUIRED_SLOTS = {
+  call: ['target'],
+  call_again: ['target'],
+  send_text: [['recipient', 'recipientAndBody']],
+  set_alias: ['alias', 'name'],
+  add_favorite: ['name'],
+  set_reminder: ['details'],
+  cancel_reminder: ['description'],
+  set_language: ['language'],
+};
+
+const hasRequiredSlots = (name, slots) =>
+  (REQUIRED_SLOTS[name] || []).every((required) => [].concat(required).some((slot) => slots[slot] !== undefined));
+
+export const createLocalBackend = () => ({
+  name: 'local',
+  understand: async (transcript, language) => parseIntent(transcript, language),
+});
+
+// Check an intent from a remote backend. Returns the intent, or null when it
+// can't be acted on.
+export const validateRemoteIntent = (value, transcript) => {
+  if (!value || typeof value !== 'object' || ![...REMOTE_INTENTS, 'unknown'].includes(value.name)) {
+    return null;
+  }
+  const confidence = Number(value.confidence);
+  if (!(confidence >= 0 && confidence <= 1)) {
+    return null;
+  }
+  const slots = value.slots ?? {};
+  if (typeof slots !== 'object' || Array.isArray(slots)) {
+    return null;
+  }
+  const valid = Object.entries(slots).every(([slot, slotValue]) =>
+    typeof slotValue === 'string' && slotValue.trim() && (!SLOT_CHECKS[slot] || SLOT_CHECKS[slot](slotValue)));
+  return valid && hasRequiredSlots(value.name, slots) ? { name: value.name, slots, confidence, transcript } : null;
+};
+
+// Backend that POSTs the transcript to an HTTP endpoint:
+//   request:  { "transcript": "could you get my daughter on the line", "language": "en", "intents": ["call", "send_text", ...] }
+//   response: { "name": "call", "slots": { "target": "my daughter" }, "confidence": 0.82 }
+// Throws on timeouts, HTTP errors and responses that fail validation.
+// `fetchImpl` lets tests swap the network out.
+export const createHttpBackend = ({ url, timeoutMs = DEFAULT_REMOTE_TIMEOUT_MS, headers = {}, fetchImpl = fetch }) => ({
+  name: 'http',
+  understand: async (transcript, language) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+        body: JSON.stringify({ transcript, language, intents: REMOTE_INTENTS }),
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const intent = validateRemoteIntent(await response.json(), transcript);
+      if (!intent) {
+        throw new Error('Invalid intent in response');
+      }
+      return intent;
+    } catch (error) {
+      throw controller.signal.aborted ? new Error(`No answer within ${timeoutMs} ms`) : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+});
+
+// The command pipeline's entry point. `remote` is an optional backend asked
+// when the local parser is unsure; `local` defaults to the keyword parser.
+export const createUnderstanding = ({ remote = null, local = createLocalBackend() } = {}) => ({
+  understand: async (transcript, language) => {
+    const localIntent = await local.understand(transcript, language);
+    if (!remote || localIntent.name === 'sos' || localIntent.confidence >= LOCAL_CONFIDENT) {
+      return { ...localIntent, backend: local.name };
+    }
+    try {
+      const remoteIntent = await remote.understand(transcript, language);
+      const usable = remoteIntent.name !== 'unknown' && !LOCAL_ONLY_INTENTS.includes(remoteIntent.name);
+      if (usable && remoteIntent.confidence >= MIN_REMOTE_CONFIDENCE && remoteIntent.confidence > localIntent.confidence) {
+        return { ...remoteIntent, backend: remote.name };
+      }
+    } catch (error) {
+      log.warn(`The ${remote.name} backend failed, using the local parser`, error);
+    }
+    return { ...localIntent, backend: local.name };
+  },
+});
@@ -0,0 +1,21 @@
+import * as Sharing from 'expo-sharing';
+import * as FileSystem from 'expo-file-system';
+import { exportDiagnostics, DIAGNOSTICS_FORMAT } from '../diagnostics';
+
+const STATE = { settings: { language: 'de' }, permissions: { microphone: 'granted' }, recognizerName: 'native' };
+
+beforeEach(() => jest.clearAllMocks());
+
+test('shares the diagnostics file with a title in the user\'s language', async () => {
+  await exportDiagnostics(STATE);
+
+  const [uri, json] = FileSystem.writeAsStringAsync.mock.calls[0];
+  expect(JSON.parse(json)).toMatchObject({ format: DIAGNOSTICS_FORMAT, state: { recognizer: 'native' } });
+  expect(Sharing.shareAsync).toHaveBeenCalledWith(uri, expect.objectContaining({ dialogTitle: 'Doro-Diagnose senden' }));
+});
+
+test('explains in the user\'s language when the phone cannot share files', async () => {
+  Sharing.isAvailableAsync.mockResolvedValueOnce(false);
+  await expect(exportDiagnostics({ ...STATE, settings: { language: 'sv' } })).rejects.toThrow('Den här enheten kan inte dela filer.');
+  expect(Sharing.shareAsync).not.toHaveBeenCalled();
+});
@@ -0,0 +1,107 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createLogger, getLogEntries, clearLog, loadLog, redact, redactText, MAX_LOG_ENTRIES, REDACTED } from '../logger';
+
+const log = createLogger('Test');
+
+// Every entry is echoed to the console; keep the test output clean
+const CONSOLE_METHODS = ['log', 'warn', 'error'];
+
+beforeEach(() => {
+  CONSOLE_METHODS.forEach((method) => jest.spyOn(console, method).mockImplementation(() => {}));
+  clearLog();
+  jest.runOnlyPendingTimers();
+});
+
+afterEach(() => CONSOLE_METHODS.forEach((method) => console[method].mockRestore()));
+
+describe('redactText', () => {
+  test.each([
+    ['Calling 5551234', 'Calling [number]'],
+    ['Dialing +46 70-123 45 67 now', 'Dialing [number] now'],
+    ['Retry 3 of 5 at 10:15', 'Retry 3 of 5 at 10:15'],
+    ['Error 404', 'Error 404'],
+  ])('%s -> %s', (text, redacted) => {
+    expect(redactText(text)).toBe(redacted);
+  });
+});
+
+describe('redact', () => {
+  test('hides names, numbers and what the user said', () => {
+    expect(redact({
+      intent: 'call',
+      slots: { target: 'Anna' },
+      candidate: { name: 'Anna Berg', number: '5551234', label: 'mobile' },
+      transcript: 'call Anna',
+      emptyName: '',
+      attempts: 2,
+    })).toEqual({
+      intent: 'call',
+      slots: { target: REDACTED },
+      candidate: { name: REDACTED, number: REDACTED, label: 'mobile' },
+      transcript: REDACTED,
+      emptyName: '',
+      attempts: 2,
+    });
+  });
+
+  test('masks numbers inside other strings, arrays and errors', () => {
+    const error = new TypeError('Cannot dial 5551234');
+    expect(redact(['ok', 'from 0701234567'])).toEqual(['ok', 'from [number]']);
+    expect(redact(error)).toEqual({ name: 'TypeError', message: 'Cannot dial [number]' });
+    expect(redact({ settings: { emergencyContacts: [{ name: 'Bo', number: '112' }] } }))
+      .toEqual({ settings: { emergencyContacts: [{ name: REDACTED, number: REDACTED }] } });
+  });
+
+  test('cuts off deeply nested data', () => {
+    expect(redact({ a: { b: { c: { d: { e: 1 } } } } })).toEqual({ a: { b: { c: { d: '[...]' } } } });
+  });
+
+  test('leaves plain values alone', () => {
+    expect(redact(7)).toBe(7);
+    expect(redact(null)).toBeNull();
+    expect(redact(undefined)).toBeUndefined();
+  });
+});
+
+describe('createLogger', () => {
+  test('buffers entries from info up, redacted', () => {
+    log.debug('Only on the console');
+    log.info('Calling 5551234', { name: 'Anna' });
+    log.error('Failed', new Error('boom'));
+
+    expect(getLogEntries()).toEqual([
+      { time: expect.any(String), level: 'info', area: 'Test', message: 'Calling [number]', data: { name: REDACTED } },
+      { time: expect.any(String), level: 'error', area: 'Test', message: 'Failed', data: { name: 'Error', message: 'boom' } },
+    ]);
+    expect(console.log).toHaveBeenCalledWith('Test: Only on the console');
+  });
+
+  test(`keeps the last ${MAX_LOG_ENTRIES} entries`, () => {
+    for (let i = 0; i < MAX_LOG_ENTRIES + 10; i++) {
+      log.info(`Entry ${i}`);
+    }
+    const entries = getLogEntries();
+    expect(entries).toHaveLength(MAX_LOG_ENTRIES);
+    expect(entries[0].message).toBe('Entry 10');
+  });
+
+  test('saves the buffer shortly after logging', async () => {
+    log.warn('Low memory');
+    expect(await AsyncStorage.getItem('@doro/log')).not.toContain('Low memory');
+    jest.runOnlyPendingTimers();
+    await Promise.resolve();
+    expect(JSON.parse(await AsyncStorage.getItem('@doro/log'))).toEqual([expect.objectContaining({ message: 'Low memory' })]);
+  });
+});
+
+describe('loadLog', () => {
+  test('puts the saved entries in front of this run\'s, once', async () => {
+    const saved = { time: '2026-10-18T10:00:00.000Z', level: 'info', area: 'App', message: 'Yesterday' };
+    await AsyncStorage.setItem('@doro/log', JSON.stringify([saved]));
+    log.info('Today');
+
+    await loadLog();
+    await loadLog();
+    expect(getLogEntries().map((entry) => entry.message)).toEqual(['Yesterday', 'Today']);
+  });
+});
@@ -0,0 +1,41 @@
+// Diagnostics export: the log buffer plus a snapshot of how the phone and
+// Doro are set up, shared as a JSON file for field support:
+//   {
+//     "format": "doro-diagnostics",
+//     "version": 1,
+//     "exportedAt": "2026-10-19T14:30:00.000Z",
+//     "app": { "version": "1.0.0", "platform": "android", "osVersion": 34 },
+//     "state": { "recognizer": "native", "permissions": { ... }, "settings": { ... } },
+//     "log": [ { time, level, area, message, data }, ... ]
+//   }
+// Everything passes through the logger's redaction first.
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import appConfig from '../../app.json';
+import { translate } from '../i18n/translate';
+import { getLogEntries, redact } from './logger';
+
+export const DIAGNOSTICS_FORMAT = 'doro-diagnostics';
+export const DIAGNOSTICS_VERSION = 1;
+
+export const buildDiagnostics = ({ settings, permissions, recognizerName }) => ({
+  format: DIAGNOSTICS_FORMAT,
+  version: DIAGNOSTICS_VERSION,
+  exportedAt: new Date().toISOString(),
+  app: { version: appConfig.expo.version, platform: Platform.OS, osVersion: Platform.Version },
+  state: redact({ recognizer: recognizerName, permissions, settings }),
+  log: getLogEntries(),
+});
+
+// Write the diagnostics to a file and open the share sheet, titled in the
+// user's language. Throws when the phone can't share files.
+export const exportDiagnostics = async (state) => {
+  const language = state.settings?.language || 'en';
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(translate(language, 'diagnosticsSharingUnavailable'));
+  }
+  const uri = `${FileSystem.cacheDirectory}doro-diagnostics.json`;
+  await FileSystem.writeAsStringAsync(uri, JSON.stringify(buildDiagnostics(state), null, 2));
+  await Sharing.shareAsync(uri, { mimeType: 'application/json', dialogTitle: translate(language, 'diagnosticsShareTitle'), UTI: 'public.json' });
+};
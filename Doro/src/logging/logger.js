@@ -0,0 +1,123 @@
+// Leveled logging for field support. Every entry goes to the console as
+// before and into a bounded ring buffer kept on the phone, so when a relative
+// reports "Doro won't listen" the last few hundred events can be exported
+// (see diagnostics.js):
+//   const log = createLogger('Recognizer');
+//   log.info('Listening started', { engine: 'native' });
+//   log.error('Failed to start listening', error);
+// Entry shape:
+//   { time, level: 'debug' | 'info' | 'warn' | 'error', area, message, data }
+// Contact names, phone numbers and what the user said must never leave the
+// phone: values under NAME_KEYS are replaced, and digit runs that look like
+// phone numbers are masked in every string, messages included.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = '@doro/log';
+
+// Oldest entries are dropped beyond this many
+export const MAX_LOG_ENTRIES = 500;
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Entries below this level only go to the console
+const MIN_BUFFERED_LEVEL = 'info';
+
+// The buffer is written to storage at most this often
+const SAVE_DELAY_MS = 2000;
+
+// Keys whose values identify a person or repeat what the user said
+const NAME_KEYS = [
+  'name', 'number', 'contact', 'contactName', 'phoneNumbers', 'target', 'recipient', 'recipientAndBody',
+  'body', 'alias', 'transcript', 'text', 'details', 'description', 'task', 'spoken', 'url', 'ownNumber',
+];
+
+// Seven or more digits, possibly grouped: "+46 70-123 45 67", "5551234"
+const PHONE_NUMBER = /\+?\d(?:[\d\s\-().]*\d){6,}/g;
+
+export const REDACTED = '[redacted]';
+
+export const redactText = (text) => text.replace(PHONE_NUMBER, '[number]');
+
+// A copy of `value` that is safe to store and export. Errors become
+// { name, message }; anything deeper than a few levels is cut off.
+export const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redactText(value.message || '') };
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth > 3) {
+    return '[...]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, NAME_KEYS.includes(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, depth + 1)]));
+};
+
+let entries = [];
+let isLoaded = false;
+let saveTimer = null;
+
+const scheduleSave = () => {
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(entries))
+      .catch((error) => console.error('Logger: Failed to save the log:', error));
+  }, SAVE_DELAY_MS);
+};
+
+// Add the entries kept from earlier runs in front of this run's. Call once
+// at startup; entries logged before it finishes are kept.
+export const loadLog = async () => {
+  if (isLoaded) {
+    return;
+  }
+  isLoaded = true;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : [];
+    if (Array.isArray(saved)) {
+      entries = [...saved, ...entries].slice(-MAX_LOG_ENTRIES);
+    }
+  } catch (error) {
+    console.error('Logger: Failed to load the log:', error);
+  }
+};
+
+export const getLogEntries = () => entries;
+
+export const clearLog = () => {
+  entries = [];
+  scheduleSave();
+};
+
+const write = (level, area, message, data) => {
+  const consoleMethod = { debug: 'log', info: 'log', warn: 'warn', error: 'error' }[level];
+  if (data === undefined) {
+    console[consoleMethod](`${area}: ${message}`);
+  } else {
+    console[consoleMethod](`${area}: ${message}:`, data);
+  }
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(MIN_BUFFERED_LEVEL)) {
+    return;
+  }
+  const entry = { time: new Date().toISOString(), level, area, message: redactText(message) };
+  if (data !== undefined) {
+    entry.data = redact(data);
+  }
+  entries = [...entries, entry].slice(-MAX_LOG_ENTRIES);
+  scheduleSave();
+};
+
+// A logger whose entries are tagged with `area`, e.g. 'App' or 'Speech'
+export const createLogger = (area) =>
+  Object.fromEntries(LOG_LEVELS.map((level) => [level, (message, data) => write(level, area, message, data)]));
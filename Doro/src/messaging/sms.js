@@ -0,0 +1,45 @@
+// Helpers for composing text messages by voice.
+
+// Build the URL that opens the platform SMS composer prefilled with a body.
+// iOS separates the body with "&", Android with "?".
+export const buildSmsUrl = (number, body, platform) => {
+  const recipient = (number || '').replace(/[^\d+]/g, '');
+  if (!body) {
+    return `sms:${recipient}`;
+  }
+  const separator = platform === 'ios' ? '&' : '?';
+  return `sms:${recipient}${separator}body=${encodeURIComponent(body)}`;
+};
+
+// Split "Anna I'll be late" into a recipient and a message body when the user
+// gave no separator word. scoreRecipient(words) rates how well a candidate
+// recipient matches a known contact (0..1); the longest prefix scoring at
+// least `threshold` wins, so "Anna Berg see you soon" keeps the surname.
+// A leading phone number ("555 1234 I'm outside") is always the recipient.
+// Returns { recipient, body } where body may be empty.
+export const splitRecipientAndBody = (text, scoreRecipient, { maxRecipientWords = 3, threshold = 0.8 } = {}) => {
+  const words = (text || '').trim().split(/\s+/).filter(Boolean);
+  if (!words.length) {
+    return { recipient: '', body: '' };
+  }
+
+  const numberWords = [];
+  for (const word of words) {
+    if (!/^[+\d][\d()-]*$/.test(word)) {
+      break;
+    }
+    numberWords.push(word);
+  }
+  if (numberWords.length) {
+    return { recipient: numberWords.join(' '), body: words.slice(numberWords.length).join(' ') };
+  }
+
+  for (let count = Math.min(maxRecipientWords, words.length); count >= 1; count--) {
+    const recipient = words.slice(0, count).join(' ');
+    if (scoreRecipient(recipient) >= threshold) {
+      return { recipient, body: words.slice(count).join(' ') };
+    }
+  }
+  // Nobody matched; assume a one-word name so Doro can say who it looked for
+  return { recipient: words[0], body: words.slice(1).join(' ') };
+};
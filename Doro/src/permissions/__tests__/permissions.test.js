@@ -0,0 +1,84 @@
+import { Linking } from 'react-native';
+import { Audio } from 'expo-av';
+import * as Contacts from 'expo-contacts';
+import * as Notifications from 'expo-notifications';
+import {
+  checkPermissions,
+  requestPermission,
+  missingPermissions,
+  getVoiceReadiness,
+  openAppSettings,
+  getPermissionStep,
+} from '../permissions';
+
+describe('checkPermissions', () => {
+  test('maps every permission to its state', async () => {
+    Contacts.getPermissionsAsync.mockResolvedValueOnce({ status: 'denied', canAskAgain: false });
+    Notifications.getPermissionsAsync.mockResolvedValueOnce({ status: 'undetermined', canAskAgain: true });
+    await expect(checkPermissions()).resolves.toEqual({ microphone: 'granted', contacts: 'blocked', notifications: 'askable' });
+  });
+
+  test('reports a permission the phone does not have as unavailable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Contacts.getPermissionsAsync.mockRejectedValueOnce(new Error('Not supported on web'));
+    await expect(checkPermissions()).resolves.toMatchObject({ contacts: 'unavailable' });
+    console.error.mockRestore();
+  });
+});
+
+describe('requestPermission', () => {
+  test('shows the system prompt and returns the new state', async () => {
+    Audio.requestPermissionsAsync.mockResolvedValueOnce({ status: 'denied', canAskAgain: true });
+    await expect(requestPermission('microphone')).resolves.toBe('askable');
+    expect(Audio.requestPermissionsAsync).toHaveBeenCalled();
+  });
+});
+
+describe('missingPermissions', () => {
+  const permissions = { microphone: 'blocked', contacts: 'askable', notifications: 'unavailable' };
+
+  test('lists the permissions onboarding should still ask for, in order', () => {
+    expect(missingPermissions(permissions)).toEqual(['microphone', 'contacts']);
+    expect(missingPermissions({ microphone: 'granted', contacts: 'granted', notifications: 'askable' })).toEqual(['notifications']);
+  });
+
+  test('only lists the microphone with requiredOnly', () => {
+    expect(missingPermissions(permissions, { requiredOnly: true })).toEqual(['microphone']);
+    expect(missingPermissions({ ...permissions, microphone: 'granted' }, { requiredOnly: true })).toEqual([]);
+  });
+
+  test('skips permissions that have not been checked yet', () => {
+    expect(missingPermissions({ microphone: 'unknown', contacts: 'unknown', notifications: 'unknown' })).toEqual([]);
+  });
+});
+
+describe('getVoiceReadiness', () => {
+  test.each([
+    ['unknown', 'native', 'checking'],
+    ['granted', null, 'checking'],
+    ['askable', 'webview', 'needs_microphone'],
+    ['blocked', null, 'needs_microphone'],
+    ['granted', 'none', 'no_recognizer'],
+    ['granted', 'webview', 'ready'],
+    ['granted', 'native', 'ready'],
+  ])('microphone %s with recognizer %s is %s', (microphone, recognizerName, readiness) => {
+    expect(getVoiceReadiness(microphone, recognizerName)).toBe(readiness);
+  });
+});
+
+describe('openAppSettings', () => {
+  test("opens Doro's page in the phone's settings", async () => {
+    const openSettings = jest.spyOn(Linking, 'openSettings').mockResolvedValue();
+    await openAppSettings();
+    expect(openSettings).toHaveBeenCalled();
+    openSettings.mockRestore();
+  });
+});
+
+describe('getPermissionStep', () => {
+  test('describes each step for the onboarding screen', () => {
+    expect(getPermissionStep('microphone')).toMatchObject({ required: true, titleKey: 'onboardingMicTitle' });
+    expect(getPermissionStep('contacts').required).toBe(false);
+    expect(getPermissionStep('camera')).toBeUndefined();
+  });
+});
@@ -0,0 +1,91 @@
+// The phone permissions Doro uses, in the order onboarding explains them.
+// The microphone is the only one Doro can't do without; contacts unlock
+// calling and texting by name, notifications let reminders ring.
+// Each permission is in one of these states:
+//   'unknown'     - not checked yet
+//   'granted'
+//   'askable'     - not granted, but the system prompt can still be shown
+//   'blocked'     - denied for good; only the phone's settings can change it
+//   'unavailable' - this phone has no such permission (e.g. contacts on the web)
+import { Linking } from 'react-native';
+import { Audio } from 'expo-av';
+import * as Contacts from 'expo-contacts';
+import * as Notifications from 'expo-notifications';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Permissions');
+
+export const PERMISSION_STEPS = [
+  { key: 'microphone', icon: 'mic-outline', required: true, titleKey: 'onboardingMicTitle', explainKey: 'onboardingMicExplain' },
+  { key: 'contacts', icon: 'people-outline', required: false, titleKey: 'onboardingContactsTitle', explainKey: 'onboardingContactsExplain' },
+  { key: 'notifications', icon: 'notifications-outline', required: false, titleKey: 'onboardingNotificationsTitle', explainKey: 'onboardingNotificationsExplain' },
+];
+
+const MODULES = {
+  microphone: Audio,
+  contacts: Contacts,
+  notifications: Notifications,
+};
+
+export const UNKNOWN_PERMISSIONS = { microphone: 'unknown', contacts: 'unknown', notifications: 'unknown' };
+
+export const getPermissionStep = (key) => PERMISSION_STEPS.find((step) => step.key === key);
+
+const toState = ({ status, canAskAgain }) => {
+  if (status === 'granted') {
+    return 'granted';
+  }
+  return canAskAgain === false ? 'blocked' : 'askable';
+};
+
+// Run getPermissionsAsync or requestPermissionsAsync for one permission
+const callModule = async (key, method) => {
+  try {
+    return toState(await MODULES[key][method]());
+  } catch (error) {
+    log.error(`Failed to check the ${key} permission`, error);
+    return 'unavailable';
+  }
+};
+
+// Current state of every permission, without prompting:
+//   { microphone: 'granted', contacts: 'blocked', notifications: 'askable' }
+export const checkPermissions = async () => {
+  const states = await Promise.all(PERMISSION_STEPS.map(({ key }) => callModule(key, 'getPermissionsAsync')));
+  return Object.fromEntries(PERMISSION_STEPS.map(({ key }, i) => [key, states[i]]));
+};
+
+// Show the system prompt for one permission; resolves to its new state
+export const requestPermission = (key) => callModule(key, 'requestPermissionsAsync');
+
+// Permissions onboarding should still walk through, in order. With
+// requiredOnly, just the ones Doro can't work without.
+export const missingPermissions = (permissions, { requiredOnly = false } = {}) =>
+  PERMISSION_STEPS
+    .filter((step) => !requiredOnly || step.required)
+    .filter((step) => permissions[step.key] === 'askable' || permissions[step.key] === 'blocked')
+    .map((step) => step.key);
+
+// Doro's page in the phone's settings app, where blocked permissions are switched on
+export const openAppSettings = () =>
+  Linking.openSettings().catch((error) => log.error('Failed to open settings', error));
+
+// Whether Doro can listen right now. The WebView recognizer gets the
+// microphone through the app's own permission, so one state covers both
+// engines:
+//   'checking'         - the permission or the recognizer is not known yet
+//   'needs_microphone' - the microphone permission is missing
+//   'no_recognizer'    - no speech recognizer works on this phone
+//   'ready'
+export const getVoiceReadiness = (microphone, recognizerName) => {
+  if (microphone === 'unknown') {
+    return 'checking';
+  }
+  if (microphone !== 'granted') {
+    return 'needs_microphone';
+  }
+  if (recognizerName === 'none') {
+    return 'no_recognizer';
+  }
+  return recognizerName ? 'ready' : 'checking';
+};
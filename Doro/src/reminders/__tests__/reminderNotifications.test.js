@@ -0,0 +1,25 @@
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { configureReminderNotifications, scheduleReminder, REMINDER_CATEGORY, TOOK_IT_ACTION } from '../reminderNotifications';
+
+const PILLS = { id: '1', task: 'ta mina tabletter', repeat: 'daily', hour: 8, minute: 0 };
+
+beforeEach(() => jest.clearAllMocks());
+
+test('names the channel and the "I took it" button in the user\'s language', async () => {
+  Platform.OS = 'android';
+  await configureReminderNotifications('sv');
+
+  expect(Notifications.setNotificationChannelAsync).toHaveBeenCalledWith('reminders', expect.objectContaining({ name: 'Påminnelser' }));
+  expect(Notifications.setNotificationCategoryAsync).toHaveBeenCalledWith(REMINDER_CATEGORY, [
+    expect.objectContaining({ identifier: TOOK_IT_ACTION, buttonTitle: 'Jag har tagit den' }),
+  ]);
+});
+
+test('titles reminders in the user\'s language', async () => {
+  await scheduleReminder(PILLS, 'de');
+  expect(Notifications.scheduleNotificationAsync.mock.calls[0][0].content).toMatchObject({ title: 'Erinnerung von Doro', body: PILLS.task });
+
+  await scheduleReminder(PILLS);
+  expect(Notifications.scheduleNotificationAsync.mock.calls[1][0].content.title).toBe('Doro reminder');
+});
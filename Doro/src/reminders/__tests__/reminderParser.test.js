@@ -0,0 +1,49 @@
+import { parseReminderDetails, describeSchedule } from '../reminderParser';
+
+// Wednesday 15 May 2024, 10:00
+const NOW = new Date(2024, 4, 15, 10, 0);
+
+describe('parseReminderDetails', () => {
+  test('reads a daily reminder with a clock time', () => {
+    expect(parseReminderDetails('to take my pills at 8 every morning', NOW))
+      .toEqual({ task: 'take my pills', hour: 8, minute: 0, repeat: 'daily', weekday: null, date: null });
+  });
+
+  test.each([
+    ['to water the plants every monday at 9', 2],
+    ['att vattna blommorna varje måndag klockan 9', 2],
+    ['die blumen giessen jeden montag um 9', 2],
+    ['regar las plantas cada viernes a las 9', 6],
+  ])('repeats "%s" weekly', (details, weekday) => {
+    expect(parseReminderDetails(details, NOW)).toMatchObject({ repeat: 'weekly', weekday, hour: 9, date: null });
+  });
+
+  test.each([
+    ['to call the doctor on monday at 9', new Date(2024, 4, 20, 9, 0)],
+    ['att ringa läkaren på måndag klockan 9', new Date(2024, 4, 20, 9, 0)],
+    ['den arzt anrufen am freitag um 9', new Date(2024, 4, 17, 9, 0)],
+    ['llamar al médico el viernes a las 9', new Date(2024, 4, 17, 9, 0)],
+  ])('fires "%s" once, on the coming day', (details, date) => {
+    expect(parseReminderDetails(details, NOW)).toMatchObject({ repeat: 'once', weekday: null, date });
+  });
+
+  test('moves a weekday that is today to next week once its time has passed', () => {
+    expect(parseReminderDetails('on wednesday at 9 to call Anna', NOW).date).toEqual(new Date(2024, 4, 22, 9, 0));
+    expect(parseReminderDetails('on wednesday at 11 to call Anna', NOW).date).toEqual(new Date(2024, 4, 15, 11, 0));
+  });
+
+  test('asks for the time when none was given', () => {
+    expect(parseReminderDetails('to call Anna', NOW)).toMatchObject({ task: 'call anna', missingTime: true });
+  });
+
+  test('reads a relative time', () => {
+    expect(parseReminderDetails('in 20 minutes to check the oven', NOW).date).toEqual(new Date(2024, 4, 15, 10, 20));
+  });
+});
+
+describe('describeSchedule', () => {
+  test('describes weekly and one-off reminders', () => {
+    expect(describeSchedule({ repeat: 'weekly', weekday: 2, hour: 9, minute: 0 }, NOW)).toMatch(/Monday/);
+    expect(describeSchedule({ repeat: 'once', date: new Date(2024, 4, 16, 15, 30) }, NOW)).toMatch(/3:30 PM/);
+  });
+});
@@ -0,0 +1,72 @@
+// Local notifications for reminders. Each alert carries an "I took it"
+// action whose answer is logged for caregivers. Their texts follow Doro's
+// language setting.
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { translate } from '../i18n/translate';
+
+export const REMINDER_CATEGORY = 'doro-reminder';
+export const TOOK_IT_ACTION = 'took-it';
+
+// Show reminders even while Doro is open, and register the "I took it" action.
+// Run again when the language changes so the channel and button are renamed.
+export const configureReminderNotifications = async (language = 'en') => {
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowBanner: true,
+      shouldShowList: true,
+      shouldPlaySound: true,
+      shouldSetBadge: false,
+    }),
+  });
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync('reminders', {
+      name: translate(language, 'reminderChannelName'),
+      importance: Notifications.AndroidImportance.HIGH,
+    });
+  }
+  await Notifications.setNotificationCategoryAsync(REMINDER_CATEGORY, [
+    { identifier: TOOK_IT_ACTION, buttonTitle: translate(language, 'reminderTookItButton'), options: { opensAppToForeground: true } },
+  ]);
+};
+
+export const requestReminderPermission = async () => {
+  const { status } = await Notifications.requestPermissionsAsync();
+  return status === 'granted';
+};
+
+const buildTrigger = (reminder) => {
+  const channel = Platform.OS === 'android' ? { channelId: 'reminders' } : {};
+  if (reminder.repeat === 'daily') {
+    return { type: Notifications.SchedulableTriggerInputTypes.DAILY, hour: reminder.hour, minute: reminder.minute, ...channel };
+  }
+  if (reminder.repeat === 'weekly') {
+    return {
+      type: Notifications.SchedulableTriggerInputTypes.WEEKLY,
+      weekday: reminder.weekday,
+      hour: reminder.hour,
+      minute: reminder.minute,
+      ...channel,
+    };
+  }
+  return { type: Notifications.SchedulableTriggerInputTypes.DATE, date: new Date(reminder.date), ...channel };
+};
+
+// Schedule the notification for a reminder and return its notification id
+export const scheduleReminder = (reminder, language = 'en') =>
+  Notifications.scheduleNotificationAsync({
+    content: {
+      title: translate(language, 'reminderNotificationTitle'),
+      body: reminder.task,
+      sound: true,
+      categoryIdentifier: REMINDER_CATEGORY,
+      data: { reminderId: reminder.id, task: reminder.task },
+    },
+    trigger: buildTrigger(reminder),
+  });
+
+export const cancelReminder = async (reminder) => {
+  if (reminder.notificationId) {
+    await Notifications.cancelScheduledNotificationAsync(reminder.notificationId);
+  }
+};
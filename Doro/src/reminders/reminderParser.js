@@ -0,0 +1,221 @@
+// Parses the details of a spoken reminder, e.g. "to take my pills at 8 every
+// morning" or "at 3 pm tomorrow to call the doctor", into
+//   { task, hour, minute, repeat: 'once' | 'daily' | 'weekly', weekday, date }
+// weekday is 1 (Sunday) to 7 (Saturday) for weekly reminders; date is the
+// first time a one-off reminder fires, so "on Monday" is the coming Monday. When no time was given the result has
+// missingTime: true so Doro can ask for it.
+
+// Swedish, German and Spanish keywords are accepted too; recognizers return
+// digits for those languages, so only English number words are listed.
+import { translate } from '../i18n/translate';
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Weekday names in every supported language, in the same order as WEEKDAYS
+const WEEKDAY_NAMES = [
+  ['sunday', 'söndag', 'sonntag', 'domingo'],
+  ['monday', 'måndag', 'montag', 'lunes'],
+  ['tuesday', 'tisdag', 'dienstag', 'martes'],
+  ['wednesday', 'onsdag', 'mittwoch', 'miércoles', 'miercoles'],
+  ['thursday', 'torsdag', 'donnerstag', 'jueves'],
+  ['friday', 'fredag', 'freitag', 'viernes'],
+  ['saturday', 'lördag', 'samstag', 'sábado', 'sabado'],
+];
+const WEEKDAY_PATTERN = WEEKDAY_NAMES.flat().join('|');
+const weekdayNumber = (name) => WEEKDAY_NAMES.findIndex((names) => names.includes(name)) + 1;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, 'forty five': 45, 'forty-five': 45,
+};
+
+// "every morning" and friends in the other languages
+const DAILY_PERIODS = {
+  'varje dag': 'day', dagligen: 'day', 'varje morgon': 'morning', 'varje kväll': 'evening',
+  'jeden tag': 'day', täglich: 'day', 'jeden morgen': 'morning', 'jeden abend': 'evening',
+  'todos los días': 'day', 'cada día': 'day', 'todas las mañanas': 'morning', 'cada mañana': 'morning', 'todas las noches': 'night',
+};
+
+// Default hour for "every morning" and friends when no time is given
+const PERIOD_DEFAULT_HOURS = { morning: 8, afternoon: 14, evening: 19, night: 21 };
+
+const NUMBER_PATTERN = `\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')}`;
+
+const toNumber = (value) => (/^\d+$/.test(value) ? Number(value) : NUMBER_WORDS[value]);
+
+// Remove a matched phrase from the task text
+const cut = (text, match) => (match ? text.replace(match[0], ' ') : text);
+
+// \b only knows ASCII letters, so "måndag" needs explicit letter boundaries
+const words = (pattern) => new RegExp(`(?<![\\p{L}'])(?:${pattern})(?![\\p{L}'])`, 'u');
+
+export const parseReminderDetails = (details, now = new Date()) => {
+  let text = ` ${(details || '').toLowerCase().replace(/[.,!?]/g, ' ').replace(/\s+/g, ' ')} `;
+  let repeat = 'once';
+  let weekday = null;
+  let period = null;
+  let dayOffset = null;
+  let relativeMinutes = null;
+  let onWeekday = null;
+
+  // Repetition: "every morning", "daily", "every monday"
+  const everyWeekday = text.match(words(`(?:every|each|varje|jeden|cada) (${WEEKDAY_PATTERN})(?:s|ar)?`));
+  if (everyWeekday) {
+    repeat = 'weekly';
+    weekday = weekdayNumber(everyWeekday[1]);
+    text = cut(text, everyWeekday);
+  }
+  // A single day: "on monday" fires once, on the coming Monday
+  const singleWeekday = !everyWeekday && text.match(words(`(?:(?:on|på|am|el|los) )?(${WEEKDAY_PATTERN})`));
+  if (singleWeekday) {
+    onWeekday = weekdayNumber(singleWeekday[1]);
+    text = cut(text, singleWeekday);
+  }
+  const everyDay = text.match(/\b(?:every|each) ?(day|morning|afternoon|evening|night)\b|\b(daily)\b/)
+    || text.match(words(`(${Object.keys(DAILY_PERIODS).join('|')})`));
+  if (everyDay) {
+    repeat = 'daily';
+    const spoken = DAILY_PERIODS[everyDay[1]] || everyDay[1];
+    period = spoken && spoken !== 'day' ? spoken : null;
+    text = cut(text, everyDay);
+  }
+
+  // Spanish "mañana" is also "morning", so read "por la mañana" before "tomorrow"
+  const spanishPeriod = text.match(words('(?:por|de) la (mañana|tarde|noche)'));
+  if (spanishPeriod) {
+    period = { mañana: 'morning', tarde: 'afternoon', noche: 'night' }[spanishPeriod[1]];
+    text = cut(text, spanishPeriod);
+  }
+
+  // Day and part of day: "tomorrow", "tonight", "in the evening"
+  const tomorrow = text.match(words('tomorrow|i ?morgon|morgen|mañana'));
+  if (tomorrow) {
+    dayOffset = 1;
+    text = cut(text, tomorrow);
+  }
+  const today = text.match(words('today|i ?dag|heute|hoy'));
+  if (today) {
+    dayOffset = 0;
+    text = cut(text, today);
+  }
+  const partOfDay = text.match(/\b(?:in the|this) (morning|afternoon|evening)\b|\b(?:at )?(night|tonight)\b/);
+  if (partOfDay) {
+    period = partOfDay[1] || 'night';
+    text = cut(text, partOfDay);
+  }
+
+  // Relative time: "in 20 minutes", "in two hours", "om 20 minuter", "en 2 horas"
+  const relative = text.match(new RegExp(
+    `\\b(?:in|om|en) (${NUMBER_PATTERN}|an?|half an) (minutes?|minuter|minut|minuten|minutos?|hours?|timmar|timme|stunden?|horas?)\\b`,
+  ));
+  if (relative) {
+    const amount = relative[1] === 'half an' ? 0.5 : /^an?$/.test(relative[1]) ? 1 : toNumber(relative[1]);
+    relativeMinutes = Math.round(amount * (/^(?:hour|tim|stund|hora)/.test(relative[2]) ? 60 : 1));
+    text = cut(text, relative);
+  }
+
+  // Clock time: "at 8", "at 8:30 pm", "at eight thirty", "at noon"
+  let hour = null;
+  let minute = 0;
+  const noon = text.match(/\b(?:at )?(noon|midday|midnight)\b/);
+  const clock = text.match(new RegExp(
+    `\\b(?:at|klockan|kl|um|a las|a la) (${NUMBER_PATTERN})(?:[:.](\\d{2})| (${NUMBER_PATTERN}))?(?: ?(a\\.? ?m\\.?|p\\.? ?m\\.?|o'?clock|uhr))?(?=\\s)`,
+  ));
+  if (noon) {
+    hour = noon[1] === 'midnight' ? 0 : 12;
+    text = cut(text, noon);
+  } else if (clock) {
+    hour = toNumber(clock[1]);
+    minute = clock[2] ? Number(clock[2]) : clock[3] ? toNumber(clock[3]) : 0;
+    const meridiem = (clock[4] || '').replace(/[.\s]/g, '');
+    if (meridiem === 'pm' && hour < 12) {
+      hour += 12;
+    } else if (meridiem === 'am' && hour === 12) {
+      hour = 0;
+    } else if (meridiem !== 'am' && meridiem !== 'pm') {
+      // No am/pm: use the part of day, else assume 1-6 means afternoon
+      if ((period === 'afternoon' || period === 'evening' || period === 'night') && hour < 12) {
+        hour += 12;
+      } else if (!period && hour >= 1 && hour <= 6) {
+        hour += 12;
+      }
+    }
+    text = cut(text, clock);
+  } else if (period && relativeMinutes === null) {
+    hour = PERIOD_DEFAULT_HOURS[period];
+  }
+
+  const task = text
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(?:to|that i should|that i need to|about|att|an|que|de)\s+/, '')
+    .replace(/\s+(?:please|to)$/, '')
+    .trim();
+
+  if (relativeMinutes !== null) {
+    return { task, repeat: 'once', hour: null, minute: null, weekday: null, date: new Date(now.getTime() + relativeMinutes * 60000) };
+  }
+  if (hour === null || hour > 23 || minute > 59) {
+    return { task, missingTime: true, repeat, weekday };
+  }
+
+  let date = null;
+  if (repeat === 'once') {
+    date = new Date(now);
+    date.setHours(hour, minute, 0, 0);
+    if (onWeekday) {
+      // Today's weekday only counts while the time is still ahead
+      date.setDate(date.getDate() + ((onWeekday - 1 - date.getDay() + 7) % 7));
+      if (date <= now) {
+        date.setDate(date.getDate() + 7);
+      }
+    } else if (dayOffset) {
+      date.setDate(date.getDate() + dayOffset);
+    } else if (date <= now) {
+      // A time that has passed today means tomorrow
+      date.setDate(date.getDate() + 1);
+    }
+  }
+  return { task, hour, minute, repeat, weekday, date };
+};
+
+// Spoken time, e.g. "8 AM" or "7:30 PM"; other languages use the 24-hour clock
+export const formatSpokenTime = (hour, minute, language = 'en') => {
+  if (language !== 'en') {
+    return minute ? `${hour}:${String(minute).padStart(2, '0')}` : String(hour);
+  }
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+  return minute ? `${displayHour}:${String(minute).padStart(2, '0')} ${suffix}` : `${displayHour} ${suffix}`;
+};
+
+// Spoken schedule, e.g. "every day at 8 AM" or "tomorrow at 3 PM"
+export const describeSchedule = (reminder, now = new Date(), language = 'en') => {
+  if (reminder.repeat === 'daily') {
+    return translate(language, 'scheduleDaily', { time: formatSpokenTime(reminder.hour, reminder.minute, language) });
+  }
+  if (reminder.repeat === 'weekly') {
+    return translate(language, 'scheduleWeekly', {
+      day: translate(language, `weekday_${reminder.weekday}`),
+      time: formatSpokenTime(reminder.hour, reminder.minute, language),
+    });
+  }
+  const date = new Date(reminder.date);
+  const time = formatSpokenTime(date.getHours(), date.getMinutes(), language);
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  if (date.toDateString() === now.toDateString()) {
+    return translate(language, 'scheduleToday', { time });
+  }
+  if (date.toDateString() === tomorrow.toDateString()) {
+    return translate(language, 'scheduleTomorrow', { time });
+  }
+  const day = language === 'en' ? date.toDateString() : `${date.getDate()}/${date.getMonth() + 1}`;
+  return translate(language, 'scheduleDate', { date: day, time });
+};
+
+// Turn the user's own words into Doro's: "take my pills" -> "take your pills"
+export const toSecondPerson = (text) =>
+  (text || '').replace(/\b(my|mine|me|i|i'm|myself)\b/gi, (word) => ({
+    my: 'your', mine: 'yours', me: 'you', i: 'you', "i'm": "you're", myself: 'yourself',
+  }[word.toLowerCase()]));
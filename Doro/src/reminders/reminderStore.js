@@ -0,0 +1,70 @@
+// Persistent reminders and the log of how each alert was answered, so a
+// caregiver can check that pills were taken. Both live in AsyncStorage.
+// Reminder: { id, task, repeat, hour, minute, weekday, date, notificationId, createdAt }
+// Log entry: { id, reminderId, task, firedAt, status: 'taken' | 'not_taken' | 'no_answer', respondedAt }
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Reminders');
+
+const REMINDERS_KEY = '@doro/reminders';
+const LOG_KEY = '@doro/reminderLog';
+
+// Oldest log entries are dropped beyond this many
+export const MAX_LOG_LENGTH = 500;
+
+const readList = async (key) => {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    log.error(`Failed to load ${key}`, error);
+    return [];
+  }
+};
+
+const writeList = async (key, list) => {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(list));
+  } catch (error) {
+    log.error(`Failed to save ${key}`, error);
+  }
+  return list;
+};
+
+export const loadReminders = () => readList(REMINDERS_KEY);
+
+export const addReminder = async (reminders, reminder) => writeList(REMINDERS_KEY, [...reminders, reminder]);
+
+export const removeReminder = async (reminders, id) =>
+  writeList(REMINDERS_KEY, reminders.filter((reminder) => reminder.id !== id));
+
+export const loadReminderLog = () => readList(LOG_KEY);
+
+export const appendReminderLog = async (entry) => {
+  const log = await loadReminderLog();
+  return writeList(LOG_KEY, [...log, { id: `${Date.now()}`, ...entry }].slice(-MAX_LOG_LENGTH));
+};
+
+const STOP_WORDS = ['the', 'my', 'a', 'reminder', 'reminders', 'for', 'about', 'to', 'of'];
+
+// Strip a plural "s" so "pill" finds "take my pills"
+const stem = (word) => word.replace(/s$/, '');
+
+// Find the reminders a spoken description ("the pill reminder") refers to.
+// Returns every reminder sharing the most words with the description.
+export const findReminders = (reminders, description) => {
+  const words = (description || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/)
+    .filter((word) => word && !STOP_WORDS.includes(word))
+    .map(stem);
+  if (!words.length) {
+    return [];
+  }
+  const score = (reminder) => {
+    const taskWords = reminder.task.toLowerCase().split(/\s+/).map(stem);
+    return words.filter((word) => taskWords.includes(word)).length;
+  };
+  const best = Math.max(0, ...reminders.map(score));
+  return best ? reminders.filter((reminder) => score(reminder) === best) : [];
+};
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Modal } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import ContactPicker from '../components/ContactPicker';
+
+// Settings screen where a caregiver or the user maps spoken aliases
+// ("my daughter", "the doctor") to a specific contact and number.
+const AliasSettings = ({ visible, aliases, contactsPermissionGranted, onSave, onRemove, onClose }) => {
+  const [alias, setAlias] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSelect = (candidate) => {
+    if (!alias.trim()) {
+      setError('Type the alias first, for example "my daughter".');
+      return false;
+    }
+    onSave(alias, candidate);
+    setAlias('');
+    setError('');
+    return true;
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Names & Aliases</Text>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Close settings">
+            <Ionicons name="close" size={32} color="#fff" />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.sectionTitle}>Add an alias</Text>
+          <TextInput
+            style={styles.textInput}
+            value={alias}
+            onChangeText={setAlias}
+            placeholder='Alias, e.g. "my daughter"'
+            placeholderTextColor="#9ca3af"
+          />
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+          <ContactPicker contactsPermissionGranted={contactsPermissionGranted} onSelect={handleSelect} />
+
+          <Text style={styles.sectionTitle}>Saved aliases</Text>
+          {Object.values(aliases).length === 0 ? (
+            <Text style={styles.emptyText}>No aliases yet. You can also say "remember that Anna is my daughter".</Text>
+          ) : (
+            Object.values(aliases).map((entry) => (
+              <View key={entry.alias} style={[styles.row, styles.savedRow]}>
+                <View style={styles.savedText}>
+                  <Text style={styles.rowTitle}>"{entry.alias}"</Text>
+                  <Text style={styles.rowDetail}>{entry.name} ({entry.label}) {entry.number}</Text>
+                </View>
+                <TouchableOpacity onPress={() => onRemove(entry.alias)} accessibilityLabel={`Remove alias ${entry.alias}`}>
+                  <Ionicons name="trash-outline" size={24} color="#ef4444" />
+                </TouchableOpacity>
+              </View>
+            ))
+          )}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#e0f2fe', // Light blue background
+  },
+  header: {
+    backgroundColor: '#4f46e5', // Indigo-600
+    paddingVertical: 20,
+    paddingHorizontal: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  textInput: {
+    height: 50,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    fontSize: 16,
+    color: '#374151', // Gray-700
+    borderWidth: 1,
+    borderColor: '#d1d5db', // Gray-300
+    marginBottom: 8,
+  },
+  row: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  savedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  savedText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+  },
+  rowDetail: {
+    marginTop: 2,
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c', // Red-700
+    marginBottom: 8,
+  },
+});
+
+export default AliasSettings;
@@ -0,0 +1,169 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Modal } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import ContactPicker from '../components/ContactPicker';
+
+// Settings screen for the SOS chain: the ordered list of emergency contacts
+// Doro calls one after another, and the local emergency number it offers last.
+const EmergencySettings = ({ visible, settings, contactsPermissionGranted, onChange, onClose }) => {
+  const contacts = settings.emergencyContacts;
+
+  const addContact = (candidate) => {
+    if (contacts.some((contact) => contact.number === candidate.number)) {
+      return;
+    }
+    const { contactId, name, label, number } = candidate;
+    onChange({ emergencyContacts: [...contacts, { contactId, name, label, number }] });
+  };
+
+  const removeContact = (index) => {
+    onChange({ emergencyContacts: contacts.filter((_, i) => i !== index) });
+  };
+
+  // Move a contact one place earlier in the chain
+  const moveUp = (index) => {
+    if (index === 0) {
+      return;
+    }
+    const reordered = [...contacts];
+    [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+    onChange({ emergencyContacts: reordered });
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Emergency</Text>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Close emergency settings">
+            <Ionicons name="close" size={32} color="#fff" />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.sectionTitle}>Emergency contacts, in calling order</Text>
+          {contacts.length === 0 ? (
+            <Text style={styles.emptyText}>No emergency contacts yet. SOS will offer the emergency number directly.</Text>
+          ) : (
+            contacts.map((contact, index) => (
+              <View key={contact.number} style={styles.row}>
+                <Text style={styles.position}>{index + 1}</Text>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowTitle}>{contact.name}</Text>
+                  <Text style={styles.rowDetail}>{contact.label ? `${contact.label} ` : ''}{contact.number}</Text>
+                </View>
+                <TouchableOpacity onPress={() => moveUp(index)} accessibilityLabel={`Call ${contact.name} earlier`}>
+                  <Ionicons name="arrow-up" size={24} color={index === 0 ? '#d1d5db' : '#4f46e5'} />
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => removeContact(index)} style={styles.removeButton} accessibilityLabel={`Remove ${contact.name}`}>
+                  <Ionicons name="trash-outline" size={24} color="#ef4444" />
+                </TouchableOpacity>
+              </View>
+            ))
+          )}
+
+          <Text style={styles.sectionTitle}>Add an emergency contact</Text>
+          <ContactPicker contactsPermissionGranted={contactsPermissionGranted} onSelect={addContact} />
+
+          <Text style={styles.sectionTitle}>Local emergency number</Text>
+          <TextInput
+            style={styles.textInput}
+            value={settings.emergencyNumber}
+            onChangeText={(emergencyNumber) => onChange({ emergencyNumber: emergencyNumber.replace(/[^\d+]/g, '') })}
+            keyboardType="phone-pad"
+            placeholder="112"
+            placeholderTextColor="#9ca3af"
+          />
+
+          <Text style={styles.sectionTitle}>This phone's number</Text>
+          <Text style={styles.rowDetail}>Doro reads it out when asked "what is my number", for example to tell an emergency operator.</Text>
+          <TextInput
+            style={styles.textInput}
+            value={settings.ownNumber}
+            onChangeText={(ownNumber) => onChange({ ownNumber: ownNumber.replace(/[^\d+]/g, '') })}
+            keyboardType="phone-pad"
+            placeholder="+46 70 123 45 67"
+            placeholderTextColor="#9ca3af"
+            accessibilityLabel="This phone's number"
+          />
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#e0f2fe', // Light blue background
+  },
+  header: {
+    backgroundColor: '#b91c1c', // Red-700
+    paddingVertical: 20,
+    paddingHorizontal: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  position: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#b91c1c', // Red-700
+    width: 30,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+  },
+  rowDetail: {
+    marginTop: 2,
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+  removeButton: {
+    marginLeft: 15,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+  textInput: {
+    height: 50,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    fontSize: 16,
+    color: '#374151', // Gray-700
+    borderWidth: 1,
+    borderColor: '#d1d5db', // Gray-300
+  },
+});
+
+export default EmergencySettings;
@@ -0,0 +1,142 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Modal } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import ContactPicker from '../components/ContactPicker';
+import { MAX_FAVORITES } from '../settings/settingsStore';
+
+// Settings screen for the favorite contacts shown as big one-tap call tiles on
+// the main screen, in the order they appear.
+const FavoritesSettings = ({ visible, settings, contactsPermissionGranted, onChange, onClose }) => {
+  const favorites = settings.favoriteContacts;
+
+  const addFavorite = (candidate) => {
+    if (favorites.length >= MAX_FAVORITES || favorites.some((favorite) => favorite.number === candidate.number)) {
+      return;
+    }
+    const { contactId, name, label, number } = candidate;
+    onChange({ favoriteContacts: [...favorites, { contactId, name, label, number }] });
+  };
+
+  const removeFavorite = (index) => {
+    onChange({ favoriteContacts: favorites.filter((_, i) => i !== index) });
+  };
+
+  // Move a favorite one tile earlier
+  const moveUp = (index) => {
+    if (index === 0) {
+      return;
+    }
+    const reordered = [...favorites];
+    [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+    onChange({ favoriteContacts: reordered });
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Favorites</Text>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Close favorites settings">
+            <Ionicons name="close" size={32} color="#fff" />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.sectionTitle}>Call tiles on the main screen</Text>
+          {favorites.length === 0 ? (
+            <Text style={styles.emptyText}>No favorites yet. Add the people called most often; one tap on their tile calls them.</Text>
+          ) : (
+            favorites.map((favorite, index) => (
+              <View key={favorite.number} style={styles.row}>
+                <Text style={styles.position}>{index + 1}</Text>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowTitle}>{favorite.name}</Text>
+                  <Text style={styles.rowDetail}>{favorite.label ? `${favorite.label} ` : ''}{favorite.number}</Text>
+                </View>
+                <TouchableOpacity onPress={() => moveUp(index)} accessibilityLabel={`Show ${favorite.name} earlier`}>
+                  <Ionicons name="arrow-up" size={24} color={index === 0 ? '#d1d5db' : '#4f46e5'} />
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => removeFavorite(index)} style={styles.removeButton} accessibilityLabel={`Remove ${favorite.name}`}>
+                  <Ionicons name="trash-outline" size={24} color="#ef4444" />
+                </TouchableOpacity>
+              </View>
+            ))
+          )}
+
+          <Text style={styles.sectionTitle}>Add a favorite</Text>
+          {favorites.length >= MAX_FAVORITES ? (
+            <Text style={styles.emptyText}>There is room for {MAX_FAVORITES} favorites. Remove one to add another.</Text>
+          ) : (
+            <ContactPicker contactsPermissionGranted={contactsPermissionGranted} onSelect={addFavorite} />
+          )}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#e0f2fe', // Light blue background
+  },
+  header: {
+    backgroundColor: '#4f46e5', // Indigo-600
+    paddingVertical: 20,
+    paddingHorizontal: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  position: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4f46e5', // Indigo-600
+    width: 30,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+  },
+  rowDetail: {
+    marginTop: 2,
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+  removeButton: {
+    marginLeft: 15,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+});
+
+export default FavoritesSettings;
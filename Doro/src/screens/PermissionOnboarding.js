@@ -0,0 +1,118 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Modal } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { translate } from '../i18n/translate';
+import { getPermissionStep } from '../permissions/permissions';
+
+// One step of the permission onboarding: what the permission is for, in the
+// user's language and in large type, with a single obvious next action. Doro
+// speaks the same explanation aloud. A blocked permission can only be
+// switched on in the phone's settings, so the main button opens them instead.
+const PermissionOnboarding = ({ visible, stepKey, state, position, count, language, onAllow, onOpenSettings, onSkip }) => {
+  const step = stepKey ? getPermissionStep(stepKey) : null;
+  if (!step) {
+    return null;
+  }
+  const t = (key, params) => translate(language, key, params);
+  const isBlocked = state === 'blocked';
+
+  return (
+    <Modal visible={visible} animationType="fade" onRequestClose={onSkip}>
+      <View style={styles.container}>
+        <Text style={styles.stepText}>{t('onboardingStep', { step: position, count })}</Text>
+        <View style={styles.iconCircle}>
+          <Ionicons name={step.icon} size={72} color="#4f46e5" />
+        </View>
+        <Text style={styles.title} accessibilityRole="header">{t(step.titleKey)}</Text>
+        <Text style={styles.explanation}>{t(step.explainKey)}</Text>
+        {isBlocked ? <Text style={styles.explanation}>{t('onboardingBlocked')}</Text> : null}
+
+        <TouchableOpacity
+          style={styles.primaryButton}
+          onPress={isBlocked ? onOpenSettings : onAllow}
+          accessibilityRole="button"
+          accessibilityLabel={isBlocked ? t('onboardingOpenSettings') : t('onboardingAllow')}
+          accessibilityHint={t(step.explainKey)}
+        >
+          <Ionicons name={isBlocked ? 'settings-outline' : 'checkmark'} size={32} color="#fff" />
+          <Text style={styles.primaryText}>{isBlocked ? t('onboardingOpenSettings') : t('onboardingAllow')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          onPress={onSkip}
+          accessibilityRole="button"
+          accessibilityLabel={t('onboardingSkip')}
+        >
+          <Text style={styles.secondaryText}>{t('onboardingSkip')}</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    padding: 30,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepText: {
+    fontSize: 18,
+    color: '#4b5563', // Gray-600
+    marginBottom: 20,
+  },
+  iconCircle: {
+    width: 140,
+    height: 140,
+    borderRadius: 70,
+    backgroundColor: '#e0e7ff', // Indigo-100
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+    marginBottom: 15,
+    textAlign: 'center',
+  },
+  explanation: {
+    fontSize: 22,
+    lineHeight: 30,
+    color: '#111827', // Gray-900
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    alignSelf: 'stretch',
+    backgroundColor: '#4f46e5', // Indigo-600
+    borderRadius: 20,
+    paddingVertical: 20,
+    marginTop: 20,
+  },
+  primaryText: {
+    marginLeft: 10,
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  secondaryButton: {
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    paddingVertical: 18,
+    marginTop: 10,
+  },
+  secondaryText: {
+    fontSize: 20,
+    color: '#374151', // Gray-700
+    textDecorationLine: 'underline',
+  },
+});
+
+export default PermissionOnboarding;
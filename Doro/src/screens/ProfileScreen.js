@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Modal, Switch } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import QRCode from 'react-native-qrcode-svg';
+import { buildProfile, profileToJson, profileToLink, CONFIGURABLE_INTENTS } from '../settings/profile';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Profile');
+
+// Links longer than this no longer scan reliably from a phone screen
+const MAX_QR_LENGTH = 2000;
+
+const INTENT_LABELS = {
+  call: 'Calling people',
+  send_text: 'Sending text messages',
+  set_reminder: 'Setting reminders',
+  list_reminders: 'Reading out reminders',
+  cancel_reminder: 'Cancelling reminders',
+  set_alias: 'Remembering new names',
+  clear_history: 'Clearing the conversation',
+  set_language: 'Changing the language',
+};
+
+// Screen where a caregiver moves Doro's setup between phones: show it as a QR
+// code or share it as a file, import one by scanning or opening a file, and
+// choose which commands Doro accepts. Imported profiles go to onImport, which
+// checks them before anything changes.
+const ProfileScreen = ({ visible, settings, aliases, onChange, onImport, onClose }) => {
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState('');
+  const [cameraPermission, requestCameraPermission] = useCameraPermissions();
+
+  const profile = buildProfile(settings, aliases);
+  const link = profileToLink(profile);
+
+  const shareFile = async () => {
+    setError('');
+    try {
+      if (!(await Sharing.isAvailableAsync())) {
+        setError('Sharing files is not available on this device.');
+        return;
+      }
+      const uri = `${FileSystem.cacheDirectory}doro-profile.json`;
+      await FileSystem.writeAsStringAsync(uri, profileToJson(profile));
+      await Sharing.shareAsync(uri, { mimeType: 'application/json', dialogTitle: 'Share Doro profile', UTI: 'public.json' });
+    } catch (shareError) {
+      log.error('Failed to share profile', shareError);
+      setError(`Could not share the profile: ${shareError.message}`);
+    }
+  };
+
+  const importFile = async () => {
+    setError('');
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ type: ['application/json', 'text/plain'], copyToCacheDirectory: true });
+      if (result.canceled || !result.assets?.length) {
+        return;
+      }
+      onImport(await FileSystem.readAsStringAsync(result.assets[0].uri));
+    } catch (importError) {
+      log.error('Failed to read profile file', importError);
+      setError(`Could not read the file: ${importError.message}`);
+    }
+  };
+
+  const startScanning = async () => {
+    setError('');
+    const permission = cameraPermission?.granted ? cameraPermission : await requestCameraPermission();
+    if (!permission.granted) {
+      setError('Doro needs the camera to scan a profile QR code. Allow it in the phone settings.');
+      return;
+    }
+    setIsScanning(true);
+  };
+
+  // The scanner reports the same code many times a second; take the first
+  const handleScanned = ({ data }) => {
+    if (!isScanning) {
+      return;
+    }
+    setIsScanning(false);
+    onImport(data);
+  };
+
+  const toggleIntent = (intent, enabled) => {
+    const disabledIntents = settings.disabledIntents.filter((name) => name !== intent);
+    onChange({ disabledIntents: enabled ? disabledIntents : [...disabledIntents, intent] });
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Caregiver profile</Text>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Close caregiver profile">
+            <Ionicons name="close" size={32} color="#fff" />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.sectionTitle}>Copy this setup to another phone</Text>
+          <Text style={styles.rowDetail}>
+            Emergency contacts, favorites, names, language, speaking speed, call confirmation, display and the commands below.
+          </Text>
+          <View style={styles.qrBox}>
+            {link.length <= MAX_QR_LENGTH ? (
+              <QRCode value={link} size={220} ecl="L" />
+            ) : (
+              <Text style={styles.rowDetail}>This setup is too large for a QR code. Share it as a file instead.</Text>
+            )}
+          </View>
+          <TouchableOpacity style={styles.button} onPress={shareFile} accessibilityLabel="Share profile as a file">
+            <Ionicons name="share-outline" size={24} color="#fff" />
+            <Text style={styles.buttonText}>Share as a file</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.sectionTitle}>Import a profile</Text>
+          <Text style={styles.rowDetail}>Replaces the settings and names on this phone. You are asked before anything changes.</Text>
+          {isScanning ? (
+            <View style={styles.scanner}>
+              <CameraView
+                style={styles.camera}
+                facing="back"
+                barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+                onBarcodeScanned={handleScanned}
+              />
+              <TouchableOpacity style={styles.button} onPress={() => setIsScanning(false)} accessibilityLabel="Stop scanning">
+                <Ionicons name="close" size={24} color="#fff" />
+                <Text style={styles.buttonText}>Stop scanning</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.button} onPress={startScanning} accessibilityLabel="Scan a profile QR code">
+              <Ionicons name="scan-outline" size={24} color="#fff" />
+              <Text style={styles.buttonText}>Scan a QR code</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.button} onPress={importFile} accessibilityLabel="Import profile from a file">
+            <Ionicons name="document-outline" size={24} color="#fff" />
+            <Text style={styles.buttonText}>Open a profile file</Text>
+          </TouchableOpacity>
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+          <Text style={styles.sectionTitle}>Commands Doro accepts</Text>
+          <Text style={styles.rowDetail}>SOS always works.</Text>
+          {CONFIGURABLE_INTENTS.map((intent) => (
+            <View key={intent} style={styles.row}>
+              <Text style={styles.rowTitle}>{INTENT_LABELS[intent]}</Text>
+              <Switch
+                value={!settings.disabledIntents.includes(intent)}
+                onValueChange={(enabled) => toggleIntent(intent, enabled)}
+                accessibilityLabel={INTENT_LABELS[intent]}
+              />
+            </View>
+          ))}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#e0f2fe', // Light blue background
+  },
+  header: {
+    backgroundColor: '#4f46e5', // Indigo-600
+    paddingVertical: 20,
+    paddingHorizontal: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 8,
+  },
+  rowTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+  },
+  rowDetail: {
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+    marginBottom: 8,
+  },
+  qrBox: {
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 8,
+  },
+  scanner: {
+    marginBottom: 8,
+  },
+  camera: {
+    height: 300,
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 8,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#6366F1', // Indigo-500
+    borderRadius: 12,
+    height: 50,
+    marginBottom: 8,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginLeft: 8,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c', // Red-700
+    marginBottom: 8,
+  },
+});
+
+export default ProfileScreen;
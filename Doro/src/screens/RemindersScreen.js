@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Modal } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { loadReminderLog } from '../reminders/reminderStore';
+import { describeSchedule } from '../reminders/reminderParser';
+
+const STATUS_LABELS = {
+  taken: 'Done ✅',
+  not_taken: 'Not done ❌',
+  no_answer: 'No answer ⚠️',
+};
+
+// Lists scheduled reminders and the log of how each alert was answered, so a
+// caregiver can review whether pills were taken.
+const RemindersScreen = ({ visible, reminders, onRemove, onClose }) => {
+  const [log, setLog] = useState([]);
+
+  // Refresh the log every time the screen opens
+  useEffect(() => {
+    if (visible) {
+      loadReminderLog().then((entries) => setLog([...entries].reverse()));
+    }
+  }, [visible]);
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Reminders</Text>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Close reminders">
+            <Ionicons name="close" size={32} color="#fff" />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.sectionTitle}>Scheduled</Text>
+          {reminders.length === 0 ? (
+            <Text style={styles.emptyText}>No reminders. Say "remind me to take my pills at 8 every morning".</Text>
+          ) : (
+            reminders.map((reminder) => (
+              <View key={reminder.id} style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowTitle}>{reminder.task}</Text>
+                  <Text style={styles.rowDetail}>{describeSchedule(reminder)}</Text>
+                </View>
+                <TouchableOpacity onPress={() => onRemove(reminder)} accessibilityLabel={`Cancel reminder ${reminder.task}`}>
+                  <Ionicons name="trash-outline" size={24} color="#ef4444" />
+                </TouchableOpacity>
+              </View>
+            ))
+          )}
+
+          <Text style={styles.sectionTitle}>History</Text>
+          {log.length === 0 ? (
+            <Text style={styles.emptyText}>No reminders have gone off yet.</Text>
+          ) : (
+            log.map((entry) => (
+              <View key={entry.id} style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowTitle}>{entry.task}</Text>
+                  <Text style={styles.rowDetail}>
+                    {new Date(entry.firedAt).toLocaleString()}
+                    {entry.respondedAt ? ` · answered ${new Date(entry.respondedAt).toLocaleTimeString()}` : ''}
+                  </Text>
+                </View>
+                <Text style={styles.status}>{STATUS_LABELS[entry.status] || entry.status}</Text>
+              </View>
+            ))
+          )}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#e0f2fe', // Light blue background
+  },
+  header: {
+    backgroundColor: '#4f46e5', // Indigo-600
+    paddingVertical: 20,
+    paddingHorizontal: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+  },
+  rowDetail: {
+    marginTop: 2,
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+  status: {
+    fontSize: 14,
+    color: '#374151', // Gray-700
+    marginLeft: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+});
+
+export default RemindersScreen;
@@ -0,0 +1,340 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Modal, Switch } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Speech from 'expo-speech';
+import { LANGUAGES, getLocale } from '../i18n/languages';
+import { translate } from '../i18n/translate';
+import { DEFAULT_WAKE_PHRASE } from '../speech/wakeWord';
+import { SPEECH_RATES } from '../speech/speechQueue';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('VoiceSettings');
+
+// Settings screen for how Doro listens and speaks: the language, the
+// text-to-speech voice used for it, how fast and high it speaks, hands-free
+// listening and the wake phrase, plus how the main screen looks.
+// Voices come from the device, so only the ones installed for the chosen
+// language are listed.
+
+// Slower speech is easier to follow for people who are hard of hearing
+const SPEECH_RATE_OPTIONS = ['Very slow', 'Slow', 'Normal', 'Fast'].map((label, i) => ({ label, value: SPEECH_RATES[i] }));
+
+// A lower or higher voice can be easier to hear than the default
+const SPEECH_PITCH_OPTIONS = [
+  { label: 'Lower', value: 0.8 },
+  { label: 'Normal', value: 1 },
+  { label: 'Higher', value: 1.2 },
+];
+
+// How long hands-free listening waits for speech before it switches off
+const SILENCE_TIMEOUT_OPTIONS = [
+  { label: '30 seconds', value: 30000 },
+  { label: '1 minute', value: 60000 },
+  { label: '2 minutes', value: 120000 },
+  { label: '5 minutes', value: 300000 },
+];
+
+const VoiceSettings = ({ visible, settings, onChange, onClose }) => {
+  const [voices, setVoices] = useState([]);
+
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    Speech.getAvailableVoicesAsync()
+      .then(setVoices)
+      .catch((error) => {
+        log.error('Failed to load voices', error);
+        setVoices([]);
+      });
+  }, [visible]);
+
+  // Voice languages look like "sv-SE" or "sv_SE" depending on the platform
+  const languagePrefix = getLocale(settings.language).split('-')[0];
+  const languageVoices = voices.filter((voice) => (voice.language || '').toLowerCase().startsWith(languagePrefix));
+
+  // A voice belongs to one language, so switching language resets it
+  const selectLanguage = (language) => {
+    if (language !== settings.language) {
+      onChange({ language, voice: null });
+    }
+  };
+
+  // Save a voice change and let the user hear the result
+  const preview = (changes) => {
+    const updated = { ...settings, ...changes };
+    onChange(changes);
+    Speech.stop();
+    Speech.speak(translate(updated.language, 'greeting'), {
+      language: getLocale(updated.language),
+      rate: updated.speechRate,
+      pitch: updated.speechPitch,
+      ...(updated.voice ? { voice: updated.voice } : {}),
+    });
+  };
+
+  const previewVoice = (voice) => preview({ voice: voice ? voice.identifier : null });
+
+  // A row of choices for one setting; speech settings are previewed when picked
+  const renderOptions = (options, key, select = preview) => (
+    <View style={styles.optionRow}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.option, option.value === settings[key] ? styles.optionSelected : null]}
+          onPress={() => select({ [key]: option.value })}
+          accessibilityState={{ selected: option.value === settings[key] }}
+        >
+          <Text style={[styles.optionText, option.value === settings[key] ? styles.optionTextSelected : null]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Voice and language</Text>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Close voice settings">
+            <Ionicons name="close" size={32} color="#fff" />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.sectionTitle}>Language</Text>
+          {Object.entries(LANGUAGES).map(([code, language]) => (
+            <TouchableOpacity
+              key={code}
+              style={[styles.row, code === settings.language ? styles.rowSelected : null]}
+              onPress={() => selectLanguage(code)}
+              accessibilityLabel={language.name}
+              accessibilityState={{ selected: code === settings.language }}
+            >
+              <Text style={styles.rowTitle}>{language.name}</Text>
+              {code === settings.language && <Ionicons name="checkmark" size={24} color="#4f46e5" />}
+            </TouchableOpacity>
+          ))}
+
+          <Text style={styles.sectionTitle}>Voice</Text>
+          <TouchableOpacity
+            style={[styles.row, !settings.voice ? styles.rowSelected : null]}
+            onPress={() => previewVoice(null)}
+          >
+            <Text style={styles.rowTitle}>Default voice</Text>
+            {!settings.voice && <Ionicons name="checkmark" size={24} color="#4f46e5" />}
+          </TouchableOpacity>
+          {languageVoices.map((voice) => (
+            <TouchableOpacity
+              key={voice.identifier}
+              style={[styles.row, voice.identifier === settings.voice ? styles.rowSelected : null]}
+              onPress={() => previewVoice(voice)}
+            >
+              <View style={styles.rowText}>
+                <Text style={styles.rowTitle}>{voice.name}</Text>
+                <Text style={styles.rowDetail}>{voice.language}{voice.quality === 'Enhanced' ? ' · enhanced' : ''}</Text>
+              </View>
+              {voice.identifier === settings.voice && <Ionicons name="checkmark" size={24} color="#4f46e5" />}
+            </TouchableOpacity>
+          ))}
+          {languageVoices.length === 0 && (
+            <Text style={styles.emptyText}>No extra voices are installed for this language. Doro uses the default voice.</Text>
+          )}
+
+          <Text style={styles.sectionTitle}>Speaking speed</Text>
+          {renderOptions(SPEECH_RATE_OPTIONS, 'speechRate')}
+
+          <Text style={styles.sectionTitle}>Voice pitch</Text>
+          {renderOptions(SPEECH_PITCH_OPTIONS, 'speechPitch')}
+
+          <Text style={styles.sectionTitle}>Hands-free listening</Text>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>Keep listening between answers</Text>
+              <Text style={styles.rowDetail}>Tap the microphone once; Doro listens again after every reply. Say "stop" to interrupt Doro.</Text>
+            </View>
+            <Switch
+              value={settings.handsFree}
+              onValueChange={(handsFree) => onChange({ handsFree })}
+              accessibilityLabel="Hands-free listening"
+            />
+          </View>
+          {settings.handsFree && (
+            <>
+              <Text style={styles.rowDetail}>Stop listening after this much silence:</Text>
+              {renderOptions(SILENCE_TIMEOUT_OPTIONS, 'handsFreeSilenceMs', onChange)}
+            </>
+          )}
+
+          <Text style={styles.sectionTitle}>Wake phrase</Text>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>Listen for "{settings.wakePhrase}"</Text>
+              <Text style={styles.rowDetail}>Doro waits in the background and answers when you say the phrase. Uses more battery.</Text>
+            </View>
+            <Switch
+              value={settings.wakeWordEnabled}
+              onValueChange={(wakeWordEnabled) => onChange({ wakeWordEnabled })}
+              accessibilityLabel="Listen for the wake phrase"
+            />
+          </View>
+          <TextInput
+            style={styles.textInput}
+            value={settings.wakePhrase}
+            onChangeText={(wakePhrase) => onChange({ wakePhrase })}
+            onEndEditing={() => !settings.wakePhrase.trim() && onChange({ wakePhrase: DEFAULT_WAKE_PHRASE })}
+            autoCapitalize="words"
+            autoCorrect={false}
+            placeholder={DEFAULT_WAKE_PHRASE}
+            placeholderTextColor="#9ca3af"
+            accessibilityLabel="Wake phrase"
+          />
+
+          <Text style={styles.sectionTitle}>Display</Text>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>Large text and high contrast</Text>
+              <Text style={styles.rowDetail}>Bigger messages and microphone button, with stronger colors.</Text>
+            </View>
+            <Switch
+              value={settings.accessibilityMode}
+              onValueChange={(accessibilityMode) => onChange({ accessibilityMode })}
+              accessibilityLabel="Large text and high contrast"
+            />
+          </View>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>Developer mode</Text>
+              <Text style={styles.rowDetail}>Shows the speech recognizer and permission status under the microphone.</Text>
+            </View>
+            <Switch
+              value={settings.developerMode}
+              onValueChange={(developerMode) => onChange({ developerMode })}
+              accessibilityLabel="Developer mode"
+            />
+          </View>
+          {settings.developerMode && (
+            <>
+              <Text style={styles.sectionTitle}>Understanding server</Text>
+              <Text style={styles.rowDetail}>
+                Commands Doro is unsure of are sent to this address for a second opinion. Leave empty to keep everything on the phone.
+              </Text>
+              <TextInput
+                style={styles.textInput}
+                value={settings.understandingUrl}
+                onChangeText={(understandingUrl) => onChange({ understandingUrl: understandingUrl.trim() })}
+                keyboardType="url"
+                autoCapitalize="none"
+                autoCorrect={false}
+                placeholder="http://192.168.1.10:8080/understand"
+                placeholderTextColor="#9ca3af"
+                accessibilityLabel="Understanding server address"
+              />
+            </>
+          )}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#e0f2fe', // Light blue background
+  },
+  header: {
+    backgroundColor: '#4f46e5', // Indigo-600
+    paddingVertical: 20,
+    paddingHorizontal: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#fff',
+    padding: 15,
+    marginBottom: 8,
+  },
+  rowSelected: {
+    borderColor: '#6366F1', // Indigo-500
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1e3a8a', // Blue-900
+  },
+  rowDetail: {
+    marginTop: 2,
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  option: {
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#d1d5db', // Gray-300
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionSelected: {
+    backgroundColor: '#6366F1', // Indigo-500
+    borderColor: '#6366F1',
+  },
+  optionText: {
+    fontSize: 16,
+    color: '#374151', // Gray-700
+  },
+  optionTextSelected: {
+    color: '#fff',
+  },
+  textInput: {
+    height: 50,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    fontSize: 16,
+    color: '#374151', // Gray-700
+    borderWidth: 1,
+    borderColor: '#d1d5db', // Gray-300
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#4b5563', // Gray-600
+  },
+});
+
+export default VoiceSettings;
@@ -0,0 +1,156 @@
+import {
+  parseProfile,
+  buildProfile,
+  profileToJson,
+  profileToLink,
+  profileChanges,
+  summarizeProfile,
+  intentSwitch,
+  PROFILE_FORMAT,
+  PROFILE_VERSION,
+} from '../profile';
+import { DEFAULT_SETTINGS } from '../settingsStore';
+
+const ANNA = { contactId: '1', name: 'Anna', label: 'mobile', number: '+46701234567' };
+
+const profile = (fields = {}) => ({ format: PROFILE_FORMAT, version: PROFILE_VERSION, ...fields });
+
+describe('parseProfile', () => {
+  test('accepts a full exported profile', () => {
+    const exported = buildProfile({ ...DEFAULT_SETTINGS, language: 'sv', emergencyContacts: [ANNA] }, { daughter: { ...ANNA, alias: 'daughter' } });
+    expect(parseProfile(profileToJson(exported))).toEqual({ profile: exported });
+  });
+
+  test('accepts a hand-written profile that changes a few settings', () => {
+    const text = JSON.stringify(profile({ settings: { speechRate: 0.8, disabledIntents: ['send_text'] } }));
+    expect(parseProfile(text).profile.settings).toEqual({ speechRate: 0.8, disabledIntents: ['send_text'] });
+  });
+
+  test('accepts numbers written with spaces, dashes and brackets', () => {
+    const contacts = [{ ...ANNA, number: '+46 70-123 45 67' }, { name: 'Bo', number: '(555) 123-4567' }];
+    expect(parseProfile(JSON.stringify(profile({ settings: { emergencyContacts: contacts } })))).toEqual({
+      profile: profile({ settings: { emergencyContacts: contacts } }),
+    });
+  });
+
+  test('reads profiles from QR code links', () => {
+    const shared = profile({ settings: { language: 'de' } });
+    expect(parseProfile(profileToLink(shared))).toEqual({ profile: shared });
+    expect(parseProfile('doro://profile?data=%E0%A4%A')).toEqual({ errors: ['The profile link is damaged. Export it again.'] });
+  });
+
+  test.each([
+    ['{ not json', 'This is not a Doro profile: it is not valid JSON.'],
+    ['[]', 'This is not a Doro profile.'],
+    [JSON.stringify({ format: 'other', version: 1 }), 'This is not a Doro profile.'],
+    [JSON.stringify(profile({ version: PROFILE_VERSION + 1 })), `This profile was made by a newer version of Doro (profile version ${PROFILE_VERSION + 1}). Update Doro and try again.`],
+  ])('rejects %s', (text, error) => {
+    expect(parseProfile(text)).toEqual({ errors: [error] });
+  });
+
+  test('lists every problem with where it was found', () => {
+    const text = JSON.stringify(profile({
+      settings: {
+        language: 'fr',
+        speechRate: 5,
+        confirmationTimeoutMs: 1000.5,
+        emergencyContacts: [{ name: ' ', number: 'call me' }, { name: 'Bo' }],
+        disabledIntents: ['sos'],
+        wakePhrase: 'x',
+        theme: 'dark',
+      },
+      aliases: { doctor: { alias: 'doctor', name: 'Dr. Lind', number: 12345 } },
+    }));
+    expect(parseProfile(text).errors).toEqual([
+      'settings.language: "fr" is not one of en, sv, de, es',
+      'settings.speechRate: must be at most 2',
+      'settings.confirmationTimeoutMs: must be a whole number',
+      'settings.emergencyContacts[0].name: must not be empty',
+      'settings.emergencyContacts[0].number: "call me" is not a valid number',
+      'settings.emergencyContacts[1].number: is missing',
+      'settings.disabledIntents[0]: "sos" is not one of call, send_text, set_reminder, list_reminders, cancel_reminder, set_alias, clear_history, set_language',
+      'settings.wakePhrase: must not be empty',
+      'settings.theme: is not a known setting',
+      'aliases.doctor.number: must be a string',
+    ]);
+  });
+});
+
+describe('parseProfile in other languages', () => {
+  test('explains problems in the user\'s language', () => {
+    expect(parseProfile('{ not json', 'sv')).toEqual({ errors: ['Det här är ingen Doro-profil: det är inte giltig JSON.'] });
+    const text = JSON.stringify(profile({ settings: { speechRate: 5, emergencyContacts: [{ name: 'Bo' }] } }));
+    expect(parseProfile(text, 'de').errors).toEqual([
+      'settings.speechRate: darf höchstens 2 sein',
+      'settings.emergencyContacts[0].number: fehlt',
+    ]);
+    expect(parseProfile(JSON.stringify(profile({ settings: { handsFree: 'yes' } })), 'es').errors)
+      .toEqual(['settings.handsFree: debe ser verdadero o falso']);
+  });
+});
+
+describe('export and import', () => {
+  test('restores the exported setup from a file and from a QR code link', () => {
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      language: 'de',
+      speechRate: 0.8,
+      emergencyContacts: [ANNA],
+      favoriteContacts: [{ contactId: '2', name: 'Bo', label: null, number: '555-1234' }],
+      disabledIntents: ['send_text'],
+    };
+    const aliases = { daughter: { ...ANNA, alias: 'daughter' } };
+    const exported = buildProfile(settings, aliases);
+
+    [profileToJson(exported), profileToLink(exported)].forEach((text) => {
+      const changes = profileChanges(parseProfile(text).profile);
+      expect(changes.aliases).toEqual(aliases);
+      Object.entries(changes.settings).forEach(([key, value]) => expect(value).toEqual(settings[key]));
+    });
+  });
+});
+
+describe('profileChanges', () => {
+  test('keys aliases by their normalized name', () => {
+    const changes = profileChanges(profile({
+      settings: { language: 'sv' },
+      aliases: { x: { alias: 'My Daughter', name: 'Anna', number: '5551234' } },
+    }));
+    expect(changes.settings).toEqual({ language: 'sv' });
+    expect(changes.aliases).toEqual({
+      daughter: { contactId: null, label: null, alias: 'daughter', name: 'Anna', number: '5551234' },
+    });
+  });
+
+  test('leaves aliases alone when the profile has none', () => {
+    expect(profileChanges(profile({ settings: {} })).aliases).toBeNull();
+  });
+});
+
+describe('summarizeProfile', () => {
+  test('describes what applying the profile changes', () => {
+    expect(summarizeProfile(profile({
+      settings: { language: 'sv', emergencyContacts: [ANNA], speechRate: 0.8 },
+      aliases: { daughter: { ...ANNA, alias: 'daughter' } },
+    }))).toBe('language Svenska; emergency contacts: Anna (+46701234567); 1 alias(es); 1 other setting(s)');
+    expect(summarizeProfile(profile())).toBe('no changes');
+    expect(summarizeProfile(profile({ settings: { language: 'en', speechRate: 0.8 } }), 'sv')).toBe('språk English; 1 andra inställning(ar)');
+  });
+
+  test('names the emergency contacts a profile replaces', () => {
+    const current = { emergencyContacts: [{ name: 'Bo', number: '5559876' }] };
+    expect(summarizeProfile(profile({ settings: { emergencyContacts: [ANNA, { name: 'Eva', number: '112' }] } }), 'en', current))
+      .toBe('emergency contacts REPLACED: Anna (+46701234567), Eva (112) instead of Bo (5559876)');
+    expect(summarizeProfile(profile({ settings: { emergencyContacts: [] } }), 'de', current))
+      .toBe('Notfallkontakte werden ERSETZT: niemand statt Bo (5559876)');
+  });
+});
+
+describe('intentSwitch', () => {
+  test('maps intents to the switch that controls them', () => {
+    expect(intentSwitch('call_last')).toBe('call');
+    expect(intentSwitch('call_again')).toBe('call');
+    expect(intentSwitch('add_favorite')).toBe('set_alias');
+    expect(intentSwitch('send_text')).toBe('send_text');
+  });
+});
@@ -0,0 +1,279 @@
+// Caregiver profiles: a versioned JSON snapshot of how Doro is set up, so a
+// family member can configure the phone once and move the setup over by QR
+// code or file share:
+//   {
+//     "format": "doro-profile",
+//     "version": 1,
+//     "settings": { "language": "sv", "speechRate": 0.8, "emergencyContacts": [...], ... },
+//     "aliases": { "daughter": { "alias": "daughter", "name": "Anna", "number": "+46701234567", ... } }
+//   }
+// Every setting is optional, so a hand-written profile can change just a few.
+// A profile is checked against PROFILE_SCHEMA before anything is applied.
+import { LANGUAGES } from '../i18n/languages';
+import { translate } from '../i18n/translate';
+import { normalizeAlias } from '../contacts/aliasStore';
+import { MAX_FAVORITES } from './settingsStore';
+
+export const PROFILE_FORMAT = 'doro-profile';
+export const PROFILE_VERSION = 1;
+
+// Profiles travel in QR codes as doro://profile?data=<the JSON, URL-encoded>
+export const PROFILE_LINK_PREFIX = 'doro://profile?data=';
+
+// Intents a caregiver may switch off. SOS, greetings and the speech controls
+// always work.
+export const CONFIGURABLE_INTENTS = [
+  'call',
+  'send_text',
+  'set_reminder',
+  'list_reminders',
+  'cancel_reminder',
+  'set_alias',
+  'clear_history',
+  'set_language',
+];
+
+// Intents switched on and off together with another one: calling back
+// follows the "call" switch, adding a favorite the "remember names" one
+const INTENT_SWITCHES = {
+  call_last: 'call',
+  call_again: 'call',
+  add_favorite: 'set_alias',
+};
+
+// The CONFIGURABLE_INTENTS switch that controls an intent
+export const intentSwitch = (name) => INTENT_SWITCHES[name] || name;
+
+// Settings carried in a profile. The text-to-speech voice is left out: voice
+// identifiers differ from phone to phone.
+const PROFILE_SETTINGS = [
+  'language',
+  'speechRate',
+  'speechPitch',
+  'speechVolume',
+  'confirmBeforeCalling',
+  'confirmationTimeoutMs',
+  'emergencyContacts',
+  'emergencyNumber',
+  'favoriteContacts',
+  'disabledIntents',
+  'handsFree',
+  'handsFreeSilenceMs',
+  'wakeWordEnabled',
+  'wakePhrase',
+  'accessibilityMode',
+];
+
+const PHONE_NUMBER = /^\+?[\d*#,]{2,20}$/;
+// Spaces, dashes, dots and brackets in "+46 70-123 45 67" or "(555) 123-4567"
+const PHONE_SEPARATORS = /[\s\-().]/g;
+
+const contactSchema = {
+  type: 'object',
+  required: ['name', 'number'],
+  properties: {
+    contactId: { type: 'string', nullable: true },
+    name: { type: 'string', minLength: 1 },
+    label: { type: 'string', nullable: true },
+    number: { type: 'string', pattern: PHONE_NUMBER, ignore: PHONE_SEPARATORS },
+  },
+};
+
+const aliasSchema = {
+  ...contactSchema,
+  properties: { ...contactSchema.properties, alias: { type: 'string', minLength: 1 } },
+};
+
+export const PROFILE_SCHEMA = {
+  type: 'object',
+  required: ['format', 'version'],
+  properties: {
+    format: { type: 'string', enum: [PROFILE_FORMAT] },
+    version: { type: 'integer', min: 1, max: PROFILE_VERSION },
+    exportedAt: { type: 'string' },
+    settings: {
+      type: 'object',
+      properties: {
+        language: { type: 'string', enum: Object.keys(LANGUAGES) },
+        speechRate: { type: 'number', min: 0.1, max: 2 },
+        speechPitch: { type: 'number', min: 0.5, max: 2 },
+        speechVolume: { type: 'number', min: 0, max: 1 },
+        confirmBeforeCalling: { type: 'boolean' },
+        confirmationTimeoutMs: { type: 'integer', min: 5000, max: 120000 },
+        emergencyContacts: { type: 'array', maxItems: 10, items: contactSchema },
+        emergencyNumber: { type: 'string', pattern: /^\d{2,6}$/ },
+        favoriteContacts: { type: 'array', maxItems: MAX_FAVORITES, items: contactSchema },
+        disabledIntents: { type: 'array', items: { type: 'string', enum: CONFIGURABLE_INTENTS } },
+        handsFree: { type: 'boolean' },
+        handsFreeSilenceMs: { type: 'integer', min: 10000, max: 600000 },
+        wakeWordEnabled: { type: 'boolean' },
+        wakePhrase: { type: 'string', minLength: 2, maxLength: 40 },
+        accessibilityMode: { type: 'boolean' },
+      },
+    },
+    aliases: { type: 'object', values: aliasSchema },
+  },
+};
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : String(value));
+
+// Check `value` against a schema node. Returns a list of problems in
+// `language`, each prefixed with where it was found:
+// 'settings.emergencyContacts[0].number: ...'
+export const validate = (value, schema, path = '', language = 'en') => {
+  const at = path || 'profile';
+  const problem = (key, params) => translate(language, key, { at, ...params });
+  if (value === null && schema.nullable) {
+    return [];
+  }
+  if (!matchesType(value, schema.type)) {
+    return [problem('profileErrorType', { type: translate(language, `profileType_${schema.type}`) })];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(problem('profileErrorEnum', { value: describe(value), options: schema.enum.join(', ') }));
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push(problem('profileErrorMin', { min: schema.min }));
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push(problem('profileErrorMax', { max: schema.max }));
+  }
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(problem('profileErrorEmpty'));
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(problem('profileErrorTooLong', { max: schema.maxLength }));
+  }
+  if (schema.pattern && !schema.pattern.test(schema.ignore ? value.replace(schema.ignore, '') : value)) {
+    errors.push(problem('profileErrorNumber', { value: describe(value) }));
+  }
+  if (schema.type === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(problem('profileErrorTooMany', { max: schema.maxItems }));
+    }
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`, language)));
+  }
+  if (schema.type === 'object') {
+    const prefix = path ? `${path}.` : '';
+    (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .forEach((key) => errors.push(translate(language, 'profileErrorMissing', { at: `${prefix}${key}` })));
+    Object.keys(value).forEach((key) => {
+      const child = schema.values || schema.properties[key];
+      if (!child) {
+        errors.push(translate(language, 'profileErrorUnknown', { at: `${prefix}${key}` }));
+      } else if (value[key] !== undefined) {
+        errors.push(...validate(value[key], child, `${prefix}${key}`, language));
+      }
+    });
+  }
+  return errors;
+};
+
+// Snapshot the current setup as a profile
+export const buildProfile = (settings, aliases) => ({
+  format: PROFILE_FORMAT,
+  version: PROFILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  settings: Object.fromEntries(PROFILE_SETTINGS.map((key) => [key, settings[key]])),
+  aliases,
+});
+
+export const profileToJson = (profile) => JSON.stringify(profile, null, 2);
+
+// QR codes hold the compact JSON, wrapped in a link so a phone camera opens Doro
+export const profileToLink = (profile) => `${PROFILE_LINK_PREFIX}${encodeURIComponent(JSON.stringify(profile))}`;
+
+export const isProfileLink = (url) => typeof url === 'string' && url.startsWith(PROFILE_LINK_PREFIX);
+
+// Read a profile from a file's contents, a scanned QR code or a doro:// link.
+// Returns { profile } when it can be applied, or { errors } listing what is
+// wrong with it, in `language`.
+export const parseProfile = (text, language = 'en') => {
+  const t = (key, params) => translate(language, key, params);
+  let json = (text || '').trim();
+  if (isProfileLink(json)) {
+    try {
+      json = decodeURIComponent(json.slice(PROFILE_LINK_PREFIX.length));
+    } catch (error) {
+      return { errors: [t('profileErrorDamagedLink')] };
+    }
+  }
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return { errors: [t('profileErrorNotJson')] };
+  }
+  if (typeOf(data) !== 'object' || data.format !== PROFILE_FORMAT) {
+    return { errors: [t('profileErrorNotProfile')] };
+  }
+  if (Number.isInteger(data.version) && data.version > PROFILE_VERSION) {
+    return { errors: [t('profileErrorNewerVersion', { version: data.version })] };
+  }
+  const errors = validate(data, PROFILE_SCHEMA, '', language);
+  return errors.length ? { errors } : { profile: data };
+};
+
+// The settings changes and alias map a validated profile stands for. Aliases
+// are keyed again by their normalized name, whatever the file used.
+export const profileChanges = (profile) => ({
+  settings: { ...profile.settings },
+  aliases: profile.aliases
+    ? Object.fromEntries(Object.entries(profile.aliases)
+      .map(([key, entry]) => {
+        const alias = normalizeAlias(entry.alias || key);
+        return [alias, { contactId: null, label: null, ...entry, alias }];
+      })
+      .filter(([alias]) => alias))
+    : null,
+});
+
+const listContacts = (contacts) => contacts.map(({ name, number }) => `${name} (${number})`).join(', ');
+
+// What applying the profile changes, for the "Apply this profile?" question.
+// Emergency contacts are listed by name and number, and it says which ones
+// they replace, since they are who Doro calls in an emergency. `current` is
+// the setup the profile would be applied to.
+export const summarizeProfile = (profile, language = 'en', current = {}) => {
+  const t = (key, params) => translate(language, key, params);
+  const settings = profile.settings || {};
+  const parts = [];
+  if (settings.language) {
+    parts.push(t('profileSummaryLanguage', { language: LANGUAGES[settings.language].name }));
+  }
+  if (settings.emergencyContacts) {
+    const contacts = settings.emergencyContacts.length ? listContacts(settings.emergencyContacts) : t('profileSummaryNobody');
+    const previous = current.emergencyContacts || [];
+    parts.push(previous.length
+      ? t('profileSummaryEmergencyContactsReplaced', { contacts, previous: listContacts(previous) })
+      : t('profileSummaryEmergencyContacts', { contacts }));
+  }
+  if (profile.aliases) {
+    parts.push(t('profileSummaryAliases', { count: Object.keys(profile.aliases).length }));
+  }
+  const others = Object.keys(settings).filter((key) => key !== 'language' && key !== 'emergencyContacts').length;
+  if (others) {
+    parts.push(t('profileSummaryOthers', { count: others }));
+  }
+  return parts.length ? parts.join('; ') : t('profileSummaryNone');
+};
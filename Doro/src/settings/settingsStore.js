@@ -0,0 +1,82 @@
+// User preferences persisted in AsyncStorage. Missing keys fall back to
+// DEFAULT_SETTINGS, so new settings can be added without a migration.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_EMERGENCY_NUMBER } from '../emergency/sosChain';
+import { detectDeviceLanguage } from '../i18n/deviceLanguage';
+import { DEFAULT_WAKE_PHRASE } from '../speech/wakeWord';
+import { DEFAULT_SPEECH_RATE, DEFAULT_SPEECH_PITCH, DEFAULT_SPEECH_VOLUME } from '../speech/speechQueue';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Settings');
+
+const STORAGE_KEY = '@doro/settings';
+
+// Most favorite tiles that still fit on the main screen at large text sizes
+export const MAX_FAVORITES = 4;
+
+export const DEFAULT_SETTINGS = {
+  // Intents a caregiver has switched off in the profile screen; Doro explains
+  // that it can't do these instead of acting on them
+  disabledIntents: [],
+  // Ask "Call Anna on the mobile number? Say yes or no" before opening the dialer
+  confirmBeforeCalling: true,
+  // How long to wait for the yes/no answer before giving up
+  confirmationTimeoutMs: 15000,
+  // Ordered SOS chain: [{ contactId, name, label, number }]
+  emergencyContacts: [],
+  // Offered once every emergency contact has been tried
+  emergencyNumber: DEFAULT_EMERGENCY_NUMBER,
+  // This phone's own number, read out for "what is my number"; phones don't
+  // let apps look it up, so a caregiver types it in
+  ownNumber: '',
+  // Language Doro listens and speaks in; starts as the phone's language
+  language: detectDeviceLanguage(),
+  // Text-to-speech voice identifier, or null for the platform default
+  voice: null,
+  // How fast and how high Doro speaks; 1 is the voice's normal speed and pitch
+  speechRate: DEFAULT_SPEECH_RATE,
+  speechPitch: DEFAULT_SPEECH_PITCH,
+  // Speech volume from 0 to 1, changed by "louder" and "quieter"
+  speechVolume: DEFAULT_SPEECH_VOLUME,
+  // Large text, high contrast and a bigger microphone button on the main screen
+  accessibilityMode: false,
+  // One-tap call tiles on the main screen: [{ contactId, name, label, number }]
+  favoriteContacts: [],
+  // Show recognizer and permission details for troubleshooting
+  developerMode: false,
+  // Optional HTTP endpoint (e.g. a self-hosted model server) asked about
+  // commands the keyword parser is unsure of; empty keeps Doro fully offline
+  understandingUrl: '',
+  // Set once the first-run permission onboarding has been walked through
+  permissionsOnboarded: false,
+  // Keep listening after every reply instead of once per mic press
+  handsFree: false,
+  // Hands-free listening switches off after this long without speech
+  handsFreeSilenceMs: 60000,
+  // Listen in the background for the wake phrase; off unless the user opts in
+  wakeWordEnabled: false,
+  // What to say to get Doro's attention
+  wakePhrase: DEFAULT_WAKE_PHRASE,
+};
+
+export const loadSettings = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : {};
+    return { ...DEFAULT_SETTINGS, ...(saved && typeof saved === 'object' ? saved : {}) };
+  } catch (error) {
+    log.error('Failed to load settings', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+// Merge changes into the current settings and persist them. Returns the new settings.
+export const saveSettings = async (settings, changes) => {
+  const updated = { ...settings, ...changes };
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+  } catch (error) {
+    log.error('Failed to save settings', error);
+  }
+  return updated;
+};
@@ -0,0 +1,108 @@
+import { createSpeechQueue, stepSpeechSetting, SPEECH_RATES, SPEECH_VOLUMES } from '../speechQueue';
+
+// Engine that finishes utterances only when the test says so
+const createEngine = () => {
+  const utterances = [];
+  return {
+    utterances,
+    speak: jest.fn((text, options) => utterances.push({ text, options })),
+    stop: jest.fn(),
+    finish: () => utterances[utterances.length - 1].options.onDone(),
+  };
+};
+
+describe('createSpeechQueue', () => {
+  test('speaks one utterance at a time, in order', () => {
+    const engine = createEngine();
+    const onSpeakingChange = jest.fn();
+    const queue = createSpeechQueue({ engine, onSpeakingChange });
+    const firstDone = jest.fn();
+
+    queue.speak('Searching for Anna...', { onDone: firstDone, rate: 0.8 });
+    queue.speak('Calling Anna.');
+    expect(engine.speak).toHaveBeenCalledTimes(1);
+    expect(engine.utterances[0]).toMatchObject({ text: 'Searching for Anna...', options: { rate: 0.8 } });
+    expect(queue.isSpeaking()).toBe(true);
+
+    engine.finish();
+    expect(firstDone).toHaveBeenCalledWith({ interrupted: false });
+    expect(engine.utterances[1].text).toBe('Calling Anna.');
+
+    engine.finish();
+    expect(queue.isSpeaking()).toBe(false);
+    expect(onSpeakingChange.mock.calls.map(([speaking]) => speaking)).toEqual([true, true, false]);
+  });
+
+  test('stop cuts the current utterance short and drops the rest', () => {
+    const engine = createEngine();
+    const onSpeakingChange = jest.fn();
+    const queue = createSpeechQueue({ engine, onSpeakingChange });
+    const onDone = [jest.fn(), jest.fn()];
+
+    queue.speak('First', { onDone: onDone[0] });
+    queue.speak('Second', { onDone: onDone[1] });
+    queue.stop();
+
+    expect(engine.stop).toHaveBeenCalledTimes(1);
+    expect(onDone[0]).toHaveBeenCalledWith({ interrupted: true });
+    expect(onDone[1]).toHaveBeenCalledWith({ interrupted: true });
+    expect(onSpeakingChange).toHaveBeenLastCalledWith(false);
+    expect(queue.isSpeaking()).toBe(false);
+
+    // The engine's late reports for the stopped utterance are ignored
+    engine.utterances[0].options.onStopped();
+    engine.utterances[0].options.onDone();
+    expect(onDone[0]).toHaveBeenCalledTimes(1);
+    expect(engine.speak).toHaveBeenCalledTimes(1);
+  });
+
+  test('stop does nothing when the queue is quiet', () => {
+    const engine = createEngine();
+    createSpeechQueue({ engine }).stop();
+    expect(engine.stop).not.toHaveBeenCalled();
+  });
+
+  test('moves on when an utterance fails', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const engine = createEngine();
+    const queue = createSpeechQueue({ engine });
+    const onDone = jest.fn();
+    const error = new Error('No voice');
+
+    queue.speak('First', { onDone });
+    queue.speak('Second');
+    engine.utterances[0].options.onError(error);
+
+    expect(onDone).toHaveBeenCalledWith({ interrupted: false, error });
+    expect(engine.utterances[1].text).toBe('Second');
+    console.error.mockRestore();
+  });
+
+  test('an utterance stopped by the engine counts as interrupted', () => {
+    const engine = createEngine();
+    const queue = createSpeechQueue({ engine });
+    const onDone = jest.fn();
+
+    queue.speak('First', { onDone });
+    engine.utterances[0].options.onStopped();
+    expect(onDone).toHaveBeenCalledWith({ interrupted: true });
+  });
+});
+
+describe('stepSpeechSetting', () => {
+  test('moves one step up or down', () => {
+    expect(stepSpeechSetting(SPEECH_RATES, 1, -1)).toBe(0.8);
+    expect(stepSpeechSetting(SPEECH_RATES, 1, 1)).toBe(1.2);
+    expect(stepSpeechSetting(SPEECH_VOLUMES, 0.7, 1)).toBe(1);
+  });
+
+  test('steps from values between the steps', () => {
+    expect(stepSpeechSetting(SPEECH_RATES, 0.9, -1)).toBe(0.8);
+    expect(stepSpeechSetting(SPEECH_RATES, 0.9, 1)).toBe(1);
+  });
+
+  test('returns null at either end', () => {
+    expect(stepSpeechSetting(SPEECH_RATES, 0.6, -1)).toBeNull();
+    expect(stepSpeechSetting(SPEECH_VOLUMES, 1, 1)).toBeNull();
+  });
+});
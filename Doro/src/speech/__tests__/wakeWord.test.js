@@ -0,0 +1,42 @@
+import { detectWakePhrase, DEFAULT_WAKE_PHRASE } from '../wakeWord';
+
+describe('detectWakePhrase', () => {
+  test.each([
+    ['Hey Doro call Anna', 'call Anna'],
+    ['hey doro', ''],
+    ['Hey Doro, what time is it?', 'what time is it?'],
+    ['Hey Dora call Anna', 'call Anna'],
+    ['hey Toro call Anna', 'call Anna'],
+    ['hi Doro call Anna', 'call Anna'],
+    ['okay Doro', ''],
+    ['hey door oh call Anna', 'call Anna'],
+    ['heydoro call Anna', 'call Anna'],
+    ['um hey Doro call Anna', 'call Anna'],
+    ['hej Doro ring Anna', 'ring Anna'],
+    ['hola Doro llama a Ana', 'llama a Ana'],
+  ])('hears the phrase in "%s"', (transcript, command) => {
+    expect(detectWakePhrase(transcript)).toEqual({ command });
+  });
+
+  test.each([
+    ['what a nice day'],
+    ['call Anna'],
+    ['hey there'],
+    ['hey'],
+    ['Doro'],
+    [''],
+    [null],
+  ])('ignores "%s"', (transcript) => {
+    expect(detectWakePhrase(transcript)).toBeNull();
+  });
+
+  test('listens for a custom phrase', () => {
+    expect(detectWakePhrase('hello Margaret call Anna', 'Hello Margaret')).toEqual({ command: 'call Anna' });
+    expect(detectWakePhrase('Hey Doro call Anna', 'Hello Margaret')).toBeNull();
+    expect(detectWakePhrase('Hey Doro', '')).toBeNull();
+  });
+
+  test('uses "Hey Doro" by default', () => {
+    expect(DEFAULT_WAKE_PHRASE).toBe('Hey Doro');
+  });
+});
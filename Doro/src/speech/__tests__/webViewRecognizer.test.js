@@ -0,0 +1,197 @@
+import { createWebViewRecognizer } from '../webViewRecognizer';
+import { parseBridgeMessage, buildCommand, commandScript, BRIDGE_PROTOCOL, BRIDGE_VERSION } from '../webViewBridge';
+
+// The recognizer logs the bridge traffic and every timeout; keep the test
+// output clean
+beforeEach(() => ['log', 'warn'].forEach((method) => jest.spyOn(console, method).mockImplementation(() => {})));
+afterEach(() => ['log', 'warn'].forEach((method) => console[method].mockRestore()));
+
+// A stand-in for the WebView: keeps the commands it was handed and counts reloads
+const createPage = () => {
+  const page = {
+    commands: [],
+    reloads: 0,
+    injectJavaScript: (script) => page.commands.push(JSON.parse(script.match(/receive\((.*)\); true;$/)[1])),
+    reload: () => {
+      page.reloads += 1;
+    },
+  };
+  return page;
+};
+
+const message = (type, payload = {}) => ({
+  nativeEvent: { data: JSON.stringify({ protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, type, ...payload }) },
+});
+
+// Let the promise chains behind start() settle
+const settle = async () => {
+  for (let i = 0; i < 3; i++) {
+    await Promise.resolve();
+  }
+};
+
+const setup = () => {
+  const page = createPage();
+  const recognizer = createWebViewRecognizer(() => page);
+  const handlers = { onStart: jest.fn(), onPartial: jest.fn(), onResult: jest.fn(), onError: jest.fn(), onEnd: jest.fn() };
+  recognizer.setHandlers(handlers);
+  const send = (type, payload) => recognizer.handleMessage(message(type, payload));
+  const ready = () => send('ready', { capabilities: { speechRecognition: true, interimResults: true } });
+  return { page, recognizer, handlers, send, ready };
+};
+
+describe('parseBridgeMessage', () => {
+  const raw = (fields) => JSON.stringify({ protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, ...fields });
+
+  test('accepts well-formed messages', () => {
+    expect(parseBridgeMessage(raw({ type: 'result', transcript: 'call Anna' })).message).toMatchObject({ type: 'result', transcript: 'call Anna' });
+    expect(parseBridgeMessage(raw({ type: 'ended' })).message.type).toBe('ended');
+  });
+
+  test.each([
+    ['not json', 'not valid JSON'],
+    ['[1, 2]', 'not an object'],
+    [JSON.stringify({ protocol: 'other', version: 1, type: 'ended' }), 'unknown protocol'],
+    [JSON.stringify({ protocol: BRIDGE_PROTOCOL, version: 2, type: 'ended' }), 'unsupported protocol version 2'],
+    [raw({ type: 'shout' }), 'unknown message type shout'],
+    [raw({ type: 'result' }), 'result message has no valid transcript'],
+    [raw({ type: 'ready', capabilities: null }), 'ready message has no valid capabilities'],
+    [raw({ type: 'ack', replyTo: '1', ok: 'yes' }), 'ack message has no valid ok'],
+  ])('rejects %s', (data, error) => {
+    expect(parseBridgeMessage(data)).toEqual({ error });
+  });
+
+  test('builds command scripts for the page', () => {
+    const command = buildCommand('start', '7', { locale: 'sv-SE' });
+    expect(command).toEqual({ protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, type: 'start', id: '7', locale: 'sv-SE' });
+    expect(commandScript(command)).toBe(`window.doroBridge && window.doroBridge.receive(${JSON.stringify(command)}); true;`);
+  });
+});
+
+describe('createWebViewRecognizer', () => {
+  test('is available once the page reports speech recognition', async () => {
+    const { recognizer, ready } = setup();
+    const available = recognizer.isAvailable();
+    ready();
+    await expect(available).resolves.toBe(true);
+  });
+
+  test('is unavailable when the page never reports in', async () => {
+    const { recognizer } = setup();
+    const available = recognizer.isAvailable();
+    jest.advanceTimersByTime(5000);
+    await expect(available).resolves.toBe(false);
+  });
+
+  test('is unavailable when the page has no Web Speech API', async () => {
+    const { recognizer, send } = setup();
+    send('ready', { capabilities: { speechRecognition: false, interimResults: false } });
+    await expect(recognizer.isAvailable()).resolves.toBe(false);
+  });
+
+  test('passes recognition events on to the handlers', () => {
+    const { page, recognizer, handlers, send, ready } = setup();
+    ready();
+    recognizer.start('sv-SE');
+    expect(page.commands).toEqual([expect.objectContaining({ type: 'start', locale: 'sv-SE' })]);
+
+    send('ack', { replyTo: page.commands[0].id, ok: true });
+    send('started');
+    send('partial', { transcript: 'ring' });
+    send('result', { transcript: 'ring Anna' });
+    send('ended');
+
+    expect(handlers.onStart).toHaveBeenCalled();
+    expect(handlers.onPartial).toHaveBeenCalledWith('ring');
+    expect(handlers.onResult).toHaveBeenCalledWith('ring Anna');
+    expect(handlers.onEnd).toHaveBeenCalled();
+    expect(handlers.onError).not.toHaveBeenCalled();
+  });
+
+  test('reports a start the page refused', async () => {
+    const { page, recognizer, handlers, send, ready } = setup();
+    ready();
+    recognizer.start('en-US');
+    send('ack', { replyTo: page.commands[0].id, ok: false, error: 'not-allowed' });
+    await settle();
+    expect(handlers.onError).toHaveBeenCalledWith('not-allowed');
+  });
+
+  test('does not start before the handshake', () => {
+    const { page, recognizer, handlers } = setup();
+    recognizer.start('en-US');
+    expect(handlers.onError).toHaveBeenCalledWith('webview_not_ready');
+    expect(page.commands).toEqual([]);
+  });
+
+  test('reloads a page that stops answering', async () => {
+    const { page, recognizer, handlers, ready } = setup();
+    ready();
+    recognizer.start('en-US');
+    jest.advanceTimersByTime(3000);
+    await settle();
+
+    expect(page.reloads).toBe(1);
+    expect(handlers.onError).toHaveBeenCalledWith('webview_timeout');
+
+    // Until the reloaded page shakes hands again, starting fails right away
+    handlers.onError.mockClear();
+    recognizer.start('en-US');
+    expect(handlers.onError).toHaveBeenCalledWith('webview_not_ready');
+    ready();
+    recognizer.start('en-US');
+    expect(page.commands).toHaveLength(2);
+  });
+
+  test('pings the page while listening and reloads it when the pings go unanswered', () => {
+    const { page, recognizer, handlers, send, ready } = setup();
+    ready();
+    recognizer.start('en-US');
+    send('ack', { replyTo: page.commands[0].id, ok: true });
+    send('started');
+
+    jest.advanceTimersByTime(5000);
+    const ping = page.commands[1];
+    expect(ping.type).toBe('ping');
+    send('pong', { replyTo: ping.id });
+    jest.advanceTimersByTime(3000);
+    expect(page.reloads).toBe(0);
+
+    jest.advanceTimersByTime(2000 + 3000); // The next ping is never answered
+    expect(page.reloads).toBe(1);
+    expect(handlers.onError).toHaveBeenCalledWith('webview_timeout');
+  });
+
+  test('recovers from a crashed page', () => {
+    const { page, recognizer, handlers, send, ready } = setup();
+    ready();
+    recognizer.start('en-US');
+    send('ack', { replyTo: page.commands[0].id, ok: true });
+    send('started');
+
+    recognizer.handlePageLost();
+    expect(page.reloads).toBe(1);
+    expect(handlers.onError).toHaveBeenCalledWith('webview_crashed');
+  });
+
+  test('ignores malformed messages and late answers', () => {
+    const { page, recognizer, handlers, send, ready } = setup();
+    ready();
+    recognizer.handleMessage({ nativeEvent: { data: '{"type":"result","transcript":"call Anna"}' } });
+    send('ack', { replyTo: '99', ok: false, error: 'late' });
+    expect(handlers.onResult).not.toHaveBeenCalled();
+    expect(handlers.onError).not.toHaveBeenCalled();
+    expect(page.reloads).toBe(0);
+  });
+
+  test('stops talking to the page once destroyed', () => {
+    const { page, recognizer, handlers, send, ready } = setup();
+    ready();
+    recognizer.start('en-US');
+    recognizer.destroy();
+    jest.advanceTimersByTime(10000);
+    send('result', { transcript: 'call Anna' });
+    expect(page.reloads).toBe(0);
+    expect(handlers.onResult).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,56 @@
+// Scripted recognizer for tests and demos. Each start() plays the next entry
+// of the script:
+//   'call Anna'            - the user said this
+//   { text: 'call Anna', partials: ['call', 'call An'] }
+//                          - the same, streaming partial transcripts first
+//   { error: 'no-speech' } - recognition failed
+//   null                   - the user said nothing
+// Events fire asynchronously, like a real engine. Once the script runs out,
+// start() behaves like silence.
+import { createHandlerSet } from './recognizer';
+
+export const createMockRecognizer = (script = [], { delayMs = 0, available = true } = {}) => {
+  const handlers = createHandlerSet();
+  const queue = [...script];
+  const calls = { start: [], stop: 0 };
+  let timer = null;
+
+  const play = (entry) => {
+    handlers.emit('onStart');
+    if (typeof entry === 'string') {
+      handlers.emit('onResult', entry);
+    } else if (entry?.text) {
+      (entry.partials || []).forEach((partial) => handlers.emit('onPartial', partial));
+      handlers.emit('onResult', entry.text);
+    } else if (entry?.error) {
+      handlers.emit('onError', entry.error);
+      return; // Real engines end with the error
+    }
+    handlers.emit('onEnd');
+  };
+
+  return {
+    name: 'mock',
+    isAvailable: async () => available,
+    start: (locale) => {
+      calls.start.push(locale);
+      const entry = queue.length ? queue.shift() : null;
+      timer = setTimeout(() => {
+        timer = null;
+        play(entry);
+      }, delayMs);
+    },
+    stop: () => {
+      calls.stop += 1;
+    },
+    destroy: () => {
+      clearTimeout(timer);
+      handlers.set(null);
+    },
+    setHandlers: handlers.set,
+    // Test helpers: append more utterances, inspect what App asked for
+    push: (...entries) => queue.push(...entries),
+    remaining: () => queue.length,
+    calls,
+  };
+};
@@ -0,0 +1,59 @@
+// Recognizer backed by the platform speech service through
+// @react-native-voice/voice (Android SpeechRecognizer, iOS SFSpeechRecognizer).
+import { NativeModules } from 'react-native';
+import { createHandlerSet } from './recognizer';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Recognizer');
+
+// The library creates a NativeEventEmitter as soon as it is imported, which
+// throws when the native module is missing (Expo Go, tests), so only load it
+// once we know the module is there.
+const loadVoice = () => (NativeModules.Voice ? require('@react-native-voice/voice').default : null);
+
+export const createNativeRecognizer = () => {
+  const handlers = createHandlerSet();
+  const Voice = loadVoice();
+
+  // onSpeechEnd arrives when the user stops talking, before the final results
+  // (or the error), so the session only ends once one of those is in
+  const fail = (error) => {
+    handlers.emit('onError', error);
+    handlers.emit('onEnd');
+  };
+
+  if (Voice) {
+    Voice.onSpeechStart = () => handlers.emit('onStart');
+    Voice.onSpeechPartialResults = (event) => {
+      const transcript = event.value?.[0];
+      if (transcript) {
+        handlers.emit('onPartial', transcript);
+      }
+    };
+    Voice.onSpeechResults = (event) => {
+      const transcript = event.value?.[0];
+      if (transcript) {
+        handlers.emit('onResult', transcript);
+      }
+      handlers.emit('onEnd');
+    };
+    Voice.onSpeechError = (event) => fail(event.error?.message || event.error?.code || 'unknown');
+  }
+
+  return {
+    name: 'native',
+    isAvailable: async () => Boolean(Voice && (await Voice.isAvailable())),
+    start: (locale) => {
+      Voice.start(locale).catch((error) => fail(error.message));
+    },
+    stop: () => {
+      Voice?.stop().catch((error) => log.warn('Failed to stop native recognition', error));
+    },
+    destroy: () => {
+      Voice?.destroy()
+        .then(() => Voice.removeAllListeners())
+        .catch((error) => log.warn('Failed to release native recognition', error));
+    },
+    setHandlers: handlers.set,
+  };
+};
@@ -0,0 +1,47 @@
+// Speech recognizers share one small interface so App does not care which
+// engine turns the user's voice into text:
+//   name                      - 'native', 'webview' or 'mock'
+//   isAvailable()             - resolves to true when the engine can run here
+//   start(locale)             - begin listening, e.g. start('sv-SE')
+//   stop()                    - stop listening; a final result may still follow
+//   destroy()                 - release the engine
+//   setHandlers({ onStart, onPartial, onResult, onError, onEnd })
+// onPartial receives the words heard so far while the user is still talking,
+// onResult the final transcript, onError a short error string.
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Recognizer');
+
+const NO_HANDLERS = {};
+
+// Shared handler bookkeeping for the engines: emit('onResult', text) calls
+// the current handler if one is set
+export const createHandlerSet = () => {
+  let handlers = NO_HANDLERS;
+  return {
+    set: (next) => {
+      handlers = next || NO_HANDLERS;
+    },
+    emit: (event, ...args) => handlers[event]?.(...args),
+  };
+};
+
+// Errors that only mean nobody spoke: "no-speech" from the Web Speech API,
+// "6/No speech input" and "7/No match" from Android, and stops we asked for
+export const isSilenceError = (error) => /no[-_ ]?speech|no match|^[67]\/|aborted/i.test(String(error || ''));
+
+// Resolve to the first engine that reports itself available, or null.
+// Engines are tried in order, so put the preferred one first.
+export const chooseRecognizer = async (engines) => {
+  for (const engine of engines) {
+    try {
+      if (await engine.isAvailable()) {
+        return engine;
+      }
+    } catch (error) {
+      log.warn(`Could not check the ${engine.name} engine`, error);
+    }
+    engine.destroy();
+  }
+  return null;
+};
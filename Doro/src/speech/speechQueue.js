@@ -0,0 +1,95 @@
+// Everything Doro says goes through one queue, so replies are spoken one after
+// another instead of over each other:
+//   const queue = createSpeechQueue({ onSpeakingChange: setIsSpeaking });
+//   queue.speak('Searching for Anna...');
+//   queue.speak('Calling Anna.', { onDone: ({ interrupted }) => ... });
+//   queue.stop(); // Barge-in: cut the current utterance short, drop the rest
+// onDone runs once per utterance: after it was spoken, failed, or was stopped
+// ({ interrupted: true }). onSpeakingChange reports when the queue starts and
+// stops talking. The engine defaults to expo-speech; tests pass their own.
+import * as Speech from 'expo-speech';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Speech');
+
+export const DEFAULT_SPEECH_RATE = 1;
+export const DEFAULT_SPEECH_PITCH = 1;
+export const DEFAULT_SPEECH_VOLUME = 1;
+
+// Speaking speeds and volumes from lowest to highest; "slower" or "louder"
+// moves one step. Volume only has an effect where the engine supports it (the
+// web); phones speak at the media volume.
+export const SPEECH_RATES = [0.6, 0.8, 1, 1.2];
+export const SPEECH_VOLUMES = [0.4, 0.7, 1];
+
+// The next value in `steps` below (direction -1) or above (+1) `current`,
+// or null when there is none
+export const stepSpeechSetting = (steps, current, direction) => {
+  const candidates = steps.filter((value) => (direction < 0 ? value < current : value > current));
+  if (!candidates.length) {
+    return null;
+  }
+  return direction < 0 ? Math.max(...candidates) : Math.min(...candidates);
+};
+
+export const createSpeechQueue = ({ engine = Speech, onSpeakingChange = () => {} } = {}) => {
+  let queue = [];
+  let current = null;
+
+  const playNext = () => {
+    if (current) {
+      return;
+    }
+    const next = queue.shift();
+    if (!next) {
+      onSpeakingChange(false);
+      return;
+    }
+    current = next;
+    onSpeakingChange(true);
+    engine.speak(next.text, {
+      ...next.options,
+      onDone: () => finish(next, { interrupted: false }),
+      onStopped: () => finish(next, { interrupted: true }),
+      onError: (error) => {
+        log.error('Failed to speak', error);
+        finish(next, { interrupted: false, error });
+      },
+    });
+  };
+
+  // Engines may report the end of an utterance more than once (stopped, then
+  // done), and stop() has already settled it, so only the first report counts
+  const finish = (item, result) => {
+    if (current !== item) {
+      return;
+    }
+    current = null;
+    item.onDone?.(result);
+    playNext();
+  };
+
+  // Queue text to be spoken. options are passed to the engine (language,
+  // voice, rate, pitch); onDone runs when the utterance has finished.
+  const speak = (text, { onDone, ...options } = {}) => {
+    queue.push({ text, options, onDone });
+    playNext();
+  };
+
+  // Stop talking now and forget everything still queued
+  const stop = () => {
+    const cancelled = [current, ...queue].filter(Boolean);
+    current = null;
+    queue = [];
+    if (!cancelled.length) {
+      return;
+    }
+    engine.stop();
+    onSpeakingChange(false);
+    cancelled.forEach((item) => item.onDone?.({ interrupted: true }));
+  };
+
+  const isSpeaking = () => current !== null;
+
+  return { speak, stop, isSpeaking };
+};
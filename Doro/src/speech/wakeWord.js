@@ -0,0 +1,73 @@
+// Finds the wake phrase ("Hey Doro") in a transcript heard while Doro is
+// waiting to be addressed, and splits off the command that follows it:
+//   detectWakePhrase('Hey Doro call Anna') -> { command: 'call Anna' }
+//   detectWakePhrase('hey Dora')           -> { command: '' }
+//   detectWakePhrase('what a nice day')    -> null
+// Recognizers rarely spell a name they do not know the same way twice
+// ("Dora", "Toro", "door oh", "heydoro"), so the match is fuzzy.
+import { normalizeName, editDistance, phoneticKey } from '../contacts/contactMatcher';
+
+export const DEFAULT_WAKE_PHRASE = 'Hey Doro';
+
+// Greetings that may stand in for each other as the first word of the phrase
+const GREETING_WORDS = ['hey', 'hi', 'hello', 'ok', 'okay', 'hej', 'hallo', 'hola', 'oye'];
+
+// Allowed edits for a joined phrase of this many letters
+const maxEdits = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+const wordMatches = (spoken, expected) => {
+  if (spoken === expected) {
+    return true;
+  }
+  if (GREETING_WORDS.includes(expected)) {
+    return GREETING_WORDS.includes(spoken);
+  }
+  const distance = editDistance(spoken, expected);
+  // Sounding alike is only trusted for near spellings; "there" and "doro" share a key
+  return (expected.length >= 4 && distance <= 1) || (distance <= 2 && phoneticKey(spoken) === phoneticKey(expected));
+};
+
+// Does this run of spoken words sound like the phrase? Compared word by word
+// when the counts agree, and as joined letters otherwise ("door oh" ~ "doro").
+const windowMatches = (spokenWords, phraseWords) => {
+  if (spokenWords.length === phraseWords.length && spokenWords.every((word, i) => wordMatches(word, phraseWords[i]))) {
+    return true;
+  }
+  // The greeting must still be there; only the name may be split or merged,
+  // which costs an extra edit or two ("door oh" for "doro")
+  const [first, ...rest] = phraseWords;
+  if (GREETING_WORDS.includes(first) && spokenWords.length > 1 && GREETING_WORDS.includes(spokenWords[0])) {
+    const name = rest.join('');
+    const spokenName = spokenWords.slice(1).join('');
+    return name.length >= 4 && editDistance(spokenName, name) <= 2;
+  }
+  const joined = phraseWords.join('');
+  return editDistance(spokenWords.join(''), joined) <= maxEdits(joined.length);
+};
+
+// Returns { command } with the words after the wake phrase (possibly ''),
+// or null when the phrase was not said
+export const detectWakePhrase = (transcript, phrase = DEFAULT_WAKE_PHRASE) => {
+  const phraseWords = normalizeName(phrase).split(' ').filter(Boolean);
+  if (!phraseWords.length) {
+    return null;
+  }
+  // Keep the original words so the command keeps its casing
+  const originalWords = (transcript || '').trim().split(/\s+/).filter(Boolean);
+  const spokenWords = originalWords.map(normalizeName);
+
+  for (let start = 0; start < spokenWords.length; start++) {
+    // A phrase can come out as one word more or one word fewer; the longest
+    // match wins so "door oh" is not cut after "door"
+    for (let size = phraseWords.length + 1; size >= Math.max(1, phraseWords.length - 1); size--) {
+      if (start + size > spokenWords.length) {
+        continue;
+      }
+      if (windowMatches(spokenWords.slice(start, start + size), phraseWords)) {
+        const command = originalWords.slice(start + size).join(' ').replace(/^[\s,.!?]+/, '');
+        return { command };
+      }
+    }
+  }
+  return null;
+};
@@ -0,0 +1,77 @@
+// Message protocol between the speech page in the hidden WebView and the app.
+// Every message is a JSON object tagged with the protocol and its version:
+//   { "protocol": "doro-speech", "version": 1, "type": "result", "transcript": "call anna" }
+// The page opens with a `ready` handshake reporting what it can do, then
+// reports recognition events. The app sends commands with an `id`; the page
+// answers each with an `ack` (or a `pong` for pings) carrying `replyTo`.
+//
+// Page -> app:
+//   ready    { capabilities: { speechRecognition, interimResults } }
+//   ack      { replyTo, ok, error? }   - a command was carried out, or why not
+//   pong     { replyTo }
+//   started, ended
+//   partial  { transcript }            - words heard so far
+//   result   { transcript }            - the final transcript
+//   error    { error }                 - a Web Speech API error code
+// App -> page:
+//   start    { id, locale }
+//   stop     { id }
+//   ping     { id }
+// Free of React Native imports so the protocol can be tested in plain Node.
+
+export const BRIDGE_PROTOCOL = 'doro-speech';
+export const BRIDGE_VERSION = 1;
+
+// Fields each message from the page must carry, and their types
+const MESSAGE_FIELDS = {
+  ready: { capabilities: 'object' },
+  ack: { replyTo: 'string', ok: 'boolean' },
+  pong: { replyTo: 'string' },
+  started: {},
+  ended: {},
+  partial: { transcript: 'string' },
+  result: { transcript: 'string' },
+  error: { error: 'string' },
+};
+
+export const COMMAND_TYPES = ['start', 'stop', 'ping'];
+
+// Check a raw message from the page. Returns { message } or { error }
+// describing why it was rejected.
+export const parseBridgeMessage = (raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return { error: 'not valid JSON' };
+  }
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { error: 'not an object' };
+  }
+  if (message.protocol !== BRIDGE_PROTOCOL) {
+    return { error: 'unknown protocol' };
+  }
+  if (message.version !== BRIDGE_VERSION) {
+    return { error: `unsupported protocol version ${message.version}` };
+  }
+  const fields = MESSAGE_FIELDS[message.type];
+  if (!fields) {
+    return { error: `unknown message type ${message.type}` };
+  }
+  const wrongField = Object.keys(fields).find((field) => {
+    const value = message[field];
+    return fields[field] === 'object' ? !value || typeof value !== 'object' : typeof value !== fields[field];
+  });
+  if (wrongField) {
+    return { error: `${message.type} message has no valid ${wrongField}` };
+  }
+  return { message };
+};
+
+// A command for the page, e.g. buildCommand('start', '7', { locale: 'sv-SE' })
+export const buildCommand = (type, id, payload = {}) => ({ protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, type, id, ...payload });
+
+// The script that hands a command to the page. A page that never loaded its
+// bridge simply does not answer, which the sender's timeout catches.
+export const commandScript = (command) =>
+  `window.doroBridge && window.doroBridge.receive(${JSON.stringify(command)}); true;`;
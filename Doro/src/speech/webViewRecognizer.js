@@ -0,0 +1,308 @@
+// Recognizer that runs the browser Web Speech API inside a hidden WebView.
+// App renders the WebView with `speechRecognitionHtml` and passes its
+// messages to handleMessage. The two sides talk through the versioned
+// protocol in webViewBridge.js: the page shakes hands with `ready`, every
+// command is answered, and a page that stops answering is reloaded.
+import { createHandlerSet } from './recognizer';
+import { BRIDGE_PROTOCOL, BRIDGE_VERSION, parseBridgeMessage, buildCommand, commandScript } from './webViewBridge';
+import { createLogger } from '../logging/logger';
+
+const log = createLogger('Recognizer');
+
+// How long to wait for the WebView page to report whether it can recognize speech
+const READY_TIMEOUT_MS = 5000;
+
+// How long the page has to answer a command before it is reloaded
+const RESPONSE_TIMEOUT_MS = 3000;
+
+// While listening the page is pinged this often, so a hung page is noticed
+// before the user gives up
+const HEARTBEAT_MS = 5000;
+
+// HTML content for the WebView to handle Speech-to-Text
+// This HTML will no longer call getUserMedia on load.
+// It answers the commands React Native sends through window.doroBridge
+export const speechRecognitionHtml = `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Speech Recognition</title>
+    <style>
+      body {
+        margin: 0;
+        padding: 0;
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        height: 100vh;
+        background-color: transparent; /* Make background transparent */
+        overflow: hidden; /* Hide scrollbars */
+      }
+    </style>
+  </head>
+  <body>
+    <script>
+      const PROTOCOL = '${BRIDGE_PROTOCOL}';
+      const VERSION = ${BRIDGE_VERSION};
+      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+      let recognition = null;
+      let isRecognitionActive = false;
+
+      const send = (type, payload) => {
+        window.ReactNativeWebView.postMessage(JSON.stringify({ protocol: PROTOCOL, version: VERSION, type, ...payload }));
+      };
+
+      if (SpeechRecognition) {
+        recognition = new SpeechRecognition();
+        recognition.continuous = false; // Listen for a single phrase
+        recognition.interimResults = true; // Stream partial transcripts while the user talks
+        recognition.lang = 'en-US'; // Until React Native passes the chosen language
+
+        recognition.onstart = () => {
+          isRecognitionActive = true;
+          console.log('WebView: Speech recognition started.');
+          send('started');
+        };
+
+        recognition.onresult = (event) => {
+          let finalTranscript = '';
+          let interimTranscript = '';
+          for (let i = event.resultIndex; i < event.results.length; i++) {
+            if (event.results[i].isFinal) {
+              finalTranscript += event.results[i][0].transcript;
+            } else {
+              interimTranscript += event.results[i][0].transcript;
+            }
+          }
+          if (finalTranscript) {
+            send('result', { transcript: finalTranscript });
+          } else if (interimTranscript) {
+            send('partial', { transcript: interimTranscript });
+          }
+        };
+
+        recognition.onerror = (event) => {
+          isRecognitionActive = false;
+          console.error('WebView: Speech recognition error:', event.error);
+          send('error', { error: String(event.error) });
+        };
+
+        recognition.onend = () => {
+          isRecognitionActive = false;
+          console.log('WebView: Speech recognition ended.');
+          send('ended');
+        };
+      }
+
+      // Commands from React Native arrive here; each is answered with an ack
+      // (or a pong) carrying its id
+      const handleCommand = (command) => {
+        const reply = (ok, error) => send('ack', error ? { replyTo: command.id, ok, error } : { replyTo: command.id, ok });
+        if (command.type === 'ping') {
+          send('pong', { replyTo: command.id });
+        } else if (!recognition) {
+          reply(false, 'not_supported');
+        } else if (command.type === 'start') {
+          if (isRecognitionActive) {
+            reply(true); // Already listening
+            return;
+          }
+          try {
+            if (command.locale) {
+              recognition.lang = command.locale;
+            }
+            recognition.start(); // This will implicitly trigger getUserMedia
+            reply(true);
+          } catch (e) {
+            console.error('WebView: Error starting recognition:', e.message);
+            reply(false, e.message);
+          }
+        } else if (command.type === 'stop') {
+          if (isRecognitionActive) {
+            recognition.stop();
+          }
+          reply(true);
+        } else {
+          reply(false, 'unknown_command');
+        }
+      };
+
+      window.doroBridge = {
+        receive: (command) => {
+          if (!command || command.protocol !== PROTOCOL || command.version !== VERSION || typeof command.id !== 'string') {
+            console.error('WebView: Ignoring malformed command.');
+            return;
+          }
+          handleCommand(command);
+        },
+      };
+
+      // Handshake: tell React Native the page is up and what it can do
+      if (!SpeechRecognition) {
+        console.log('WebView: Web Speech API not supported.');
+      }
+      send('ready', { capabilities: { speechRecognition: Boolean(SpeechRecognition), interimResults: Boolean(SpeechRecognition) } });
+    </script>
+  </body>
+  </html>
+`;
+
+// getWebView returns the mounted WebView (e.g. () => webViewRef.current)
+export const createWebViewRecognizer = (getWebView) => {
+  const handlers = createHandlerSet();
+  let available = null; // null until the page reports in
+  let availabilityWaiters = [];
+  let capabilities = null; // From the page's ready handshake; null while it (re)loads
+  let isListening = false;
+  let nextId = 0;
+  const pending = new Map(); // Command id -> { resolve, reject, timer }
+  let heartbeat = null;
+
+  const setAvailable = (value) => {
+    available = value;
+    availabilityWaiters.forEach((resolve) => resolve(value));
+    availabilityWaiters = [];
+  };
+
+  const stopHeartbeat = () => {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  };
+
+  // The page stopped answering or was lost: fail whatever was waiting on it
+  // and reload it. Its ready message brings the recognizer back.
+  const recover = (reason) => {
+    log.warn('Reloading the speech page', { reason });
+    stopHeartbeat();
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error(reason));
+    });
+    pending.clear();
+    capabilities = null;
+    if (isListening) {
+      isListening = false;
+      handlers.emit('onError', reason);
+    }
+    getWebView()?.reload();
+  };
+
+  // Send a command; resolves to the page's ack or pong
+  const send = (type, payload) => new Promise((resolve, reject) => {
+    const webView = getWebView();
+    if (!webView) {
+      reject(new Error('webview_not_mounted'));
+      return;
+    }
+    const id = String(++nextId);
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error('webview_timeout'));
+      recover('webview_timeout');
+    }, RESPONSE_TIMEOUT_MS);
+    pending.set(id, { resolve, reject, timer });
+    webView.injectJavaScript(commandScript(buildCommand(type, id, payload)));
+  });
+
+  // Answers that arrive after their command timed out are ignored
+  const settle = (message) => {
+    const request = pending.get(message.replyTo);
+    if (!request) {
+      return;
+    }
+    clearTimeout(request.timer);
+    pending.delete(message.replyTo);
+    request.resolve(message);
+  };
+
+  // Wire this to the WebView's onMessage
+  const handleMessage = (event) => {
+    const { message, error } = parseBridgeMessage(event.nativeEvent.data);
+    if (error) {
+      log.warn('Ignoring WebView message', { error });
+      return;
+    }
+    if (message.type !== 'partial') {
+      log.info('Received message from WebView', { type: message.type });
+    }
+    switch (message.type) {
+      case 'ready':
+        capabilities = message.capabilities;
+        setAvailable(capabilities.speechRecognition === true);
+        break;
+      case 'ack':
+      case 'pong':
+        settle(message);
+        break;
+      case 'started':
+        isListening = true;
+        stopHeartbeat();
+        heartbeat = setInterval(() => send('ping').catch(() => {}), HEARTBEAT_MS);
+        handlers.emit('onStart');
+        break;
+      case 'partial':
+        handlers.emit('onPartial', message.transcript);
+        break;
+      case 'result':
+        handlers.emit('onResult', message.transcript);
+        break;
+      case 'error':
+        handlers.emit('onError', message.error);
+        break;
+      case 'ended':
+        isListening = false;
+        stopHeartbeat();
+        handlers.emit('onEnd');
+        break;
+      default:
+        break;
+    }
+  };
+
+  return {
+    name: 'webview',
+    isAvailable: () => {
+      if (available !== null) {
+        return Promise.resolve(available);
+      }
+      return new Promise((resolve) => {
+        availabilityWaiters.push(resolve);
+        // A page that never reports in cannot recognize speech either
+        setTimeout(() => {
+          if (available === null) {
+            setAvailable(false);
+          }
+        }, READY_TIMEOUT_MS);
+      });
+    },
+    start: (locale) => {
+      if (!capabilities) {
+        handlers.emit('onError', 'webview_not_ready'); // Still loading, or reloading after a timeout
+        return;
+      }
+      send('start', { locale })
+        .then((ack) => {
+          if (!ack.ok) {
+            handlers.emit('onError', ack.error || 'start_failed');
+          }
+        })
+        .catch((sendError) => handlers.emit('onError', sendError.message));
+    },
+    stop: () => {
+      if (capabilities) {
+        send('stop').catch(() => {}); // A timeout already reloads the page
+      }
+    },
+    destroy: () => {
+      stopHeartbeat();
+      pending.forEach(({ timer }) => clearTimeout(timer));
+      pending.clear();
+      handlers.set(null);
+    },
+    setHandlers: handlers.set,
+    handleMessage,
+    // Wire this to the WebView's onRenderProcessGone and onContentProcessDidTerminate
+    handlePageLost: () => recover('webview_crashed'),
+  };
+};